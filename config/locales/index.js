@@ -0,0 +1,164 @@
+/**
+ * Translation catalogues for the texts the API writes itself
+ * One JSON file per language (e.g. hi.json) with the rule engine, reconciliation and fallback
+ * texts; add a file for a new language instead of editing code. en.json is the reference:
+ * a key missing from another catalogue falls back to English, and is logged at startup.
+ *
+ * File fields:
+ * - language: the file name (ISO 639-1 code), name: the language's own name, englishName
+ * - script: Unicode script of the language (Latin, Devanagari, Bengali, Tamil...), used to check LLM output
+ * - translatedTaxTerms: patterns (regular expressions) of tax terms written in the script instead of
+ *   verbatim, e.g. "धारा\\s*\\d" for "Section 80C" written as "धारा 80C"
+ * - the texts, grouped by where they are used (summary, rules.<rule id>, reconciliation.<check id>, mock...)
+ *
+ * Texts use {name} placeholders. Tax terms stay in English in every language: form and section
+ * names (ITR-1, Form 16, Form 26AS, Section 80C, Schedule CG), TDS, TCS, PAN, TAN, AIS, HRA, NPS, AY and FY.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+const DEFAULT_LANGUAGE = 'en';
+
+const REQUIRED_FIELDS = ['language', 'name', 'englishName', 'script', 'translatedTaxTerms'];
+
+function isKnownScript(script) {
+  try {
+    new RegExp(`\\p{Script=${script}}`, 'u');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Dotted paths of every text in a catalogue (arrays count as one text)
+ */
+function textKeys(node, prefix = '') {
+  return Object.keys(node).flatMap(key => {
+    const value = node[key];
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    return value && typeof value === 'object' && !Array.isArray(value) ? textKeys(value, keyPath) : [keyPath];
+  });
+}
+
+function lookup(catalogue, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalogue);
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+/**
+ * Loads every <language>.json file in this directory
+ * A file that cannot be read, misses a field or names an unknown script is logged and skipped
+ */
+function loadCatalogues() {
+  const catalogues = {};
+  const files = fs.readdirSync(__dirname).filter(file => /^[a-z]{2}\.json$/.test(file));
+
+  for (const file of files) {
+    try {
+      const catalogue = JSON.parse(fs.readFileSync(path.join(__dirname, file), 'utf8'));
+      const missing = REQUIRED_FIELDS.filter(field => catalogue[field] === undefined);
+      if (missing.length > 0 || catalogue.language !== path.basename(file, '.json') || !isKnownScript(catalogue.script)) {
+        logger.error('Locale file skipped: missing fields, unknown script or language not matching the file name', { file, missing });
+        continue;
+      }
+      catalogue.translatedTaxTerms.forEach(pattern => new RegExp(pattern, 'u'));
+      catalogues[catalogue.language] = deepFreeze(catalogue);
+    } catch (error) {
+      logger.error('Locale file could not be read', { file, error });
+    }
+  }
+
+  const reference = catalogues[DEFAULT_LANGUAGE];
+  if (reference) {
+    const keys = textKeys(reference).filter(key => !REQUIRED_FIELDS.includes(key));
+    for (const catalogue of Object.values(catalogues)) {
+      const untranslated = keys.filter(key => lookup(catalogue, key) === undefined);
+      if (untranslated.length > 0) {
+        logger.warn('Locale file incomplete, English is used for the missing texts', { language: catalogue.language, untranslated });
+      }
+    }
+  }
+
+  return catalogues;
+}
+
+const CATALOGUES = loadCatalogues();
+
+const SUPPORTED_LANGUAGES = Object.keys(CATALOGUES).sort();
+
+/**
+ * The supported language a requested code stands for, or null
+ * Case-insensitive, and a region is ignored: 'hi-IN' and 'HI' both give 'hi'
+ */
+function resolveLanguage(code) {
+  if (typeof code !== 'string') {
+    return null;
+  }
+  const primary = code.trim().toLowerCase().split(/[-_]/)[0];
+  return CATALOGUES[primary] ? primary : null;
+}
+
+/**
+ * { code, name, englishName, script, translatedTaxTerms } of a language (English when not supported)
+ */
+function getLanguage(code) {
+  const catalogue = CATALOGUES[resolveLanguage(code) || DEFAULT_LANGUAGE];
+  return {
+    code: catalogue.language,
+    name: catalogue.name,
+    englishName: catalogue.englishName,
+    script: catalogue.script,
+    translatedTaxTerms: catalogue.translatedTaxTerms
+  };
+}
+
+function interpolate(text, params) {
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    (params[name] === undefined || params[name] === null ? placeholder : String(params[name])));
+}
+
+/**
+ * The text for a dotted key (e.g. 'rules.section-80c-limit.title') in a language, with the
+ * {name} placeholders filled from params; lists of texts (remediation steps) are returned as arrays
+ * Falls back to English, then to the key itself
+ */
+function translate(language, key, params = {}) {
+  let value = lookup(CATALOGUES[resolveLanguage(language)], key);
+  if (typeof value !== 'string' && !Array.isArray(value)) {
+    value = lookup(CATALOGUES[DEFAULT_LANGUAGE], key);
+  }
+  if (typeof value === 'string') {
+    return interpolate(value, params);
+  }
+  if (Array.isArray(value)) {
+    return value.map(text => interpolate(text, params));
+  }
+  logger.error('Translation missing', { language, key });
+  return key;
+}
+
+/**
+ * translate() bound to a language: const t = translator('hi'); t('summary.none')
+ */
+function translator(language) {
+  return (key, params) => translate(language, key, params);
+}
+
+module.exports = {
+  translate,
+  translator,
+  resolveLanguage,
+  getLanguage,
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE
+};
@@ -0,0 +1,119 @@
+/**
+ * Tax rules dataset by assessment year
+ * One JSON file per assessment year (e.g. 2025-26.json) with the figures that change with
+ * each Budget. The tax calculator, the rule engine and the LLM prompt all read their limits
+ * from here; add a file for a new year instead of editing code
+ *
+ * File fields (amounts in rupees, rates as fractions):
+ * - assessmentYear, financialYear
+ * - cessRate, surchargeBrackets: [{ above, rate }]
+ * - oldRegime: { slabs: { general, senior, superSenior }, standardDeduction, rebate, maxSurchargeRate }
+ * - newRegime: { slabs, standardDeduction, rebate, maxSurchargeRate } (Section 115BAC)
+ *   slabs: [{ upTo, rate }] with upTo null for the top slab
+ *   rebate: { incomeLimit, maxRebate, marginalRelief } (Section 87A)
+ * - deductionCaps: { section80C, section80CCD1B, section80DSelf, section80DSelfSenior,
+ *   section80DParents, section80DParentsSenior }
+ * - housePropertyLossCap: set-off of a house property loss (old regime)
+ * - landlordPanRentThreshold: annual rent above which the landlord's PAN is needed for HRA
+ * - lateFee234F: { smallIncome, default, smallIncomeLimit }
+ * - itr1: { maxTotalIncome, maxAgriculturalIncome, maxHouseProperties, maxLtcg112A }
+ *   (ITR-1 eligibility; maxLtcg112A is 0 when ITR-1 allows no capital gains at all)
+ * - capitalGains: { equityHoldingMonths, exemption112A, grandfatheringDate, specifiedFundsFrom, periods }
+ *   periods: [{ soldFrom, stcg111A, ltcg112A, ltcg112, otherHoldingMonths }] - rates by sale date,
+ *   for years in which the Budget changed them mid-year
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { formatRupees } = require('../../utils/answerValues');
+const logger = require('../../utils/logger');
+
+const REQUIRED_FIELDS = [
+  'assessmentYear', 'cessRate', 'surchargeBrackets', 'oldRegime', 'newRegime',
+  'deductionCaps', 'housePropertyLossCap', 'landlordPanRentThreshold', 'lateFee234F', 'itr1',
+  'capitalGains'
+];
+
+/**
+ * Loads every <assessment year>.json file in this directory
+ * A file that cannot be read or misses a field is logged and skipped
+ */
+function loadDataset() {
+  const dataset = {};
+  const files = fs.readdirSync(__dirname).filter(file => /^\d{4}-\d{2}\.json$/.test(file));
+
+  for (const file of files) {
+    try {
+      const rules = JSON.parse(fs.readFileSync(path.join(__dirname, file), 'utf8'));
+      const missing = REQUIRED_FIELDS.filter(field => rules[field] === undefined);
+      if (missing.length > 0 || rules.assessmentYear !== path.basename(file, '.json')) {
+        logger.error('Tax rules file skipped: missing fields or assessmentYear not matching the file name', { file, missing });
+        continue;
+      }
+      dataset[rules.assessmentYear] = Object.freeze(rules);
+    } catch (error) {
+      logger.error('Tax rules file could not be read', { file, error });
+    }
+  }
+
+  return dataset;
+}
+
+const DATASET = loadDataset();
+
+const SUPPORTED_ASSESSMENT_YEARS = Object.keys(DATASET).sort();
+
+// Used when the answers do not say which year they are for: the latest year in the dataset
+const DEFAULT_ASSESSMENT_YEAR = SUPPORTED_ASSESSMENT_YEARS[SUPPORTED_ASSESSMENT_YEARS.length - 1];
+
+/**
+ * Returns the rules for an assessment year, or null when the year is not in the dataset
+ */
+function getTaxRules(assessmentYear) {
+  return DATASET[assessmentYear] || null;
+}
+
+/**
+ * The assessment year the answers are for, or DEFAULT_ASSESSMENT_YEAR when none is given
+ */
+function resolveAssessmentYear(answers) {
+  const year = answers && typeof answers === 'object' ? answers.assessmentYear : undefined;
+  return DATASET[year] ? year : DEFAULT_ASSESSMENT_YEAR;
+}
+
+/**
+ * Returns the rules for the year of the answers (see resolveAssessmentYear)
+ */
+function rulesFor(answers) {
+  return DATASET[resolveAssessmentYear(answers)];
+}
+
+/**
+ * One-paragraph summary of the limits of a year, for the LLM prompt
+ */
+function describeLimits(rules) {
+  const caps = rules.deductionCaps;
+  const itr1 = rules.itr1;
+  const capitalGains = itr1.maxLtcg112A > 0
+    ? `long-term capital gains under Section 112A up to ${formatRupees(itr1.maxLtcg112A)} only`
+    : 'no capital gains';
+  return [
+    `Limits for AY ${rules.assessmentYear} (FY ${rules.financialYear}):`,
+    `Section 80C ${formatRupees(caps.section80C)};`,
+    `Section 80CCD(1B) ${formatRupees(caps.section80CCD1B)};`,
+    `Section 80D ${formatRupees(caps.section80DSelf)} for self and family (${formatRupees(caps.section80DSelfSenior)} if senior) and ${formatRupees(caps.section80DParents)} for parents (${formatRupees(caps.section80DParentsSenior)} if senior);`,
+    `87A rebate up to ${formatRupees(rules.oldRegime.rebate.maxRebate)} for taxable income up to ${formatRupees(rules.oldRegime.rebate.incomeLimit)} (old regime) and up to ${formatRupees(rules.newRegime.rebate.maxRebate)} for income up to ${formatRupees(rules.newRegime.rebate.incomeLimit)} (new regime);`,
+    `standard deduction ${formatRupees(rules.oldRegime.standardDeduction)} (old) and ${formatRupees(rules.newRegime.standardDeduction)} (new);`,
+    `ITR-1 only for resident individuals with total income up to ${formatRupees(itr1.maxTotalIncome)}, at most ${itr1.maxHouseProperties} house property, agricultural income up to ${formatRupees(itr1.maxAgriculturalIncome)} and ${capitalGains};`,
+    `landlord PAN required for HRA when annual rent exceeds ${formatRupees(rules.landlordPanRentThreshold)}.`
+  ].join(' ');
+}
+
+module.exports = {
+  getTaxRules,
+  resolveAssessmentYear,
+  rulesFor,
+  describeLimits,
+  SUPPORTED_ASSESSMENT_YEARS,
+  DEFAULT_ASSESSMENT_YEAR
+};
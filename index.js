@@ -6,22 +6,24 @@
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
+const { buildErrorBody } = require('./utils/errorCodes');
 
-// Load environment variables
+// Load environment variables (before the logger reads LOG_LEVEL and LOG_FORMAT)
 dotenv.config();
 
+const logger = require('./utils/logger');
+
 // ============================================
 // CRASH SAFETY: Global error handlers
 // ============================================
 // Moved to top to catch import errors
 process.on('uncaughtException', (error) => {
-  console.error('UNCAUGHT EXCEPTION - Server will continue running:', error.message);
-  console.error(error.stack);
+  logger.error('Uncaught exception, server will continue running', { error, stack: error.stack });
   // Keep server alive - don't crash
 });
 
 process.on('unhandledRejection', (reason, promise) => {
-  console.error('UNHANDLED REJECTION - Server will continue running:', reason);
+  logger.error('Unhandled rejection, server will continue running', { error: reason instanceof Error ? reason : String(reason) });
   // Keep server alive - don't crash
 });
 
@@ -32,24 +34,54 @@ const PORT = Number(process.env.PORT) || 3000;
 // Middleware Configuration
 // ============================================
 
-// CORS: Enable for all origins (MVP)
+// Request id for logs and error responses (first, so every response carries it)
+const requestId = require('./middlewares/requestId');
+app.use(requestId);
+
+// Behind a reverse proxy (Azure App Service, a load balancer) the client IP used for rate
+// limiting is taken from X-Forwarded-For; TRUST_PROXY is the number of proxies in front
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
+// CORS: origins from CORS_ORIGINS (comma-separated), all origins when it is not set
+const corsOrigins = (process.env.CORS_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean);
 app.use(cors({
-  origin: '*',
+  origin: corsOrigins.includes('*') ? '*' : corsOrigins,
   methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id', 'X-API-Key', 'Prefer', 'Idempotency-Key', 'Cache-Control'],
+  exposedHeaders: ['X-Request-Id', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'Retry-After', 'Location', 'Idempotent-Replayed']
 }));
 
 // Body parser for JSON requests
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Request logging
+// Request logging and HTTP metrics, once the response is sent
+// Metrics are labelled with the route pattern inside its router (/analyses/:id), never the raw path;
+// req.baseUrl is not used since Express resets it when an error leaves the router
+const metricsService = require('./services/metricsService');
 app.use((req, res, next) => {
   try {
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+    const stopTimer = metricsService.httpDuration.startTimer();
+    res.on('finish', () => {
+      const route = req.route ? req.route.path : 'unmatched';
+      const seconds = stopTimer({ method: req.method, route });
+      metricsService.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      // The response may finish outside the request context, so the id is passed explicitly
+      logger.info('Request completed', {
+        requestId: req.id,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Math.round(seconds * 1000),
+        client: req.client ? req.client.name : undefined
+      });
+    });
     next();
   } catch (error) {
-    console.error('Request logging error:', error.message);
+    logger.error('Request logging error', { error });
     next();
   }
 });
@@ -66,30 +98,78 @@ app.get('/', (req, res) => {
       message: 'Tax Filing Mistake Checker API',
       version: '1.0.0',
       endpoints: {
-        analyze: 'POST /api/analyze'
+        analyze: 'POST /api/analyze',
+        analyzeStream: 'POST /api/analyze/stream',
+        computeTax: 'POST /api/compute-tax',
+        analyses: 'GET /api/analyses',
+        analysis: 'GET /api/analyses/:id',
+        job: 'GET /api/jobs/:id',
+        metrics: 'GET /metrics',
+        health: 'GET /health'
       }
     });
   } catch (error) {
-    console.error('Health check error:', error.message);
-    res.status(500).json({ error: 'Something went wrong. Please try again.' });
+    logger.error('Health check error', { error });
+    res.status(500).json(buildErrorBody('INTERNAL_ERROR', { requestId: req.id }));
   }
 });
 
+// Prometheus metrics, outside /api: scrapers send METRICS_TOKEN rather than an API key
+let metricsAccess = () => 'unavailable';
+try {
+  const metricsRoutes = require('./routes/metrics');
+  metricsAccess = metricsRoutes.metricsAccess;
+  app.use('/', metricsRoutes);
+} catch (error) {
+  logger.error('Failed to load metrics route, /metrics will not work', { error, stack: error.stack });
+}
+
+// Health check with dependency circuit states, outside /api for load balancers and probes
+try {
+  const healthRoutes = require('./routes/health');
+  app.use('/', healthRoutes);
+} catch (error) {
+  logger.error('Failed to load health route, /health will not work', { error, stack: error.stack });
+}
+
+// API key authentication for every /api route (off when API_KEYS is not set)
+const apiKeyAuth = require('./middlewares/apiKeyAuth');
+app.use('/api', apiKeyAuth);
+
 // API routes
 try {
   const analyzeRoutes = require('./routes/analyze');
   app.use('/api', analyzeRoutes);
 } catch (error) {
-  console.error('CRITICAL: Failed to load analyze routes. API endpoint /api/analyze will not work.');
-  console.error(error.stack);
+  logger.error('CRITICAL: Failed to load analyze routes. API endpoint /api/analyze will not work.', { error, stack: error.stack });
   // Server continues, but /api/analyze will return 404
 }
 
+try {
+  const taxRoutes = require('./routes/tax');
+  app.use('/api', taxRoutes);
+} catch (error) {
+  logger.error('CRITICAL: Failed to load tax routes. API endpoint /api/compute-tax will not work.', { error, stack: error.stack });
+}
+
+try {
+  const analysesRoutes = require('./routes/analyses');
+  app.use('/api', analysesRoutes);
+} catch (error) {
+  logger.error('CRITICAL: Failed to load analyses routes. API endpoints /api/analyses will not work.', { error, stack: error.stack });
+}
+
+try {
+  const jobsRoutes = require('./routes/jobs');
+  app.use('/api', jobsRoutes);
+} catch (error) {
+  logger.error('CRITICAL: Failed to load jobs routes. API endpoint /api/jobs/:id will not work.', { error, stack: error.stack });
+}
+
 // 404 handler
 app.use((req, res) => {
-  res.status(404).json({
-    error: 'Endpoint not found'
-  });
+  metricsService.errors.inc({ code: 'ENDPOINT_NOT_FOUND' });
+  res.status(404).json(buildErrorBody('ENDPOINT_NOT_FOUND', { requestId: req.id }));
 });
 
 // Error handler (must be last)
@@ -97,10 +177,10 @@ try {
   const errorHandler = require('./middlewares/errorHandler');
   app.use(errorHandler);
 } catch (error) {
-  console.warn('Warning: errorHandler middleware missing, using default fallback.');
+  logger.warn('errorHandler middleware missing, using default fallback');
   app.use((err, req, res, next) => {
-    console.error('Fallback Error Handler:', err.message);
-    res.status(500).json({ error: 'Internal Server Error' });
+    logger.error('Fallback error handler', { error: err });
+    res.status(500).json(buildErrorBody('INTERNAL_ERROR', { requestId: req.id }));
   });
 }
 
@@ -108,37 +188,48 @@ try {
 // Start Server
 // ============================================
 const server = app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📍 Health check: http://localhost:${PORT}/`);
-  console.log(`📍 Analyze endpoint: http://localhost:${PORT}/api/analyze`);
-  
   // Log configuration status
-  const hasOpenAI = !!(process.env.AZURE_OPENAI_ENDPOINT && 
-                       process.env.AZURE_OPENAI_KEY && 
-                       process.env.AZURE_OPENAI_DEPLOYMENT_NAME);
+  let llmProviders = [];
+  try {
+    llmProviders = require('./services/aiService').getProviderNames();
+  } catch (error) {
+    logger.error('Could not read LLM provider configuration', { error });
+  }
   const hasDocIntelligence = !!(process.env.AZURE_DOCUMENT_INTELLIGENCE_ENDPOINT && 
                                 process.env.AZURE_DOCUMENT_INTELLIGENCE_KEY);
   const useMockAI = process.env.USE_MOCK_AI === 'true' || process.env.USE_MOCK_AI === '1';
   
-  console.log('\n📋 Configuration Status:');
-  console.log(`   Azure OpenAI: ${hasOpenAI && !useMockAI ? '✅ Configured' : '❌ Not configured (using mock)'}`);
-  console.log(`   Azure Document Intelligence: ${hasDocIntelligence ? '✅ Configured' : '❌ Not configured'}`);
-  console.log(`   Use Mock AI: ${useMockAI ? '✅ Enabled' : '❌ Disabled'}`);
+  logger.info('Server running', {
+    port: PORT,
+    healthCheck: `http://localhost:${PORT}/health`,
+    analyzeEndpoint: `http://localhost:${PORT}/api/analyze`,
+    metricsEndpoint: `http://localhost:${PORT}/metrics`,
+    llmProviders: llmProviders.length > 0 ? llmProviders : 'none configured (using rule engine)',
+    documentIntelligence: hasDocIntelligence ? 'configured' : 'not configured',
+    mockAI: useMockAI,
+    apiKeys: apiKeyAuth.isEnabled() ? 'required' : 'not configured (set API_KEYS to require them)',
+    metrics: {
+      token: 'METRICS_TOKEN required',
+      closed: 'disabled (API_KEYS is set; set METRICS_TOKEN to enable)',
+      open: 'open (set METRICS_TOKEN to require a token)'
+    }[metricsAccess()] || 'unavailable',
+    corsOrigins
+  });
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
+  logger.info('SIGTERM received, shutting down gracefully');
   server.close(() => {
-    console.log('Server closed');
+    logger.info('Server closed');
     process.exit(0);
   });
 });
 
 process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
+  logger.info('SIGINT received, shutting down gracefully');
   server.close(() => {
-    console.log('Server closed');
+    logger.info('Server closed');
     process.exit(0);
   });
 });
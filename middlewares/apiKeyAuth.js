@@ -0,0 +1,105 @@
+/**
+ * API key authentication
+ * Identifies the client of every /api request by its API key, sent as "X-API-Key: <key>"
+ * or "Authorization: Bearer <key>"
+ *
+ * API_KEYS is a comma-separated list of "name:key" or "name:key:quota" entries, e.g.
+ *   API_KEYS=web:4f1c0d...e9:600,partner:9a7b21...c3:120
+ * quota is the client's rate limit points per window (see middlewares/rateLimit);
+ * without one RATE_LIMIT_KEY_POINTS applies.
+ *
+ * Without API_KEYS authentication is off (local development and demos) and requests
+ * are only limited per IP. Keys are kept as SHA-256 hashes and never logged.
+ *
+ * Stored analyses and jobs belong to the client that created them (see clientName);
+ * other clients get 404 for them
+ */
+
+const crypto = require('crypto');
+const { sendError } = require('./errorHandler');
+const logger = require('../utils/logger');
+
+const HEADER = 'X-API-Key';
+
+// Shorter keys are too easy to guess and are ignored
+const MIN_KEY_LENGTH = 16;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Parses API_KEYS into Map<sha256 of key, { name, quota }>
+ * Malformed entries are skipped with a warning
+ */
+function loadApiKeys(env = process.env) {
+  const keys = new Map();
+  const entries = (env.API_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  for (const entry of entries) {
+    const [name, key, quotaText] = entry.split(':').map(part => (part || '').trim());
+    const quota = quotaText ? Number(quotaText) : null;
+    if (!name || !key || key.length < MIN_KEY_LENGTH || (quotaText && !(quota > 0))) {
+      logger.warn('Invalid API_KEYS entry skipped (expected name:key[:quota])', { name: name || '?', minKeyLength: MIN_KEY_LENGTH });
+      continue;
+    }
+    keys.set(hashKey(key), { name, quota });
+  }
+  return keys;
+}
+
+const API_KEYS = loadApiKeys();
+
+/**
+ * The key sent with the request, or null
+ */
+function readKey(req) {
+  const header = req.get(HEADER);
+  if (header && header.trim()) {
+    return header.trim();
+  }
+  const authorization = req.get('Authorization') || '';
+  const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+  return bearer ? bearer[1] : null;
+}
+
+/**
+ * Sets req.client = { name, quota } for a valid key
+ * Responds 401 API_KEY_MISSING / API_KEY_INVALID when keys are configured and none or a wrong one is sent
+ */
+function apiKeyAuth(req, res, next) {
+  if (API_KEYS.size === 0) {
+    return next();
+  }
+  const key = readKey(req);
+  if (!key) {
+    return sendError(req, res, 'API_KEY_MISSING');
+  }
+  const client = API_KEYS.get(hashKey(key));
+  if (!client) {
+    logger.warn('Rejected invalid API key');
+    return sendError(req, res, 'API_KEY_INVALID');
+  }
+  req.client = client;
+  next();
+}
+
+/**
+ * Name of the request's client, or null when authentication is off
+ * Stored analyses and jobs are tagged with it, and only returned to the same client
+ */
+function clientName(req) {
+  return req.client ? req.client.name : null;
+}
+
+/**
+ * True when API keys are configured (for the startup log)
+ */
+function isEnabled() {
+  return API_KEYS.size > 0;
+}
+
+module.exports = apiKeyAuth;
+module.exports.isEnabled = isEnabled;
+module.exports.clientName = clientName;
+module.exports.loadApiKeys = loadApiKeys;
+module.exports.HEADER = HEADER;
@@ -2,44 +2,94 @@
  * Centralized error handling middleware
  * CRASH-SAFE: Always returns valid JSON error response
  * Never exposes stack traces to client
+ *
+ * Every error response uses the envelope from utils/errorCodes:
+ * { "error": { "code", "message", "details", "requestId" } }
  */
 
+const { ERROR_CODES, getErrorDefinition, buildErrorBody } = require('../utils/errorCodes');
+const logger = require('../utils/logger');
+const metricsService = require('../services/metricsService');
+
+// body-parser error types
+const BODY_PARSER_CODES = {
+  'entity.parse.failed': 'INVALID_JSON',
+  'entity.too.large': 'PAYLOAD_TOO_LARGE'
+};
+
+/**
+ * Maps any error to a catalogue code
+ * Errors without one (bugs, library errors) become INTERNAL_ERROR
+ */
+function resolveCode(err) {
+  if (err && ERROR_CODES[err.code]) {
+    return err.code;
+  }
+  if (err && BODY_PARSER_CODES[err.type]) {
+    return BODY_PARSER_CODES[err.type];
+  }
+  return 'INTERNAL_ERROR';
+}
+
+/**
+ * Sends an error response in the standard envelope and counts it by code on /metrics
+ * options: { message, details } - message must be safe to show to users
+ */
+function sendError(req, res, code, options = {}) {
+  const status = options.status || getErrorDefinition(code).status;
+  metricsService.errors.inc({ code });
+  return res.status(status).json(buildErrorBody(code, {
+    message: options.message,
+    details: options.details,
+    requestId: req.id
+  }));
+}
+
 /**
  * Error handler middleware
  * Catches all errors and returns standardized JSON error responses
  */
 function errorHandler(err, req, res, next) {
   try {
-    // Log error for debugging (console only, never expose to client)
-    console.error('Error:', {
-      message: err.message || 'Unknown error',
+    if (res.headersSent) {
+      return next(err);
+    }
+
+    const code = resolveCode(err);
+    const status = getErrorDefinition(code).status;
+
+    // Log error for debugging (logs only, never expose to client)
+    const log = status >= 500 ? logger.error : logger.warn;
+    log('Request failed', {
+      code,
+      error: (err && err.message) || 'Unknown error',
       path: req.path,
       method: req.method
     });
 
-    // Determine status code
-    const statusCode = err.statusCode || err.status || 500;
-
-    // Always return clean error message to client
-    // Never expose stack traces or internal error details
-    res.status(statusCode).json({
-      error: 'Something went wrong. Please try again.'
+    // Only messages written for users (createError) are returned, never internal error text
+    sendError(req, res, code, {
+      message: err && err.publicMessage,
+      details: err && err.details
     });
   } catch (handlerError) {
     // Even error handler failed - return minimal response
-    console.error('Error handler itself failed:', handlerError.message);
-    res.status(500).json({
-      error: 'Something went wrong. Please try again.'
-    });
+    logger.error('Error handler itself failed', { error: handlerError });
+    res.status(500).json(buildErrorBody('INTERNAL_ERROR', { requestId: req.id }));
   }
 }
 
 /**
- * Creates a custom API error
+ * Creates an API error for a catalogue code
+ * options: { message, details } - message overrides the catalogue message and must be safe to show
  */
-function createError(message, statusCode = 500) {
-  const error = new Error(message);
-  error.statusCode = statusCode;
+function createError(code, options = {}) {
+  const definition = getErrorDefinition(code);
+  const error = new Error(options.message || definition.message);
+  error.code = code;
+  error.statusCode = definition.status;
+  error.publicMessage = options.message;
+  error.details = options.details;
   return error;
 }
 
@@ -60,5 +110,5 @@ function asyncHandler(fn) {
 
 module.exports = errorHandler;
 module.exports.createError = createError;
+module.exports.sendError = sendError;
 module.exports.asyncHandler = asyncHandler;
-
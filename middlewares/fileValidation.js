@@ -7,6 +7,8 @@
  * Security + Judges friendly
  */
 
+const { sendError } = require("./errorHandler");
+
 const ALLOWED_TYPES = [
   "application/pdf",
   "image/png",
@@ -23,15 +25,16 @@ function fileValidation(req, res, next) {
 
   // 🔒 MIME type check
   if (!ALLOWED_TYPES.includes(file.mimetype)) {
-    return res.status(400).json({
-      error: "Invalid file type. Only PDF, PNG, JPG allowed.",
+    return sendError(req, res, "UNSUPPORTED_FILE_TYPE", {
+      details: { mimetype: file.mimetype, allowed: ALLOWED_TYPES },
     });
   }
 
   // 📏 Size check
   if (file.size > MAX_FILE_SIZE) {
-    return res.status(400).json({
-      error: "File too large. Maximum allowed size is 5MB.",
+    return sendError(req, res, "FILE_TOO_LARGE", {
+      message: `File size exceeds the maximum limit of ${MAX_FILE_SIZE / (1024 * 1024)}MB`,
+      details: { maxBytes: MAX_FILE_SIZE },
     });
   }
 
@@ -0,0 +1,186 @@
+/**
+ * Rate limiting middleware
+ * Sliding-window limits per client IP and per API key, in points per window
+ * Each route costs a number of points (ROUTE_COSTS), so an analysis with documents to OCR
+ * uses up the budget faster than a history lookup
+ *
+ * Configuration:
+ *   RATE_LIMIT_WINDOW_MS   window length (default 60000)
+ *   RATE_LIMIT_IP_POINTS   points per window for each IP (default 120)
+ *   RATE_LIMIT_KEY_POINTS  points per window for each API key without its own quota (default 300)
+ *
+ * Every limited response carries X-RateLimit-Limit, X-RateLimit-Remaining and X-RateLimit-Reset
+ * (seconds until a point is freed) for the tightest limit; a 429 also carries Retry-After.
+ * Counters are in memory, so each server instance limits on its own.
+ */
+
+const { sendError } = require('./errorHandler');
+const logger = require('../utils/logger');
+
+const WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000;
+const IP_POINTS = Number(process.env.RATE_LIMIT_IP_POINTS) || 120;
+const KEY_POINTS = Number(process.env.RATE_LIMIT_KEY_POINTS) || 300;
+
+// Points per request by route; analyses add points per uploaded document after the upload
+const ROUTE_COSTS = {
+  analyze: 2,
+  ocrDocument: 5,
+  statement: 1,
+  computeTax: 1,
+  history: 1,
+  report: 3,
+  job: 1
+};
+
+// Clients tracked before idle ones are swept out
+const MAX_TRACKED_CLIENTS = 10000;
+
+/**
+ * Sliding-window log: the time and cost of every request within the last window, per client
+ */
+class SlidingWindowLimiter {
+  constructor(windowMs) {
+    this.windowMs = windowMs;
+    this.clients = new Map();
+  }
+
+  /**
+   * Requests still in the window for a client (older ones are dropped)
+   */
+  recent(id, now) {
+    const log = (this.clients.get(id) || []).filter(entry => entry.time > now - this.windowMs);
+    if (log.length > 0) {
+      this.clients.set(id, log);
+    } else {
+      this.clients.delete(id);
+    }
+    return log;
+  }
+
+  /**
+   * Whether `cost` more points fit in `limit`, without recording anything
+   * Returns { allowed, limit, remaining, resetMs, retryAfterMs }
+   */
+  check(id, cost, limit, now) {
+    const log = this.recent(id, now);
+    const used = log.reduce((total, entry) => total + entry.cost, 0);
+    const allowed = used + cost <= limit;
+
+    // Until enough of the oldest requests leave the window to make room for this one
+    let retryAfterMs = 0;
+    if (!allowed) {
+      retryAfterMs = this.windowMs;
+      let freed = 0;
+      for (const entry of log) {
+        freed += entry.cost;
+        if (used - freed + cost <= limit) {
+          retryAfterMs = entry.time + this.windowMs - now;
+          break;
+        }
+      }
+    }
+
+    return {
+      allowed,
+      limit,
+      remaining: Math.max(0, limit - used - (allowed ? cost : 0)),
+      resetMs: log.length > 0 ? log[0].time + this.windowMs - now : (allowed ? this.windowMs : 0),
+      retryAfterMs
+    };
+  }
+
+  record(id, cost, now) {
+    if (this.clients.size >= MAX_TRACKED_CLIENTS) {
+      this.sweep(now);
+    }
+    const log = this.clients.get(id) || [];
+    log.push({ time: now, cost });
+    this.clients.set(id, log);
+  }
+
+  sweep(now) {
+    for (const id of [...this.clients.keys()]) {
+      this.recent(id, now);
+    }
+  }
+}
+
+const limiter = new SlidingWindowLimiter(WINDOW_MS);
+
+/**
+ * The limits a request counts against: its IP, and its API key when it sent one
+ */
+function bucketsFor(req) {
+  const buckets = [{ scope: 'ip', id: `ip:${req.ip || 'unknown'}`, limit: IP_POINTS }];
+  if (req.client) {
+    buckets.push({ scope: 'key', id: `key:${req.client.name}`, limit: req.client.quota || KEY_POINTS });
+  }
+  return buckets;
+}
+
+function setHeaders(res, state) {
+  res.set('X-RateLimit-Limit', String(state.limit));
+  res.set('X-RateLimit-Remaining', String(state.remaining));
+  res.set('X-RateLimit-Reset', String(Math.ceil(state.resetMs / 1000)));
+}
+
+/**
+ * Charges `cost` points to every bucket of the request, or responds 429 RATE_LIMITED
+ * when any of them is out of points (nothing is charged then)
+ */
+function consume(req, res, next, cost) {
+  try {
+    if (!(cost > 0)) {
+      return next();
+    }
+    const now = Date.now();
+    const buckets = bucketsFor(req).map(bucket => ({ ...bucket, state: limiter.check(bucket.id, cost, bucket.limit, now) }));
+
+    const exceeded = buckets.filter(bucket => !bucket.state.allowed);
+    if (exceeded.length > 0) {
+      const blocking = exceeded.reduce((a, b) => (b.state.retryAfterMs > a.state.retryAfterMs ? b : a));
+      const retryAfter = Math.max(1, Math.ceil(blocking.state.retryAfterMs / 1000));
+      setHeaders(res, blocking.state);
+      res.set('Retry-After', String(retryAfter));
+      logger.warn('Rate limit exceeded', { scope: blocking.scope, limit: blocking.state.limit, cost });
+      return sendError(req, res, 'RATE_LIMITED', {
+        details: { scope: blocking.scope, limit: blocking.state.limit, cost, windowSeconds: WINDOW_MS / 1000, retryAfterSeconds: retryAfter }
+      });
+    }
+
+    buckets.forEach(bucket => limiter.record(bucket.id, cost, now));
+    setHeaders(res, buckets.reduce((a, b) => (b.state.remaining < a.state.remaining ? b : a)).state);
+    next();
+  } catch (error) {
+    // A limiter failure must not take the API down
+    logger.error('Rate limiter error', { error });
+    next();
+  }
+}
+
+/**
+ * Middleware charging a fixed number of points, e.g. rateLimit(ROUTE_COSTS.computeTax)
+ */
+function rateLimit(cost) {
+  return (req, res, next) => consume(req, res, next, cost);
+}
+
+/**
+ * Middleware charging the uploaded files of an analysis, after multer has read them:
+ * documents that need OCR cost ROUTE_COSTS.ocrDocument, statements ROUTE_COSTS.statement
+ * isOcrDocument(file): true for files that go through OCR
+ */
+function chargeUploads(isOcrDocument) {
+  return (req, res, next) => {
+    const files = req.files ? Object.values(req.files).flat() : [];
+    const cost = files.reduce((total, file) => total + (isOcrDocument(file) ? ROUTE_COSTS.ocrDocument : ROUTE_COSTS.statement), 0);
+    consume(req, res, next, cost);
+  };
+}
+
+module.exports = {
+  rateLimit,
+  chargeUploads,
+  ROUTE_COSTS,
+  SlidingWindowLimiter
+};
@@ -0,0 +1,25 @@
+/**
+ * Request ID middleware
+ * Gives every request an id (the caller's X-Request-Id if it is safe, otherwise a new UUID)
+ * that is returned in the X-Request-Id header and in error responses, and used in logs
+ * The rest of the request runs inside utils/requestContext, so the id also reaches the log
+ * lines and the OCR and LLM calls made for it
+ */
+
+const crypto = require('crypto');
+const requestContext = require('../utils/requestContext');
+
+const HEADER = 'X-Request-Id';
+
+// Only short, printable ids are accepted from clients, since they end up in logs
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+function requestId(req, res, next) {
+  const incoming = req.get(HEADER);
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set(HEADER, req.id);
+  requestContext.run({ requestId: req.id }, next);
+}
+
+module.exports = requestId;
+module.exports.HEADER = HEADER;
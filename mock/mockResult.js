@@ -3,38 +3,107 @@
  * CRASH-SAFE: Always returns valid response structure
  */
 
+const taxRules = require('../config/taxRules');
+const locales = require('../config/locales');
+const { formatRupees } = require('../utils/answerValues');
+
+// Section 80C amount the sample issue is about
+const SAMPLE_80C_CLAIM = 200000;
+
 /**
  * Returns mock analysis result
  * This provides a safe fallback response for testing and development
+ * Issues follow utils/issueModel; riskLevel matches what deriveRiskLevel gives for them
+ * Limits are quoted for the default assessment year (config/taxRules); texts are in the
+ * requested language (config/locales, under mock)
  */
-function getMockResult() {
+function getMockResult(language) {
+  const t = locales.translator(language);
+  const rules = taxRules.getTaxRules(taxRules.DEFAULT_ASSESSMENT_YEAR);
+  const limit80C = formatRupees(rules.deductionCaps.section80C);
+  const excess80C = formatRupees(SAMPLE_80C_CLAIM - rules.deductionCaps.section80C);
+
   return {
-    riskLevel: 'MEDIUM',
-    summary: 'Based on the provided information, several potential issues were identified. Please review the detected issues carefully.',
+    riskLevel: 'HIGH',
+    summary: t('mock.summary'),
     detectedIssues: [
       {
         id: 'i1',
-        title: 'Possible Wrong ITR Form Selected',
-        short: 'Capital gains detected but ITR-1 selected. ITR-2 or ITR-3 may be required.',
-        long: 'You have indicated capital gains in your responses, but ITR-1 was selected. ITR-1 is only for individuals with income from salary, one house property, other sources (interest, etc.), and agricultural income up to Rs. 5,000. If you have capital gains, you should file ITR-2 (if no business income) or ITR-3 (if you have business income). Filing the wrong form can lead to rejection or reassessment.'
+        title: t('mock.wrongForm.title'),
+        short: t('mock.wrongForm.short'),
+        long: t('mock.wrongForm.long', { agriculturalLimit: formatRupees(rules.itr1.maxAgriculturalIncome) }),
+        severity: 'HIGH',
+        legalReference: 'Rule 12(1)(a), Income-tax Rules 1962; Section 139(9)',
+        estimatedImpact: {
+          amount: 5000,
+          type: 'penalty',
+          basis: t('impact.wrongForm')
+        },
+        remediation: t('mock.wrongForm.remediation'),
+        evidence: [
+          { source: 'answers', field: 'itrForm', value: 'ITR-1' },
+          { source: 'answers', field: 'hasCapitalGains', value: true }
+        ],
+        confidence: 0.95,
+        source: 'rules'
       },
       {
         id: 'i2',
-        title: 'Missing TDS Information',
-        short: 'Form 26AS not uploaded. TDS verification recommended.',
-        long: 'Form 26AS contains details of all tax deducted at source (TDS) and tax collected at source (TCS) on your behalf. Without verifying Form 26AS, you may miss claiming TDS credits, leading to overpayment of taxes. Please upload Form 26AS to ensure all TDS is properly accounted for.'
+        title: t('mock.tds.title'),
+        short: t('mock.tds.short'),
+        long: t('mock.tds.long'),
+        severity: 'LOW',
+        legalReference: 'Section 199; Rule 37BA, Income-tax Rules 1962',
+        estimatedImpact: {
+          amount: null,
+          type: 'refund',
+          basis: t('rules.form-26as-missing.basis')
+        },
+        remediation: t('mock.tds.remediation'),
+        evidence: [
+          { source: 'answers', field: 'form26asVerified', value: false }
+        ],
+        confidence: 0.6,
+        source: 'rules'
       },
       {
         id: 'i3',
-        title: 'Potential HRA Mismatch',
-        short: 'HRA claimed but rent receipt details incomplete.',
-        long: 'House Rent Allowance (HRA) exemption requires proper documentation including rent receipts and landlord PAN (if annual rent exceeds Rs. 1,00,000). The provided information appears incomplete. Ensure you have valid rent receipts and landlord PAN details before claiming HRA exemption.'
+        title: t('mock.hra.title'),
+        short: t('mock.hra.short'),
+        long: t('mock.hra.long', { threshold: formatRupees(rules.landlordPanRentThreshold) }),
+        severity: 'MEDIUM',
+        legalReference: 'Section 10(13A); Rule 2A and Rule 26C, Income-tax Rules 1962',
+        estimatedImpact: {
+          amount: null,
+          type: 'tax',
+          basis: t('rules.hra-missing-rent-details.impactUnknown')
+        },
+        remediation: t('mock.hra.remediation'),
+        evidence: [
+          { source: 'answers', field: 'hraClaimed', value: true },
+          { source: 'answers', field: 'rentPaid', value: 180000 }
+        ],
+        confidence: 0.85,
+        source: 'rules'
       },
       {
         id: 'i4',
-        title: 'Section 80C Limit Check',
-        short: 'Total deductions under Section 80C exceed Rs. 1,50,000 limit.',
-        long: 'The maximum deduction allowed under Section 80C is Rs. 1,50,000 per financial year. Your total claimed deductions appear to exceed this limit. Please verify that the sum of all Section 80C deductions (ELSS, PPF, NSC, life insurance premium, principal repayment of home loan, etc.) does not exceed Rs. 1,50,000.'
+        title: t('mock.section80C.title'),
+        short: t('mock.section80C.short', { limit: limit80C }),
+        long: t('mock.section80C.long', { limit: limit80C }),
+        severity: 'MEDIUM',
+        legalReference: 'Section 80C read with Section 80CCE',
+        estimatedImpact: {
+          amount: 15600,
+          type: 'tax',
+          basis: t('impact.disallowance', { amount: excess80C, regime: t('regimes.old') })
+        },
+        remediation: t('mock.section80C.remediation', { limit: limit80C }),
+        evidence: [
+          { source: 'answers', field: 'section80C', value: SAMPLE_80C_CLAIM }
+        ],
+        confidence: 0.95,
+        source: 'rules'
       }
     ]
   };
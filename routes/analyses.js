@@ -0,0 +1,169 @@
+/**
+ * Routes for the analysis history endpoints
+ * CRASH-SAFE: All routes wrapped in error handlers
+ */
+
+const express = require('express');
+const { asyncHandler, createError } = require('../middlewares/errorHandler');
+const { rateLimit, ROUTE_COSTS } = require('../middlewares/rateLimit');
+const dbService = require('../services/dbService');
+const reportService = require('../services/reportService');
+const { clientName } = require('../middlewares/apiKeyAuth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const RISK_LEVELS = ['LOW', 'MEDIUM', 'HIGH'];
+const MAX_LIMIT = 100;
+const REPORT_FORMATS = ['html', 'pdf'];
+
+/**
+ * Parses an ISO date query parameter
+ * Returns a Date, undefined when absent, or null when invalid
+ */
+function parseDate(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * GET /api/analyses
+ *
+ * Lists the stored analyses of the calling API client (all of them when authentication is off), newest first
+ *
+ * Query parameters (all optional):
+ * - riskLevel: LOW | MEDIUM | HIGH
+ * - from, to: ISO dates (inclusive) on the analysis time
+ * - limit: 1-100 (default 20), offset: default 0
+ *
+ * Response:
+ * {
+ *   "total": 42,
+ *   "items": [{ "id", "createdAt", "riskLevel", "summary", "issueCount" }]
+ * }
+ */
+router.get(
+  '/analyses',
+  rateLimit(ROUTE_COSTS.history),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const { riskLevel, from, to, limit, offset } = req.query;
+      const fields = [];
+
+      if (riskLevel !== undefined && !RISK_LEVELS.includes(riskLevel)) {
+        fields.push({ field: 'riskLevel', message: `Must be one of: ${RISK_LEVELS.join(', ')}` });
+      }
+
+      const fromDate = parseDate(from);
+      const toDate = parseDate(to);
+      if (fromDate === null) fields.push({ field: 'from', message: 'Must be an ISO date' });
+      if (toDate === null) fields.push({ field: 'to', message: 'Must be an ISO date' });
+
+      const limitValue = limit === undefined ? 20 : Number(limit);
+      const offsetValue = offset === undefined ? 0 : Number(offset);
+      if (!Number.isInteger(limitValue) || limitValue < 1 || limitValue > MAX_LIMIT) {
+        fields.push({ field: 'limit', message: `Must be a whole number from 1 to ${MAX_LIMIT}` });
+      }
+      if (!Number.isInteger(offsetValue) || offsetValue < 0) {
+        fields.push({ field: 'offset', message: 'Must be a whole number of at least 0' });
+      }
+
+      if (fields.length > 0) {
+        return next(createError('INVALID_QUERY', { details: { fields } }));
+      }
+
+      const result = await dbService.listAnalyses({
+        client: clientName(req),
+        riskLevel,
+        from: fromDate,
+        to: toDate,
+        limit: limitValue,
+        offset: offsetValue
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Error listing analyses', { error });
+      next(error);
+    }
+  })
+);
+
+/**
+ * GET /api/analyses/:id
+ *
+ * Returns a stored analysis with its inputs, extracted document data and full result
+ * 404 when it was stored by another API client
+ */
+router.get(
+  '/analyses/:id',
+  rateLimit(ROUTE_COSTS.history),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const record = await dbService.getAnalysis(req.params.id, clientName(req));
+      if (!record) {
+        return next(createError('ANALYSIS_NOT_FOUND'));
+      }
+      res.status(200).json(record);
+    } catch (error) {
+      logger.error('Error fetching analysis', { error });
+      next(error);
+    }
+  })
+);
+
+/**
+ * GET /api/analyses/:id/report?format=html|pdf
+ *
+ * Returns the analysis as a branded report to save or share (default format: html)
+ * The PDF is sent as a download, the HTML page is shown inline
+ * PDF is only available for analyses in English; others return REPORT_LANGUAGE_UNSUPPORTED (422)
+ */
+router.get(
+  '/analyses/:id/report',
+  rateLimit(ROUTE_COSTS.report),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const format = req.query.format === undefined ? 'html' : req.query.format;
+      if (!REPORT_FORMATS.includes(format)) {
+        return next(createError('INVALID_QUERY', {
+          details: { fields: [{ field: 'format', message: `Must be one of: ${REPORT_FORMATS.join(', ')}` }] }
+        }));
+      }
+
+      const record = await dbService.getAnalysis(req.params.id, clientName(req));
+      if (!record) {
+        return next(createError('ANALYSIS_NOT_FOUND'));
+      }
+
+      if (format === 'pdf') {
+        if (!reportService.supportsPdf(record)) {
+          return next(createError('REPORT_LANGUAGE_UNSUPPORTED', {
+            details: { language: record.language, formats: ['html'] }
+          }));
+        }
+        let pdf;
+        try {
+          pdf = await reportService.renderPdf(record);
+        } catch (error) {
+          logger.error('Error rendering PDF report', { error });
+          return next(createError('REPORT_FAILED'));
+        }
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `attachment; filename="taxsafe-report-${record.id}.pdf"`);
+        return res.status(200).send(pdf);
+      }
+
+      res.set('Content-Type', 'text/html; charset=utf-8');
+      res.status(200).send(reportService.renderHtml(record));
+    } catch (error) {
+      logger.error('Error building report', { error });
+      next(createError('REPORT_FAILED'));
+    }
+  })
+);
+
+module.exports = router;
@@ -5,34 +5,79 @@
 
 const express = require('express');
 const multer = require('multer');
-const { asyncHandler, createError } = require('../middlewares/errorHandler');
+const { asyncHandler, createError, sendError } = require('../middlewares/errorHandler');
+const { buildErrorBody } = require('../utils/errorCodes');
+const { rateLimit, chargeUploads, ROUTE_COSTS } = require('../middlewares/rateLimit');
 const { validateAnswers, parseAnswers } = require('../utils/validateInput');
-const ocrService = require('../services/ocrService');
-const aiService = require('../services/aiService');
+const locales = require('../config/locales');
+const analysisPipeline = require('../services/analysisPipeline');
+const jobQueue = require('../services/jobQueue');
+const cacheService = require('../services/cacheService');
+const metricsService = require('../services/metricsService');
+const requestContext = require('../utils/requestContext');
+const { clientName } = require('../middlewares/apiKeyAuth');
+const logger = require('../utils/logger');
 
 const router = express.Router();
 
-// Allowed file types
-const ALLOWED_MIME_TYPES = [
+// Upload fields and the file types each accepts
+const DOCUMENT_MIME_TYPES = [
   'application/pdf',
   'image/png',
   'image/jpeg',
   'image/jpg'
 ];
 
+const STATEMENT_MIME_TYPES = [
+  'text/csv',
+  'application/csv',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+const AIS_MIME_TYPES = ['application/json'];
+
+// Browsers and tools do not agree on a CSV MIME type, so generic types are accepted for these extensions
+const STATEMENT_EXTENSIONS = /\.(csv|xlsx)$/i;
+const AIS_EXTENSIONS = /\.json$/i;
+const GENERIC_MIME_TYPES = ['application/octet-stream', 'text/plain'];
+
+const UPLOAD_FIELDS = {
+  salarySlip: { mimeTypes: DOCUMENT_MIME_TYPES },
+  form16: { mimeTypes: DOCUMENT_MIME_TYPES },
+  form26as: { mimeTypes: DOCUMENT_MIME_TYPES },
+  capitalGains: { mimeTypes: STATEMENT_MIME_TYPES, extensions: STATEMENT_EXTENSIONS },
+  ais: { mimeTypes: AIS_MIME_TYPES, extensions: AIS_EXTENSIONS }
+};
+
+function isAllowedType(field, file) {
+  if (field.mimeTypes.includes(file.mimetype)) {
+    return true;
+  }
+  return Boolean(field.extensions) && GENERIC_MIME_TYPES.includes(file.mimetype) && field.extensions.test(file.originalname || '');
+}
+
+const MAX_FILES = Object.keys(UPLOAD_FIELDS).length;
+
 // Maximum file size: 5MB
 const MAX_FILE_SIZE = 5 * 1024 * 1024;
 
-// File filter
+// The FILE_TOO_LARGE message names the limit above, so the two cannot drift apart
+const FILE_TOO_LARGE_MESSAGE = `File size exceeds the maximum limit of ${Number((MAX_FILE_SIZE / (1024 * 1024)).toFixed(1))}MB`;
+
+// File filter (unknown fields are left to multer, which reports LIMIT_UNEXPECTED_FILE)
 const fileFilter = (req, file, cb) => {
   try {
-    if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+    const field = UPLOAD_FIELDS[file.fieldname];
+    if (!field || isAllowedType(field, file)) {
       cb(null, true);
     } else {
-      cb(new Error(`Invalid file type. Only PDF, PNG, and JPG files are allowed. Received: ${file.mimetype}`));
+      cb(createError('UNSUPPORTED_FILE_TYPE', {
+        details: { field: file.fieldname, mimetype: file.mimetype, allowed: field.mimeTypes }
+      }));
     }
   } catch (error) {
-    console.error('File filter error:', error.message);
+    logger.error('File filter error', { error });
     cb(error);
   }
 };
@@ -44,11 +89,156 @@ const upload = multer({
   storage: storage,
   limits: {
     fileSize: MAX_FILE_SIZE,
-    files: 2 // Maximum 2 files
+    files: MAX_FILES // One file per upload field
   },
   fileFilter: fileFilter
 });
 
+/**
+ * Parses the uploaded files (multipart/form-data only) and turns multer errors into the error envelope
+ */
+function handleUploads(req, res, next) {
+  try {
+    // Only use multer if Content-Type is multipart/form-data
+    const contentType = req.headers['content-type'] || '';
+    if (!contentType.includes('multipart/form-data')) {
+      // For application/json, skip multer
+      return next();
+    }
+    // multer calls back from its stream events, outside the request context, so it is rebound
+    upload.fields(Object.keys(UPLOAD_FIELDS).map(name => ({ name, maxCount: 1 })))(req, res, requestContext.bind((err) => {
+      if (err) {
+        // Handle multer errors
+        if (err instanceof multer.MulterError) {
+          if (err.code === 'LIMIT_FILE_SIZE') {
+            return sendError(req, res, 'FILE_TOO_LARGE', {
+              message: FILE_TOO_LARGE_MESSAGE,
+              details: { field: err.field, maxBytes: MAX_FILE_SIZE }
+            });
+          }
+          if (err.code === 'LIMIT_FILE_COUNT') {
+            return sendError(req, res, 'TOO_MANY_FILES', { details: { maxFiles: MAX_FILES } });
+          }
+          if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+            return sendError(req, res, 'UNEXPECTED_FILE_FIELD', { details: { field: err.field } });
+          }
+          return sendError(req, res, 'UPLOAD_FAILED', { details: { reason: err.code } });
+        }
+        if (err.code === 'UNSUPPORTED_FILE_TYPE') {
+          return sendError(req, res, err.code, { details: err.details });
+        }
+        return sendError(req, res, 'UPLOAD_FAILED');
+      }
+      next();
+    }));
+  } catch (error) {
+    logger.error('Upload middleware error', { error });
+    next(error);
+  }
+}
+
+// Documents that go through OCR cost more than statements read directly
+const chargeDocumentUploads = chargeUploads(file => DOCUMENT_MIME_TYPES.includes(file.mimetype));
+
+/**
+ * Reads and validates the answers (the "answers" field, or the whole JSON body)
+ * Returns { answers } or { error } with the validation error to pass to next()
+ */
+function readAnswers(req) {
+  let answers = null;
+
+  // Try to get answers from request body
+  if (req.body.answers) {
+    answers = parseAnswers(req.body.answers);
+  } else if (req.body && typeof req.body === 'object' && Object.keys(req.body).length > 0) {
+    // If entire body is answers object (for application/json requests)
+    // Check if it looks like answers (not file upload fields)
+    if (!Object.keys(UPLOAD_FIELDS).some(field => req.body[field])) {
+      answers = parseAnswers(req.body);
+    }
+  }
+
+  // Field-level errors are returned in details so the frontend can highlight each field
+  const validation = validateAnswers(answers);
+  if (!validation.valid) {
+    return {
+      error: createError(validation.code, {
+        details: validation.fields ? { fields: validation.fields } : null
+      })
+    };
+  }
+  return { answers };
+}
+
+/**
+ * Reads the language of the result (?language= or a "language" field next to "answers")
+ * A body that is the answers object itself has no language field; use the query parameter then
+ * Returns { language } (English when none is given) or { error } with the error to pass to next()
+ */
+function readLanguage(req) {
+  let requested = req.query.language;
+  if (requested === undefined && req.body && req.body.answers !== undefined) {
+    requested = req.body.language;
+  }
+  if (requested === undefined || requested === '') {
+    return { language: locales.DEFAULT_LANGUAGE };
+  }
+  const language = typeof requested === 'string' ? locales.resolveLanguage(requested) : null;
+  if (!language) {
+    return {
+      error: createError('LANGUAGE_UNSUPPORTED', {
+        details: { language: String(requested), supported: locales.SUPPORTED_LANGUAGES }
+      })
+    };
+  }
+  return { language };
+}
+
+// Retries with the same Idempotency-Key get the first response instead of a new analysis
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const VALID_IDEMPOTENCY_KEY = /^[A-Za-z0-9._:-]{1,255}$/;
+
+/**
+ * True when the client asked for asynchronous processing
+ * (?async=true query parameter or "Prefer: respond-async" header)
+ */
+function wantsAsync(req) {
+  const query = String(req.query.async || '').toLowerCase();
+  const prefer = String(req.headers.prefer || '').toLowerCase();
+  return query === 'true' || query === '1' || prefer.includes('respond-async');
+}
+
+/**
+ * True when the client asked for a fresh analysis ("Cache-Control: no-cache")
+ */
+function bypassesCache(req) {
+  return /no-cache|no-store/i.test(req.get('Cache-Control') || '');
+}
+
+/**
+ * Reserves the request's Idempotency-Key, scoped to its API client
+ * The key is tied to the client, answers, documents, language and mode (sync or async) it is first used with
+ * Returns { reservation } to complete or release later, { replay } with the stored response,
+ * or { error } with an error code
+ */
+function reserveIdempotencyKey(req, answers, files, language, isAsync) {
+  const idempotencyKey = req.get(IDEMPOTENCY_HEADER);
+  const client = clientName(req);
+  const key = `${client || 'anonymous'}:${idempotencyKey}`;
+  const fingerprint = `${cacheService.analysisKey(answers, files, language, client)}:${isAsync ? 'async' : 'sync'}`;
+  const claim = cacheService.claimIdempotencyKey(key, fingerprint);
+  if (claim.state === 'replay') {
+    return { replay: claim.response };
+  }
+  if (claim.state === 'in_progress') {
+    return { error: 'IDEMPOTENCY_KEY_IN_PROGRESS' };
+  }
+  if (claim.state === 'mismatch') {
+    return { error: 'IDEMPOTENCY_KEY_MISMATCH' };
+  }
+  return { reservation: { key, fingerprint } };
+}
+
 /**
  * POST /api/analyze
  * 
@@ -58,137 +248,240 @@ const upload = multer({
  * - Content-Type: multipart/form-data (recommended if files) or application/json
  * - Body:
  *   - answers: JSON string or object (required)
+ *   - language: language of the summary and issues, en (default) or a code in config/locales, e.g. hi (optional, also ?language=)
  *   - salarySlip: File (optional, PDF/PNG/JPG, max 5MB)
+ *   - form16: File (optional, Form 16 from the employer, PDF/PNG/JPG, max 5MB)
  *   - form26as: File (optional, PDF/PNG/JPG, max 5MB)
+ *   - capitalGains: File (optional, broker capital gains statement, CSV/XLSX, max 5MB)
+ *   - ais: File (optional, AIS or TIS JSON from the income-tax portal, max 5MB)
  * 
  * Response:
  * {
  *   "riskLevel": "LOW" | "MEDIUM" | "HIGH",
  *   "summary": "Summary text",
- *   "detectedIssues": [...]
+ *   "detectedIssues": [...],
+ *   "language": "en",                        // language of summary, titles, descriptions and remediation
+ *   "extractedData": { "form26as": {...}, "capitalGains": {...}, "ais": {...} },  // only when a document could be parsed
+ *   "analysisId": "uuid",                    // id for GET /api/analyses/:id
+ *   "warnings": [{ "code", "message", "details" }] // only when a document or the AI could not be used, or answers were ignored
+ *   "cache": { "result": "hit" | "miss" | "bypass", "ocrCacheHits": 0 }
  * }
+ *
+ * Errors: { "error": { "code", "message", "details", "requestId" } } (codes in utils/errorCodes)
+ *
+ * Async mode (?async=true or "Prefer: respond-async"):
+ * Responds 202 with { "jobId", "status": "queued", "statusUrl": "/api/jobs/:id" }
+ * and processes the analysis in the background. Poll GET /api/jobs/:id for the result.
+ *
+ * Caching: the same answers and documents are answered from the cache ("cache": { "result": "hit" });
+ * "Cache-Control: no-cache" forces a new analysis.
+ * Idempotency-Key header: a retry with the same key and request gets the first response again
+ * (with "Idempotent-Replayed: true"); 409 while the first is still running, 422 for a different request.
  */
 router.post(
   '/analyze',
+  rateLimit(ROUTE_COSTS.analyze),
   // Handle file uploads (optional) - only for multipart/form-data
-  (req, res, next) => {
-    try {
-      // Only use multer if Content-Type is multipart/form-data
-      const contentType = req.headers['content-type'] || '';
-      if (contentType.includes('multipart/form-data')) {
-        upload.fields([
-          { name: 'salarySlip', maxCount: 1 },
-          { name: 'form26as', maxCount: 1 }
-        ])(req, res, (err) => {
-          if (err) {
-            // Handle multer errors
-            if (err instanceof multer.MulterError) {
-              if (err.code === 'LIMIT_FILE_SIZE') {
-                return res.status(400).json({ error: 'File size exceeds the maximum limit of 5MB' });
-              }
-              if (err.code === 'LIMIT_FILE_COUNT') {
-                return res.status(400).json({ error: 'Too many files. Maximum 2 files allowed.' });
-              }
-              return res.status(400).json({ error: `Upload error: ${err.message}` });
-            }
-            if (err) {
-              return res.status(400).json({ error: err.message || 'File upload error' });
-            }
-          }
-          next();
-        });
-      } else {
-        // For application/json, skip multer
-        next();
-      }
-    } catch (error) {
-      console.error('Upload middleware error:', error.message);
-      next(error);
-    }
-  },
+  handleUploads,
+  chargeDocumentUploads,
   // Main handler
   asyncHandler(async (req, res, next) => {
+    let reservation = null;
     try {
-      // Step 1: Validate input
-      let answers = null;
-      
-      // Try to get answers from request body
-      if (req.body.answers) {
-        answers = parseAnswers(req.body.answers);
-      } else if (req.body && typeof req.body === 'object' && Object.keys(req.body).length > 0) {
-        // If entire body is answers object (for application/json requests)
-        // Check if it looks like answers (not file upload fields)
-        if (!req.body.salarySlip && !req.body.form26as) {
-          answers = parseAnswers(req.body);
-        }
+      const idempotencyKey = req.get(IDEMPOTENCY_HEADER);
+      if (idempotencyKey !== undefined && !VALID_IDEMPOTENCY_KEY.test(idempotencyKey)) {
+        return next(createError('IDEMPOTENCY_KEY_INVALID'));
       }
 
-      // Validate answers
-      const validation = validateAnswers(answers);
-      if (!validation.valid) {
-        throw createError(validation.error, 400);
+      // Step 1: Validate input
+      const { answers, error: validationError } = readAnswers(req);
+      if (validationError) {
+        return next(validationError);
+      }
+      const { language, error: languageError } = readLanguage(req);
+      if (languageError) {
+        return next(languageError);
       }
 
-      // Step 2: Extract text from uploaded documents using OCR (if files present)
-      let ocrText = '';
-      const files = req.files;
-      const filesToProcess = [];
-
-      if (files) {
-        if (files.salarySlip && files.salarySlip[0]) {
-          filesToProcess.push({
-            buffer: files.salarySlip[0].buffer,
-            mimetype: files.salarySlip[0].mimetype
-          });
+      const files = analysisPipeline.collectFiles(req.files);
+      const isAsync = wantsAsync(req);
+      const useCache = !bypassesCache(req);
+
+      if (idempotencyKey) {
+        const idempotency = reserveIdempotencyKey(req, answers, files, language, isAsync);
+        if (idempotency.error) {
+          return next(createError(idempotency.error));
         }
-        if (files.form26as && files.form26as[0]) {
-          filesToProcess.push({
-            buffer: files.form26as[0].buffer,
-            mimetype: files.form26as[0].mimetype
-          });
+        if (idempotency.replay) {
+          res.set('Idempotent-Replayed', 'true');
+          if (idempotency.replay.location) {
+            res.set('Location', idempotency.replay.location);
+          }
+          return res.status(idempotency.replay.status).json(idempotency.replay.body);
         }
+        reservation = idempotency.reservation;
       }
 
-      if (filesToProcess.length > 0 && ocrService.isConfigured()) {
-        try {
-          console.log('Extracting text from documents using OCR...');
-          ocrText = await ocrService.extractTextFromFiles(filesToProcess);
-          console.log(`OCR extracted ${ocrText.length} characters of text`);
-        } catch (error) {
-          console.error('OCR extraction failed, continuing without OCR text:', error.message);
-          // Continue without OCR text - AI service can still work with answers
+      // Sends the response and stores it for retries with the same Idempotency-Key
+      const respond = (status, body, location = null) => {
+        if (reservation) {
+          cacheService.completeIdempotencyKey(reservation.key, reservation.fingerprint, { status, body, location });
         }
-      } else if (filesToProcess.length > 0) {
-        console.log('OCR service not configured, skipping document text extraction');
-      }
-
-      // Step 3: Prepare AI payload
-      const payload = {
-        answers: answers,
-        ocrText: ocrText
+        if (location) {
+          res.set('Location', location);
+        }
+        return res.status(status).json(body);
       };
 
-      // Step 4: Analyze using AI service (Azure OpenAI or fallback)
-      console.log('Analyzing tax filing data...');
-      const analysisResult = await aiService.analyzeInput(payload);
-
-      // Step 5: Validate AI output (should already be validated, but double-check)
-      if (!analysisResult || typeof analysisResult !== 'object') {
-        console.warn('Invalid AI output, using fallback');
-        const { getMockResult } = require('../mock/mockResult');
-        return res.status(200).json(getMockResult());
+      // Step 2a: Async mode - queue the analysis and return a job id right away
+      if (isAsync) {
+        const job = jobQueue.enqueue((job, setStatus) => analysisPipeline.runAnalysis(
+          { answers, files, language, client: clientName(req) },
+          { onStage: setStatus, useCache }
+        ), { client: clientName(req) });
+        if (!job) {
+          throw createError('QUEUE_FULL');
+        }
+        return respond(202, {
+          jobId: job.id,
+          status: job.status,
+          statusUrl: `/api/jobs/${job.id}`
+        }, `/api/jobs/${job.id}`);
       }
 
-      // Step 6: Return clean JSON response
-      res.status(200).json(analysisResult);
+      // Step 2b: Sync mode - run OCR, analysis and storage, then return the result
+      const response = await analysisPipeline.runAnalysis({ answers, files, language, client: clientName(req) }, { useCache });
+      respond(200, response);
 
     } catch (error) {
+      // A failed request frees its Idempotency-Key so the client can retry
+      if (reservation) {
+        cacheService.releaseIdempotencyKey(reservation.key);
+      }
       // Error should be handled by asyncHandler, but just in case
-      console.error('Error in analyze endpoint:', error.message);
+      logger.error('Error in analyze endpoint', { error });
       next(error);
     }
   })
 );
 
+// Comment lines sent while the stream is idle, so proxies do not close it during a long OCR or LLM call
+const STREAM_HEARTBEAT_MS = 15000;
+
+/**
+ * Starts a Server-Sent Events response
+ * Returns { send(event, data), end() }; events sent after the client left are dropped
+ */
+function openEventStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Turns off response buffering in nginx, which would hold the events back
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let eventId = 0;
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) {
+      res.write(': keep-alive\n\n');
+    }
+  }, STREAM_HEARTBEAT_MS);
+  heartbeat.unref();
+
+  return {
+    send(event, data) {
+      if (res.writableEnded || res.destroyed) {
+        return;
+      }
+      eventId++;
+      res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) {
+        res.end();
+      }
+    }
+  };
+}
+
+/**
+ * POST /api/analyze/stream
+ *
+ * The analysis of POST /api/analyze, with its progress streamed as Server-Sent Events
+ * (Content-Type: text/event-stream). Same request format, rate limit and validation;
+ * validation and upload errors are still returned as the JSON error envelope before the stream starts.
+ *
+ * Events, in order:
+ *   accepted  { "requestId", "documents": ["salarySlip", ...] }
+ *   stage     { "stage": "ocr" | "analyzing" }
+ *   document  { "document", "source": "ocr" | "ocr_cache" | "pdf_text" | "statement" | null,
+ *               "characters", "warning" }                  // one per document, as each is read
+ *   rules     { "riskLevel", "summary", "detectedIssues" }  // rule engine findings, before the LLM is asked
+ *   issue     { ...issue }                                 // one per LLM issue once the LLM answers;
+ *                                                          // source 'both' replaces the rule issue with the same id
+ *   result    { ...same body as POST /api/analyze }        // final, always last on success
+ *   error     { "code", "message", "details", "requestId" } // the analysis failed, the stream ends
+ * A cached analysis sends accepted and result only.
+ *
+ * Cancelling: closing the connection (e.g. aborting the fetch) aborts the outstanding
+ * Document Intelligence and LLM requests, and the analysis is not stored.
+ * Async mode and Idempotency-Key do not apply to the stream.
+ */
+router.post(
+  '/analyze/stream',
+  rateLimit(ROUTE_COSTS.analyze),
+  handleUploads,
+  chargeDocumentUploads,
+  asyncHandler(async (req, res, next) => {
+    const { answers, error: validationError } = readAnswers(req);
+    if (validationError) {
+      return next(validationError);
+    }
+    const { language, error: languageError } = readLanguage(req);
+    if (languageError) {
+      return next(languageError);
+    }
+
+    const files = analysisPipeline.collectFiles(req.files);
+    const controller = new AbortController();
+    const stream = openEventStream(res);
+
+    // 'close' also fires after a normal end; the stream is only cancelled when it had not ended
+    res.on('close', () => {
+      const cancelled = !res.writableFinished;
+      stream.end();
+      if (cancelled) {
+        controller.abort();
+        logger.info('Analysis stream cancelled by the client', { requestId: req.id });
+      }
+    });
+
+    stream.send('accepted', { requestId: req.id, documents: files.map(file => file.type) });
+
+    try {
+      const response = await analysisPipeline.runAnalysis({ answers, files, language, client: clientName(req) }, {
+        useCache: !bypassesCache(req),
+        signal: controller.signal,
+        onStage: (stage) => stream.send('stage', { stage }),
+        onDocument: (document) => stream.send('document', document),
+        onRuleResult: (result) => stream.send('rules', result),
+        onLlmIssue: (issue) => stream.send('issue', issue)
+      });
+      stream.send('result', response);
+    } catch (error) {
+      if (error.code !== 'ANALYSIS_CANCELLED') {
+        // The status line is already sent, so the error goes in the stream
+        logger.error('Error in analyze stream', { error });
+        metricsService.errors.inc({ code: 'ANALYSIS_FAILED' });
+        stream.send('error', buildErrorBody('ANALYSIS_FAILED', { requestId: req.id }).error);
+      }
+    }
+    stream.end();
+  })
+);
+
 module.exports = router;
 
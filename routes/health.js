@@ -0,0 +1,50 @@
+/**
+ * Route for the health check with dependency state
+ * CRASH-SAFE: All routes wrapped in error handlers
+ */
+
+const express = require('express');
+const { asyncHandler } = require('../middlewares/errorHandler');
+const { getBreakerStates, STATES } = require('../utils/circuitBreaker');
+const jobQueue = require('../services/jobQueue');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * GET /health
+ *
+ * Response (always 200 while the process serves requests, so a load balancer keeps routing
+ * to it; analyses still answer from the rule engine when a dependency is down):
+ * {
+ *   "status": "ok" | "degraded",            // degraded while any circuit is open or half-open
+ *   "uptimeSeconds": 42,
+ *   "dependencies": [{ "name", "state": "closed" | "open" | "half-open",
+ *                      "consecutiveFailures", "lastFailureAt", "lastError", "retryAt" }],
+ *   "jobs": { "queued", "running", "concurrency" }
+ * }
+ *
+ * Dependencies are Azure Document Intelligence and each configured LLM provider.
+ * Mounted outside /api, so it needs no API key and is not rate limited.
+ */
+router.get(
+  '/health',
+  asyncHandler(async (req, res, next) => {
+    try {
+      const dependencies = getBreakerStates();
+      const degraded = dependencies.some(dependency => dependency.state !== STATES.closed);
+      res.set('Cache-Control', 'no-store');
+      res.status(200).json({
+        status: degraded ? 'degraded' : 'ok',
+        uptimeSeconds: Math.round(process.uptime()),
+        dependencies,
+        jobs: jobQueue.stats()
+      });
+    } catch (error) {
+      logger.error('Error building health status', { error });
+      next(error);
+    }
+  })
+);
+
+module.exports = router;
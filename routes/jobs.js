@@ -0,0 +1,52 @@
+/**
+ * Routes for background analysis jobs
+ * CRASH-SAFE: All routes wrapped in error handlers
+ */
+
+const express = require('express');
+const { asyncHandler, createError } = require('../middlewares/errorHandler');
+const { rateLimit, ROUTE_COSTS } = require('../middlewares/rateLimit');
+const jobQueue = require('../services/jobQueue');
+const { clientName } = require('../middlewares/apiKeyAuth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * GET /api/jobs/:id
+ *
+ * Returns the status of an analysis started with POST /api/analyze?async=true
+ * Only the API client that started the job can see it; others get 404
+ *
+ * Response:
+ * {
+ *   "id": "uuid",
+ *   "requestId": "...",                      // id of the request that queued the job, for the logs
+ *   "status": "queued" | "ocr" | "analyzing" | "done" | "failed",
+ *   "attempts": 1,
+ *   "createdAt": "...",
+ *   "updatedAt": "...",
+ *   "result": { ...same as the /api/analyze response... } | null,
+ *   "error": { "code", "message" } | null
+ * }
+ */
+router.get(
+  '/jobs/:id',
+  rateLimit(ROUTE_COSTS.job),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const job = jobQueue.get(req.params.id, clientName(req));
+      if (!job) {
+        return next(createError('JOB_NOT_FOUND'));
+      }
+      // Clients poll this endpoint, so tell them not to cache it
+      res.set('Cache-Control', 'no-store');
+      res.status(200).json(job);
+    } catch (error) {
+      logger.error('Error fetching job', { error });
+      next(error);
+    }
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,76 @@
+/**
+ * Route for Prometheus metrics
+ * CRASH-SAFE: All routes wrapped in error handlers
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { asyncHandler, sendError } = require('../middlewares/errorHandler');
+const apiKeyAuth = require('../middlewares/apiKeyAuth');
+const metricsService = require('../services/metricsService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Scrapers send it as "Authorization: Bearer <token>"; API keys are not accepted
+const METRICS_TOKEN = (process.env.METRICS_TOKEN || '').trim();
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+/**
+ * Who may read the metrics: 'token' (METRICS_TOKEN set), 'closed' (API_KEYS set without
+ * METRICS_TOKEN, so a public deployment does not expose them by accident) or 'open'
+ */
+function metricsAccess() {
+  if (METRICS_TOKEN) {
+    return 'token';
+  }
+  return apiKeyAuth.isEnabled() ? 'closed' : 'open';
+}
+
+/**
+ * Responds 401 METRICS_UNAUTHORIZED unless the metrics are open or the token matches
+ */
+function metricsAuth(req, res, next) {
+  const access = metricsAccess();
+  if (access === 'open') {
+    return next();
+  }
+  if (access === 'closed') {
+    return sendError(req, res, 'METRICS_UNAUTHORIZED', { message: 'Metrics are disabled while API_KEYS is set and METRICS_TOKEN is not' });
+  }
+  const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  // Hashes have the same length, as timingSafeEqual requires
+  if (!bearer || !crypto.timingSafeEqual(sha256(bearer[1]), sha256(METRICS_TOKEN))) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return sendError(req, res, 'METRICS_UNAUTHORIZED');
+  }
+  next();
+}
+
+/**
+ * GET /metrics
+ *
+ * Request, analysis, OCR and LLM metrics in the Prometheus text format (version 0.0.4)
+ * Mounted outside /api and not rate limited. With METRICS_TOKEN set it needs that token as a
+ * bearer token; with API_KEYS set and no METRICS_TOKEN it is closed (see metricsAccess)
+ */
+router.get(
+  '/metrics',
+  metricsAuth,
+  asyncHandler(async (req, res, next) => {
+    try {
+      res.set('Content-Type', metricsService.CONTENT_TYPE);
+      res.set('Cache-Control', 'no-store');
+      res.status(200).send(metricsService.render());
+    } catch (error) {
+      logger.error('Error rendering metrics', { error });
+      next(error);
+    }
+  })
+);
+
+module.exports = router;
+module.exports.metricsAccess = metricsAccess;
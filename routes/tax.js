@@ -0,0 +1,91 @@
+/**
+ * Routes for the tax computation endpoint
+ * CRASH-SAFE: All routes wrapped in error handlers
+ */
+
+const express = require('express');
+const { asyncHandler, createError } = require('../middlewares/errorHandler');
+const { rateLimit, ROUTE_COSTS } = require('../middlewares/rateLimit');
+const { validateAnswers, parseAnswers } = require('../utils/validateInput');
+const { unknownFields } = require('../utils/answersSchema');
+const { buildWarning } = require('../utils/errorCodes');
+const taxCalculator = require('../services/taxCalculator');
+const taxRules = require('../config/taxRules');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * POST /api/compute-tax
+ *
+ * Computes tax liability under the old and new (115BAC) regimes from the wizard answers
+ *
+ * Request format:
+ * - Content-Type: application/json
+ * - Body: { "answers": {...}, "capitalGains"?: {...} } or the answers object itself
+ *   capitalGains: extractedData.capitalGains of an analysis with a capital gains statement, for the
+ *   same assessment year; its gains are taxed at their special rates instead of answers.capitalGainsIncome
+ *
+ * Response:
+ * {
+ *   "assessmentYear": "2026-27",
+ *   "regimes": {
+ *     "old": { "totalTax": 195000, "lines": [{ "label", "amount" }], "slabs": [...], ... },
+ *     "new": { ... }
+ *   },
+ *   "recommendedRegime": "old" | "new",
+ *   "taxSaving": 169000,
+ *   "chosenRegime": "old" | "new" | null,
+ *   "capitalGainsSource": "statement" | "answers" | null,
+ *   "warnings": [{ "code", "message", "details" }] // only when answers were ignored (ANSWERS_FIELDS_IGNORED)
+ * }
+ */
+router.post(
+  '/compute-tax',
+  rateLimit(ROUTE_COSTS.computeTax),
+  asyncHandler(async (req, res, next) => {
+    try {
+      const body = req.body || {};
+      const answers = parseAnswers(body.answers !== undefined ? body.answers : body);
+
+      const validation = validateAnswers(answers);
+      if (!validation.valid) {
+        return next(createError(validation.code, {
+          details: validation.fields ? { fields: validation.fields } : null
+        }));
+      }
+
+      // Only the { answers, capitalGains } form can carry a statement
+      const capitalGains = body.answers !== undefined && body.capitalGains !== undefined && body.capitalGains !== null
+        ? body.capitalGains
+        : null;
+      if (capitalGains) {
+        const split = taxCalculator.capitalGainsSplit(capitalGains);
+        const assessmentYear = taxRules.resolveAssessmentYear(answers);
+        if (!split || (split.assessmentYear && split.assessmentYear !== assessmentYear)) {
+          return next(createError('CAPITAL_GAINS_INVALID', {
+            details: { assessmentYear, statementYear: split ? split.assessmentYear : null }
+          }));
+        }
+      }
+
+      const result = taxCalculator.computeTax(answers, { capitalGains });
+      if (!result) {
+        throw createError('TAX_COMPUTATION_FAILED');
+      }
+
+      // The calculator only reads wizard fields, anything else is reported back
+      const ignoredFields = unknownFields(answers);
+      if (ignoredFields.length > 0) {
+        result.warnings = [buildWarning('ANSWERS_FIELDS_IGNORED', { fields: ignoredFields })];
+      }
+
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Error in compute-tax endpoint', { error });
+      next(error);
+    }
+  })
+);
+
+module.exports = router;
@@ -1,41 +1,78 @@
 /**
- * AI Service for analyzing tax filing data using Azure OpenAI
- * CRASH-SAFE: Always returns valid response, falls back to mock on any error
+ * AI Service for analyzing tax filing data
+ * The deterministic rule engine always runs; when an LLM provider chain is configured
+ * (Azure OpenAI, Google Gemini or any OpenAI-compatible endpoint) its findings are merged on top
+ * CRASH-SAFE: Always returns valid response, falls back to the rule engine on any error
  */
 
-const axios = require('axios');
 const { getMockResult } = require('../mock/mockResult');
+const ruleEngine = require('./ruleEngine');
+const reconciliationService = require('./reconciliationService');
+const taxCalculator = require('./taxCalculator');
+const taxRules = require('../config/taxRules');
+const locales = require('../config/locales');
+const languageCheck = require('./languageCheck');
+const { createRedactor } = require('./redactionService');
+const { createProviderChain } = require('./llm');
 const { safeJsonParse } = require('../utils/safeJson');
+const { mergeIssues } = require('./issueMerger');
+const { hasRequiredFields, normalizeIssue } = require('../utils/issueModel');
+const metricsService = require('./metricsService');
+const { withRetry, isCancellation } = require('../utils/retry');
+const { getBreaker } = require('../utils/circuitBreaker');
+const requestContext = require('../utils/requestContext');
+const logger = require('../utils/logger');
+
+// Retries per provider for throttling and transient errors; a timeout moves on to the next provider
+const LLM_MAX_RETRIES = process.env.LLM_MAX_RETRIES !== undefined && process.env.LLM_MAX_RETRIES !== '' && Number.isInteger(Number(process.env.LLM_MAX_RETRIES))
+  ? Number(process.env.LLM_MAX_RETRIES)
+  : 2;
+
+// Output token cap sent to the providers. Text in a non-Latin script takes several times the tokens
+// of English, so those languages get more room; LLM_MAX_TOKENS, when set, is used for every language
+// (keep it within the deployment's completion limit, a larger value is rejected with a 400)
+const DEFAULT_MAX_TOKENS = 2000;
+const NON_LATIN_MAX_TOKENS = 4096;
+const LLM_MAX_TOKENS = Number.isInteger(Number(process.env.LLM_MAX_TOKENS)) && Number(process.env.LLM_MAX_TOKENS) > 0
+  ? Number(process.env.LLM_MAX_TOKENS)
+  : null;
+
+const SYSTEM_PROMPT = 'You are a tax filing expert assistant. Always respond with valid JSON only, no markdown formatting or additional text.';
 
 class AIService {
   constructor() {
-    const endpoint = process.env.AZURE_OPENAI_ENDPOINT;
-    const key = process.env.AZURE_OPENAI_KEY;
-    const deploymentName = process.env.AZURE_OPENAI_DEPLOYMENT_NAME;
     const useMockAI = process.env.USE_MOCK_AI === 'true' || process.env.USE_MOCK_AI === '1';
 
-    this.useMock = useMockAI || !endpoint || !key || !deploymentName;
-
-    if (!this.useMock) {
-      this.config = {
-        endpoint: endpoint.replace(/\/$/, ''), // Remove trailing slash
-        key: key,
-        deploymentName: deploymentName
-      };
+    // Ordered failover chain of configured providers (see LLM_PROVIDERS)
+    this.providers = useMockAI ? [] : createProviderChain();
+    this.useMock = this.providers.length === 0;
+    // One circuit breaker per provider, so a provider that is down is skipped without waiting on it
+    for (const provider of this.providers) {
+      getBreaker(provider.name);
     }
+    // Why analyses skip the LLM, for the analysis_fallbacks_total metric
+    this.fallbackReason = useMockAI ? 'mock_mode' : 'not_configured';
   }
 
   /**
-   * Checks if Azure OpenAI is configured
+   * Checks if at least one LLM provider is configured
    */
   isConfigured() {
-    return !this.useMock && this.config !== null;
+    return !this.useMock;
   }
 
   /**
-   * Constructs the prompt for Azure OpenAI analysis
+   * Names of the providers in failover order
    */
-  buildPrompt(answers, ocrText) {
+  getProviderNames() {
+    return this.providers.map(provider => provider.name);
+  }
+
+  /**
+   * Constructs the analysis prompt (shared by all LLM providers)
+   * language: code of the language the texts are written in (see config/locales)
+   */
+  buildPrompt(answers, ocrText, extractedData = {}, knownIssues = [], taxComputation = null, language = locales.DEFAULT_LANGUAGE) {
     try {
       const answersText = JSON.stringify(answers, null, 2);
       
@@ -45,26 +82,88 @@ User's Answers from Question Wizard:
 ${answersText}
 `;
 
+      if (extractedData && extractedData.salarySlip) {
+        prompt += `\n\nSalary Slip (parsed, monthly amounts in rupees; confidence 0-1 per field, null = not found):
+${JSON.stringify(extractedData.salarySlip, null, 2)}
+`;
+      }
+
+      if (extractedData && extractedData.form16) {
+        prompt += `\n\nForm 16 (parsed; amounts in rupees for the full year, Part A = TDS by quarter, Part B = salary, exemptions and deductions the employer allowed; confidence 0-1 per Part B field, null = not found):
+${JSON.stringify(extractedData.form16, null, 2)}
+`;
+      }
+
+      if (extractedData && extractedData.form26as) {
+        prompt += `\n\nForm 26AS (parsed; amounts in rupees, Part A = TDS by deductor, Part B = TCS, Part C = tax paid, Part D = refunds):
+${JSON.stringify(extractedData.form26as, null, 2)}
+`;
+      }
+
+      if (extractedData && extractedData.capitalGains) {
+        const { trades, ...capitalGains } = extractedData.capitalGains;
+        prompt += `\n\nCapital Gains Statement (computed from ${trades.length} trade(s); amounts in rupees, rates as fractions, section 'slab' = taxed at slab rates):
+${JSON.stringify(capitalGains, null, 2)}
+`;
+      }
+
+      if (extractedData && extractedData.ais) {
+        prompt += `\n\nAnnual Information Statement (${extractedData.ais.kind}, normalised into income heads; amounts in rupees as reported to the department, securitiesSales/propertySales are sale consideration, not gains):
+${JSON.stringify(extractedData.ais, null, 2)}
+`;
+      }
+
       if (ocrText && ocrText.trim().length > 0) {
-        prompt += `\n\nExtracted Text from Uploaded Documents (Salary Slip, Form 26AS, etc.):
+        prompt += `\n\nExtracted Text from Uploaded Documents (Salary Slip, Form 16, Form 26AS, etc.):
 ${ocrText}
 `;
       }
 
+      prompt += `\n\n${taxRules.describeLimits(taxRules.rulesFor(answers))} Use these figures for the year, not limits from other years.
+`;
+
+      if (taxComputation) {
+        const basis = taxComputation.capitalGainsSource === 'statement' ? 'the answers and the capital gains statement' : 'the answers';
+        prompt += `\n\nComputed Tax Liability (exact, from ${basis}): ${taxCalculator.describeComparison(taxComputation)}. Chosen regime: ${taxComputation.chosenRegime || 'not specified'}. If the chosen regime is the costlier one, report it as an issue.
+`;
+      }
+
+      if (knownIssues.length > 0) {
+        const knownText = knownIssues.map(issue => `- ${issue.title}: ${issue.short}`).join('\n');
+        prompt += `\n\nIssues already found by the deterministic checks (rules and cross-document comparison; do not repeat these, they are added to the result automatically). Report only other problems, and take these as correct where they give figures:
+${knownText}
+`;
+      }
+
       prompt += `\n\nPlease analyze this information and return a JSON response with the following structure:
 {
-  "riskLevel": "LOW" | "MEDIUM" | "HIGH",
   "summary": "A brief summary of the overall risk assessment",
   "detectedIssues": [
     {
       "id": "unique-id",
       "title": "Issue title",
       "short": "Short description",
-      "long": "Detailed explanation of the issue"
+      "long": "Detailed explanation of the issue",
+      "severity": "LOW" | "MEDIUM" | "HIGH",
+      "legalReference": "Income-tax Act section or rule involved, e.g. Section 80C or Rule 12, Income-tax Rules 1962",
+      "estimatedImpact": {
+        "amount": 12345,
+        "type": "tax" | "interest" | "penalty" | "refund",
+        "basis": "How the amount was estimated"
+      },
+      "remediation": ["Concrete step 1", "Concrete step 2"],
+      "evidence": [
+        { "source": "answers" | "salarySlip" | "form16" | "form26as" | "capitalGains" | "ais" | "taxComputation" | "document", "field": "answer field or document line", "value": "figure or text" }
+      ],
+      "confidence": 0.8
     }
   ]
 }
 
+Severity: HIGH for wrong ITR form, under-reported income or wrong TDS credit (likely notice or demand); MEDIUM for excess deductions or claims that will be disallowed; LOW for recommendations. The overall risk level is derived from the severities, so do not return one.
+estimatedImpact.amount is in rupees; use null when it cannot be estimated from the data, and estimatedImpact null when nothing is at stake.
+Every issue must cite at least one piece of evidence from the data above.
+${this.describeLanguage(language)}
 Focus on:
 1. Wrong ITR form selection
 2. Missing or incorrect TDS information
@@ -77,94 +176,160 @@ Return ONLY valid JSON, no additional text or markdown formatting.`;
 
       return prompt;
     } catch (error) {
-      console.error('Error building prompt:', error.message);
+      logger.error('Error building prompt', { error });
       return '';
     }
   }
 
   /**
-   * Calls Azure OpenAI to analyze the tax filing data
-   * CRASH-SAFE: Wrapped in try/catch, always returns valid response
+   * Prompt line asking for the texts in the requested language, empty for English
+   * Tax terms and the machine-read fields stay in English (checked by services/languageCheck)
    */
-  async analyzeWithAzureOpenAI(answers, ocrText) {
-    if (!this.config) {
-      throw new Error('Azure OpenAI not configured');
+  describeLanguage(language) {
+    const { code, name, englishName, script } = locales.getLanguage(language);
+    if (code === locales.DEFAULT_LANGUAGE) {
+      return '';
     }
+    return `Write summary, title, short, long, remediation and estimatedImpact.basis in ${englishName} (${name}), using ${script} script. Keep these verbatim in English: ITR form names (ITR-1, ITR-2), Section and Rule references (Section 80C), TDS, TCS, PAN, AIS, TIS, HRA, NPS, Form 16, Form 26AS, AY/FY, amounts in Rs. and placeholders such as [PAN_1]. Keep id, severity, legalReference, evidence and estimatedImpact.type in English.
+`;
+  }
 
-    try {
-      const prompt = this.buildPrompt(answers, ocrText);
-      
-      if (!prompt) {
-        throw new Error('Failed to build prompt');
-      }
-
-      // Azure OpenAI Chat Completions API endpoint
-      const apiVersion = '2023-12-01-preview';
-      const url = `${this.config.endpoint}/openai/deployments/${this.config.deploymentName}/chat/completions?api-version=${apiVersion}`;
-
-      // Set timeout (5-8 seconds)
-      const timeout = 8000;
-
-      const response = await axios.post(
-        url,
-        {
-          messages: [
-            {
-              role: 'system',
-              content: 'You are a tax filing expert assistant. Always respond with valid JSON only, no markdown formatting or additional text.'
-            },
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
-          temperature: 0.3,
-          max_tokens: 2000,
-          response_format: { type: 'json_object' } // Request JSON mode if supported
-        },
-        {
-          headers: {
-            'api-key': this.config.key,
-            'Content-Type': 'application/json'
-          },
-          timeout: timeout
+  /**
+   * Output token cap for an answer in the language (see LLM_MAX_TOKENS)
+   */
+  maxTokensFor(language) {
+    if (LLM_MAX_TOKENS !== null) {
+      return LLM_MAX_TOKENS;
+    }
+    return locales.getLanguage(language).script === 'Latin' ? DEFAULT_MAX_TOKENS : NON_LATIN_MAX_TOKENS;
+  }
+
+  /**
+   * Builds the prompt with personal identifiers replaced by placeholders
+   * The redactor keeps the mapping to restore them in the response
+   */
+  buildRedactedPrompt(redactor, answers, ocrText, context = {}) {
+    return this.buildPrompt(
+      redactor.redactObject(answers, 'answers'),
+      redactor.redactText(ocrText, 'ocrText'),
+      redactor.redactObject(context.extractedData || {}, 'extractedData'),
+      redactor.redactObject(context.knownIssues || [], 'knownIssues'),
+      context.taxComputation,
+      context.language
+    );
+  }
+
+  /**
+   * Asks the LLM providers for findings, in failover order
+   * The next provider is tried when one fails or returns an invalid response, or one not written in
+   * context.language (see services/languageCheck)
+   * Each call is retried on throttling and transient errors and goes through the provider's
+   * circuit breaker, which skips it while the circuit is open
+   * context.knownIssues: the deterministic findings, listed in the prompt so the model adds others
+   * options.onRedaction(report): called with what was redacted from the prompt
+   * options.onWarning(code): called with AI_UNAVAILABLE when every provider failed
+   * options.signal: AbortSignal that cancels the provider call; no other provider is tried after it aborts
+   * Returns { summary, detectedIssues } with normalized issues, or null when no provider answered
+   */
+  async analyzeWithLLM(answers, ocrText, context = {}, options = {}) {
+    if (this.providers.length === 0) {
+      throw new Error('No LLM provider configured');
+    }
+
+    const redactor = createRedactor();
+    const prompt = this.buildRedactedPrompt(redactor, answers, ocrText, context);
+    const redactionReport = redactor.report();
+    logger.info('Redacted personal identifiers from the prompt', { total: redactionReport.total, types: redactionReport.types });
+    if (typeof options.onRedaction === 'function') {
+      options.onRedaction(redactionReport);
+    }
+
+    if (!prompt) {
+      logger.error('Failed to build prompt, using rule engine findings only');
+      return null;
+    }
+
+    const maxTokens = this.maxTokensFor(context.language);
+    for (const provider of this.providers) {
+      const stopTimer = metricsService.llmDuration.startTimer({ provider: provider.name });
+      // 'error' until the provider answers, 'invalid' when the answer cannot be used
+      let outcome = 'error';
+      try {
+        const content = await getBreaker(provider.name).execute(() => withRetry(() => provider.complete({
+          system: SYSTEM_PROMPT,
+          prompt,
+          requestId: requestContext.getRequestId(),
+          maxTokens,
+          onUsage: (usage) => metricsService.recordLlmUsage(provider.name, usage),
+          signal: options.signal
+        }), { name: provider.name, retries: LLM_MAX_RETRIES, retryOnTimeout: false, signal: options.signal }));
+        outcome = 'invalid';
+
+        // Parse JSON response safely
+        const parsedResponse = safeJsonParse(content);
+        if (!parsedResponse) {
+          throw new Error('Invalid JSON response');
         }
-      );
 
-      // Extract content from response
-      const content = response.data?.choices?.[0]?.message?.content;
-      if (!content) {
-        throw new Error('No content in OpenAI response');
-      }
+        // Validate response structure
+        if (!this.isValidResponse(parsedResponse)) {
+          throw new Error('Response structure invalid');
+        }
 
-      // Parse JSON response safely
-      const parsedResponse = safeJsonParse(content);
-      if (!parsedResponse) {
-        throw new Error('Invalid JSON response from OpenAI');
-      }
+        const languageResult = languageCheck.checkResponse(parsedResponse, context.language);
+        if (!languageResult.ok) {
+          outcome = 'wrong_language';
+          logger.warn('LLM response not in the requested language', {
+            provider: provider.name,
+            language: context.language,
+            field: languageResult.field,
+            reason: languageResult.reason
+          });
+          throw new Error('Response not in the requested language');
+        }
 
-      // Validate response structure
-      if (!this.isValidResponse(parsedResponse)) {
-        console.warn('OpenAI response structure invalid, using fallback');
-        return this.analyzeFallback(answers, ocrText);
+        const seconds = stopTimer({ outcome: 'success' });
+        logger.info('LLM provider answered', { provider: provider.name, durationMs: Math.round(seconds * 1000) });
+        const restored = redactor.restoreResult(parsedResponse);
+        return {
+          summary: restored.summary,
+          detectedIssues: restored.detectedIssues
+            .map(issue => normalizeIssue({ ...issue, source: 'llm' }))
+            .filter(Boolean)
+        };
+      } catch (error) {
+        if (isCancellation(error)) {
+          stopTimer({ outcome: 'cancelled' });
+          logger.info('LLM call cancelled', { provider: provider.name });
+          return null;
+        }
+        if (error.code === 'CIRCUIT_OPEN') {
+          outcome = 'circuit_open';
+        }
+        const seconds = stopTimer({ outcome });
+        // The response body is left out: it can echo the (redacted) prompt
+        logger.error('LLM provider failed', {
+          provider: provider.name,
+          outcome,
+          error,
+          status: error.response?.status,
+          durationMs: Math.round(seconds * 1000)
+        });
       }
+    }
 
-      return parsedResponse;
-
-    } catch (error) {
-      console.error('Azure OpenAI API error:', {
-        message: error.message,
-        status: error.response?.status,
-        data: error.response?.data
-      });
-      
-      // Fallback to mock on any error
-      return this.analyzeFallback(answers, ocrText);
+    // The rule engine findings are returned on their own when every provider failed
+    logger.warn('All LLM providers failed, using rule engine findings only');
+    if (typeof options.onWarning === 'function') {
+      options.onWarning('AI_UNAVAILABLE');
     }
+    return null;
   }
 
   /**
    * Validates that the response has the required structure
+   * Each issue needs id/title/short/long and a severity; the other issue fields
+   * are normalized afterwards (see utils/issueModel)
    */
   isValidResponse(response) {
     try {
@@ -172,11 +337,6 @@ Return ONLY valid JSON, no additional text or markdown formatting.`;
         return false;
       }
 
-      const validRiskLevels = ['LOW', 'MEDIUM', 'HIGH'];
-      if (!validRiskLevels.includes(response.riskLevel)) {
-        return false;
-      }
-
       if (typeof response.summary !== 'string') {
         return false;
       }
@@ -186,65 +346,137 @@ Return ONLY valid JSON, no additional text or markdown formatting.`;
       }
 
       // Validate each issue
-      for (const issue of response.detectedIssues) {
-        if (!issue || typeof issue !== 'object') {
-          return false;
-        }
-        if (typeof issue.id !== 'string' ||
-            typeof issue.title !== 'string' ||
-            typeof issue.short !== 'string' ||
-            typeof issue.long !== 'string') {
-          return false;
-        }
-      }
-
-      return true;
+      return response.detectedIssues.every(issue => hasRequiredFields(issue));
     } catch (error) {
-      console.error('Error validating response:', error.message);
+      logger.error('Error validating response', { error });
       return false;
     }
   }
 
   /**
-   * Fallback analysis using mock data
-   * CRASH-SAFE: Always returns valid mock response
+   * Hybrid result: the rule engine findings with the LLM findings merged on top
+   * (see services/issueMerger) and the risk level derived from the merged issues
    */
-  analyzeFallback(answers, ocrText) {
+  mergeResults(ruleResult, llmResult, context = {}) {
     try {
-      console.log('Using fallback mock response');
-      return getMockResult();
+      const detectedIssues = mergeIssues(ruleResult.detectedIssues, llmResult.detectedIssues, context);
+      return {
+        riskLevel: ruleEngine.deriveRiskLevel(detectedIssues),
+        summary: llmResult.summary,
+        detectedIssues
+      };
     } catch (error) {
-      console.error('Error in fallback:', error.message);
+      logger.error('Error merging LLM findings', { error });
+      return ruleResult;
+    }
+  }
+
+  /**
+   * Analysis using the deterministic rule engine
+   * Falls back to the static mock only if the rule engine itself fails
+   * CRASH-SAFE: Always returns valid response
+   */
+  analyzeFallback(answers, ocrText, context = {}) {
+    return this.runRuleEngine(answers, ocrText, context).result;
+  }
+
+  /**
+   * analyzeFallback, also telling which engine produced the result
+   * Returns { result, engine: 'rules' | 'mock' }
+   */
+  runRuleEngine(answers, ocrText, context = {}) {
+    try {
+      logger.info('Running rule engine analysis');
+      return { result: ruleEngine.analyzeAnswers(answers, context), engine: 'rules' };
+    } catch (error) {
+      logger.error('Rule engine fallback failed, using mock', { error });
+    }
+
+    try {
+      return { result: getMockResult(context.language), engine: 'mock' };
+    } catch (error) {
+      logger.error('Error in fallback', { error });
       // Ultimate fallback - return minimal valid response
       return {
-        riskLevel: 'MEDIUM',
-        summary: 'Analysis unavailable. Please try again.',
-        detectedIssues: []
+        result: {
+          riskLevel: 'MEDIUM',
+          summary: locales.translate(context.language, 'summary.unavailable'),
+          detectedIssues: []
+        },
+        engine: 'mock'
       };
     }
   }
 
   /**
-   * Main analysis method - tries Azure OpenAI first, falls back to mock if needed
+   * Main analysis method - always runs the rule engine, and merges the LLM findings
+   * on top when a provider is configured and answers
+   * options.onRedaction(report), options.onWarning(code), options.signal: see analyzeWithLLM (not called when no LLM is configured)
+   * options.onRuleResult(result): called with the rule engine result before the LLM is asked
+   * payload.language: code of the language the summary and issues are written in (default English)
+   * Counts the engine behind each result and why the LLM was skipped on /metrics
    * CRASH-SAFE: Wrapped in try/catch, always returns valid response
    */
-  async analyzeInput(payload) {
+  async analyzeInput(payload, options = {}) {
     try {
       const { answers, ocrText } = payload;
-      
-      if (this.isConfigured()) {
-        try {
-          return await this.analyzeWithAzureOpenAI(answers, ocrText || '');
-        } catch (error) {
-          console.error('Azure OpenAI analysis failed, using fallback:', error.message);
-          return this.analyzeFallback(answers, ocrText || '');
+      const extractedData = payload.extractedData || {};
+      const language = payload.language || locales.DEFAULT_LANGUAGE;
+      // Gains from an uploaded capital gains statement are taxed at their special rates
+      const taxOptions = { capitalGains: extractedData.capitalGains };
+      const context = {
+        language,
+        uploadedDocuments: payload.uploadedDocuments || [],
+        extractedData: extractedData,
+        reconciliationIssues: reconciliationService.reconcile(answers, extractedData, { language }),
+        taxComputation: taxCalculator.hasIncome(answers, taxOptions) ? taxCalculator.computeTax(answers, taxOptions) : null
+      };
+
+      const { result: ruleResult, engine } = this.runRuleEngine(answers, ocrText || '', context);
+      if (typeof options.onRuleResult === 'function') {
+        options.onRuleResult(ruleResult);
+      }
+      if (!this.isConfigured()) {
+        metricsService.analysisFallbacks.inc({ reason: this.fallbackReason });
+        metricsService.analysisResults.inc({ engine });
+        return ruleResult;
+      }
+
+      let llmResult = null;
+      try {
+        llmResult = await this.analyzeWithLLM(answers, ocrText || '', {
+          ...context,
+          knownIssues: ruleResult.detectedIssues
+        }, options);
+      } catch (error) {
+        logger.error('LLM analysis failed, using rule engine findings only', { error });
+        if (typeof options.onWarning === 'function') {
+          options.onWarning('AI_UNAVAILABLE');
         }
-      } else {
-        return this.analyzeFallback(answers, ocrText || '');
       }
+
+      if (options.signal && options.signal.aborted) {
+        // Cancelled by the caller: nobody is waiting for the result, and it is not an LLM failure
+        return ruleResult;
+      }
+      if (!llmResult) {
+        metricsService.analysisFallbacks.inc({ reason: 'llm_failed' });
+        metricsService.analysisResults.inc({ engine });
+        return ruleResult;
+      }
+      metricsService.analysisResults.inc({ engine: 'llm' });
+      return this.mergeResults(ruleResult, llmResult, { answers, taxComputation: context.taxComputation });
     } catch (error) {
-      console.error('Error in analyzeInput:', error.message);
-      return this.analyzeFallback({}, '');
+      logger.error('Error in analyzeInput', { error });
+      // The answers and documents are still checked; the context is rebuilt as it may be what failed
+      const input = payload || {};
+      const { result, engine } = this.runRuleEngine(input.answers || {}, input.ocrText || '', {
+        language: input.language,
+        uploadedDocuments: input.uploadedDocuments || [],
+        extractedData: input.extractedData || {}
+      });
+      metricsService.analysisResults.inc({ engine });
+      return result;
     }
   }
 }
@@ -0,0 +1,181 @@
+/**
+ * Analysis Pipeline
+ * The full analyze flow after input validation: document extraction, AI analysis and storage
+ * Shared by the synchronous /api/analyze response and background analysis jobs
+ * Responses are cached by answers, document hashes, language and API client (services/cacheService), so a resubmission is answered from the cache
+ * CRASH-SAFE: Every stage falls back gracefully, the pipeline always resolves to a valid response
+ */
+
+const documentService = require('./documentService');
+const aiService = require('./aiService');
+const dbService = require('./dbService');
+const cacheService = require('./cacheService');
+const taxRules = require('../config/taxRules');
+const locales = require('../config/locales');
+const metricsService = require('./metricsService');
+const { buildWarning } = require('../utils/errorCodes');
+const { unknownFields, withoutUnknownFields } = require('../utils/answersSchema');
+const logger = require('../utils/logger');
+
+// Upload fields in the order they are processed
+const DOCUMENT_TYPES = ['salarySlip', 'form16', 'form26as', 'capitalGains', 'ais'];
+
+/**
+ * Collects the uploaded documents from multer's req.files
+ * Returns [{ type, buffer, mimetype, filename, sha256 }] (sha256 of the bytes, for the caches)
+ */
+function collectFiles(files) {
+  const collected = [];
+  if (!files) {
+    return collected;
+  }
+  for (const type of DOCUMENT_TYPES) {
+    if (files[type] && files[type][0]) {
+      collected.push({
+        type: type,
+        buffer: files[type][0].buffer,
+        mimetype: files[type][0].mimetype,
+        filename: files[type][0].originalname,
+        sha256: cacheService.hashDocument(files[type][0].buffer)
+      });
+    }
+  }
+  return collected;
+}
+
+/**
+ * Rejects a cancelled analysis before it does more work (or stores a result nobody will read)
+ */
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    const error = new Error('Analysis cancelled');
+    error.code = 'ANALYSIS_CANCELLED';
+    throw error;
+  }
+}
+
+/**
+ * Runs the analysis
+ * input: { answers, files: [{ type, buffer, mimetype, filename }], language }
+ *   language: code of the language of the summary and issues (see config/locales), default English
+ *   client: name of the API client, stored with the analysis (null when authentication is off)
+ * options.onStage(stage): called with 'ocr' and 'analyzing' as each stage starts
+ * options.useCache: false to skip the cached result (the new result is still cached)
+ * Progress, for streaming responses (none of these is called on a cache hit):
+ *   options.onDocument(info): each document as it is read (see documentService.extractDocuments)
+ *   options.onRuleResult(result): the rule engine result, before the LLM is asked
+ *   options.onLlmIssue(issue): each merged issue the LLM found or confirmed (source 'llm' or 'both'),
+ *     once the LLM has answered
+ * options.signal: AbortSignal that cancels the outstanding OCR and LLM requests; the analysis then
+ *   rejects with an ANALYSIS_CANCELLED error and nothing is stored
+ *
+ * Returns the API response: { riskLevel, summary, detectedIssues, assessmentYear, language, analysisId?, extractedData?, warnings?, cache }
+ * warnings lists what the analysis had to do without (unreadable documents, unavailable AI, assessment year)
+ *   and the answers that were ignored because they are not wizard fields
+ * cache: { result: 'hit' | 'miss' | 'bypass', ocrCacheHits } - a hit returns the stored analysis, including its analysisId
+ */
+async function runAnalysis({ answers, files = [], language = locales.DEFAULT_LANGUAGE, client = null }, options = {}) {
+  const onStage = typeof options.onStage === 'function' ? options.onStage : () => {};
+  const onLlmIssue = typeof options.onLlmIssue === 'function' ? options.onLlmIssue : () => {};
+
+  const cacheKey = cacheService.analysisKey(answers, files, language, client);
+  if (options.useCache !== false) {
+    const cached = cacheService.getAnalysis(cacheKey);
+    if (cached) {
+      logger.info('Analysis served from the cache', { analysisId: cached.analysisId });
+      return { ...cached, cache: { result: 'hit', ocrCacheHits: 0 } };
+    }
+  }
+
+  const stopTimer = metricsService.analysisDuration.startTimer({ documents: files.length > 0 ? 'yes' : 'no' });
+
+  // Step 1: Extract text and structured data from uploaded documents (if files present)
+  let ocrText = '';
+  let extractedData = {};
+  let ocrCacheHits = 0;
+  const warnings = [];
+  const uploadedDocuments = files.map(file => file.type);
+
+  // The cache key above keeps the unknown fields, so a cached result carries the same warning
+  const ignoredFields = unknownFields(answers);
+  if (ignoredFields.length > 0) {
+    warnings.push(buildWarning('ANSWERS_FIELDS_IGNORED', { fields: ignoredFields }));
+    answers = withoutUnknownFields(answers);
+  }
+
+  // Limits depend on the assessment year; without one the latest year's are used
+  const assessmentYear = taxRules.resolveAssessmentYear(answers);
+  if (!answers || !answers.assessmentYear) {
+    warnings.push(buildWarning('ASSESSMENT_YEAR_ASSUMED', { assessmentYear }));
+  }
+
+  if (files.length > 0) {
+    onStage('ocr');
+    const extraction = await documentService.extractDocuments(files, {
+      taxRules: taxRules.getTaxRules(assessmentYear),
+      onDocument: options.onDocument,
+      signal: options.signal
+    });
+    throwIfCancelled(options.signal);
+    ocrText = extraction.ocrText;
+    extractedData = extraction.extractedData;
+    ocrCacheHits = extraction.ocrCacheHits || 0;
+    for (const warning of extraction.warnings) {
+      warnings.push(buildWarning(warning.code, { document: warning.document, ...warning.details }));
+    }
+    logger.info('Document extraction finished', { textLength: ocrText.length, structuredData: Object.keys(extractedData) });
+  }
+
+  // Step 2: Analyze using AI service (Azure OpenAI or rule engine fallback)
+  onStage('analyzing');
+  logger.info('Analyzing tax filing data');
+  let redaction = null;
+  let analysisResult = await aiService.analyzeInput({
+    answers: answers,
+    ocrText: ocrText,
+    extractedData: extractedData,
+    uploadedDocuments: uploadedDocuments,
+    language: language
+  }, {
+    onRedaction: (report) => { redaction = report; },
+    onWarning: (code) => { warnings.push(buildWarning(code)); },
+    onRuleResult: options.onRuleResult,
+    signal: options.signal
+  });
+  throwIfCancelled(options.signal);
+
+  // Step 3: Validate AI output (should already be validated, but double-check)
+  if (!analysisResult || typeof analysisResult !== 'object') {
+    logger.warn('Invalid AI output, using fallback');
+    analysisResult = aiService.analyzeFallback(answers, ocrText, { uploadedDocuments, extractedData, language });
+  }
+  (analysisResult.detectedIssues || [])
+    .filter(issue => issue.source === 'llm' || issue.source === 'both')
+    .forEach(issue => onLlmIssue(issue));
+
+  // Step 4: Store the analysis so the user can come back to it (with the redaction report for privacy review)
+  const record = await dbService.saveAnalysis({ answers, extractedData, result: analysisResult, redaction, language, client });
+
+  // Step 5: Build the response, with the figures read from the documents
+  const response = { ...analysisResult, assessmentYear, language };
+  if (record) {
+    response.analysisId = record.id;
+  }
+  if (Object.keys(extractedData).length > 0) {
+    response.extractedData = extractedData;
+  }
+  if (warnings.length > 0) {
+    response.warnings = warnings;
+  }
+  warnings.forEach(warning => metricsService.analysisWarnings.inc({ code: warning.code }));
+  stopTimer();
+
+  cacheService.setAnalysis(cacheKey, response);
+  return { ...response, cache: { result: options.useCache === false ? 'bypass' : 'miss', ocrCacheHits } };
+}
+
+module.exports = {
+  runAnalysis,
+  collectFiles,
+  DOCUMENT_TYPES
+};
@@ -0,0 +1,281 @@
+/**
+ * Cache Service
+ * In-memory caches that spare repeated Document Intelligence reads and LLM calls when the
+ * same answers and documents are submitted again (after a page refresh, for instance)
+ * CRASH-SAFE: A cache failure is a miss, it never fails the request
+ *
+ * Caches (each bounded by a TTL, an entry count and a size in bytes, least recently used out first):
+ *   ocr          OCR text per document, keyed by the SHA-256 of the file bytes
+ *   analyses     final analysis responses, keyed by the normalised answers and the document hashes
+ *   idempotency  responses to /api/analyze requests sent with an Idempotency-Key header
+ *
+ * Configuration (a TTL of 0 turns that cache off):
+ *   CACHE_OCR_TTL_MS (default 86400000), CACHE_OCR_MAX_ENTRIES (500), CACHE_OCR_MAX_BYTES (52428800)
+ *   CACHE_ANALYSIS_TTL_MS (3600000), CACHE_ANALYSIS_MAX_ENTRIES (200), CACHE_ANALYSIS_MAX_BYTES (20971520)
+ *   IDEMPOTENCY_TTL_MS (86400000), IDEMPOTENCY_MAX_ENTRIES (10000)
+ *
+ * Values are stored as JSON, so callers always get their own copy. Caches are per process.
+ */
+
+const crypto = require('crypto');
+const taxRules = require('../config/taxRules');
+const metricsService = require('./metricsService');
+const logger = require('../utils/logger');
+
+// Bumped when the analysis changes in a way that makes stored results stale
+const ANALYSIS_KEY_VERSION = 1;
+
+// Results with these warnings came from a temporary failure and are worth retrying, so they are not cached
+const UNCACHED_WARNINGS = ['AI_UNAVAILABLE', 'OCR_TIMEOUT', 'OCR_FAILED'];
+
+function envNumber(env, name, fallback) {
+  const value = env[name];
+  return value !== undefined && value !== '' && Number.isFinite(Number(value)) ? Number(value) : fallback;
+}
+
+/**
+ * Map-based cache with expiry and size bounds; Map order doubles as the LRU order
+ */
+class TtlCache {
+  constructor({ name, ttlMs, maxEntries, maxBytes }) {
+    this.name = name;
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.entries = new Map();
+    this.bytes = 0;
+  }
+
+  isEnabled() {
+    return this.ttlMs > 0 && this.maxEntries > 0;
+  }
+
+  /**
+   * The cached value, or undefined when missing or expired
+   */
+  get(key) {
+    try {
+      if (!this.isEnabled()) {
+        return undefined;
+      }
+      const entry = this.entries.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) {
+        if (entry) {
+          this.delete(key);
+        }
+        metricsService.cacheLookups.inc({ cache: this.name, result: 'miss' });
+        return undefined;
+      }
+      // Most recently used last
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      metricsService.cacheLookups.inc({ cache: this.name, result: 'hit' });
+      return JSON.parse(entry.json);
+    } catch (error) {
+      logger.error('Cache read failed', { cache: this.name, error });
+      return undefined;
+    }
+  }
+
+  /**
+   * Stores a JSON-serialisable value; values larger than the whole cache are skipped
+   */
+  set(key, value) {
+    try {
+      if (!this.isEnabled()) {
+        return false;
+      }
+      const json = JSON.stringify(value);
+      const size = Buffer.byteLength(json);
+      if (size > this.maxBytes) {
+        logger.info('Value too large to cache', { cache: this.name, bytes: size });
+        return false;
+      }
+      this.delete(key);
+      this.entries.set(key, { json, size, expiresAt: Date.now() + this.ttlMs });
+      this.bytes += size;
+      this.evict();
+      return true;
+    } catch (error) {
+      logger.error('Cache write failed', { cache: this.name, error });
+      return false;
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.bytes -= entry.size;
+      this.entries.delete(key);
+    }
+  }
+
+  /**
+   * Drops expired entries, then the least recently used until the bounds are met
+   */
+  evict() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.delete(key);
+      }
+    }
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) {
+        break;
+      }
+      this.delete(key);
+    }
+  }
+
+  stats() {
+    return { entries: this.entries.size, bytes: this.bytes };
+  }
+}
+
+/**
+ * Sorts object keys and drops empty values, so answers that mean the same hash the same
+ */
+function normalise(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalise);
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const key of Object.keys(value).sort()) {
+      if (value[key] !== null && value[key] !== undefined && value[key] !== '') {
+        result[key] = normalise(value[key]);
+      }
+    }
+    return result;
+  }
+  return value;
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+class CacheService {
+  constructor(env = process.env) {
+    this.ocr = new TtlCache({
+      name: 'ocr',
+      ttlMs: envNumber(env, 'CACHE_OCR_TTL_MS', 24 * 60 * 60 * 1000),
+      maxEntries: envNumber(env, 'CACHE_OCR_MAX_ENTRIES', 500),
+      maxBytes: envNumber(env, 'CACHE_OCR_MAX_BYTES', 50 * 1024 * 1024)
+    });
+    this.analyses = new TtlCache({
+      name: 'analysis',
+      ttlMs: envNumber(env, 'CACHE_ANALYSIS_TTL_MS', 60 * 60 * 1000),
+      maxEntries: envNumber(env, 'CACHE_ANALYSIS_MAX_ENTRIES', 200),
+      maxBytes: envNumber(env, 'CACHE_ANALYSIS_MAX_BYTES', 20 * 1024 * 1024)
+    });
+    this.idempotency = new TtlCache({
+      name: 'idempotency',
+      ttlMs: envNumber(env, 'IDEMPOTENCY_TTL_MS', 24 * 60 * 60 * 1000),
+      maxEntries: envNumber(env, 'IDEMPOTENCY_MAX_ENTRIES', 10000),
+      maxBytes: 50 * 1024 * 1024
+    });
+  }
+
+  /**
+   * SHA-256 of an uploaded file, the key of its OCR text
+   */
+  hashDocument(buffer) {
+    return sha256(buffer || Buffer.alloc(0));
+  }
+
+  /**
+   * Key of an analysis: the normalised answers, the assessment year they resolve to,
+   * the type and hash of every document, the language of the result and the API client
+   * (a cached analysis is only returned to the client that ran it, see dbService)
+   * files: [{ type, buffer, sha256? }]
+   * client: API client name, null when authentication is off
+   */
+  analysisKey(answers, files = [], language = 'en', client = null) {
+    const documents = files
+      .map(file => ({ type: file.type, sha256: file.sha256 || this.hashDocument(file.buffer) }))
+      .sort((a, b) => a.type.localeCompare(b.type));
+    return sha256(JSON.stringify({
+      version: ANALYSIS_KEY_VERSION,
+      answers: normalise(answers || {}),
+      assessmentYear: taxRules.resolveAssessmentYear(answers),
+      documents,
+      language,
+      client
+    }));
+  }
+
+  /**
+   * Cached OCR text of a document, or null
+   */
+  getOcrText(documentHash) {
+    const cached = this.ocr.get(documentHash);
+    return cached ? cached.text : null;
+  }
+
+  setOcrText(documentHash, text) {
+    if (text) {
+      this.ocr.set(documentHash, { text });
+    }
+  }
+
+  getAnalysis(key) {
+    return this.analyses.get(key) || null;
+  }
+
+  /**
+   * Stores an analysis response unless it carries a warning from a temporary failure
+   */
+  setAnalysis(key, response) {
+    const warnings = (response && response.warnings) || [];
+    if (warnings.some(warning => UNCACHED_WARNINGS.includes(warning.code))) {
+      return false;
+    }
+    return this.analyses.set(key, response);
+  }
+
+  /**
+   * Reserves an Idempotency-Key for a request with the given fingerprint
+   * Returns { state } where state is:
+   *   'new'         the key is now reserved; call completeIdempotencyKey or releaseIdempotencyKey
+   *   'replay'      the key was used for the same request; response: { status, body, location }
+   *   'in_progress' the first request with this key has not finished yet
+   *   'mismatch'    the key was used for a different request
+   */
+  claimIdempotencyKey(key, fingerprint) {
+    const existing = this.idempotency.get(key);
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        return { state: 'mismatch' };
+      }
+      return existing.response ? { state: 'replay', response: existing.response } : { state: 'in_progress' };
+    }
+    this.idempotency.set(key, { fingerprint, response: null });
+    return { state: 'new' };
+  }
+
+  completeIdempotencyKey(key, fingerprint, response) {
+    this.idempotency.set(key, { fingerprint, response });
+  }
+
+  /**
+   * Frees a key whose request failed, so the client can retry with it
+   */
+  releaseIdempotencyKey(key) {
+    this.idempotency.delete(key);
+  }
+}
+
+const cacheService = new CacheService();
+const CACHES = [cacheService.ocr, cacheService.analyses, cacheService.idempotency];
+
+metricsService.registerGauge('cache_entries', 'Entries held per cache',
+  () => CACHES.map(cache => ({ labels: { cache: cache.name }, value: cache.stats().entries })));
+metricsService.registerGauge('cache_bytes', 'Approximate bytes held per cache',
+  () => CACHES.map(cache => ({ labels: { cache: cache.name }, value: cache.stats().bytes })));
+
+// Export singleton instance
+module.exports = cacheService;
+module.exports.CacheService = CacheService;
+module.exports.TtlCache = TtlCache;
@@ -0,0 +1,347 @@
+/**
+ * Capital gains computation
+ * Classifies the trades of an imported capital gains statement as short- or long-term under
+ * Sections 111A, 112A, 112 or slab rates, applies grandfathering and the Section 112A
+ * exemption, sets off losses and computes the tax at the special rates
+ * Rates, holding periods and the exemption come from the assessment-year dataset (config/taxRules)
+ * CRASH-SAFE: Never throws, returns null when nothing could be computed
+ *
+ * Simplifications, listed in the result's notes where they apply:
+ * - STT is assumed paid on listed equity and equity fund trades (needed for 111A/112A)
+ * - no indexation for long-term gains under Section 112 on assets sold before 23 July 2024
+ * - no surcharge, and no adjustment for unused basic exemption (Section 112A(2)/111A(1) proviso)
+ */
+
+const logger = require('../utils/logger');
+
+// Gains taxed at slab rates have no single rate; they are set off first as they usually cost most
+const SLAB_PRIORITY = 1;
+
+const TERM_OF_SECTION = { '111A': 'short', slab: 'short', '112A': 'long', '112': 'long' };
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Adds whole months to a "YYYY-MM-DD" date (31 Jan + 1 month = 28/29 Feb)
+ */
+function addMonths(isoDate, months) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay))).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * The rates that applied on the sale date (the latest period starting on or before it)
+ */
+function periodFor(sellDate, capitalGainsRules) {
+  const periods = [...capitalGainsRules.periods].sort((a, b) => a.soldFrom.localeCompare(b.soldFrom));
+  return periods.filter(period => period.soldFrom <= sellDate).pop() || periods[0];
+}
+
+/**
+ * Works out the section, term and rate of one trade
+ * Equity shares and equity funds: long-term after equityHoldingMonths (112A), else 111A
+ * Debt funds bought on or after specifiedFundsFrom: always short-term at slab rates (Section 50AA)
+ * Anything else: long-term after otherHoldingMonths (112), else slab rates
+ */
+function classifyTrade(trade, capitalGainsRules) {
+  const period = periodFor(trade.sellDate, capitalGainsRules);
+  const isEquity = trade.assetClass === 'equity' || trade.assetClass === 'equityFund';
+
+  if (trade.assetClass === 'debtFund' && trade.buyDate >= capitalGainsRules.specifiedFundsFrom) {
+    return { section: 'slab', rate: null, specifiedFund: true };
+  }
+
+  const holdingMonths = isEquity ? capitalGainsRules.equityHoldingMonths : period.otherHoldingMonths;
+  const longTerm = trade.sellDate > addMonths(trade.buyDate, holdingMonths);
+
+  if (isEquity) {
+    return longTerm ? { section: '112A', rate: period.ltcg112A } : { section: '111A', rate: period.stcg111A };
+  }
+  return longTerm ? { section: '112', rate: period.ltcg112 } : { section: 'slab', rate: null };
+}
+
+/**
+ * Cost of acquisition, with grandfathering for long-term equity bought on or before
+ * 31 January 2018: the higher of the actual cost and the lower of the FMV on that date
+ * and the sale value (Section 55(2)(ac))
+ */
+function costOf(trade, classification, capitalGainsRules) {
+  if (classification.section === '112A' && trade.fmv2018 !== null && trade.buyDate <= capitalGainsRules.grandfatheringDate) {
+    const cost = Math.max(trade.buyValue, Math.min(trade.fmv2018, trade.sellValue));
+    return { cost, grandfathered: cost > trade.buyValue };
+  }
+  return { cost: trade.buyValue, grandfathered: false };
+}
+
+/**
+ * Groups trade gains and losses by section and rate
+ * Rates can change within a year (e.g. for sales from 23 July 2024), so each rate gets its own group
+ */
+function groupTrades(trades) {
+  const groups = new Map();
+  trades.forEach(trade => {
+    const key = `${trade.section}:${trade.rate}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        section: trade.section,
+        term: TERM_OF_SECTION[trade.section],
+        rate: trade.rate,
+        trades: 0,
+        gains: 0,
+        losses: 0,
+        lossesSetOff: 0,
+        exempt: 0,
+        taxable: 0,
+        tax: 0
+      });
+    }
+    const group = groups.get(key);
+    group.trades++;
+    if (trade.gain >= 0) {
+      group.gains += trade.gain;
+    } else {
+      group.losses += -trade.gain;
+    }
+  });
+  return [...groups.values()];
+}
+
+function priority(group) {
+  return group.rate === null ? SLAB_PRIORITY : group.rate;
+}
+
+/**
+ * Sets off a loss against the remaining gains of the given groups, highest rate first
+ * Returns the loss left over
+ */
+function setOffLoss(loss, groups) {
+  let remaining = loss;
+  const ordered = [...groups].sort((a, b) => priority(b) - priority(a) || Number(b.section === '112') - Number(a.section === '112'));
+  for (const group of ordered) {
+    const available = group.gains - group.lossesSetOff;
+    const used = Math.min(available, remaining);
+    group.lossesSetOff += used;
+    remaining -= used;
+    if (remaining <= 0) {
+      break;
+    }
+  }
+  return remaining;
+}
+
+/**
+ * Sets off losses (Section 70): short-term losses against any gains, long-term losses
+ * against long-term gains only. Losses within a group are set off against its own gains first
+ * Returns the losses left to carry forward (Section 74)
+ */
+function setOffLosses(groups) {
+  let shortTermLoss = 0;
+  let longTermLoss = 0;
+
+  groups.forEach(group => {
+    const own = Math.min(group.gains, group.losses);
+    group.lossesSetOff = own;
+    const left = group.losses - own;
+    if (group.term === 'short') {
+      shortTermLoss += left;
+    } else {
+      longTermLoss += left;
+    }
+  });
+
+  const shortTermGroups = groups.filter(group => group.term === 'short');
+  const longTermGroups = groups.filter(group => group.term === 'long');
+
+  shortTermLoss = setOffLoss(shortTermLoss, shortTermGroups);
+  shortTermLoss = setOffLoss(shortTermLoss, longTermGroups);
+  longTermLoss = setOffLoss(longTermLoss, longTermGroups);
+
+  return { shortTerm: round2(shortTermLoss), longTerm: round2(longTermLoss) };
+}
+
+/**
+ * Applies the Section 112A exemption to the 112A gains left after set-off, highest rate first
+ */
+function applyExemption(groups, limit) {
+  let remaining = limit;
+  groups
+    .filter(group => group.section === '112A')
+    .sort((a, b) => b.rate - a.rate)
+    .forEach(group => {
+      const exempt = Math.min(group.gains - group.lossesSetOff, remaining);
+      group.exempt = exempt;
+      remaining -= exempt;
+    });
+  return limit - remaining;
+}
+
+/**
+ * Computes the capital gains of a parsed statement (see parsers/capitalGainsParser)
+ * for one assessment year
+ * rules: the tax rules of the year (config/taxRules)
+ *
+ * Returns null when no trade of the year could be computed, otherwise:
+ * {
+ *   assessmentYear, financialYear,
+ *   trades: [{ name, isin, assetClass, buyDate, sellDate, holdingDays, term, section, rate,
+ *              sellValue, cost, grandfathered, gain }],
+ *   sections: [{ section, term, rate, trades, gains, losses, lossesSetOff, exempt, taxable, tax }],
+ *   totals: { shortTermGains, longTermGains, netGains, exemption112A, slabRateIncome,
+ *             taxableAtSpecialRates, tax, cess, totalTax },
+ *   lossesCarriedForward: { shortTerm, longTerm },
+ *   excluded: { otherYear, intraday, incomplete },
+ *   notes: string[]
+ * }
+ * section is '111A', '112A', '112' or 'slab'; rate is null for slab-rate gains
+ */
+function computeCapitalGains(statement, rules) {
+  try {
+    if (!statement || !Array.isArray(statement.trades) || !rules || !rules.capitalGains) {
+      return null;
+    }
+
+    const capitalGainsRules = rules.capitalGains;
+    const yearStart = `${rules.financialYear.slice(0, 4)}-04-01`;
+    const yearEnd = `${Number(rules.financialYear.slice(0, 4)) + 1}-03-31`;
+    const excluded = { otherYear: 0, intraday: 0, incomplete: 0 };
+    const notes = [];
+    const trades = [];
+    let assumedEquity = 0;
+    let specifiedFunds = 0;
+
+    for (const trade of statement.trades) {
+      if (trade.sellDate < yearStart || trade.sellDate > yearEnd) {
+        excluded.otherYear++;
+        continue;
+      }
+      if (!trade.buyDate || trade.buyValue === null || trade.buyDate > trade.sellDate) {
+        excluded.incomplete++;
+        continue;
+      }
+      if (trade.assetClass === 'equity' && trade.buyDate === trade.sellDate) {
+        excluded.intraday++;
+        continue;
+      }
+
+      const classification = classifyTrade(trade, capitalGainsRules);
+      const { cost, grandfathered } = costOf(trade, classification, capitalGainsRules);
+      if (trade.assetClassAssumed) {
+        assumedEquity++;
+      }
+      if (classification.specifiedFund) {
+        specifiedFunds++;
+      }
+
+      trades.push({
+        name: trade.name,
+        isin: trade.isin,
+        assetClass: trade.assetClass,
+        buyDate: trade.buyDate,
+        sellDate: trade.sellDate,
+        holdingDays: daysBetween(trade.buyDate, trade.sellDate),
+        term: TERM_OF_SECTION[classification.section],
+        section: classification.section,
+        rate: classification.rate,
+        sellValue: round2(trade.sellValue),
+        cost: round2(cost),
+        grandfathered,
+        gain: round2(trade.sellValue - cost)
+      });
+    }
+
+    if (trades.length === 0) {
+      return null;
+    }
+
+    const sections = groupTrades(trades);
+    const lossesCarriedForward = setOffLosses(sections);
+    const exemption112A = applyExemption(sections, capitalGainsRules.exemption112A);
+
+    sections.forEach(group => {
+      group.taxable = group.gains - group.lossesSetOff - group.exempt;
+      group.tax = group.rate === null ? 0 : Math.round(group.taxable * group.rate);
+      ['gains', 'losses', 'lossesSetOff', 'exempt', 'taxable'].forEach(field => {
+        group[field] = round2(group[field]);
+      });
+    });
+
+    const sum = (groups, field) => round2(groups.reduce((total, group) => total + group[field], 0));
+    const net = (groups) => round2(sum(groups, 'gains') - sum(groups, 'lossesSetOff'));
+    const special = sections.filter(group => group.rate !== null);
+    const tax = sum(special, 'tax');
+    const cess = Math.round(tax * rules.cessRate);
+    const shortTermGains = net(sections.filter(group => group.term === 'short'));
+    const longTermGains = net(sections.filter(group => group.term === 'long'));
+
+    if (statement.truncated) {
+      notes.push('The statement has more trades than can be imported; only the first ones were used.');
+    }
+    if (excluded.otherYear > 0) {
+      notes.push(`${excluded.otherYear} trade(s) sold outside FY ${rules.financialYear} were left out.`);
+    }
+    if (excluded.intraday > 0) {
+      notes.push(`${excluded.intraday} intraday trade(s) were left out: intraday equity trading is speculative business income, not capital gains.`);
+    }
+    if (excluded.incomplete > 0) {
+      notes.push(`${excluded.incomplete} trade(s) without a purchase date or cost were left out.`);
+    }
+    if (assumedEquity > 0) {
+      notes.push(`${assumedEquity} trade(s) had no asset type and were treated as listed equity shares.`);
+    }
+    if (specifiedFunds > 0) {
+      notes.push(`${specifiedFunds} debt fund trade(s) bought on or after ${capitalGainsRules.specifiedFundsFrom} are short-term at slab rates under Section 50AA.`);
+    }
+    if (sections.some(group => group.section === '112' && group.rate >= 0.2)) {
+      notes.push('Long-term gains under Section 112 are computed without indexation.');
+    }
+    notes.push('STT is assumed paid on equity trades; surcharge is not included.');
+
+    return {
+      assessmentYear: rules.assessmentYear,
+      financialYear: rules.financialYear,
+      trades,
+      sections,
+      totals: {
+        shortTermGains,
+        longTermGains,
+        netGains: round2(shortTermGains + longTermGains),
+        exemption112A: round2(exemption112A),
+        slabRateIncome: sum(sections.filter(group => group.rate === null), 'taxable'),
+        taxableAtSpecialRates: sum(special, 'taxable'),
+        tax,
+        cess,
+        totalTax: tax + cess
+      },
+      lossesCarriedForward,
+      excluded,
+      notes
+    };
+  } catch (error) {
+    logger.error('Error computing capital gains', { error });
+    return null;
+  }
+}
+
+/**
+ * True when the gains fit ITR-1 for the year: only long-term gains under Section 112A,
+ * within rules.itr1.maxLtcg112A, and no losses to set off or carry forward
+ */
+function fitsItr1(capitalGains, rules) {
+  if (!capitalGains || rules.itr1.maxLtcg112A <= 0) {
+    return false;
+  }
+  return capitalGains.sections.every(group => group.section === '112A' && group.losses === 0) &&
+    capitalGains.totals.longTermGains <= rules.itr1.maxLtcg112A;
+}
+
+module.exports = {
+  computeCapitalGains,
+  fitsItr1
+};
@@ -1,20 +1,147 @@
 // services/dbService.js
 
-const records = [];
-
-function saveAnalysis(result) {
-  records.push({
-    id: records.length + 1,
-    riskLevel: result.riskLevel,
-    createdAt: new Date().toISOString(),
-  });
-}
+/**
+ * Analysis history store
+ * Keeps every analysis (inputs, extracted document data and full result) in a JSON file
+ * so it survives restarts and works locally without a database server
+ * CRASH-SAFE: Storage errors are logged, reads fall back to an empty history
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const DATA_FILE = process.env.ANALYSIS_DB_PATH || path.join(__dirname, '..', 'data', 'analyses.json');
+
+// Oldest records are dropped beyond this many
+const MAX_RECORDS = Number(process.env.ANALYSIS_DB_MAX_RECORDS) || 1000;
+
+let records = null;
+
+// Writes are chained so concurrent saves never interleave
+let writeQueue = Promise.resolve();
 
-function getAllAnalyses() {
+/**
+ * Loads records from disk once
+ */
+async function load() {
+  if (records) {
+    return records;
+  }
+  try {
+    const content = await fs.promises.readFile(DATA_FILE, 'utf8');
+    const parsed = JSON.parse(content);
+    records = Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Could not read analysis history, starting empty', { error });
+    }
+    records = [];
+  }
   return records;
 }
 
+/**
+ * Writes all records atomically (temp file + rename)
+ */
+function persist() {
+  writeQueue = writeQueue
+    .then(async () => {
+      await fs.promises.mkdir(path.dirname(DATA_FILE), { recursive: true });
+      const tempFile = `${DATA_FILE}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempFile, JSON.stringify(records), 'utf8');
+      await fs.promises.rename(tempFile, DATA_FILE);
+    })
+    .catch((error) => {
+      logger.error('Could not write analysis history', { error });
+    });
+  return writeQueue;
+}
+
+/**
+ * True when the client may see the record: its owner, or anyone when authentication is off (client null)
+ */
+function isVisibleTo(record, client) {
+  return client === null || client === undefined || record.client === client;
+}
+
+/**
+ * Saves a completed analysis
+ * language: code of the language the result is written in (see config/locales)
+ * client: name of the API client that ran it (null when authentication is off)
+ * Returns the stored record, or null if it could not be saved
+ */
+async function saveAnalysis({ answers, extractedData, result, redaction, language, client }) {
+  try {
+    await load();
+
+    const record = {
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      riskLevel: result.riskLevel,
+      language: language || 'en',
+      client: client || null,
+      answers: answers || {},
+      extractedData: extractedData || {},
+      result,
+      // What was redacted before the LLM call, null when no LLM was used
+      redaction: redaction || null
+    };
+
+    records.push(record);
+    if (records.length > MAX_RECORDS) {
+      records.splice(0, records.length - MAX_RECORDS);
+    }
+
+    await persist();
+    return record;
+  } catch (error) {
+    logger.error('Error saving analysis', { error });
+    return null;
+  }
+}
+
+/**
+ * Lists analyses, newest first
+ * filters: { client, riskLevel, from, to, limit, offset } where from/to are Date objects
+ * and client limits the list to that client's analyses (see isVisibleTo)
+ * Returns { total, items: [{ id, createdAt, riskLevel, summary, issueCount }] }
+ */
+async function listAnalyses(filters = {}) {
+  const all = await load();
+  const limit = filters.limit || 20;
+  const offset = filters.offset || 0;
+
+  const matching = all
+    .filter(record => isVisibleTo(record, filters.client))
+    .filter(record => !filters.riskLevel || record.riskLevel === filters.riskLevel)
+    .filter(record => !filters.from || new Date(record.createdAt) >= filters.from)
+    .filter(record => !filters.to || new Date(record.createdAt) <= filters.to)
+    .reverse();
+
+  return {
+    total: matching.length,
+    items: matching.slice(offset, offset + limit).map(record => ({
+      id: record.id,
+      createdAt: record.createdAt,
+      riskLevel: record.riskLevel,
+      summary: record.result && record.result.summary,
+      issueCount: record.result && Array.isArray(record.result.detectedIssues) ? record.result.detectedIssues.length : 0
+    }))
+  };
+}
+
+/**
+ * Returns the full record for an analysis, or null if not found or stored by another client
+ */
+async function getAnalysis(id, client = null) {
+  const all = await load();
+  return all.find(record => record.id === id && isVisibleTo(record, client)) || null;
+}
+
 module.exports = {
   saveAnalysis,
-  getAllAnalyses,
+  listAnalyses,
+  getAnalysis
 };
@@ -0,0 +1,227 @@
+/**
+ * Document Service
+ * Runs OCR on each uploaded document and parses the ones we understand into structured data
+ * Falls back to the PDF text layer when Azure OCR is not configured or returns nothing
+ * Statements (capital gains CSV/XLSX, AIS/TIS JSON) are read directly, without OCR
+ * OCR text is cached per document hash (services/cacheService), so a resubmitted document is not read again
+ * CRASH-SAFE: Never throws, a failed document is simply left out
+ */
+
+const ocrService = require('./ocrService');
+const pdfTextService = require('./pdfTextService');
+const { parseForm26AS } = require('./parsers/form26asParser');
+const { parseSalarySlip } = require('./parsers/salarySlipParser');
+const { parseForm16 } = require('./parsers/form16Parser');
+const { parseCapitalGainsStatement } = require('./parsers/capitalGainsParser');
+const { readSpreadsheet } = require('./parsers/spreadsheetReader');
+const { parseAis } = require('./parsers/aisParser');
+const capitalGainsService = require('./capitalGainsService');
+const cacheService = require('./cacheService');
+const logger = require('../utils/logger');
+
+// Structured parsers by upload field name
+const PARSERS = {
+  salarySlip: parseSalarySlip,
+  form16: parseForm16,
+  form26as: parseForm26AS
+};
+
+/**
+ * Statement readers by upload field name, for CSV/XLSX/JSON uploads that have no text to OCR
+ * Each receives (file, options) and returns { data } or { warning, details } when the
+ * statement cannot be used
+ */
+const STATEMENT_READERS = {
+  capitalGains: readCapitalGainsStatement,
+  ais: readAisStatement
+};
+
+/**
+ * Reads a capital gains statement and computes the gains for the analysis year
+ * DOCUMENT_UNREADABLE when no trade of the year could be read
+ */
+async function readCapitalGainsStatement(file, options) {
+  const sheets = await readSpreadsheet(file);
+  const statement = parseCapitalGainsStatement(sheets);
+  const capitalGains = statement ? capitalGainsService.computeCapitalGains(statement, options.taxRules) : null;
+  if (!capitalGains) {
+    return { warning: 'DOCUMENT_UNREADABLE' };
+  }
+  logger.info('Read capital gains statement', { trades: capitalGains.trades.length });
+  return { data: capitalGains };
+}
+
+/**
+ * Reads an AIS/TIS JSON download
+ * AIS_INVALID when it is not an AIS/TIS, AIS_YEAR_MISMATCH when it is for another year
+ * (its income would be compared with the wrong year's answers)
+ */
+async function readAisStatement(file, options) {
+  const { data, problems } = parseAis(file.buffer);
+  if (!data) {
+    logger.warn('AIS/TIS rejected', { problems });
+    return { warning: 'AIS_INVALID', details: { problems } };
+  }
+  const assessmentYear = options.taxRules ? options.taxRules.assessmentYear : null;
+  if (data.assessmentYear && assessmentYear && data.assessmentYear !== assessmentYear) {
+    return { warning: 'AIS_YEAR_MISMATCH', details: { aisAssessmentYear: data.assessmentYear, assessmentYear } };
+  }
+  logger.info('Read AIS/TIS', { kind: data.kind, entries: data.entries, incomeHeads: Object.keys(data.incomeHeads).length });
+  return { data };
+}
+
+/**
+ * Reads one statement; returns { data, warning, details } like readDocument
+ */
+async function readStatement(file, options) {
+  try {
+    const result = await STATEMENT_READERS[file.type](file, options);
+    if (result && result.data) {
+      return { data: result.data, warning: null };
+    }
+    return { data: null, warning: (result && result.warning) || 'DOCUMENT_UNREADABLE', details: result && result.details };
+  } catch (error) {
+    logger.error('Error reading statement', { document: file.type, error });
+    return { data: null, warning: 'DOCUMENT_UNREADABLE' };
+  }
+}
+
+/**
+ * Reads the text of one document: cached OCR text, Azure OCR, then the local PDF text layer
+ * Images can only be read by Azure OCR
+ * signal: AbortSignal that cancels the OCR requests; a cancelled read is not cached
+ * Returns { text, warning, ocrCached, source } where warning is an error code when no text could be read
+ * and source is where the text came from: 'ocr_cache', 'ocr', 'pdf_text' or null
+ */
+async function readDocument(file, useOcr, signal) {
+  let text = '';
+  let ocrError = null;
+  let ocrCached = false;
+  let source = null;
+
+  if (useOcr) {
+    const documentHash = file.sha256 || cacheService.hashDocument(file.buffer);
+    text = cacheService.getOcrText(documentHash) || '';
+    ocrCached = Boolean(text);
+    if (ocrCached) {
+      source = 'ocr_cache';
+      logger.info('Read document from the OCR cache', { document: file.type });
+    } else {
+      try {
+        const ocr = await ocrService.extractTextWithStatus(file.buffer, file.mimetype, { signal });
+        if (ocr.cancelled) {
+          return { text: '', warning: ocr.error, ocrCached, source };
+        }
+        text = ocr.text;
+        ocrError = ocr.error;
+        source = text ? 'ocr' : null;
+        cacheService.setOcrText(documentHash, text);
+      } catch (error) {
+        logger.error('Error extracting text from document', { document: file.type, error });
+        text = '';
+        ocrError = 'OCR_FAILED';
+      }
+    }
+  }
+
+  if (!text && pdfTextService.canExtract(file.mimetype)) {
+    text = await pdfTextService.extractText(file.buffer);
+    if (text) {
+      source = 'pdf_text';
+      logger.info('Read document from the PDF text layer', { document: file.type });
+    }
+  }
+
+  if (text) {
+    return { text, warning: null, ocrCached, source };
+  }
+  return { text: '', warning: ocrError || 'DOCUMENT_UNREADABLE', ocrCached, source };
+}
+
+/**
+ * Extracts text and structured data from uploaded documents
+ * files: [{ type, buffer, mimetype, filename, sha256? }] where type is the upload field name
+ * options.taxRules: rules of the analysis year, for statements computed or checked per year (capital gains, AIS)
+ * options.onDocument({ document, source, characters, warning }): called as each document is read,
+ *   source being 'statement', 'ocr_cache', 'ocr', 'pdf_text' or null (nothing read), characters the text length
+ * options.signal: AbortSignal that cancels the outstanding OCR requests
+ *
+ * Returns:
+ * {
+ *   texts: { [type]: string },          // raw text per document (OCR or PDF text layer)
+ *   extractedData: { [type]: object },  // structured data for parsed documents
+ *   ocrText: string,                    // text of documents without structured data, for the prompt
+ *   warnings: [{ code, document, details? }], // documents that could not be used (OCR_TIMEOUT, OCR_FAILED, DOCUMENT_UNREADABLE, AIS_INVALID, AIS_YEAR_MISMATCH)
+ *   ocrCacheHits: number                // documents whose OCR text came from the cache
+ * }
+ */
+async function extractDocuments(files, options = {}) {
+  const result = { texts: {}, extractedData: {}, ocrText: '', warnings: [], ocrCacheHits: 0 };
+  const onDocument = typeof options.onDocument === 'function' ? options.onDocument : () => {};
+
+  try {
+    if (!Array.isArray(files) || files.length === 0) {
+      return result;
+    }
+
+    const statements = files.filter(file => STATEMENT_READERS[file.type]);
+    const documentFiles = files.filter(file => !STATEMENT_READERS[file.type]);
+
+    for (const file of statements) {
+      const { data, warning, details } = await readStatement(file, options);
+      if (data) {
+        result.extractedData[file.type] = data;
+      } else {
+        result.warnings.push({ code: warning, document: file.type, ...(details ? { details } : {}) });
+      }
+      onDocument({ document: file.type, source: 'statement', characters: null, warning: data ? null : warning });
+    }
+
+    if (documentFiles.length === 0) {
+      return result;
+    }
+
+    const useOcr = ocrService.isConfigured();
+    if (!useOcr) {
+      logger.info('OCR service not configured, reading PDF text layers locally (images are skipped)');
+    }
+
+    const documents = await Promise.all(documentFiles.map(async (file) => {
+      const document = await readDocument(file, useOcr, options.signal);
+      if (!(options.signal && options.signal.aborted)) {
+        onDocument({ document: file.type, source: document.source, characters: document.text.length, warning: document.warning });
+      }
+      return document;
+    }));
+    result.ocrCacheHits = documents.filter(document => document.ocrCached).length;
+
+    const unparsedTexts = [];
+
+    documentFiles.forEach((file, index) => {
+      const { text, warning } = documents[index];
+      if (!text) {
+        result.warnings.push({ code: warning, document: file.type });
+        return;
+      }
+      result.texts[file.type] = text;
+
+      const parser = PARSERS[file.type];
+      const data = parser ? parser(text) : null;
+      if (data) {
+        result.extractedData[file.type] = data;
+      } else {
+        unparsedTexts.push(text);
+      }
+    });
+
+    result.ocrText = unparsedTexts.join('\n\n---\n\n');
+    return result;
+  } catch (error) {
+    logger.error('Error in extractDocuments', { error });
+    return result;
+  }
+}
+
+module.exports = {
+  extractDocuments
+};
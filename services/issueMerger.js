@@ -0,0 +1,233 @@
+/**
+ * Issue merger for hybrid analysis
+ * Combines the deterministic findings (rule engine and reconciliation) with the LLM findings:
+ * overlapping issues are de-duplicated, and where both describe the same problem the
+ * computed figures win. Every merged issue records its source: 'rules', 'llm' or 'both'
+ * CRASH-SAFE: Never throws, falls back to the rule issues followed by the LLM issues
+ */
+
+const { toNumber } = require('../utils/answerValues');
+const logger = require('../utils/logger');
+
+// What an issue is about, recognised in its id, legal reference, title and short description,
+// and in the answer fields its evidence cites. The id, legal reference and evidence stay in
+// English whatever the response language, so localized issues are recognised by those
+const TOPICS = [
+  { key: '80C', regex: /\b80\s*C\b/i, fields: ['section80C'] },
+  { key: '80CCD(1B)', regex: /\b80\s*CCD\s*\(?\s*1B\s*\)?|\bNPS\b/i, fields: ['section80CCD1B'] },
+  { key: '80D', regex: /\b80\s*D\b|health insurance|mediclaim/i, fields: ['section80D', 'section80DParents'] },
+  { key: 'hra', regex: /\bHRA\b|10\s*\(\s*13A\s*\)|house rent|landlord/i, fields: ['hraClaimed', 'hraExemption', 'rentPaid', 'landlordPan'] },
+  { key: 'itr-form', regex: /\bITR[-\s]?[1-7]\b|\bITR form\b|wrong form|Rule 12\b/i },
+  { key: 'regime', regex: /115BAC|\b(?:new|old|tax) regime\b/i },
+  { key: 'tds', regex: /\bTDS\b|\b26\s*AS\b|Section 19[2-9]\b|Rule 37BA/i },
+  { key: 'salary', regex: /\bsalary\b|Section 1[57]\b/i },
+  { key: 'interest', regex: /interest income|savings interest|\b194A\b|\b80TTA\b/i },
+  { key: 'capital-gains', regex: /capital gains?|Section 11[12]A?\b/i },
+  { key: 'house-property', regex: /house property|home loan interest|Section 24\b/i },
+  { key: 'agricultural', regex: /agricultur/i },
+  { key: 'business', regex: /\bbusiness\b|\bprofession(?:al)?\b|\b44AD/i }
+];
+
+// Topics the rule engine settles exactly from the answers. An LLM issue making one of these
+// claims that no rule raised contradicts the computed figures and is dropped. The claim is
+// looked for in the id as well as the text, as only the id is English in a localized response
+const COMPUTED_CLAIMS = [
+  {
+    topic: '80C',
+    claim: /limit|exceed|excess|cap\b|maximum/i,
+    computable: (answers) => toNumber(answers.section80C) !== null
+  },
+  {
+    topic: '80CCD(1B)',
+    claim: /limit|exceed|excess|cap\b|maximum/i,
+    computable: (answers) => toNumber(answers.section80CCD1B) !== null
+  },
+  {
+    topic: '80D',
+    claim: /limit|exceed|excess|cap\b|maximum/i,
+    computable: (answers) => toNumber(answers.section80D) !== null || toNumber(answers.section80DParents) !== null
+  },
+  {
+    topic: 'regime',
+    claim: /costlier|cheaper|lower tax|higher tax|would save|saving|switch/i,
+    computable: (answers, context) => Boolean(context.taxComputation && context.taxComputation.chosenRegime)
+  }
+];
+
+// Word overlap (0-1) from which issues sharing a topic are treated as the same problem
+const SIMILARITY_THRESHOLD = 0.25;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'not', 'you', 'your', 'with', 'has', 'have', 'this', 'that',
+  'under', 'from', 'than', 'but', 'may', 'been', 'can', 'its', 'into', 'section', 'issue'
+]);
+
+// 'section-80c-limit' -> 'section 80c limit'
+function idText(issue) {
+  return typeof issue.id === 'string' ? issue.id.replace(/[-_]+/g, ' ') : '';
+}
+
+function issueText(issue) {
+  return [idText(issue), issue.legalReference, issue.title, issue.short].filter(Boolean).join(' ');
+}
+
+function evidenceFields(issue) {
+  return new Set((issue.evidence || []).map(item => item.field));
+}
+
+// The cited fields only decide when the text names no topic, as an issue comparing figures
+// (e.g. the regime choice) cites the fields of several topics
+function topicsOf(issue) {
+  const text = issueText(issue);
+  const named = TOPICS.filter(topic => topic.regex.test(text));
+  if (named.length > 0) {
+    return new Set(named.map(topic => topic.key));
+  }
+  const fields = evidenceFields(issue);
+  return new Set(TOPICS.filter(topic => (topic.fields || []).some(field => fields.has(field))).map(topic => topic.key));
+}
+
+// Words of the title and short description in any script (letters with their combining
+// marks, so Devanagari, Bengali and Tamil words stay whole), plus the words of the id
+function wordsOf(issue) {
+  const text = `${idText(issue)} ${issue.title} ${issue.short}`.toLowerCase();
+  const words = text.match(/[\p{L}\p{N}][\p{L}\p{M}\p{N}()]+/gu) || [];
+  return new Set(words.filter(word => word.length > 2 && !STOP_WORDS.has(word)));
+}
+
+function jaccard(first, second) {
+  if (first.size === 0 || second.size === 0) {
+    return 0;
+  }
+  let shared = 0;
+  first.forEach(item => {
+    if (second.has(item)) {
+      shared++;
+    }
+  });
+  return shared / (first.size + second.size - shared);
+}
+
+/**
+ * How well an LLM issue matches a rule issue, or null when they describe different problems
+ * Same id always matches; otherwise they must share a topic and either have the same
+ * topics or similar wording
+ */
+function matchScore(llm, rule) {
+  if (llm.issue.id === rule.issue.id) {
+    return { topics: 2, words: 1 };
+  }
+  const topics = jaccard(llm.topics, rule.topics);
+  if (topics === 0) {
+    return null;
+  }
+  const words = jaccard(llm.words, rule.words);
+  if (topics < 1 && words < SIMILARITY_THRESHOLD) {
+    return null;
+  }
+  return { topics, words };
+}
+
+function isBetter(score, best) {
+  return !best || score.topics > best.topics || (score.topics === best.topics && score.words > best.words);
+}
+
+/**
+ * True when an unmatched LLM issue claims something the computed figures rule out
+ * (e.g. an 80C limit breach when the rule engine found the claim within the limit)
+ */
+function contradictsComputedFacts(llm, answers, context) {
+  const text = issueText(llm.issue);
+  return COMPUTED_CLAIMS.some(check => {
+    return llm.topics.has(check.topic) && check.claim.test(text) && check.computable(answers, context);
+  });
+}
+
+function appendUnique(target, items, keyOf) {
+  const seen = new Set(target.map(keyOf));
+  items.forEach(item => {
+    const key = keyOf(item);
+    if (!seen.has(key)) {
+      seen.add(key);
+      target.push(item);
+    }
+  });
+  return target;
+}
+
+/**
+ * Merges LLM issues into the rule issue they duplicate
+ * The rule issue's text, severity and figures are kept; the LLM only fills in what the
+ * rule left empty and adds remediation steps and evidence the rule did not have
+ */
+function mergeInto(ruleIssue, llmIssues) {
+  const merged = {
+    ...ruleIssue,
+    remediation: [...ruleIssue.remediation],
+    evidence: [...ruleIssue.evidence],
+    source: 'both'
+  };
+
+  llmIssues.forEach(llmIssue => {
+    merged.legalReference = merged.legalReference || llmIssue.legalReference;
+    merged.estimatedImpact = merged.estimatedImpact || llmIssue.estimatedImpact;
+    appendUnique(merged.remediation, llmIssue.remediation, step => step.trim().toLowerCase());
+    appendUnique(merged.evidence, llmIssue.evidence, item => `${item.source}:${item.field}`);
+    merged.confidence = Math.max(merged.confidence, llmIssue.confidence);
+  });
+
+  return merged;
+}
+
+/**
+ * Merges normalized rule and LLM issues (see utils/issueModel)
+ * context: { answers, taxComputation } - used to drop LLM claims the computed figures contradict
+ * Returns the rule issues in their order (merged where the LLM found the same problem),
+ * followed by the issues only the LLM found
+ */
+function mergeIssues(ruleIssues = [], llmIssues = [], context = {}) {
+  try {
+    const answers = context.answers && typeof context.answers === 'object' ? context.answers : {};
+    const rules = ruleIssues.map(issue => ({ issue, topics: topicsOf(issue), words: wordsOf(issue), matches: [] }));
+    const llmOnly = [];
+    let dropped = 0;
+
+    llmIssues.forEach(issue => {
+      const llm = { issue, topics: topicsOf(issue), words: wordsOf(issue) };
+      let best = null;
+      let bestScore = null;
+      rules.forEach(rule => {
+        const score = matchScore(llm, rule);
+        if (score && isBetter(score, bestScore)) {
+          best = rule;
+          bestScore = score;
+        }
+      });
+
+      if (best) {
+        best.matches.push(issue);
+      } else if (contradictsComputedFacts(llm, answers, context)) {
+        logger.info('Dropped LLM issue contradicted by the computed figures', { title: issue.title });
+        dropped++;
+      } else {
+        llmOnly.push({ ...issue, source: 'llm' });
+      }
+    });
+
+    const merged = rules.map(rule => {
+      return rule.matches.length > 0 ? mergeInto(rule.issue, rule.matches) : { ...rule.issue, source: 'rules' };
+    });
+
+    const both = rules.filter(rule => rule.matches.length > 0).length;
+    logger.info('Merged issues', { fromRules: merged.length - both, fromLlm: llmOnly.length, fromBoth: both, dropped });
+
+    return [...merged, ...llmOnly];
+  } catch (error) {
+    logger.error('Error merging issues', { error });
+    return [...ruleIssues, ...llmIssues];
+  }
+}
+
+module.exports = {
+  mergeIssues
+};
@@ -0,0 +1,163 @@
+/**
+ * Background job queue for long-running analyses
+ * In-memory queue with a concurrency limit, retries with backoff and automatic cleanup
+ * CRASH-SAFE: A failing job is retried and then marked failed, it never takes the queue down
+ *
+ * Job status: queued → ocr → analyzing → done | failed
+ */
+
+const crypto = require('crypto');
+const { getErrorDefinition } = require('../utils/errorCodes');
+const requestContext = require('../utils/requestContext');
+const logger = require('../utils/logger');
+const metricsService = require('./metricsService');
+
+const STATUSES = ['queued', 'ocr', 'analyzing', 'done', 'failed'];
+
+class JobQueue {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || Number(process.env.JOB_CONCURRENCY) || 2;
+    this.maxAttempts = options.maxAttempts || Number(process.env.JOB_MAX_ATTEMPTS) || 3;
+    this.maxQueued = options.maxQueued || Number(process.env.JOB_MAX_QUEUED) || 100;
+    this.retryDelayMs = options.retryDelayMs || 2000;
+    // Finished jobs are kept this long so clients can still poll the result
+    this.ttlMs = options.ttlMs || Number(process.env.JOB_TTL_MS) || 60 * 60 * 1000;
+
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+
+    const cleanup = setInterval(() => this.cleanup(), Math.min(this.ttlMs, 60 * 1000));
+    cleanup.unref();
+  }
+
+  /**
+   * Adds a job to the queue
+   * task(job, setStatus) must return a promise with the job result
+   * options.client: name of the API client, the only one get() returns the job to (null when authentication is off)
+   * The task runs in the context of the request that queued it, so its logs and OCR and LLM
+   * calls carry that request's id (also kept on the job as requestId)
+   * Returns the public view of the job, or null when the queue is full
+   */
+  enqueue(task, options = {}) {
+    const waiting = this.pending.length;
+    if (waiting >= this.maxQueued) {
+      logger.warn('Job queue full, rejecting job', { waiting });
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      requestId: requestContext.getRequestId(),
+      client: options.client || null,
+      status: 'queued',
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now,
+      result: null,
+      error: null,
+      task,
+      context: requestContext.get()
+    };
+
+    // Snapshot before draining, since the job may start (and change status) immediately
+    const queuedView = this.view(job);
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.drain();
+    return queuedView;
+  }
+
+  /**
+   * Returns the public view of a job, or null if unknown, expired or queued by another client
+   * client: the caller's client name, null when authentication is off (any job is returned)
+   */
+  get(id, client = null) {
+    const job = this.jobs.get(id);
+    if (!job || (client !== null && client !== undefined && job.client !== client)) {
+      return null;
+    }
+    return this.view(job);
+  }
+
+  /**
+   * Number of jobs waiting and running, for monitoring
+   */
+  stats() {
+    return { queued: this.pending.length, running: this.running, concurrency: this.concurrency };
+  }
+
+  view(job) {
+    const { task, context, client, ...publicJob } = job;
+    return { ...publicJob };
+  }
+
+  setStatus(job, status) {
+    if (STATUSES.includes(status)) {
+      job.status = status;
+      job.updatedAt = new Date().toISOString();
+    }
+  }
+
+  /**
+   * Starts pending jobs up to the concurrency limit
+   */
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this.running++;
+      this.run(job).finally(() => {
+        this.running--;
+        this.drain();
+      });
+    }
+  }
+
+  async run(job) {
+    job.attempts++;
+    try {
+      const result = await requestContext.run(job.context || { requestId: job.requestId }, () =>
+        job.task(this.view(job), (status) => this.setStatus(job, status)));
+      job.result = result;
+      job.error = null;
+      this.setStatus(job, 'done');
+    } catch (error) {
+      logger.error('Job attempt failed', { jobId: job.id, attempt: job.attempts, error });
+      if (job.attempts < this.maxAttempts) {
+        // Transient failure: back off and queue the job again
+        this.setStatus(job, 'queued');
+        const delay = this.retryDelayMs * Math.pow(2, job.attempts - 1);
+        const retry = setTimeout(() => {
+          this.pending.push(job);
+          this.drain();
+        }, delay);
+        retry.unref();
+      } else {
+        job.error = { code: 'ANALYSIS_FAILED', message: getErrorDefinition('ANALYSIS_FAILED').message };
+        this.setStatus(job, 'failed');
+      }
+    }
+  }
+
+  /**
+   * Removes finished jobs older than the TTL
+   */
+  cleanup() {
+    const cutoff = Date.now() - this.ttlMs;
+    for (const [id, job] of this.jobs) {
+      if ((job.status === 'done' || job.status === 'failed') && new Date(job.updatedAt).getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new JobQueue();
+module.exports.JobQueue = JobQueue;
+
+metricsService.registerGauge('analysis_jobs', 'Background analysis jobs by state', () => {
+  const { queued, running } = module.exports.stats();
+  return [{ labels: { state: 'queued' }, value: queued }, { labels: { state: 'running' }, value: running }];
+});
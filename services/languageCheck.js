@@ -0,0 +1,107 @@
+/**
+ * Language Check
+ * Verifies that LLM findings are written in the language the user asked for
+ * The model is told to answer in that language; this checks that it did, before its findings are used:
+ * - the summary and each issue's title, short, long, remediation and impact basis are mostly in the
+ *   language's script (at least MIN_SCRIPT_SHARE of their letters, once the tax terms that stay in English
+ *   and the [PAN_1]-style placeholders are left out)
+ * - tax terms are kept verbatim: none of the catalogue's translatedTaxTerms patterns appear (e.g. "धारा 80C"
+ *   for Section 80C), and legalReference has no letters of a non-Latin script
+ * CRASH-SAFE: Never throws; an error in the check fails the response
+ */
+
+const locales = require('../config/locales');
+const logger = require('../utils/logger');
+
+// Share of a text's letters that must be in the language's script
+const MIN_SCRIPT_SHARE = 0.6;
+
+// Texts with fewer letters than this (once tax terms are removed) say too little to judge their language
+const MIN_LETTERS = 12;
+
+// Tax terms, references and placeholders that stay in English whatever the language
+const VERBATIM_PATTERNS = [
+  /\[[A-Z0-9_]+\]/g,
+  /\bITR-\d+[A-Z]?\b/g,
+  /\b(?:Sections?|Rules?|Schedule|Form|Part|Chapter)\s+[0-9A-Z][0-9A-Za-z()/.-]*/g,
+  /\bIncome-tax (?:Act|Rules)\b/g,
+  /\b(?:TDS|TCS|PAN|TAN|AIS|TIS|HRA|NPS|ELSS|PPF|NSC|NSS|AY|FY|TRACES|JSON|Sahaj|Sugam)\b/g,
+  /\bRs\.?/g
+];
+
+function scriptPattern(script) {
+  return new RegExp(`\\p{Script=${script}}`, 'u');
+}
+
+/**
+ * Share of the letters of a text that are in the script, or null when the text is too short to tell
+ */
+function scriptShare(text, script) {
+  const stripped = VERBATIM_PATTERNS.reduce((result, pattern) => result.replace(pattern, ' '), text);
+  const letters = stripped.match(/[\p{L}\p{M}]/gu) || [];
+  if (letters.length < MIN_LETTERS) {
+    return null;
+  }
+  const inScript = scriptPattern(script);
+  return letters.filter(letter => inScript.test(letter)).length / letters.length;
+}
+
+/**
+ * The texts of a response to check, as [{ field, text }]
+ */
+function responseTexts(response) {
+  const texts = [{ field: 'summary', text: response.summary }];
+  (response.detectedIssues || []).forEach((issue, index) => {
+    const prefix = `detectedIssues[${index}]`;
+    ['title', 'short', 'long'].forEach(name => texts.push({ field: `${prefix}.${name}`, text: issue[name] }));
+    if (Array.isArray(issue.remediation)) {
+      issue.remediation.forEach((step, stepIndex) => texts.push({ field: `${prefix}.remediation[${stepIndex}]`, text: step }));
+    }
+    if (issue.estimatedImpact && typeof issue.estimatedImpact === 'object') {
+      texts.push({ field: `${prefix}.estimatedImpact.basis`, text: issue.estimatedImpact.basis });
+    }
+  });
+  return texts.filter(entry => typeof entry.text === 'string' && entry.text.trim().length > 0);
+}
+
+/**
+ * Checks a parsed LLM response ({ summary, detectedIssues }) against the requested language
+ * Returns { ok: true } or { ok: false, field, reason }
+ */
+function checkResponse(response, language) {
+  try {
+    const { code, script, translatedTaxTerms } = locales.getLanguage(language);
+    const translatedTerms = translatedTaxTerms.map(pattern => new RegExp(pattern, 'u'));
+
+    for (const { field, text } of responseTexts(response)) {
+      const share = scriptShare(text, script);
+      if (share !== null && share < MIN_SCRIPT_SHARE) {
+        return { ok: false, field, reason: `only ${Math.round(share * 100)}% of the text is in ${script} script (${code})` };
+      }
+      const translatedTerm = translatedTerms.find(pattern => pattern.test(text));
+      if (translatedTerm) {
+        return { ok: false, field, reason: `a tax term was translated instead of kept verbatim (${translatedTerm.source})` };
+      }
+    }
+
+    if (script !== 'Latin') {
+      const inScript = scriptPattern(script);
+      const index = (response.detectedIssues || [])
+        .findIndex(issue => typeof issue.legalReference === 'string' && inScript.test(issue.legalReference));
+      if (index !== -1) {
+        return { ok: false, field: `detectedIssues[${index}].legalReference`, reason: 'legalReference must stay in English' };
+      }
+    }
+
+    return { ok: true };
+  } catch (error) {
+    logger.error('Language check failed', { error });
+    return { ok: false, field: null, reason: 'language check failed' };
+  }
+}
+
+module.exports = {
+  checkResponse,
+  scriptShare,
+  MIN_SCRIPT_SHARE
+};
@@ -0,0 +1,79 @@
+/**
+ * Azure OpenAI chat-completions provider
+ *
+ * POST {endpoint}/openai/deployments/{deployment}/chat/completions?api-version={version}
+ * Headers: api-key, x-ms-client-request-id (the API request id, echoed in Azure's logs)
+ */
+
+const axios = require('axios');
+
+class AzureOpenAIProvider {
+  constructor(env = process.env) {
+    this.name = 'azure-openai';
+
+    const endpoint = env.AZURE_OPENAI_ENDPOINT;
+    const key = env.AZURE_OPENAI_KEY;
+    const deploymentName = env.AZURE_OPENAI_DEPLOYMENT_NAME;
+
+    this.config = endpoint && key && deploymentName
+      ? {
+          endpoint: endpoint.replace(/\/$/, ''), // Remove trailing slash
+          key: key,
+          deploymentName: deploymentName,
+          apiVersion: env.AZURE_OPENAI_API_VERSION || '2023-12-01-preview',
+          timeout: Number(env.AZURE_OPENAI_TIMEOUT_MS) || 8000
+        }
+      : null;
+  }
+
+  isConfigured() {
+    return this.config !== null;
+  }
+
+  /**
+   * Sends the prompt and returns the raw text of the model's answer
+   * Throws on HTTP errors or an empty answer
+   */
+  async complete({ system, prompt, requestId, maxTokens = 2000, onUsage, signal }) {
+    const headers = {
+      'api-key': this.config.key,
+      'Content-Type': 'application/json'
+    };
+    if (requestId) {
+      headers['x-ms-client-request-id'] = requestId;
+    }
+
+    const url = `${this.config.endpoint}/openai/deployments/${this.config.deploymentName}/chat/completions?api-version=${this.config.apiVersion}`;
+
+    const response = await axios.post(
+      url,
+      {
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt }
+        ],
+        temperature: 0.3,
+        max_tokens: maxTokens,
+        response_format: { type: 'json_object' } // Request JSON mode if supported
+      },
+      {
+        headers,
+        timeout: this.config.timeout,
+        signal
+      }
+    );
+
+    const usage = response.data?.usage;
+    if (usage && typeof onUsage === 'function') {
+      onUsage({ promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens });
+    }
+
+    const content = response.data?.choices?.[0]?.message?.content;
+    if (!content) {
+      throw new Error('No content in Azure OpenAI response');
+    }
+    return content;
+  }
+}
+
+module.exports = AzureOpenAIProvider;
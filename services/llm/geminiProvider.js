@@ -0,0 +1,84 @@
+/**
+ * Google Gemini provider
+ *
+ * POST https://generativelanguage.googleapis.com/v1beta/models/{model}:generateContent
+ * Headers: x-goog-api-key, X-Request-Id
+ */
+
+const axios = require('axios');
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+class GeminiProvider {
+  constructor(env = process.env) {
+    this.name = 'gemini';
+
+    this.config = env.GEMINI_API_KEY
+      ? {
+          key: env.GEMINI_API_KEY,
+          model: env.GEMINI_MODEL || 'gemini-1.5-flash',
+          baseUrl: (env.GEMINI_BASE_URL || GEMINI_BASE_URL).replace(/\/$/, ''),
+          timeout: Number(env.GEMINI_TIMEOUT_MS) || 15000
+        }
+      : null;
+  }
+
+  isConfigured() {
+    return this.config !== null;
+  }
+
+  /**
+   * Sends the prompt and returns the raw text of the model's answer
+   * Throws on HTTP errors, a blocked prompt or an empty answer
+   */
+  async complete({ system, prompt, requestId, maxTokens = 2000, onUsage, signal }) {
+    const headers = {
+      'x-goog-api-key': this.config.key,
+      'Content-Type': 'application/json'
+    };
+    if (requestId) {
+      headers['X-Request-Id'] = requestId;
+    }
+
+    const url = `${this.config.baseUrl}/models/${this.config.model}:generateContent`;
+
+    const response = await axios.post(
+      url,
+      {
+        systemInstruction: { parts: [{ text: system }] },
+        contents: [
+          { role: 'user', parts: [{ text: prompt }] }
+        ],
+        generationConfig: {
+          temperature: 0.3,
+          maxOutputTokens: maxTokens,
+          responseMimeType: 'application/json'
+        }
+      },
+      {
+        headers,
+        timeout: this.config.timeout,
+        signal
+      }
+    );
+
+    const usage = response.data?.usageMetadata;
+    if (usage && typeof onUsage === 'function') {
+      onUsage({ promptTokens: usage.promptTokenCount, completionTokens: usage.candidatesTokenCount });
+    }
+
+    const blockReason = response.data?.promptFeedback?.blockReason;
+    if (blockReason) {
+      throw new Error(`Gemini blocked the prompt: ${blockReason}`);
+    }
+
+    const parts = response.data?.candidates?.[0]?.content?.parts || [];
+    const content = parts.map(part => part.text || '').join('');
+    if (!content) {
+      throw new Error('No content in Gemini response');
+    }
+    return content;
+  }
+}
+
+module.exports = GeminiProvider;
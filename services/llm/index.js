@@ -0,0 +1,59 @@
+/**
+ * LLM provider registry
+ * Builds the ordered failover chain of configured providers from LLM_PROVIDERS
+ *
+ * Every provider implements:
+ *   name: string
+ *   isConfigured(): boolean
+ *   complete({ system, prompt, requestId, maxTokens, onUsage, signal }): Promise<string>   // raw model text, throws on failure
+ *     requestId: sent to the provider in a request id header, for tracing a call across both sides
+ *     maxTokens: cap on the length of the answer (2000 when not given)
+ *     onUsage({ promptTokens, completionTokens }): called when the provider reports token usage
+ *     signal: AbortSignal that cancels the HTTP request (the client went away)
+ */
+
+const AzureOpenAIProvider = require('./azureOpenAIProvider');
+const GeminiProvider = require('./geminiProvider');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const logger = require('../../utils/logger');
+
+const PROVIDERS = {
+  'azure-openai': AzureOpenAIProvider,
+  gemini: GeminiProvider,
+  'openai-compatible': OpenAICompatibleProvider
+};
+
+const DEFAULT_CHAIN = 'azure-openai';
+
+/**
+ * Returns the configured providers in failover order
+ * LLM_PROVIDERS is a comma-separated list, e.g. "azure-openai,gemini,openai-compatible".
+ * Unknown names and providers without credentials are skipped with a warning.
+ */
+function createProviderChain(env = process.env) {
+  const names = (env.LLM_PROVIDERS || DEFAULT_CHAIN)
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const chain = [];
+  for (const name of names) {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+      logger.warn('Unknown LLM provider in LLM_PROVIDERS, skipping', { provider: name });
+      continue;
+    }
+    const provider = new Provider(env);
+    if (provider.isConfigured()) {
+      chain.push(provider);
+    } else if (env.LLM_PROVIDERS) {
+      logger.warn('LLM provider is not configured, skipping', { provider: name });
+    }
+  }
+  return chain;
+}
+
+module.exports = {
+  createProviderChain,
+  PROVIDER_NAMES: Object.keys(PROVIDERS)
+};
@@ -0,0 +1,81 @@
+/**
+ * Provider for any OpenAI-compatible chat-completions endpoint
+ * (OpenAI itself, or a local llama.cpp / Ollama / vLLM server)
+ *
+ * POST {baseUrl}/chat/completions
+ * Headers: Authorization: Bearer {key} (optional for local servers), X-Request-Id
+ */
+
+const axios = require('axios');
+
+class OpenAICompatibleProvider {
+  constructor(env = process.env) {
+    this.name = 'openai-compatible';
+
+    const baseUrl = env.OPENAI_COMPATIBLE_BASE_URL;
+    const model = env.OPENAI_COMPATIBLE_MODEL;
+
+    this.config = baseUrl && model
+      ? {
+          baseUrl: baseUrl.replace(/\/$/, ''), // e.g. http://localhost:11434/v1
+          key: env.OPENAI_COMPATIBLE_API_KEY || null,
+          model: model,
+          // Local models on CPU are slow, so the default timeout is generous
+          timeout: Number(env.OPENAI_COMPATIBLE_TIMEOUT_MS) || 60000,
+          jsonMode: env.OPENAI_COMPATIBLE_JSON_MODE !== 'false'
+        }
+      : null;
+  }
+
+  isConfigured() {
+    return this.config !== null;
+  }
+
+  /**
+   * Sends the prompt and returns the raw text of the model's answer
+   * Throws on HTTP errors or an empty answer
+   */
+  async complete({ system, prompt, requestId, maxTokens = 2000, onUsage, signal }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.config.key) {
+      headers.Authorization = `Bearer ${this.config.key}`;
+    }
+    if (requestId) {
+      headers['X-Request-Id'] = requestId;
+    }
+
+    const body = {
+      model: this.config.model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      temperature: 0.3,
+      max_tokens: maxTokens
+    };
+    // Some local servers reject response_format, so it can be turned off
+    if (this.config.jsonMode) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    const response = await axios.post(`${this.config.baseUrl}/chat/completions`, body, {
+      headers,
+      timeout: this.config.timeout,
+      signal
+    });
+
+    // Local servers do not always report usage
+    const usage = response.data?.usage;
+    if (usage && typeof onUsage === 'function') {
+      onUsage({ promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens });
+    }
+
+    const content = response.data?.choices?.[0]?.message?.content;
+    if (!content) {
+      throw new Error('No content in OpenAI-compatible response');
+    }
+    return content;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
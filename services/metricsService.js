@@ -0,0 +1,243 @@
+/**
+ * Metrics Service
+ * In-memory counters, gauges and histograms exposed in the Prometheus text format on GET /metrics
+ * CRASH-SAFE: Recording a metric never throws
+ *
+ * Metrics are per process and reset on restart; Prometheus computes rates from the counters.
+ * Label values must come from small fixed sets (route patterns, error codes, provider names),
+ * never from ids or user input.
+ */
+
+const logger = require('../utils/logger');
+const { getBreakerStates, STATES } = require('../utils/circuitBreaker');
+
+// Seconds; OCR and LLM calls take from under a second to a minute
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60];
+const ATTEMPT_BUCKETS = [1, 2, 3, 4, 5, 6, 8, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Base for metrics with labels: one series per combination of label values
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  // Only the declared labels are kept, in declaration order, so keys are stable
+  labelsOf(labels = {}) {
+    const result = {};
+    for (const name of this.labelNames) {
+      result[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+    }
+    return result;
+  }
+
+  seriesFor(labels, create) {
+    const clean = this.labelsOf(labels);
+    const key = JSON.stringify(clean);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: clean, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels, value = 1) {
+    try {
+      if (value >= 0) {
+        this.seriesFor(labels, () => ({ value: 0 })).value += value;
+      }
+    } catch (error) {
+      logger.warn('Metric not recorded', { metric: this.name, error });
+    }
+  }
+
+  render() {
+    const lines = this.header();
+    for (const series of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(series.labels)} ${series.value}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Gauge read when /metrics is scraped: collect() returns [{ labels, value }]
+ */
+class CallbackGauge extends Metric {
+  constructor(name, help, collect) {
+    super('gauge', name, help);
+    this.collect = collect;
+  }
+
+  render() {
+    const lines = this.header();
+    try {
+      for (const { labels, value } of this.collect()) {
+        lines.push(`${this.name}${formatLabels(labels || {})} ${value}`);
+      }
+    } catch (error) {
+      logger.warn('Gauge could not be read', { metric: this.name, error });
+    }
+    return lines;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DURATION_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    try {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return;
+      }
+      const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+      this.buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          series.counts[index]++;
+        }
+      });
+      series.sum += value;
+      series.count++;
+    } catch (error) {
+      logger.warn('Metric not recorded', { metric: this.name, error });
+    }
+  }
+
+  /**
+   * Starts a timer; calling the returned function records the seconds elapsed
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = this.header();
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsService {
+  constructor() {
+    this.metrics = [];
+
+    this.httpRequests = this.register(new Counter(
+      'http_requests_total', 'HTTP requests by route pattern and status', ['method', 'route', 'status']));
+    this.httpDuration = this.register(new Histogram(
+      'http_request_duration_seconds', 'HTTP request latency by route pattern', ['method', 'route']));
+    this.errors = this.register(new Counter(
+      'api_errors_total', 'Error responses by error code', ['code']));
+
+    this.analysisDuration = this.register(new Histogram(
+      'analysis_duration_seconds', 'Analysis latency (OCR, rule engine, LLM and storage), by whether documents were uploaded', ['documents']));
+    this.analysisResults = this.register(new Counter(
+      'analysis_results_total', 'Analyses by what produced the result: llm (merged with the rules), rules or mock', ['engine']));
+    this.analysisFallbacks = this.register(new Counter(
+      'analysis_fallbacks_total', 'Analyses answered without the LLM, by reason', ['reason']));
+    this.analysisWarnings = this.register(new Counter(
+      'analysis_warnings_total', 'Warnings returned with analyses, by warning code', ['code']));
+
+    this.ocrDuration = this.register(new Histogram(
+      'ocr_duration_seconds', 'Azure Document Intelligence time per document, by outcome (success, timeout, failed, circuit_open, cancelled)', ['outcome']));
+    this.ocrAttempts = this.register(new Histogram(
+      'ocr_poll_attempts', 'Result polls per OCR document', ['outcome'], ATTEMPT_BUCKETS));
+
+    this.llmDuration = this.register(new Histogram(
+      'llm_request_duration_seconds', 'LLM call latency by provider and outcome (success, error, invalid, wrong_language, circuit_open, cancelled)', ['provider', 'outcome']));
+    this.llmTokens = this.register(new Counter(
+      'llm_tokens_total', 'LLM tokens used by provider and type (prompt or completion)', ['provider', 'type']));
+
+    this.cacheLookups = this.register(new Counter(
+      'cache_lookups_total', 'Cache lookups by cache (ocr, analysis, idempotency) and result (hit or miss)', ['cache', 'result']));
+
+    // 0 closed, 1 half-open, 2 open
+    const circuitValues = { [STATES.closed]: 0, [STATES.halfOpen]: 1, [STATES.open]: 2 };
+    this.register(new CallbackGauge('circuit_breaker_state', 'Circuit state per dependency: 0 closed, 1 half-open, 2 open',
+      () => getBreakerStates().map(breaker => ({ labels: { dependency: breaker.name }, value: circuitValues[breaker.state] }))));
+
+    this.register(new CallbackGauge('process_uptime_seconds', 'Seconds since the process started',
+      () => [{ value: Math.round(process.uptime()) }]));
+    this.register(new CallbackGauge('process_resident_memory_bytes', 'Resident memory of the process',
+      () => [{ value: process.memoryUsage().rss }]));
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Adds a gauge read at scrape time (e.g. the job queue length)
+   */
+  registerGauge(name, help, collect) {
+    return this.register(new CallbackGauge(name, help, collect));
+  }
+
+  /**
+   * Records the token usage reported by an LLM provider
+   * usage: { promptTokens, completionTokens } (missing counts are skipped)
+   */
+  recordLlmUsage(provider, usage) {
+    if (!usage) {
+      return;
+    }
+    if (usage.promptTokens > 0) {
+      this.llmTokens.inc({ provider, type: 'prompt' }, usage.promptTokens);
+    }
+    if (usage.completionTokens > 0) {
+      this.llmTokens.inc({ provider, type: 'completion' }, usage.completionTokens);
+    }
+  }
+
+  /**
+   * All metrics in the Prometheus text exposition format (version 0.0.4)
+   */
+  render() {
+    return `${this.metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+// Export singleton instance
+module.exports = new MetricsService();
+module.exports.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
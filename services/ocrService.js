@@ -1,9 +1,36 @@
 /**
  * OCR Service for extracting text from documents using Azure Document Intelligence
  * CRASH-SAFE: Never throws errors, returns empty string on failure
+ *
+ * Calls are retried on throttling and transient errors and go through the
+ * 'document-intelligence' circuit breaker, so an outage fails fast instead of every
+ * upload waiting for the timeouts. The submit is not idempotent and is only retried
+ * on 429 and connection errors; the result polls are retried on any transient error.
+ *
+ * Configuration:
+ *   OCR_MAX_RETRIES       retries per call (default 3)
+ *   OCR_POLL_TIMEOUT_MS   how long to wait for the analysis result (default 30000)
  */
 
 const axios = require('axios');
+const metricsService = require('./metricsService');
+const requestContext = require('../utils/requestContext');
+const { withRetry, isTimeout, isCancellation, parseRetryAfter, sleep } = require('../utils/retry');
+const { getBreaker } = require('../utils/circuitBreaker');
+const logger = require('../utils/logger');
+
+const BREAKER_NAME = 'document-intelligence';
+
+// Bounds for the wait between result polls, whatever retry-after says
+const MIN_POLL_DELAY_MS = 250;
+const MAX_POLL_DELAY_MS = 5000;
+const DEFAULT_POLL_DELAY_MS = 1000;
+
+function pollDelay(headers) {
+  const retryAfter = parseRetryAfter(headers);
+  const delay = retryAfter === null ? DEFAULT_POLL_DELAY_MS : retryAfter;
+  return Math.min(MAX_POLL_DELAY_MS, Math.max(MIN_POLL_DELAY_MS, delay));
+}
 
 class OCRService {
   constructor() {
@@ -13,10 +40,16 @@ class OCRService {
     if (endpoint && key) {
       this.config = {
         endpoint: endpoint.replace(/\/$/, ''), // Remove trailing slash
-        key: key
+        key: key,
+        maxRetries: Number.isInteger(Number(process.env.OCR_MAX_RETRIES)) && process.env.OCR_MAX_RETRIES !== '' && process.env.OCR_MAX_RETRIES !== undefined
+          ? Number(process.env.OCR_MAX_RETRIES)
+          : 3,
+        pollTimeoutMs: Number(process.env.OCR_POLL_TIMEOUT_MS) || 30000
       };
+      this.breaker = getBreaker(BREAKER_NAME);
     } else {
       this.config = null;
+      this.breaker = null;
     }
   }
 
@@ -32,90 +65,142 @@ class OCRService {
    * CRASH-SAFE: Wrapped in try/catch, always returns string (empty on error)
    */
   async extractText(file, mimeType) {
+    const { text } = await this.extractTextWithStatus(file, mimeType);
+    return text;
+  }
+
+  /**
+   * Extracts text from a document file, reporting why no text was returned
+   * options.signal: AbortSignal that cancels the outstanding Azure requests
+   * Returns { text, error, cancelled } where error is null, 'OCR_TIMEOUT' or 'OCR_FAILED'
+   * (cancelled is true when the signal aborted the read)
+   * CRASH-SAFE: Wrapped in try/catch, never throws
+   */
+  async extractTextWithStatus(file, mimeType, options = {}) {
     if (!this.config) {
-      console.log('Azure Document Intelligence not configured, skipping OCR');
-      return '';
+      logger.info('Azure Document Intelligence not configured, skipping OCR');
+      return { text: '', error: null };
+    }
+
+    const stopTimer = metricsService.ocrDuration.startTimer();
+    const { text, error, polls, circuitOpen, cancelled } = await this.analyzeDocument(file, mimeType, options.signal);
+    let outcome = error === 'OCR_TIMEOUT' ? 'timeout' : (error ? 'failed' : 'success');
+    if (circuitOpen) {
+      outcome = 'circuit_open';
+    } else if (cancelled) {
+      outcome = 'cancelled';
+    }
+    const seconds = stopTimer({ outcome });
+    metricsService.ocrAttempts.observe({ outcome }, polls);
+    logger.info('OCR finished', { outcome, polls, durationMs: Math.round(seconds * 1000), textLength: text.length });
+    return { text, error, cancelled: Boolean(cancelled) };
+  }
+
+  /**
+   * Headers for Document Intelligence calls; x-ms-client-request-id ties them to the API request in Azure's logs
+   */
+  headers(extra = {}) {
+    const headers = { 'Ocp-Apim-Subscription-Key': this.config.key, ...extra };
+    const requestId = requestContext.getRequestId();
+    if (requestId) {
+      headers['x-ms-client-request-id'] = requestId;
     }
+    return headers;
+  }
+
+  /**
+   * One call to Document Intelligence through its circuit breaker, retried on throttling
+   * and transient errors (see utils/retry); config.signal cancels it and its retries
+   */
+  request(config, retryOptions = {}) {
+    return this.breaker.execute(() => withRetry(
+      () => axios({ ...config, headers: this.headers(config.headers) }),
+      { name: BREAKER_NAME, retries: this.config.maxRetries, signal: config.signal, ...retryOptions }
+    ));
+  }
 
+  /**
+   * Submits the document and polls for the result until OCR_POLL_TIMEOUT_MS
+   * Polls follow the service's retry-after (1 second when it sends none)
+   * Returns { text, error, polls, circuitOpen, cancelled } (polls: result requests made)
+   */
+  async analyzeDocument(file, mimeType, signal) {
+    let polls = 0;
     try {
       // Azure Document Intelligence API endpoint
       const apiVersion = '2023-07-31';
       const analyzeUrl = `${this.config.endpoint}/formrecognizer/documentModels/prebuilt-read/analyze?api-version=${apiVersion}`;
 
-      // Step 1: Submit document for analysis
-      const analyzeResponse = await axios.post(
-        analyzeUrl,
-        file,
-        {
-          headers: {
-            'Ocp-Apim-Subscription-Key': this.config.key,
-            'Content-Type': mimeType
-          },
-          maxRedirects: 0,
-          timeout: 30000 // 30 second timeout
-        }
-      );
+      // Step 1: Submit document for analysis; each submit starts a billed analysis, so it is only
+      // retried when throttled or when it never reached the service
+      const analyzeResponse = await this.request({
+        method: 'post',
+        url: analyzeUrl,
+        data: file,
+        headers: { 'Content-Type': mimeType },
+        maxRedirects: 0,
+        timeout: 30000, // 30 second timeout
+        signal
+      }, { idempotent: false });
 
       // Get operation location from response headers
       const operationLocation = analyzeResponse.headers['operation-location'];
       if (!operationLocation) {
-        console.error('No operation-location header in response');
-        return '';
+        logger.error('No operation-location header in OCR response');
+        return { text: '', error: 'OCR_FAILED', polls };
       }
 
-      // Step 2: Poll for results
-      let resultId = operationLocation.split('/').pop()?.split('?')[0];
+      // Step 2: Poll for results (the URL is rebuilt from the result id so the key only goes to our endpoint)
+      const resultId = operationLocation.split('/').pop()?.split('?')[0];
       if (!resultId) {
-        console.error('Could not extract result ID from operation location');
-        return '';
+        logger.error('Could not extract result ID from operation location');
+        return { text: '', error: 'OCR_FAILED', polls };
       }
-
       const resultUrl = `${this.config.endpoint}/formrecognizer/documentModels/prebuilt-read/analyzeResults/${resultId}?api-version=${apiVersion}`;
-      
-      // Poll up to 10 times with 1 second delay
-      let attempts = 0;
-      const maxAttempts = 10;
-      
-      while (attempts < maxAttempts) {
-        await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second
-        
-        try {
-          const resultResponse = await axios.get(resultUrl, {
-            headers: {
-              'Ocp-Apim-Subscription-Key': this.config.key
-            },
-            timeout: 10000
-          });
-
-          const status = resultResponse.data?.status;
-          
-          if (status === 'succeeded') {
-            // Extract text from content
-            const content = resultResponse.data?.analyzeResult?.content || '';
-            return content || '';
-          }
-          
-          if (status === 'failed') {
-            console.error('Document analysis failed:', resultResponse.data?.error);
-            return '';
-          }
-          
-          attempts++;
-        } catch (pollError) {
-          console.error('Error polling OCR result:', pollError.message);
-          attempts++;
+
+      // Until the analysis finishes or the deadline passes
+      const deadline = Date.now() + this.config.pollTimeoutMs;
+      let wait = pollDelay(analyzeResponse.headers);
+
+      while (Date.now() + wait < deadline) {
+        await sleep(wait, signal);
+        polls++;
+        const resultResponse = await this.request({ method: 'get', url: resultUrl, timeout: 10000, signal });
+
+        const status = resultResponse.data?.status;
+
+        if (status === 'succeeded') {
+          // Extract text from content
+          const content = resultResponse.data?.analyzeResult?.content || '';
+          return { text: content, error: null, polls };
+        }
+
+        if (status === 'failed') {
+          logger.error('Document analysis failed', { code: resultResponse.data?.error?.code, error: resultResponse.data?.error?.message });
+          return { text: '', error: 'OCR_FAILED', polls };
         }
+
+        wait = pollDelay(resultResponse.headers);
       }
 
-      console.warn('OCR analysis timed out after maximum attempts');
-      return '';
+      logger.warn('OCR analysis timed out', { polls, pollTimeoutMs: this.config.pollTimeoutMs });
+      return { text: '', error: 'OCR_TIMEOUT', polls };
 
     } catch (error) {
-      console.error('OCR extraction error:', {
-        message: error.message,
+      if (isCancellation(error)) {
+        logger.info('OCR cancelled', { polls });
+        return { text: '', error: 'OCR_FAILED', polls, cancelled: true };
+      }
+      if (error.code === 'CIRCUIT_OPEN') {
+        logger.warn('Document Intelligence circuit is open, skipping OCR');
+        return { text: '', error: 'OCR_FAILED', polls, circuitOpen: true };
+      }
+      logger.error('OCR extraction error', {
+        error,
         status: error.response?.status
       });
-      return ''; // Return empty string on error, let AI service work with answers only
+      // Return empty text on error, let AI service work with answers only
+      return { text: '', error: isTimeout(error) ? 'OCR_TIMEOUT' : 'OCR_FAILED', polls };
     }
   }
 
@@ -134,7 +219,7 @@ class OCRService {
           try {
             return this.extractText(file.buffer, file.mimetype);
           } catch (error) {
-            console.error('Error extracting text from file:', error.message);
+            logger.error('Error extracting text from file', { error });
             return '';
           }
         })
@@ -142,7 +227,7 @@ class OCRService {
       
       return texts.filter(text => text && text.length > 0).join('\n\n---\n\n');
     } catch (error) {
-      console.error('Error in extractTextFromFiles:', error.message);
+      logger.error('Error in extractTextFromFiles', { error });
       return '';
     }
   }
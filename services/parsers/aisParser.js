@@ -0,0 +1,384 @@
+/**
+ * AIS / TIS parser
+ * Reads the Annual Information Statement (AIS) or Taxpayer Information Summary (TIS)
+ * JSON downloaded from the income-tax portal and normalises it into income heads
+ * CRASH-SAFE: Never throws, returns { data: null, problems } when the file is not an AIS/TIS
+ *
+ * The portal's JSON layout differs between AIS and TIS and has changed over the years, so
+ * entries are found by their fields rather than by path: any object with an information
+ * code (TDS-194A, SFT-016, ...) or an information category, and an amount, is an entry.
+ * Codes, categories and reporting sources are inherited from the enclosing objects, so both
+ * "category -> transactions" and flat lists are read.
+ *
+ * The same income is often reported twice in AIS (e.g. interest as SFT-016 by the bank and
+ * as TDS-194A by the same bank), so for each income head and source the highest code total
+ * is taken rather than the sum. TIS values are already de-duplicated; the derived value
+ * (after taxpayer feedback) is used when present.
+ */
+
+const logger = require('../../utils/logger');
+
+// Income heads in the order they are reported
+const INCOME_HEADS = {
+  salary: 'Salary',
+  interestSavings: 'Savings bank interest',
+  interestDeposits: 'Interest on deposits',
+  interestOther: 'Other interest',
+  dividends: 'Dividends',
+  rent: 'Rent received',
+  winnings: 'Lottery and game winnings',
+  otherIncome: 'Other income',
+  securitiesSales: 'Sale of securities and mutual fund units',
+  propertySales: 'Sale of immovable property'
+};
+
+// Information codes by income head: TDS codes are the section, SFT codes the statement type
+const INFORMATION_CODES = {
+  'TDS-192': 'salary',
+  'TDS-193': 'interestOther',
+  'TDS-194A': 'interestDeposits',
+  'SFT-016': 'interestDeposits',
+  'TDS-194': 'dividends',
+  'TDS-194K': 'dividends',
+  'SFT-015': 'dividends',
+  'TDS-194I': 'rent',
+  'TDS-194IB': 'rent',
+  'TDS-194B': 'winnings',
+  'TDS-194BA': 'winnings',
+  'TDS-194BB': 'winnings',
+  'TDS-194DA': 'otherIncome',
+  'TDS-194EE': 'otherIncome',
+  'SFT-017': 'securitiesSales',
+  'TDS-194IA': 'propertySales'
+};
+
+// SFT-016 is split by a suffix: (SB) savings, (TD) time deposits, (OTH) others
+const INTEREST_SUFFIXES = { SB: 'interestSavings', TD: 'interestDeposits', OTH: 'interestOther' };
+
+// TIS categories and AIS descriptions, for entries without a known code (first match wins)
+const DESCRIPTION_HEADS = [
+  [/salary/i, 'salary'],
+  [/interest from savings/i, 'interestSavings'],
+  [/interest from (?:deposit|fixed|term|time|recurring)/i, 'interestDeposits'],
+  [/interest/i, 'interestOther'],
+  [/dividend/i, 'dividends'],
+  [/rent(?:al)? (?:received|income)|^rent/i, 'rent'],
+  [/winnings?|lottery|online game/i, 'winnings'],
+  [/sale of (?:securities|shares|units)|redemption of (?:mutual fund )?units/i, 'securitiesSales'],
+  [/sale of (?:land|building|immovable|property)/i, 'propertySales'],
+  [/insurance pay-?out|national savings scheme/i, 'otherIncome']
+];
+
+// Field names are compared lower-case without punctuation
+const CODE_KEYS = ['informationcode', 'infocode', 'sftcode', 'tdscode', 'code', 'tdssection', 'section'];
+const DESCRIPTION_KEYS = ['informationcategory', 'infocategory', 'category', 'informationdescription', 'infodesc', 'description', 'natureofincome', 'natureoftransaction'];
+const SOURCE_KEYS = ['informationsource', 'sourcename', 'source', 'reportedby', 'deductorname', 'nameofdeductor', 'filername', 'reportingentity'];
+const TAN_KEYS = ['tan', 'deductortan', 'sourcetan', 'tanofdeductor'];
+// TIS derived/processed values first, then AIS amounts
+const AMOUNT_KEYS = [
+  'derivedvalue', 'acceptedvalue', 'processedvalue', 'reportedvalue', 'amount', 'amountpaid', 'amountpaidcredited',
+  'amountcredited', 'saleconsideration', 'salesconsideration', 'totalamount', 'value'
+];
+const TIS_AMOUNT_KEYS = ['derivedvalue', 'acceptedvalue', 'processedvalue'];
+const TDS_KEYS = ['tdsdeducted', 'taxdeducted', 'tdsamount', 'tdstcsdeducted', 'taxdeductedcollected', 'tds'];
+
+const PAN = /^[A-Z]{5}\d{4}[A-Z]$/;
+const BARE_SECTION = /^([0-9]{3}[A-Z]{0,2})$/i;
+const CODE = /^(TDS|TCS|SFT)\s*-?\s*([0-9]{3}[A-Z]{0,2})\s*(?:\(\s*([A-Z]+)\s*\))?/i;
+
+// The portal never nests deeper than this; entries beyond the limit are ignored
+const MAX_DEPTH = 12;
+const MAX_ENTRIES = 10000;
+const MAX_HIGH_VALUE_TRANSACTIONS = 50;
+
+function normaliseKey(key) {
+  return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function parseAmount(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== 'string' || !/\d/.test(value)) {
+    return null;
+  }
+  const parsed = Number(value.replace(/[,\s₹]|Rs\.?|INR/gi, ''));
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * The first field of `node` whose normalised name is in `keys` (in the order of `keys`)
+ * Returns { key, value } or null
+ */
+function pick(node, keys) {
+  const fields = {};
+  for (const [key, value] of Object.entries(node)) {
+    if (value !== null && typeof value !== 'object') {
+      const name = normaliseKey(key);
+      if (!(name in fields)) {
+        fields[name] = value;
+      }
+    }
+  }
+  for (const key of keys) {
+    if (key in fields && String(fields[key]).trim().length > 0) {
+      return { key, value: fields[key] };
+    }
+  }
+  return null;
+}
+
+/**
+ * "TDS-194A", "SFT 016 (SB)" -> { code: 'TDS-194A', suffix }; null when not an information code
+ * A bare section ("194A") is a TDS code when it is given as the section
+ */
+function parseCode({ key, value }) {
+  const text = String(value).trim();
+  const section = text.match(BARE_SECTION);
+  if (section && key.includes('section')) {
+    return { code: `TDS-${section[1].toUpperCase()}`, suffix: null };
+  }
+  const match = text.match(CODE);
+  if (!match) {
+    return null;
+  }
+  return { code: `${match[1].toUpperCase()}-${match[2].toUpperCase()}`, suffix: match[3] ? match[3].toUpperCase() : null };
+}
+
+function classify(code, suffix, description) {
+  if (code === 'SFT-016' && suffix && INTEREST_SUFFIXES[suffix]) {
+    return INTEREST_SUFFIXES[suffix];
+  }
+  if (code === 'SFT-016' && description) {
+    const byDescription = DESCRIPTION_HEADS.find(([regex]) => regex.test(description));
+    if (byDescription && byDescription[1].startsWith('interest')) {
+      return byDescription[1];
+    }
+  }
+  if (code && INFORMATION_CODES[code]) {
+    return INFORMATION_CODES[code];
+  }
+  if (description) {
+    const match = DESCRIPTION_HEADS.find(([regex]) => regex.test(description));
+    if (match) {
+      return match[1];
+    }
+  }
+  return null;
+}
+
+/**
+ * Classification fields of an object, over those inherited from its parents
+ */
+function ownContext(node, context) {
+  const codeField = pick(node, CODE_KEYS);
+  const parsedCode = codeField ? parseCode(codeField) : null;
+  const description = pick(node, DESCRIPTION_KEYS);
+  const source = pick(node, SOURCE_KEYS);
+  const tan = pick(node, TAN_KEYS);
+  return {
+    code: parsedCode ? parsedCode.code : context.code,
+    suffix: parsedCode ? parsedCode.suffix : context.suffix,
+    description: description ? String(description.value).trim() : context.description,
+    source: source ? String(source.value).trim() : context.source,
+    tan: tan ? String(tan.value).trim().toUpperCase() : context.tan
+  };
+}
+
+/**
+ * Collects every entry (classified object with an amount) under `node`
+ */
+function collectEntries(node, context, depth, out) {
+  if (depth > MAX_DEPTH || out.entries.length >= MAX_ENTRIES || node === null || typeof node !== 'object') {
+    return;
+  }
+  if (Array.isArray(node)) {
+    node.forEach(child => collectEntries(child, context, depth + 1, out));
+    return;
+  }
+
+  const own = ownContext(node, context);
+  const amountField = pick(node, AMOUNT_KEYS);
+  const amount = amountField ? parseAmount(amountField.value) : null;
+
+  if (amount !== null && (own.code || own.description)) {
+    const tdsField = pick(node, TDS_KEYS);
+    out.entries.push({
+      ...own,
+      amount,
+      tdsDeducted: tdsField ? parseAmount(tdsField.value) || 0 : 0,
+      derived: TIS_AMOUNT_KEYS.includes(amountField.key)
+    });
+    return;
+  }
+
+  for (const child of Object.values(node)) {
+    collectEntries(child, own, depth + 1, out);
+  }
+}
+
+/**
+ * The first value under `keys` within the top levels of the document (PAN, years)
+ */
+function findMeta(node, keys, test, depth = 0) {
+  if (depth > 3 || node === null || typeof node !== 'object') {
+    return null;
+  }
+  if (!Array.isArray(node)) {
+    const field = pick(node, keys);
+    if (field && test(String(field.value).trim())) {
+      return String(field.value).trim();
+    }
+  }
+  for (const child of Object.values(node)) {
+    const found = findMeta(child, keys, test, depth + 1);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * "2023-24", "2023-2024", "FY 2023-24" -> "2023-24"
+ */
+function normaliseYear(value) {
+  const match = value && value.match(/(\d{4})\s*-\s*(\d{2}|\d{4})\b/);
+  if (!match) {
+    return null;
+  }
+  const start = Number(match[1]);
+  return `${start}-${String(start + 1).slice(-2)}`;
+}
+
+function shiftYear(year, offset) {
+  const start = Number(year.slice(0, 4)) + offset;
+  return `${start}-${String(start + 1).slice(-2)}`;
+}
+
+/**
+ * The reporting entity of an entry: its name without a bracketed TAN or punctuation,
+ * as TDS and SFT statements of the same bank are not always filed under the same TAN
+ */
+function sourceKeyOf(entry) {
+  const name = (entry.source || '').toLowerCase().replace(/\([^)]*\)/g, ' ').replace(/[^a-z0-9]+/g, ' ').trim();
+  return name || entry.tan || 'not stated';
+}
+
+/**
+ * Groups entries into income heads, de-duplicating codes reported by the same source
+ */
+function buildIncomeHeads(entries) {
+  const heads = {};
+  for (const entry of entries) {
+    if (!entry.head) {
+      continue;
+    }
+    const head = heads[entry.head] || (heads[entry.head] = { tdsDeducted: 0, sources: {} });
+    const sourceKey = sourceKeyOf(entry);
+    const source = head.sources[sourceKey] || (head.sources[sourceKey] = { source: entry.source || entry.tan || 'Not stated', codes: {} });
+    const codeKey = entry.code || entry.description;
+    source.codes[codeKey] = (source.codes[codeKey] || 0) + entry.amount;
+    head.tdsDeducted += entry.tdsDeducted;
+  }
+
+  const result = {};
+  for (const name of Object.keys(INCOME_HEADS)) {
+    if (!heads[name]) {
+      continue;
+    }
+    const sources = Object.values(heads[name].sources).map(source => ({
+      source: source.source,
+      codes: Object.keys(source.codes),
+      amount: round2(Math.max(...Object.values(source.codes)))
+    }));
+    sources.sort((a, b) => b.amount - a.amount);
+    result[name] = {
+      amount: round2(sources.reduce((total, source) => total + source.amount, 0)),
+      tdsDeducted: round2(heads[name].tdsDeducted),
+      sources
+    };
+  }
+  return result;
+}
+
+/**
+ * Parses an AIS or TIS JSON download
+ * Returns { data, problems } where problems lists why the file is not a usable AIS/TIS
+ * (data is then null), otherwise data is:
+ * {
+ *   kind: 'AIS' | 'TIS', pan, financialYear, assessmentYear,
+ *   incomeHeads: { [head]: { amount, tdsDeducted, sources: [{ source, codes, amount }] } },  // heads in INCOME_HEADS
+ *   highValueTransactions: [{ code, description, source, amount }],  // SFT/TDS entries that are not income
+ *   totals: { income, tdsDeducted },  // income excludes sale consideration of securities and property
+ *   entries, unclassifiedEntries
+ * }
+ */
+function parseAis(buffer) {
+  try {
+    const text = Buffer.isBuffer(buffer) ? buffer.toString('utf8').replace(/^﻿/, '') : String(buffer || '');
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      return { data: null, problems: ['The file is not valid JSON'] };
+    }
+    if (json === null || typeof json !== 'object') {
+      return { data: null, problems: ['The JSON is not an AIS or TIS download'] };
+    }
+
+    const out = { entries: [] };
+    collectEntries(json, {}, 0, out);
+    const entries = out.entries.map(entry => ({ ...entry, head: classify(entry.code, entry.suffix, entry.description) }));
+    if (entries.length === 0) {
+      return { data: null, problems: ['No AIS/TIS information (an information code or category with an amount) was found'] };
+    }
+
+    const pan = findMeta(json, ['pan', 'panno', 'permanentaccountnumber'], value => PAN.test(value.toUpperCase()));
+    const financialYear = normaliseYear(findMeta(json, ['financialyear', 'finyear', 'fy'], value => Boolean(normaliseYear(value))));
+    const assessmentYear = normaliseYear(findMeta(json, ['assessmentyear', 'ay'], value => Boolean(normaliseYear(value)))) ||
+      (financialYear ? shiftYear(financialYear, 1) : null);
+
+    const incomeHeads = buildIncomeHeads(entries);
+    const highValueTransactions = entries
+      .filter(entry => !entry.head && entry.code && /^(SFT|TDS|TCS)-/.test(entry.code))
+      .slice(0, MAX_HIGH_VALUE_TRANSACTIONS)
+      .map(entry => ({ code: entry.code, description: entry.description || null, source: entry.source || null, amount: entry.amount }));
+
+    const incomeTotal = Object.entries(incomeHeads)
+      .filter(([name]) => name !== 'securitiesSales' && name !== 'propertySales')
+      .reduce((total, [, head]) => total + head.amount, 0);
+
+    const data = {
+      kind: entries.some(entry => entry.derived) ? 'TIS' : 'AIS',
+      pan: pan ? pan.toUpperCase() : null,
+      financialYear: financialYear || (assessmentYear ? shiftYear(assessmentYear, -1) : null),
+      assessmentYear,
+      incomeHeads,
+      highValueTransactions,
+      totals: {
+        income: round2(incomeTotal),
+        tdsDeducted: round2(entries.reduce((total, entry) => total + entry.tdsDeducted, 0))
+      },
+      entries: entries.length,
+      unclassifiedEntries: entries.filter(entry => !entry.head).length
+    };
+
+    if (Object.keys(incomeHeads).length === 0 && highValueTransactions.length === 0) {
+      return { data: null, problems: ['None of the AIS/TIS entries is an income or transaction the analysis understands'] };
+    }
+    return { data, problems: [] };
+  } catch (error) {
+    logger.error('Error parsing AIS/TIS', { error });
+    return { data: null, problems: ['The AIS/TIS could not be read'] };
+  }
+}
+
+module.exports = {
+  parseAis,
+  INCOME_HEADS
+};
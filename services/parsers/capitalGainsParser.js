@@ -0,0 +1,311 @@
+/**
+ * Capital gains statement parser
+ * Turns the rows of a broker or registrar capital gains / tax P&L statement (Zerodha, Groww,
+ * CAMS, KFintech and similar CSV or XLSX downloads) into a list of sell trades
+ * CRASH-SAFE: Never throws, returns null when no trade could be found
+ *
+ * Statements differ in layout, so the header row is found by its column names rather than
+ * its position, and a sheet may hold several tables (e.g. equity, then mutual funds)
+ * each with its own header. Rows without a sale date and amount (titles, totals) are skipped.
+ */
+
+const logger = require('../../utils/logger');
+
+// Normalised header text (lowercase letters and digits only) → trade field
+const COLUMN_ALIASES = {
+  name: ['symbol', 'scrip', 'scripname', 'scripcode', 'stock', 'stockname', 'security', 'securityname', 'schemename', 'scheme', 'fundname', 'instrument', 'name', 'description'],
+  isin: ['isin', 'isincode'],
+  assetType: ['assettype', 'assetclass', 'type', 'segment', 'category', 'instrumenttype', 'fundtype', 'schemetype'],
+  buyDate: ['buydate', 'purchasedate', 'entrydate', 'acquisitiondate', 'dateofacquisition', 'dateofpurchase', 'buytradedate', 'purchasetradedate'],
+  sellDate: ['selldate', 'saledate', 'exitdate', 'redemptiondate', 'dateofsale', 'dateoftransfer', 'transferdate', 'selltradedate', 'dateofredemption'],
+  quantity: ['quantity', 'qty', 'units', 'shares', 'noofshares', 'noofunits', 'redeemedunits'],
+  buyValue: ['buyvalue', 'purchasevalue', 'buyamount', 'purchaseamount', 'totalbuyvalue', 'costofacquisition', 'acquisitioncost', 'purchasecost', 'cost'],
+  sellValue: ['sellvalue', 'salevalue', 'salesvalue', 'sellamount', 'saleamount', 'totalsellvalue', 'saleconsideration', 'fullvalueofconsideration', 'redemptionvalue', 'redemptionamount'],
+  buyPrice: ['buyprice', 'purchaseprice', 'entryprice', 'purchasenav', 'avgbuyprice'],
+  sellPrice: ['sellprice', 'saleprice', 'exitprice', 'redemptionnav', 'avgsellprice'],
+  fmv: ['fmv', 'fairmarketvalue', 'fmvason31012018', 'fmvason31jan2018', 'fmvon31012018', 'fmvon31jan2018', 'fairmarketvalueason31012018', 'grandfatheredvalue'],
+  fmvPerUnit: ['fmvperunit', 'fmvprice', 'navon31012018', 'navason31012018', 'navon31jan2018', 'priceon31012018', 'closingpriceon31012018']
+};
+
+// A header row must name at least these trade fields
+const REQUIRED_COLUMNS = ['sellDate'];
+const MIN_RECOGNISED_COLUMNS = 3;
+
+// Header rows are looked for in this many rows after the previous table ends
+const MAX_ROWS_BEFORE_HEADER = 50;
+
+const MAX_TRADES = 5000;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Excel serial date 0 is 1899-12-30
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEBT_FUND_NAMES = /\b(?:debt|liquid|gilt|bond|money market|overnight|corporate|credit risk|banking (?:and|&) psu|short (?:term|duration)|ultra short|low duration|floater|fixed maturity|fmp)\b/i;
+const EQUITY_FUND_NAMES = /\b(?:equity|elss|index|nifty|sensex|flexi ?cap|large ?cap|mid ?cap|small ?cap|multi ?cap|focused|value|contra|dividend yield|tax saver|etf|arbitrage)\b/i;
+
+function normaliseHeader(value) {
+  return typeof value === 'string' ? value.toLowerCase().replace(/[^a-z0-9]/g, '') : '';
+}
+
+/**
+ * Maps a header row to { field: column index }, or null when it is not a trade table header
+ * Exact alias matches win; otherwise a header containing an alias (e.g. "Buy Value (Rs.)") counts
+ */
+function detectColumns(row) {
+  const columns = {};
+  const headers = row.map(normaliseHeader);
+
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    let index = headers.findIndex(header => aliases.includes(header));
+    if (index === -1) {
+      index = headers.findIndex(header => header.length > 0 && aliases.some(alias => alias.length > 3 && header.startsWith(alias)));
+    }
+    if (index !== -1 && !Object.values(columns).includes(index)) {
+      columns[field] = index;
+    }
+  }
+
+  const recognised = Object.keys(columns).length;
+  const hasAmount = columns.sellValue !== undefined || (columns.sellPrice !== undefined && columns.quantity !== undefined);
+  if (recognised < MIN_RECOGNISED_COLUMNS || !hasAmount || REQUIRED_COLUMNS.some(field => columns[field] === undefined)) {
+    return null;
+  }
+  return columns;
+}
+
+function toIsoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+function fullYear(year) {
+  const value = Number(year);
+  return value < 100 ? 2000 + value : value;
+}
+
+/**
+ * Parses a statement date into "YYYY-MM-DD"
+ * Accepts spreadsheet dates, Excel serial numbers, ISO dates and Indian day-first dates
+ * ("15-05-2024", "15/05/24", "15-May-2024", "May 15, 2024")
+ */
+function parseDate(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  }
+  if (typeof value === 'number') {
+    return value > 20000 && value < 80000 ? new Date(EXCEL_EPOCH + Math.floor(value) * DAY_MS).toISOString().slice(0, 10) : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const text = value.trim();
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    return toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+  match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})\b/);
+  if (match) {
+    return toIsoDate(fullYear(match[3]), Number(match[2]), Number(match[1]));
+  }
+  match = text.match(/^(\d{1,2})[-\s/]([A-Za-z]{3,9})[-\s/,]+(\d{2,4})\b/);
+  if (match && MONTHS.includes(match[2].slice(0, 3).toLowerCase())) {
+    return toIsoDate(fullYear(match[3]), MONTHS.indexOf(match[2].slice(0, 3).toLowerCase()) + 1, Number(match[1]));
+  }
+  match = text.match(/^([A-Za-z]{3,9})\s+(\d{1,2}),?\s+(\d{4})\b/);
+  if (match && MONTHS.includes(match[1].slice(0, 3).toLowerCase())) {
+    return toIsoDate(Number(match[3]), MONTHS.indexOf(match[1].slice(0, 3).toLowerCase()) + 1, Number(match[2]));
+  }
+  return null;
+}
+
+/**
+ * Parses an amount such as "1,20,000.50", "-1,200" or "(1,200)" into a number
+ */
+function parseAmount(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    return null;
+  }
+  const text = value.trim();
+  const negative = /^\(.*\)$/.test(text);
+  const parsed = Number(text.replace(/[(),\s₹]|Rs\.?|INR/gi, ''));
+  if (!Number.isFinite(parsed)) {
+    return null;
+  }
+  return negative ? -parsed : parsed;
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return String(value).trim();
+}
+
+/**
+ * Works out the asset class of a trade: 'equity' (listed shares), 'equityFund',
+ * 'debtFund' or 'other', from the type column, the ISIN, the scheme name and the
+ * sheet or section it was listed under
+ */
+function classifyAsset({ assetType, isin, name, section }) {
+  const type = `${assetType} ${section}`.toLowerCase();
+  const isFund = /mutual|\bmf\b|fund|scheme/.test(type) || /^INF/i.test(isin);
+
+  if (/gold|property|land|unlisted|bond|debenture|foreign|\bus\b/.test(assetType.toLowerCase())) {
+    return 'other';
+  }
+  if (isFund) {
+    if (/debt|liquid|gilt/.test(type) || DEBT_FUND_NAMES.test(name)) {
+      return 'debtFund';
+    }
+    return 'equityFund';
+  }
+  if (/equity|stock|share|\bcash\b|\bdelivery\b|\beq\b/.test(type) || /^INE/i.test(isin)) {
+    return 'equity';
+  }
+  if (DEBT_FUND_NAMES.test(name)) {
+    return 'debtFund';
+  }
+  return EQUITY_FUND_NAMES.test(name) ? 'equityFund' : null;
+}
+
+/**
+ * A row with one text cell and nothing else, such as "Mutual Funds" between two tables
+ */
+function sectionTitle(row) {
+  const cells = row.map(cellText).filter(Boolean);
+  if (cells.length !== 1 || /total/i.test(cells[0]) || parseAmount(cells[0]) !== null || parseDate(cells[0])) {
+    return null;
+  }
+  return cells[0];
+}
+
+function readTrade(row, columns, section) {
+  const cell = (field) => (columns[field] === undefined ? null : row[columns[field]]);
+
+  const sellDate = parseDate(cell('sellDate'));
+  const quantity = parseAmount(cell('quantity'));
+  let sellValue = parseAmount(cell('sellValue'));
+  if (sellValue === null && quantity !== null && parseAmount(cell('sellPrice')) !== null) {
+    sellValue = quantity * parseAmount(cell('sellPrice'));
+  }
+  if (!sellDate || sellValue === null) {
+    return null;
+  }
+
+  let buyValue = parseAmount(cell('buyValue'));
+  if (buyValue === null && quantity !== null && parseAmount(cell('buyPrice')) !== null) {
+    buyValue = quantity * parseAmount(cell('buyPrice'));
+  }
+
+  let fmv = parseAmount(cell('fmv'));
+  if (fmv === null && quantity !== null && parseAmount(cell('fmvPerUnit')) !== null) {
+    fmv = quantity * parseAmount(cell('fmvPerUnit'));
+  }
+
+  const name = cellText(cell('name'));
+  const isin = cellText(cell('isin')).toUpperCase();
+  const assetClass = classifyAsset({ assetType: cellText(cell('assetType')), isin, name, section });
+
+  return {
+    name: name || isin || null,
+    isin: isin || null,
+    assetClass: assetClass || 'equity',
+    assetClassAssumed: !assetClass,
+    buyDate: parseDate(cell('buyDate')),
+    sellDate,
+    quantity,
+    buyValue: buyValue === null ? null : Math.abs(buyValue),
+    sellValue: Math.abs(sellValue),
+    fmv2018: fmv && fmv > 0 ? fmv : null
+  };
+}
+
+/**
+ * Parses the sheets of a statement (see spreadsheetReader)
+ *
+ * Returns null when no trade was found, otherwise:
+ * {
+ *   trades: [{ name, isin, assetClass, assetClassAssumed, buyDate, sellDate, quantity,
+ *              buyValue, sellValue, fmv2018 }],
+ *   skippedRows: number,   // rows under a header that were not trades (totals, blanks excluded)
+ *   truncated: boolean     // more than MAX_TRADES trades; the rest were ignored
+ * }
+ */
+function parseCapitalGainsStatement(sheets) {
+  try {
+    if (!Array.isArray(sheets)) {
+      return null;
+    }
+
+    const trades = [];
+    let skippedRows = 0;
+    let truncated = false;
+
+    for (const sheet of sheets) {
+      let columns = null;
+      let section = sheet.name || '';
+      let rowsWithoutHeader = 0;
+
+      for (const row of sheet.rows || []) {
+        if (!Array.isArray(row) || row.every(value => cellText(value) === '')) {
+          continue;
+        }
+
+        const header = detectColumns(row);
+        if (header) {
+          columns = header;
+          rowsWithoutHeader = 0;
+          continue;
+        }
+
+        const title = sectionTitle(row);
+        if (title) {
+          section = `${sheet.name || ''} ${title}`;
+          continue;
+        }
+
+        if (!columns) {
+          if (++rowsWithoutHeader > MAX_ROWS_BEFORE_HEADER) {
+            break;
+          }
+          continue;
+        }
+
+        const trade = readTrade(row, columns, section);
+        if (!trade) {
+          if (!/total/i.test(row.map(cellText).join(' '))) {
+            skippedRows++;
+          }
+          continue;
+        }
+        if (trades.length >= MAX_TRADES) {
+          truncated = true;
+          break;
+        }
+        trades.push(trade);
+      }
+    }
+
+    if (trades.length === 0) {
+      return null;
+    }
+    return { trades, skippedRows, truncated };
+  } catch (error) {
+    logger.error('Error parsing capital gains statement', { error });
+    return null;
+  }
+}
+
+module.exports = {
+  parseCapitalGainsStatement,
+  parseDate
+};
@@ -0,0 +1,242 @@
+/**
+ * Form 16 parser
+ * Extracts Part A (employer, quarterly TDS) and Part B (salary, exemptions, deductions)
+ * from the OCR or PDF text of a Form 16 issued under Section 203
+ * CRASH-SAFE: Never throws, returns null when nothing could be parsed
+ *
+ * The text is flattened to a single line, as OCR output may put each table cell on its own
+ * line. Part A rows are matched like Form 26AS rows (quarter, receipt number, three amounts);
+ * Part B amounts are found after the statutory wording of each line of the annexure, which
+ * is the same in TRACES and employer-generated forms.
+ *
+ * Part A values are plain strings and numbers (table data, like Form 26AS).
+ * Part B fields are { value, confidence } like the salary slip, or null when not found.
+ */
+
+const logger = require('../../utils/logger');
+
+const AMOUNT = '(-?[\\d,]+\\.\\d{2})';
+const DECIMAL_AMOUNTS = /^[\s:]*(?:[[(][^\]\n]{0,20}?[\])](?=\s)\s*)?(?:Rs\.?|INR|₹)?\s*((?:-?[\d,]+\.\d{2}\s+){0,2}-?[\d,]+\.\d{2})(?![\d])/i;
+const WHOLE_AMOUNT = /^[\s:]*(?:[[(][^\]\n]{0,20}?[\])](?=\s)\s*)?(?:Rs\.?|INR|₹)?\s*(-?\d[\d,]+)(?![\d.)])/i;
+
+// Quarter | Receipt number of the quarterly TDS statement | Amount paid/credited | Tax deducted | Tax deposited
+const QUARTER_ROW = new RegExp(`\\b(Q[1-4])\\s+(?:([A-Z0-9]{8})\\s+)?${AMOUNT}\\s+${AMOUNT}\\s+${AMOUNT}`, 'g');
+const PART_A_TOTAL = new RegExp(`Total\\s*\\(?\\s*(?:Rs\\.?|INR|₹)?\\s*\\)?\\s*${AMOUNT}\\s+${AMOUNT}\\s+${AMOUNT}`, 'i');
+
+const PAN = /\b([A-Z]{3}[PCHFATBLJG][A-Z]\d{4}[A-Z])\b/g;
+const TAN = /\b([A-Z]{4}\d{5}[A-Z])\b/;
+
+// Part B lines by the wording of the annexure; the amount after the label is taken
+// (for Chapter VI-A lines with gross, qualifying and deductible columns, the last one)
+const PART_B_FIELDS = {
+  salary17_1: /salary as per provisions contained in section\s*17\s*\(\s*1\s*\)/i,
+  perquisites: /value of perquisites under section\s*17\s*\(\s*2\s*\)(?:\s*\(as per Form No\.?\s*12BA(?:, wherever applicable)?\))?/i,
+  profitsInLieu: /profits in lieu of salary under section\s*17\s*\(\s*3\s*\)(?:\s*\(as per Form No\.?\s*12BA(?:, wherever applicable)?\))?/i,
+  hraExemption: /house rent allowance under section\s*10\s*\(\s*13A\s*\)/i,
+  ltaExemption: /travel (?:concession or )?assistance under section\s*10\s*\(\s*5\s*\)/i,
+  section10Total: /total amount of (?:any other )?exemption claimed under section\s*10/i,
+  standardDeduction: /standard deduction under section\s*16\s*\(\s*ia\s*\)/i,
+  professionalTax: /tax on employment under section\s*16\s*\(\s*iii\s*\)/i,
+  salaryIncome: /income chargeable under the head\s*["'“”]*salaries["'“”]*/i,
+  section80C: /under section\s*80C(?![A-Z0-9(,])/i,
+  section80CCD1B: /under section\s*80CCD\s*\(\s*1B\s*\)/i,
+  section80CCD2: /under section\s*80CCD\s*\(\s*2\s*\)/i,
+  section80D: /under section\s*80D(?![A-Z0-9(])/i,
+  section80E: /under section\s*80E(?![A-Z0-9(])/i,
+  section80G: /under section\s*80G(?![A-Z0-9(])/i,
+  section80TTA: /under section\s*80TTA(?![A-Z0-9(])/i,
+  chapterVIATotal: /aggregate of deductible amount under chapter\s*VI-?\s*A/i,
+  totalTaxableIncome: /total taxable income/i,
+  taxOnTotalIncome: /tax on total income/i,
+  netTaxPayable: /net tax payable/i
+};
+
+// Confidence by how a value was found
+const CONFIDENCE = {
+  decimalAmount: 0.9,
+  wholeAmount: 0.75,
+  computed: 0.7,
+  crossChecked: 0.95
+};
+
+function parseAmount(value) {
+  const parsed = Number(String(value).replace(/,/g, ''));
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function field(value, confidence) {
+  return { value, confidence };
+}
+
+/**
+ * The amount right after a label (and a line reference such as "(9-11)"): forms print two
+ * decimals, so those are preferred; a whole number is only taken when nothing else
+ * (a line number, a bracket) follows it
+ */
+function findAmountAfter(text, label) {
+  const match = text.match(label);
+  if (!match) {
+    return null;
+  }
+  const rest = text.slice(match.index + match[0].length, match.index + match[0].length + 80);
+  const decimals = rest.match(DECIMAL_AMOUNTS);
+  if (decimals) {
+    const amounts = decimals[1].trim().split(/\s+/);
+    const value = parseAmount(amounts[amounts.length - 1]);
+    return value === null ? null : field(value, CONFIDENCE.decimalAmount);
+  }
+  const whole = rest.match(WHOLE_AMOUNT);
+  if (whole) {
+    const value = parseAmount(whole[1]);
+    return value === null ? null : field(value, CONFIDENCE.wholeAmount);
+  }
+  return null;
+}
+
+/**
+ * Employer and employee PANs: labelled where possible, otherwise by the fourth character
+ * (P for an individual, anything else for a company, firm or other employer)
+ */
+function findPans(flat) {
+  // In table layouts the labels come first and a label may be followed by another column's PAN
+  const labelled = (regex, isIndividual) => {
+    const match = flat.match(regex);
+    const pan = match ? match[1].toUpperCase() : null;
+    return pan && (pan[3] === 'P') === isIndividual ? pan : null;
+  };
+  const all = [...flat.matchAll(PAN)].map(match => match[1]);
+  return {
+    employerPan: labelled(/PAN of the (?:Deductor|Employer)\s*:?\s*([A-Z]{5}\d{4}[A-Z])\b/i, false) || all.find(pan => pan[3] !== 'P') || null,
+    employeePan: labelled(/PAN of the Employee(?:\s*\/\s*Specified senior citizen)?\s*:?\s*([A-Z]{5}\d{4}[A-Z])\b/i, true) || all.find(pan => pan[3] === 'P') || null
+  };
+}
+
+function findEmployerName(text) {
+  const match = text.match(/Name and address of the Employer(?:\s*\/\s*Specified Bank)?\s*:?\s*\n?\s*([^\n]+)/i);
+  if (!match) {
+    return null;
+  }
+  // The employee's details often follow on the same OCR line
+  const name = match[1].split(/Name and address of the Employee|,/i)[0].trim();
+  return name.length > 0 ? name : null;
+}
+
+function parsePartA(text, flat) {
+  const quarters = [...flat.matchAll(QUARTER_ROW)].map(match => ({
+    quarter: match[1],
+    receiptNumber: match[2] || null,
+    amountPaid: parseAmount(match[3]),
+    taxDeducted: parseAmount(match[4]),
+    taxDeposited: parseAmount(match[5])
+  }));
+
+  const totalMatch = flat.match(PART_A_TOTAL);
+  const sum = (key) => round2(quarters.reduce((total, quarter) => total + quarter[key], 0));
+  const totals = totalMatch
+    ? { amountPaid: parseAmount(totalMatch[1]), taxDeducted: parseAmount(totalMatch[2]), taxDeposited: parseAmount(totalMatch[3]) }
+    : (quarters.length > 0 ? { amountPaid: sum('amountPaid'), taxDeducted: sum('taxDeducted'), taxDeposited: sum('taxDeposited') } : null);
+
+  const tan = flat.match(/TAN of the (?:Deductor|Employer)\s*:?\s*([A-Z]{4}\d{5}[A-Z])\b/i) || flat.match(TAN);
+  const assessmentYear = flat.match(/Assessment Year\D{0,60}?(\d{4}-\d{2})\b/i);
+  const period = flat.match(/From\s*:?\s*(\d{1,2}[-/.][A-Za-z0-9]{2,3}[-/.]\d{4})\s*To\s*:?\s*(\d{1,2}[-/.][A-Za-z0-9]{2,3}[-/.]\d{4})/i);
+
+  return {
+    employerName: findEmployerName(text),
+    employerTan: tan ? tan[1].toUpperCase() : null,
+    ...findPans(flat),
+    assessmentYear: assessmentYear ? assessmentYear[1] : null,
+    periodFrom: period ? period[1] : null,
+    periodTo: period ? period[2] : null,
+    quarters,
+    totals
+  };
+}
+
+/**
+ * Regime the employer deducted TDS under ("Whether opting out of taxation u/s 115BAC")
+ */
+function findTaxRegime(flat) {
+  const match = flat.match(/opt(?:ing|ed)? out of (?:taxation )?(?:u\/s|under section)\s*115BAC(?:\(1A\))?\s*\??\s*[:-]?\s*(Yes|No)\b/i);
+  if (!match) {
+    return null;
+  }
+  return field(match[1].toLowerCase() === 'yes' ? 'old' : 'new', CONFIDENCE.decimalAmount);
+}
+
+function parsePartB(flat) {
+  const result = {};
+  for (const [name, label] of Object.entries(PART_B_FIELDS)) {
+    result[name] = findAmountAfter(flat, label);
+  }
+
+  // Gross salary is printed as "(d) Total" after 17(1), 17(2) and 17(3), so it is added up
+  const components = [result.salary17_1, result.perquisites, result.profitsInLieu].filter(Boolean);
+  result.grossSalary = components.length > 0
+    ? field(round2(components.reduce((total, component) => total + component.value, 0)), CONFIDENCE.computed)
+    : null;
+
+  result.taxRegime = findTaxRegime(flat);
+  return result;
+}
+
+/**
+ * Raises confidence when the gross salary less section 10 exemptions and section 16
+ * deductions equals the income chargeable under "Salaries"
+ */
+function crossCheck(partB) {
+  const { grossSalary, salaryIncome } = partB;
+  if (!grossSalary || !salaryIncome) {
+    return;
+  }
+  const deductions = ['section10Total', 'standardDeduction', 'professionalTax']
+    .reduce((total, name) => total + (partB[name] ? partB[name].value : 0), 0);
+  if (Math.abs(grossSalary.value - deductions - salaryIncome.value) <= 1) {
+    grossSalary.confidence = CONFIDENCE.crossChecked;
+    salaryIncome.confidence = CONFIDENCE.crossChecked;
+  }
+}
+
+/**
+ * Parses Form 16 text
+ * Returns null when neither part could be read, otherwise:
+ * {
+ *   partA: { employerName, employerTan, employerPan, employeePan, assessmentYear, periodFrom, periodTo,
+ *            quarters: [{ quarter, receiptNumber, amountPaid, taxDeducted, taxDeposited }],
+ *            totals: { amountPaid, taxDeducted, taxDeposited } | null },
+ *   partB: { grossSalary, salary17_1, perquisites, profitsInLieu, hraExemption, ltaExemption,
+ *            section10Total, standardDeduction, professionalTax, salaryIncome, section80C,
+ *            section80CCD1B, section80CCD2, section80D, section80E, section80G, section80TTA,
+ *            chapterVIATotal, totalTaxableIncome, taxOnTotalIncome, netTaxPayable, taxRegime }
+ * }
+ */
+function parseForm16(text) {
+  try {
+    if (!text || typeof text !== 'string') {
+      return null;
+    }
+
+    const flat = text.replace(/\s+/g, ' ');
+    const partA = parsePartA(text, flat);
+    const partB = parsePartB(flat);
+    crossCheck(partB);
+
+    const partBFound = Object.values(partB).some(Boolean);
+    if (partA.quarters.length === 0 && !partA.totals && !partBFound) {
+      logger.warn('Form 16 parser found neither Part A TDS nor Part B salary details');
+      return null;
+    }
+
+    return { partA, partB };
+  } catch (error) {
+    logger.error('Error parsing Form 16', { error });
+    return null;
+  }
+}
+
+module.exports = {
+  parseForm16
+};
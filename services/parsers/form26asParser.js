@@ -0,0 +1,230 @@
+/**
+ * Form 26AS parser
+ * Turns the OCR text of a TRACES Form 26AS into structured records
+ * CRASH-SAFE: Never throws, returns null when nothing could be parsed
+ *
+ * OCR output may put each table cell on its own line, so every part is
+ * flattened to a single line and rows are matched with anchored patterns
+ * (TAN, section code, BSR code) instead of relying on line breaks.
+ */
+
+const logger = require('../../utils/logger');
+
+const AMOUNT = '(-?[\\d,]+\\.\\d{2})';
+const DATE = '(\\d{2}-[A-Za-z]{3}-\\d{4})';
+const TAN = '([A-Z]{4}\\d{5}[A-Z])';
+const NAME = '([A-Za-z&.,()\'\\/ -]+?)';
+const SECTION = '(19[2-6][A-Z]{0,3}(?:\\([a-z]\\))?|206C[A-Z]{0,2})';
+
+// Sr. No. | Name of Deductor | TAN | Total Amount Paid | Total Tax Deducted | Total TDS Deposited
+const PARTY_ROW = new RegExp(`\\b\\d{1,3}\\s+${NAME}\\s+${TAN}\\s+${AMOUNT}\\s+${AMOUNT}\\s+${AMOUNT}`, 'g');
+
+// Sr. No. | Section | Transaction Date | Booking Status | Date of Booking | Remarks | Amount Paid | Tax Deducted | TDS Deposited
+const TRANSACTION_ROW = new RegExp(`\\b\\d{1,3}\\s+${SECTION}\\s+${DATE}\\s+([FUPOMZ])\\s+${DATE}\\s+(?:(?:[A-Z]|-)\\s+)?${AMOUNT}\\s+${AMOUNT}\\s+${AMOUNT}`, 'g');
+
+// Sr. No. | Major Head | Minor Head | Tax | Surcharge | Education Cess | Others | Total Tax | BSR Code | Date of Deposit | Challan Serial No.
+const CHALLAN_ROW = new RegExp(`\\b\\d{1,3}\\s+(00\\d{2})\\s+(\\d{3})\\s+${AMOUNT}\\s+${AMOUNT}\\s+${AMOUNT}\\s+${AMOUNT}\\s+${AMOUNT}\\s+(\\d{7})\\s+${DATE}\\s+(\\d{5})`, 'g');
+
+// Sr. No. | Assessment Year | Mode | Refund Issued | Nature of Refund | Amount of Refund | Interest | Date of Payment
+const REFUND_ROW = new RegExp(`\\b\\d{1,3}\\s+(\\d{4}-\\d{2})\\s+([A-Za-z /-]+?)\\s+${AMOUNT}\\s+${AMOUNT}\\s+${DATE}`, 'g');
+
+const PART_HEADING = /PART[\s-]*([A-H]\d?)\b/gi;
+
+/**
+ * Parses an amount such as "1,20,000.00" into a number
+ */
+function parseAmount(value) {
+  if (typeof value !== 'string') {
+    return 0;
+  }
+  const parsed = Number(value.replace(/,/g, ''));
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Splits the document into its parts (A, A1, A2, B, C, D, ...)
+ * Only the first heading of each part counts, so legends at the end are ignored.
+ * Text without any heading is treated as Part A.
+ */
+function splitParts(text) {
+  const headings = [];
+  const seen = new Set();
+  let match;
+
+  PART_HEADING.lastIndex = 0;
+  while ((match = PART_HEADING.exec(text)) !== null) {
+    const part = match[1].toUpperCase();
+    if (!seen.has(part)) {
+      seen.add(part);
+      headings.push({ part, index: match.index });
+    }
+  }
+
+  if (headings.length === 0) {
+    return { A: text };
+  }
+
+  const parts = {};
+  headings.forEach((heading, i) => {
+    const end = i + 1 < headings.length ? headings[i + 1].index : text.length;
+    parts[heading.part] = text.slice(heading.index, end);
+  });
+  return parts;
+}
+
+/**
+ * Collects all matches of a global pattern with their position
+ */
+function matchAll(pattern, text) {
+  const matches = [];
+  let match;
+  pattern.lastIndex = 0;
+  while ((match = pattern.exec(text)) !== null) {
+    matches.push(match);
+  }
+  return matches;
+}
+
+/**
+ * Parses Part A / Part B style tables: a summary row per deductor (or collector)
+ * followed by its transactions
+ */
+function parseParties(text) {
+  const parties = matchAll(PARTY_ROW, text).map(match => ({
+    index: match.index,
+    record: {
+      name: match[1].trim(),
+      tan: match[2],
+      amountPaid: parseAmount(match[3]),
+      taxDeducted: parseAmount(match[4]),
+      taxDeposited: parseAmount(match[5]),
+      transactions: []
+    }
+  }));
+
+  for (const match of matchAll(TRANSACTION_ROW, text)) {
+    // A transaction belongs to the closest deductor row above it
+    const owner = parties.filter(party => party.index < match.index).pop();
+    if (!owner) {
+      continue;
+    }
+    owner.record.transactions.push({
+      section: match[1],
+      transactionDate: match[2],
+      bookingStatus: match[3],
+      bookingDate: match[4],
+      amountPaid: parseAmount(match[5]),
+      taxDeducted: parseAmount(match[6]),
+      taxDeposited: parseAmount(match[7])
+    });
+  }
+
+  return parties.map(party => party.record);
+}
+
+function parseChallans(text) {
+  return matchAll(CHALLAN_ROW, text).map(match => ({
+    majorHead: match[1],
+    minorHead: match[2],
+    tax: parseAmount(match[3]),
+    surcharge: parseAmount(match[4]),
+    educationCess: parseAmount(match[5]),
+    others: parseAmount(match[6]),
+    totalTax: parseAmount(match[7]),
+    bsrCode: match[8],
+    dateOfDeposit: match[9],
+    challanSerialNumber: match[10]
+  }));
+}
+
+function parseRefunds(text) {
+  return matchAll(REFUND_ROW, text).map(match => ({
+    assessmentYear: match[1],
+    mode: match[2].trim(),
+    amount: parseAmount(match[3]),
+    interest: parseAmount(match[4]),
+    dateOfPayment: match[5]
+  }));
+}
+
+/**
+ * Builds totals overall and per TDS section
+ */
+function buildTotals(tds, tcs, taxPayments, refunds) {
+  const bySection = {};
+
+  for (const deductor of tds) {
+    for (const transaction of deductor.transactions) {
+      const entry = bySection[transaction.section] || { amountPaid: 0, taxDeducted: 0, taxDeposited: 0 };
+      entry.amountPaid = round2(entry.amountPaid + transaction.amountPaid);
+      entry.taxDeducted = round2(entry.taxDeducted + transaction.taxDeducted);
+      entry.taxDeposited = round2(entry.taxDeposited + transaction.taxDeposited);
+      bySection[transaction.section] = entry;
+    }
+  }
+
+  const sum = (items, key) => round2(items.reduce((total, item) => total + item[key], 0));
+
+  return {
+    amountPaid: sum(tds, 'amountPaid'),
+    tdsDeducted: sum(tds, 'taxDeducted'),
+    tdsDeposited: sum(tds, 'taxDeposited'),
+    tcsCollected: sum(tcs, 'taxDeducted'),
+    taxPaid: sum(taxPayments, 'totalTax'),
+    refunds: sum(refunds, 'amount'),
+    bySection
+  };
+}
+
+/**
+ * Parses Form 26AS OCR text
+ * Returns { pan, assessmentYear, financialYear, tds, tcs, taxPayments, refunds, totals } or null
+ */
+function parseForm26AS(text) {
+  try {
+    if (!text || typeof text !== 'string') {
+      return null;
+    }
+
+    const flat = text.replace(/\s+/g, ' ');
+    const parts = splitParts(flat);
+
+    const panMatch = flat.match(/Permanent Account Number \(PAN\)\s*:?\s*([A-Z]{5}\d{4}[A-Z])/i) ||
+                     flat.match(/\b([A-Z]{5}\d{4}[A-Z])\b/);
+    const ayMatch = flat.match(/Assessment Year\s*:?\s*(\d{4}-\d{2})/i);
+    const fyMatch = flat.match(/Financial Year\s*:?\s*(\d{4}-\d{2})/i);
+
+    const tds = parseParties(parts.A || '');
+    const tcs = parseParties(parts.B || '');
+    const taxPayments = parseChallans(parts.C || '');
+    const refunds = parseRefunds(parts.D || '');
+
+    if (tds.length === 0 && tcs.length === 0 && taxPayments.length === 0 && refunds.length === 0) {
+      logger.warn('Form 26AS parser found no records in OCR text');
+      return null;
+    }
+
+    return {
+      pan: panMatch ? panMatch[1] : null,
+      assessmentYear: ayMatch ? ayMatch[1] : null,
+      financialYear: fyMatch ? fyMatch[1] : null,
+      tds,
+      tcs,
+      taxPayments,
+      refunds,
+      totals: buildTotals(tds, tcs, taxPayments, refunds)
+    };
+  } catch (error) {
+    logger.error('Error parsing Form 26AS', { error });
+    return null;
+  }
+}
+
+module.exports = {
+  parseForm26AS,
+  parseAmount
+};
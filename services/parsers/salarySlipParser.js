@@ -0,0 +1,193 @@
+/**
+ * Salary slip parser
+ * Extracts the standard salary components from the OCR text of a monthly payslip
+ * CRASH-SAFE: Never throws, returns null when nothing could be extracted
+ *
+ * Handles the common Indian payroll layouts:
+ * - "Label : Amount" and two-column "Earnings | Deductions" rows ("Basic 30,000 Provident Fund 1,800")
+ * - table cells on their own lines (label on one line, amount on the next)
+ * - a header row of labels followed by a row of amounts
+ *
+ * Every field is returned as { value, confidence } where confidence is between 0 and 1.
+ */
+
+const logger = require('../../utils/logger');
+
+const AMOUNT = '(?:Rs\\.?|INR|₹)?\\s*([\\d,]+(?:\\.\\d{1,2})?)';
+
+// Aliases per field, most specific first. Matching is case-insensitive.
+const FIELD_ALIASES = {
+  basic: ['basic salary', 'basic pay', 'basic'],
+  hra: ['house rent allowance', 'h\\.r\\.a\\.?', 'hra'],
+  specialAllowance: ['special allowance', 'spl\\.? allowance', 'special allow\\.?', 'spl\\.? allow\\.?'],
+  grossEarnings: ['gross earnings', 'total earnings', 'gross salary', 'gross pay', 'total gross', 'gross'],
+  employeePf: ["employee'?s? (?:pf|provident fund)(?: contribution)?", 'provident fund', 'pf contribution', 'e\\.?p\\.?f\\.?', 'p\\.?f\\.?'],
+  professionalTax: ['professional tax', 'prof\\.? tax', 'p\\.? ?tax', 'pt'],
+  tds: ['tax deducted at source', 'income tax', 'tds'],
+  totalDeductions: ['total deductions', 'gross deductions', 'total deduction'],
+  netPay: ['net pay', 'net salary', 'net amount payable', 'take home pay', 'take home', 'net payable']
+};
+
+// Confidence by how a value was found
+const CONFIDENCE = {
+  exactLabel: 0.9,
+  column: 0.8,
+  shortLabel: 0.75,
+  heuristic: 0.6,
+  crossChecked: 0.95
+};
+
+// Aliases of 4 characters or less are easy to confuse with other text
+function aliasConfidence(alias) {
+  return alias.replace(/[^a-z]/gi, '').length <= 4 ? CONFIDENCE.shortLabel : CONFIDENCE.exactLabel;
+}
+
+function parseAmount(value) {
+  const parsed = Number(String(value).replace(/,/g, ''));
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function field(value, confidence) {
+  return { value, confidence };
+}
+
+/**
+ * Finds "label [: ] amount" for a field, allowing a line break between them
+ * Takes the first amount after the label, so a YTD column next to it is ignored
+ */
+function findLabelledAmount(text, aliases) {
+  for (const alias of aliases) {
+    const pattern = new RegExp(`(?:^|[^A-Za-z])${alias}(?![A-Za-z])[ \\t]*[:\\-]?[ \\t]*\\n?[ \\t]*${AMOUNT}`, 'i');
+    const match = text.match(pattern);
+    if (match) {
+      const value = parseAmount(match[1]);
+      if (value !== null) {
+        return field(value, aliasConfidence(alias));
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Handles a header row of labels followed by a row of amounts, e.g.
+ *   Basic   HRA   Special Allowance
+ *   30000   15000 10000
+ * Returns { [fieldName]: { value, confidence } } for the columns it recognises
+ */
+function findColumnAmounts(lines) {
+  const found = {};
+  const amountRow = /^(?:\s*(?:Rs\.?|INR|₹)?\s*[\d,]+(?:\.\d{1,2})?)+\s*$/;
+
+  for (let i = 0; i < lines.length - 1; i++) {
+    const labels = lines[i].split(/\s{2,}|\t|\|/).map(label => label.trim()).filter(Boolean);
+    if (labels.length < 2 || !amountRow.test(lines[i + 1])) {
+      continue;
+    }
+    const amounts = lines[i + 1].match(/[\d,]+(?:\.\d{1,2})?/g) || [];
+    if (amounts.length !== labels.length) {
+      continue;
+    }
+    labels.forEach((label, index) => {
+      for (const [name, aliases] of Object.entries(FIELD_ALIASES)) {
+        if (!found[name] && aliases.some(alias => new RegExp(`^${alias}$`, 'i').test(label))) {
+          found[name] = field(parseAmount(amounts[index]), CONFIDENCE.column);
+        }
+      }
+    });
+  }
+
+  return found;
+}
+
+function findEmployerName(text, lines) {
+  const labelled = text.match(/(?:company|employer|organi[sz]ation)\s*(?:name)?\s*:\s*([^\n]+)/i);
+  if (labelled) {
+    return field(labelled[1].trim(), CONFIDENCE.exactLabel);
+  }
+  // Payslips usually start with the company name
+  const companyLine = lines.slice(0, 5).find(line => /\b(?:private|pvt|limited|ltd|llp|inc|corporation|technologies|services)\b/i.test(line));
+  return companyLine ? field(companyLine.trim(), CONFIDENCE.heuristic) : null;
+}
+
+function findEmployerPan(text) {
+  const match = text.match(/(?:employer|company|deductor)'?s?\s*PAN\s*(?:no\.?|number)?\s*:?\s*([A-Z]{5}\d{4}[A-Z])/i);
+  return match ? field(match[1].toUpperCase(), CONFIDENCE.exactLabel) : null;
+}
+
+function findEmployerTan(text) {
+  const labelled = text.match(/TAN\s*(?:no\.?|number)?\s*:?\s*([A-Z]{4}\d{5}[A-Z])/i);
+  if (labelled) {
+    return field(labelled[1].toUpperCase(), CONFIDENCE.exactLabel);
+  }
+  // Only employers have a TAN, so an unlabelled one on a payslip is still a good guess
+  const unlabelled = text.match(/\b([A-Z]{4}\d{5}[A-Z])\b/);
+  return unlabelled ? field(unlabelled[1], CONFIDENCE.shortLabel) : null;
+}
+
+function findPayPeriod(text) {
+  const match = text.match(/(?:pay\s*slip|salary\s*slip|pay\s*period|for\s+the\s+month\s+of|month)\s*(?:for|of)?\s*[:\-]?\s*([A-Za-z]{3,9}[\s,'-]*\d{2,4})/i);
+  return match ? field(match[1].replace(/\s+/g, ' ').trim(), CONFIDENCE.exactLabel) : null;
+}
+
+/**
+ * Raises confidence when gross earnings - total deductions = net pay
+ */
+function crossCheck(result) {
+  const { grossEarnings, totalDeductions, netPay } = result;
+  if (!grossEarnings || !totalDeductions || !netPay) {
+    return;
+  }
+  if (Math.abs(grossEarnings.value - totalDeductions.value - netPay.value) <= 1) {
+    grossEarnings.confidence = CONFIDENCE.crossChecked;
+    totalDeductions.confidence = CONFIDENCE.crossChecked;
+    netPay.confidence = CONFIDENCE.crossChecked;
+  }
+}
+
+/**
+ * Parses salary slip OCR text
+ * Returns { payPeriod, employerName, employerPan, employerTan, basic, hra, specialAllowance,
+ *           grossEarnings, employeePf, professionalTax, tds, totalDeductions, netPay } or null.
+ * Fields that were not found are null.
+ */
+function parseSalarySlip(text) {
+  try {
+    if (!text || typeof text !== 'string') {
+      return null;
+    }
+
+    const lines = text.split(/\r?\n/).filter(line => line.trim().length > 0);
+    const columns = findColumnAmounts(lines);
+    const result = {
+      payPeriod: findPayPeriod(text),
+      employerName: findEmployerName(text, lines),
+      employerPan: findEmployerPan(text),
+      employerTan: findEmployerTan(text)
+    };
+
+    let amountsFound = 0;
+    for (const [name, aliases] of Object.entries(FIELD_ALIASES)) {
+      // A recognised header row is more reliable than a label that may run into the next row
+      result[name] = columns[name] || findLabelledAmount(text, aliases) || null;
+      if (result[name]) {
+        amountsFound++;
+      }
+    }
+
+    if (amountsFound === 0) {
+      logger.warn('Salary slip parser found no salary components in OCR text');
+      return null;
+    }
+
+    crossCheck(result);
+    return result;
+  } catch (error) {
+    logger.error('Error parsing salary slip', { error });
+    return null;
+  }
+}
+
+module.exports = {
+  parseSalarySlip
+};
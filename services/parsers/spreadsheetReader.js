@@ -0,0 +1,115 @@
+/**
+ * Spreadsheet reader for uploaded statements
+ * Reads CSV and XLSX files into rows of cell values, so statement parsers
+ * do not need to care which format the user downloaded
+ * CRASH-SAFE: Never throws, returns an empty list when the file cannot be read
+ *
+ * Returns [{ name, rows }] - one entry per sheet (a CSV is a single sheet);
+ * each row is an array of string, number, boolean, Date or null cells
+ */
+
+const readExcelFile = require('read-excel-file/node');
+const logger = require('../../utils/logger');
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// XLSX files are ZIP archives
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+// Beyond this many rows per sheet the rest is ignored
+const MAX_ROWS = 20000;
+
+function isXlsx(buffer, mimetype, filename) {
+  if (buffer.length >= ZIP_SIGNATURE.length && buffer.subarray(0, ZIP_SIGNATURE.length).equals(ZIP_SIGNATURE)) {
+    return true;
+  }
+  return mimetype === XLSX_MIME_TYPE || /\.xlsx$/i.test(filename || '');
+}
+
+/**
+ * Guesses the delimiter from the first line (comma, semicolon or tab)
+ */
+function detectDelimiter(text) {
+  const firstLine = text.slice(0, text.indexOf('\n') === -1 ? text.length : text.indexOf('\n'));
+  const counts = [',', ';', '\t'].map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length }));
+  counts.sort((a, b) => b.count - a.count);
+  return counts[0].delimiter;
+}
+
+/**
+ * Parses CSV text (RFC 4180 quoting: "a, b" and "" for a literal quote)
+ */
+function parseCsv(text) {
+  const delimiter = detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length && rows.length < MAX_ROWS; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell.length > 0 || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.map(cells => cells.map(value => {
+    const trimmed = value.trim();
+    return trimmed.length > 0 ? trimmed : null;
+  }));
+}
+
+/**
+ * Reads a CSV or XLSX statement
+ * file: { buffer, mimetype, filename }
+ */
+async function readSpreadsheet({ buffer, mimetype, filename }) {
+  try {
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+      return [];
+    }
+
+    if (isXlsx(buffer, mimetype, filename)) {
+      const sheets = await readExcelFile(buffer);
+      return sheets.map(sheet => ({ name: sheet.sheet, rows: sheet.data.slice(0, MAX_ROWS) }));
+    }
+
+    // Strip a UTF-8 byte order mark, common in CSVs saved from Excel
+    const text = buffer.toString('utf8').replace(/^﻿/, '');
+    return [{ name: filename || 'CSV', rows: parseCsv(text) }];
+  } catch (error) {
+    logger.error('Error reading spreadsheet', { error });
+    return [];
+  }
+}
+
+module.exports = {
+  readSpreadsheet,
+  parseCsv
+};
@@ -0,0 +1,886 @@
+/**
+ * Reconciliation Service
+ * Compares figures across the wizard answers, the salary slip, Form 16, Form 26AS, the capital gains statement and AIS/TIS
+ * and reports mismatches with both conflicting figures and where each came from
+ * Texts come from the catalogue of the requested language (config/locales), under reconciliation.<check id>
+ * CRASH-SAFE: A failing check is skipped, reconciliation never throws
+ */
+
+const { toNumber, toBoolean, formatRupees } = require('../utils/answerValues');
+const taxCalculator = require('./taxCalculator');
+const { INCOME_HEADS } = require('./parsers/aisParser');
+const locales = require('../config/locales');
+const logger = require('../utils/logger');
+
+/**
+ * Tolerances for each comparison
+ * relative: allowed difference as a fraction of the larger figure
+ * absolute: allowed difference in rupees (whichever of the two is larger applies)
+ *
+ * Salary slip figures are one month scaled to a year, so they get a wide tolerance
+ * to absorb increments, bonuses and uneven TDS.
+ */
+const TOLERANCES = {
+  declaredVs26AS: { relative: 0.01, absolute: 500 },
+  slipVs26AS: { relative: 0.2, absolute: 5000 },
+  slipVsDeclared: { relative: 0.2, absolute: 5000 },
+  declaredVsForm16: { relative: 0.01, absolute: 1000 },
+  declaredVsStatement: { relative: 0.01, absolute: 500 },
+  declaredVsAis: { relative: 0.01, absolute: 500 }
+};
+
+const MONTHS_PER_YEAR = 12;
+
+// Confidence of comparisons between the answers and the parsed Form 26AS
+const FORM_26AS_CONFIDENCE = 0.9;
+
+// Confidence of a Form 16 Part B figure that was not found on the form (taken as zero)
+const FORM_16_MISSING_CONFIDENCE = 0.6;
+
+// Confidence of comparisons with AIS/TIS (structured data from the portal, but not yet confirmed by the taxpayer)
+const AIS_CONFIDENCE = 0.9;
+
+// Share of gross rent taxed as house property income, after the 30% standard deduction of Section 24(a)
+const RENT_TAXABLE_SHARE = 0.7;
+
+// Reporting sources named in AIS evidence before the rest are counted
+const AIS_EVIDENCE_SOURCES = 3;
+
+// Confidence of comparisons with the capital gains statement, whose classification is approximate
+const STATEMENT_CONFIDENCE = 0.85;
+
+// A single month's salary slip scaled to a year is only an approximation of the annual figure
+const ANNUALISED_CONFIDENCE_FACTOR = 0.8;
+
+function isNewRegime(answers) {
+  return typeof answers.taxRegime === 'string' && answers.taxRegime.trim().toLowerCase() === 'new';
+}
+
+function allowedDifference(a, b, tolerance) {
+  return Math.max(tolerance.absolute, Math.max(Math.abs(a), Math.abs(b)) * tolerance.relative);
+}
+
+function differs(a, b, tolerance) {
+  return Math.abs(a - b) > allowedDifference(a, b, tolerance);
+}
+
+/**
+ * True when `declared` is lower than `reported` by more than the tolerance
+ */
+function understated(declared, reported, tolerance) {
+  return reported - declared > allowedDifference(declared, reported, tolerance);
+}
+
+/**
+ * Returns the 26AS Part A totals for a TDS section, or null if the section is absent
+ */
+function sectionTotals(form26as, section) {
+  const totals = form26as && form26as.totals && form26as.totals.bySection;
+  return totals && totals[section] ? totals[section] : null;
+}
+
+function slipValue(salarySlip, name) {
+  const entry = salarySlip && salarySlip[name];
+  return entry && typeof entry.value === 'number' ? entry.value : null;
+}
+
+/**
+ * Confidence of a comparison that uses an annualised salary slip field
+ */
+function slipConfidence(salarySlip, name) {
+  const entry = salarySlip && salarySlip[name];
+  const confidence = entry && typeof entry.confidence === 'number' ? entry.confidence : 0.5;
+  return confidence * ANNUALISED_CONFIDENCE_FACTOR;
+}
+
+/**
+ * Figures being compared: { label, value, source, evidence }
+ * source is { key, params } of a text under reconciliation.sources, or { name } for a name kept as is
+ */
+function fromAnswers(label, field, value) {
+  return { label, value, source: { key: 'answers' }, evidence: { source: 'answers', field, value } };
+}
+
+function fromSalarySlip(label, field, monthly) {
+  return {
+    label,
+    value: monthly * MONTHS_PER_YEAR,
+    source: { key: 'salarySlip' },
+    evidence: { source: 'salarySlip', field: `${field} (monthly)`, value: monthly }
+  };
+}
+
+function fromForm26AS(label, field, value, section) {
+  return {
+    label,
+    value,
+    source: section ? { key: 'form26asSection', params: { section } } : { key: 'form26as' },
+    evidence: { source: 'form26as', field: section ? `Part A, Section ${section}: ${field}` : field, value }
+  };
+}
+
+function fromForm16(label, field, value, part = 'B') {
+  return {
+    label,
+    value,
+    source: { key: 'form16', params: { part } },
+    evidence: { source: 'form16', field: `Part ${part}: ${field}`, value }
+  };
+}
+
+/**
+ * Where a figure came from, in the requested language
+ */
+function sourceName(t, source) {
+  return source.name || t(`reconciliation.sources.${source.key}`, source.params);
+}
+
+function form16Value(form16, name) {
+  const entry = form16 && form16.partB[name];
+  return entry && typeof entry.value === 'number' ? entry.value : null;
+}
+
+function form16Confidence(form16, name) {
+  const entry = form16 && form16.partB[name];
+  return entry && typeof entry.confidence === 'number' ? entry.confidence : FORM_16_MISSING_CONFIDENCE;
+}
+
+/**
+ * The employer's TAN and TDS for the year: from Form 16 Part A when uploaded,
+ * otherwise from the salary slip (monthly TDS x 12)
+ */
+function employerFromDocuments(salarySlip, form16, t) {
+  if (form16 && form16.partA.employerTan) {
+    const tds = form16.partA.totals ? form16.partA.totals.taxDeducted : null;
+    return {
+      tan: form16.partA.employerTan,
+      document: t('reconciliation.documents.form16'),
+      tds,
+      tdsBasis: t('reconciliation.employerTdsBasis.form16'),
+      evidence: { source: 'form16', field: 'Part A: TAN of the employer', value: form16.partA.employerTan },
+      confidence: FORM_26AS_CONFIDENCE
+    };
+  }
+  const tan = salarySlip && salarySlip.employerTan && salarySlip.employerTan.value;
+  if (!tan) {
+    return null;
+  }
+  const monthlyTds = slipValue(salarySlip, 'tds');
+  return {
+    tan,
+    document: t('reconciliation.documents.salarySlip'),
+    tds: monthlyTds ? monthlyTds * MONTHS_PER_YEAR : null,
+    tdsBasis: t('reconciliation.employerTdsBasis.salarySlip'),
+    evidence: { source: 'salarySlip', field: 'employerTan', value: tan },
+    confidence: salarySlip.employerTan.confidence || 0.5
+  };
+}
+
+/**
+ * Deductions and exemptions compared between the answers and Form 16 Part B
+ * answers: answer fields added up; form16: Part B field; term: its name under terms in the catalogues
+ */
+const FORM_16_DEDUCTIONS = [
+  { label: 'Section 80C', term: 'section80C', answers: ['section80C'], form16: 'section80C' },
+  { label: 'Section 80CCD(1B)', term: 'section80CCD1B', answers: ['section80CCD1B'], form16: 'section80CCD1B' },
+  { label: 'Section 80D', term: 'section80D', answers: ['section80D', 'section80DParents'], form16: 'section80D' },
+  { label: 'HRA exemption', term: 'hraExemption', answers: ['hraExemption'], form16: 'hraExemption' }
+];
+
+/**
+ * Compares each deduction in the answers with Form 16 Part B
+ * Returns [{ label, term, declared, employer, confidence, evidence }] for those that differ;
+ * declared is null when the answers do not mention the deduction
+ */
+function deductionDifferences(answers, form16) {
+  return FORM_16_DEDUCTIONS.map(deduction => {
+    const values = deduction.answers.map(name => toNumber(answers[name])).filter(value => value !== null);
+    const declared = values.length > 0 ? values.reduce((sum, value) => sum + value, 0) : null;
+    const employer = form16Value(form16, deduction.form16);
+    return {
+      label: deduction.label,
+      term: deduction.term,
+      declared,
+      employer: employer === null ? 0 : employer,
+      confidence: form16Confidence(form16, deduction.form16),
+      evidence: [
+        ...deduction.answers
+          .filter(name => toNumber(answers[name]) !== null)
+          .map(name => ({ source: 'answers', field: name, value: toNumber(answers[name]) })),
+        { source: 'form16', field: `Part B: ${deduction.label}`, value: employer === null ? 0 : employer }
+      ]
+    };
+  }).filter(item => item.declared !== null || item.employer > 0);
+}
+
+function deductionNames(items, t) {
+  return items.map(item => t(`terms.${item.term}`)).join(', ');
+}
+
+function describeDifferences(items, t) {
+  return items
+    .map(item => t('reconciliation.deductionDifference', {
+      label: t(`terms.${item.term}`),
+      declared: formatRupees(item.declared || 0),
+      employer: formatRupees(item.employer)
+    }))
+    .join('; ');
+}
+
+/**
+ * AIS income of the given heads: { amount, heads, sources } or null when none was reported
+ */
+function aisIncome(ais, heads) {
+  const present = heads.filter(head => ais && ais.incomeHeads[head] && ais.incomeHeads[head].amount > 0);
+  if (present.length === 0) {
+    return null;
+  }
+  const sources = present.flatMap(head => ais.incomeHeads[head].sources);
+  sources.sort((a, b) => b.amount - a.amount);
+  return {
+    amount: present.reduce((total, head) => total + ais.incomeHeads[head].amount, 0),
+    heads: present,
+    sources
+  };
+}
+
+function fromAis(label, income, ais) {
+  const names = income.sources.slice(0, AIS_EVIDENCE_SOURCES).map(source => source.source);
+  const more = income.sources.length - names.length;
+  const reportedBy = more > 0 ? `${names.join(', ')} and ${more} more` : names.join(', ');
+  return {
+    label,
+    value: income.amount,
+    source: { name: ais.kind },
+    evidence: {
+      source: 'ais',
+      field: `${income.heads.map(head => INCOME_HEADS[head]).join(', ')} reported by ${reportedBy}`,
+      value: income.amount
+    }
+  };
+}
+
+function fromCapitalGains(label, field, value) {
+  return { label, value, source: { key: 'capitalGains' }, evidence: { source: 'capitalGains', field, value } };
+}
+
+/**
+ * Tax on income missing from the return, under the regime the user chose (new by default)
+ */
+function underReportedImpact(answers, amount, t) {
+  const regime = answers.taxRegime === 'old' ? 'old' : 'new';
+  return {
+    amount: taxCalculator.taxOnAdditionalIncome(answers, amount, regime),
+    type: 'tax',
+    basis: t('impact.underReported', { amount: formatRupees(amount), regime: t(`regimes.${regime}`) })
+  };
+}
+
+/**
+ * Tax on capital gains missing from the return: the same share of the tax computed from the
+ * statement (special rates with cess, plus slab-rate gains under the chosen regime)
+ */
+function underReportedGainsImpact(answers, capitalGains, amount, t) {
+  const regime = answers.taxRegime === 'old' ? 'old' : 'new';
+  const share = Math.min(1, amount / capitalGains.totals.netGains);
+  const slabTax = taxCalculator.taxOnAdditionalIncome(answers, capitalGains.totals.slabRateIncome * share, regime);
+  return {
+    amount: capitalGains.totals.totalTax * share + slabTax,
+    type: 'tax',
+    basis: t('impact.underReportedGains', { amount: formatRupees(amount) })
+  };
+}
+
+/**
+ * Builds a mismatch issue with both figures and their sources
+ * t: translator of the requested language; title and advice are already translated
+ * details: { legalReference, estimatedImpact, remediation, confidence }
+ */
+function mismatch(t, id, severity, title, first, second, advice, details = {}) {
+  const params = {
+    label: first.label,
+    first: formatRupees(first.value),
+    firstSource: sourceName(t, first.source),
+    second: formatRupees(second.value),
+    secondSource: sourceName(t, second.source),
+    difference: formatRupees(Math.abs(first.value - second.value)),
+    advice
+  };
+  return {
+    id,
+    severity,
+    title,
+    short: t('reconciliation.mismatch.short', params),
+    long: t('reconciliation.mismatch.long', params),
+    legalReference: details.legalReference || null,
+    estimatedImpact: details.estimatedImpact || null,
+    remediation: details.remediation || [],
+    evidence: [first.evidence, second.evidence],
+    confidence: details.confidence
+  };
+}
+
+/**
+ * AIS/TIS income heads compared with the answers
+ * heads: AIS income heads added up; share: part of the AIS amount that is taxable income;
+ * missingOnly: only flag when the answer is missing or zero (deductions make the net figure incomparable)
+ * Title, label, advice and remediation are under reconciliation.<id> in the catalogues
+ */
+const AIS_INCOME_CHECKS = [
+  {
+    id: 'reconcile-ais-salary',
+    severity: 'HIGH',
+    field: 'salaryIncome',
+    heads: ['salary'],
+    legalReference: 'Section 15; Section 143(1)(a); Section 270A'
+  },
+  {
+    id: 'reconcile-ais-interest',
+    severity: 'HIGH',
+    field: 'interestIncome',
+    heads: ['interestSavings', 'interestDeposits', 'interestOther'],
+    legalReference: 'Section 56; Section 80TTA/80TTB; Section 143(1)(a); Section 270A'
+  },
+  {
+    id: 'reconcile-ais-dividends',
+    severity: 'MEDIUM',
+    field: 'dividendIncome',
+    heads: ['dividends'],
+    legalReference: 'Section 56(2)(i); Section 143(1)(a)'
+  },
+  {
+    id: 'reconcile-ais-rent',
+    severity: 'MEDIUM',
+    field: 'housePropertyIncome',
+    heads: ['rent'],
+    share: RENT_TAXABLE_SHARE,
+    missingOnly: true,
+    legalReference: 'Section 22; Section 24; Section 194I/194IB; Section 143(1)(a)'
+  },
+  {
+    id: 'reconcile-ais-other-income',
+    severity: 'HIGH',
+    field: 'otherIncome',
+    heads: ['winnings', 'otherIncome'],
+    legalReference: 'Section 56; Section 115BB; Section 143(1)(a)'
+  }
+];
+
+/**
+ * Builds the check for one AIS income head (see AIS_INCOME_CHECKS)
+ */
+function aisIncomeCheck(config) {
+  return ({ answers, ais, t }) => {
+    const reported = aisIncome(ais, config.heads);
+    if (!reported) {
+      return null;
+    }
+    const declared = toNumber(answers[config.field]);
+    const taxable = reported.amount * (config.share || 1);
+    const missing = config.missingOnly
+      ? !declared
+      : understated(declared || 0, taxable, TOLERANCES.declaredVsAis);
+    if (!missing) {
+      return null;
+    }
+    const label = t(`reconciliation.${config.id}.label`);
+    return mismatch(
+      t,
+      config.id,
+      config.severity,
+      t(`reconciliation.${config.id}.title`),
+      fromAnswers(label, config.field, declared || 0),
+      fromAis(label, reported, ais),
+      t(`reconciliation.${config.id}.advice`),
+      {
+        legalReference: config.legalReference,
+        estimatedImpact: underReportedImpact(answers, taxable - (declared || 0), t),
+        remediation: t(`reconciliation.${config.id}.remediation`),
+        confidence: AIS_CONFIDENCE
+      }
+    );
+  };
+}
+
+/**
+ * Check definitions
+ * Each check receives { answers, salarySlip, form16, form26as, capitalGains, ais, t } and returns an issue or null;
+ * t is the translator of the requested language (see config/locales)
+ */
+const CHECKS = [
+  // TDS the user declared vs. TDS credited in 26AS
+  ({ answers, form26as, t }) => {
+    const declared = toNumber(answers.tdsDeducted);
+    if (declared === null || !form26as) {
+      return null;
+    }
+    const reported = form26as.totals.tdsDeducted;
+    if (!differs(declared, reported, TOLERANCES.declaredVs26AS)) {
+      return null;
+    }
+    const overClaimed = declared > reported;
+    const label = t('reconciliation.labels.totalTds');
+    return mismatch(
+      t,
+      'reconcile-tds-answers-26as',
+      'HIGH',
+      t('reconciliation.reconcile-tds-answers-26as.title'),
+      fromAnswers(label, 'tdsDeducted', declared),
+      fromForm26AS(label, 'Part A total tax deducted', reported),
+      t('reconciliation.reconcile-tds-answers-26as.advice'),
+      {
+        legalReference: 'Section 199; Rule 37BA, Income-tax Rules 1962; Section 143(1)',
+        estimatedImpact: overClaimed
+          ? { amount: declared - reported, type: 'tax', basis: t('reconciliation.reconcile-tds-answers-26as.basisOverClaimed') }
+          : { amount: reported - declared, type: 'refund', basis: t('reconciliation.reconcile-tds-answers-26as.basisUnderClaimed') },
+        remediation: overClaimed
+          ? t('reconciliation.reconcile-tds-answers-26as.remediationOverClaimed')
+          : t('reconciliation.reconcile-tds-answers-26as.remediationUnderClaimed'),
+        confidence: FORM_26AS_CONFIDENCE
+      }
+    );
+  },
+
+  // Salary slip TDS vs. section 192 TDS in 26AS
+  ({ salarySlip, form26as, t }) => {
+    const monthly = slipValue(salarySlip, 'tds');
+    const section192 = sectionTotals(form26as, '192');
+    if (monthly === null || !section192) {
+      return null;
+    }
+    const annualised = monthly * MONTHS_PER_YEAR;
+    if (!differs(annualised, section192.taxDeducted, TOLERANCES.slipVs26AS)) {
+      return null;
+    }
+    const missingCredit = annualised - section192.taxDeducted;
+    const label = t('reconciliation.labels.tdsOnSalary');
+    return mismatch(
+      t,
+      'reconcile-tds-slip-26as',
+      'MEDIUM',
+      t('reconciliation.reconcile-tds-slip-26as.title'),
+      fromSalarySlip(label, 'tds', monthly),
+      fromForm26AS(label, 'tax deducted', section192.taxDeducted, '192'),
+      t('reconciliation.reconcile-tds-slip-26as.advice'),
+      {
+        legalReference: 'Section 192; Section 200(3); Section 199',
+        estimatedImpact: missingCredit > 0
+          ? { amount: missingCredit, type: 'refund', basis: t('reconciliation.reconcile-tds-slip-26as.basis') }
+          : null,
+        remediation: t('reconciliation.reconcile-tds-slip-26as.remediation'),
+        confidence: slipConfidence(salarySlip, 'tds')
+      }
+    );
+  },
+
+  // Salary slip gross vs. section 192 amount paid in 26AS
+  ({ salarySlip, form26as, t }) => {
+    const monthly = slipValue(salarySlip, 'grossEarnings');
+    const section192 = sectionTotals(form26as, '192');
+    if (monthly === null || !section192) {
+      return null;
+    }
+    const annualised = monthly * MONTHS_PER_YEAR;
+    if (!differs(annualised, section192.amountPaid, TOLERANCES.slipVs26AS)) {
+      return null;
+    }
+    return mismatch(
+      t,
+      'reconcile-salary-slip-26as',
+      'LOW',
+      t('reconciliation.reconcile-salary-slip-26as.title'),
+      fromSalarySlip(t('reconciliation.labels.annualSalary'), 'grossEarnings', monthly),
+      fromForm26AS(t('reconciliation.labels.salaryPaid'), 'amount paid', section192.amountPaid, '192'),
+      t('reconciliation.reconcile-salary-slip-26as.advice'),
+      {
+        legalReference: 'Section 15; Section 192',
+        remediation: t('reconciliation.reconcile-salary-slip-26as.remediation'),
+        confidence: slipConfidence(salarySlip, 'grossEarnings')
+      }
+    );
+  },
+
+  // Declared salary vs. section 192 amount paid in 26AS
+  ({ answers, form26as, t }) => {
+    const declared = toNumber(answers.salaryIncome);
+    const section192 = sectionTotals(form26as, '192');
+    if (declared === null || !section192 || !understated(declared, section192.amountPaid, TOLERANCES.declaredVs26AS)) {
+      return null;
+    }
+    return mismatch(
+      t,
+      'reconcile-salary-answers-26as',
+      'HIGH',
+      t('reconciliation.reconcile-salary-answers-26as.title'),
+      fromAnswers(t('reconciliation.labels.salaryIncome'), 'salaryIncome', declared),
+      fromForm26AS(t('reconciliation.labels.salaryPaid'), 'amount paid', section192.amountPaid, '192'),
+      t('reconciliation.reconcile-salary-answers-26as.advice'),
+      {
+        legalReference: 'Section 15; Section 143(1)(a); Section 270A',
+        estimatedImpact: underReportedImpact(answers, section192.amountPaid - declared, t),
+        remediation: t('reconciliation.reconcile-salary-answers-26as.remediation'),
+        confidence: FORM_26AS_CONFIDENCE
+      }
+    );
+  },
+
+  // Declared interest vs. section 194A amount paid in 26AS
+  ({ answers, form26as, t }) => {
+    const declared = toNumber(answers.interestIncome);
+    const section194A = sectionTotals(form26as, '194A');
+    if (!section194A || !understated(declared || 0, section194A.amountPaid, TOLERANCES.declaredVs26AS)) {
+      return null;
+    }
+    return mismatch(
+      t,
+      'reconcile-interest-answers-26as',
+      'HIGH',
+      t('reconciliation.reconcile-interest-answers-26as.title'),
+      fromAnswers(t('reconciliation.labels.interestIncome'), 'interestIncome', declared || 0),
+      fromForm26AS(t('reconciliation.labels.interestCredited'), 'amount paid', section194A.amountPaid, '194A'),
+      t('reconciliation.reconcile-interest-answers-26as.advice'),
+      {
+        legalReference: 'Section 56; Section 194A; Section 270A',
+        estimatedImpact: underReportedImpact(answers, section194A.amountPaid - (declared || 0), t),
+        remediation: t('reconciliation.reconcile-interest-answers-26as.remediation'),
+        confidence: FORM_26AS_CONFIDENCE
+      }
+    );
+  },
+
+  // Declared dividends vs. section 194 amount paid in 26AS
+  ({ answers, form26as, t }) => {
+    const declared = toNumber(answers.dividendIncome);
+    const section194 = sectionTotals(form26as, '194');
+    if (!section194 || !understated(declared || 0, section194.amountPaid, TOLERANCES.declaredVs26AS)) {
+      return null;
+    }
+    return mismatch(
+      t,
+      'reconcile-dividend-answers-26as',
+      'MEDIUM',
+      t('reconciliation.reconcile-dividend-answers-26as.title'),
+      fromAnswers(t('reconciliation.labels.dividendIncome'), 'dividendIncome', declared || 0),
+      fromForm26AS(t('reconciliation.labels.dividendPaid'), 'amount paid', section194.amountPaid, '194'),
+      t('reconciliation.reconcile-dividend-answers-26as.advice'),
+      {
+        legalReference: 'Section 56(2)(i); Section 194; Section 270A',
+        estimatedImpact: underReportedImpact(answers, section194.amountPaid - (declared || 0), t),
+        remediation: t('reconciliation.reconcile-dividend-answers-26as.remediation'),
+        confidence: FORM_26AS_CONFIDENCE
+      }
+    );
+  },
+
+  // Declared salary vs. salary slip gross
+  ({ answers, salarySlip, t }) => {
+    const declared = toNumber(answers.salaryIncome);
+    const monthly = slipValue(salarySlip, 'grossEarnings');
+    if (declared === null || monthly === null) {
+      return null;
+    }
+    const annualised = monthly * MONTHS_PER_YEAR;
+    if (!differs(declared, annualised, TOLERANCES.slipVsDeclared)) {
+      return null;
+    }
+    return mismatch(
+      t,
+      'reconcile-salary-answers-slip',
+      'LOW',
+      t('reconciliation.reconcile-salary-answers-slip.title'),
+      fromAnswers(t('reconciliation.labels.salaryIncome'), 'salaryIncome', declared),
+      fromSalarySlip(t('reconciliation.labels.annualSalary'), 'grossEarnings', monthly),
+      t('reconciliation.reconcile-salary-answers-slip.advice'),
+      {
+        legalReference: 'Section 15; Section 17(1)',
+        remediation: t('reconciliation.reconcile-salary-answers-slip.remediation'),
+        confidence: slipConfidence(salarySlip, 'grossEarnings')
+      }
+    );
+  },
+
+  // Declared salary vs. gross salary in Form 16 Part B
+  ({ answers, form16, t }) => {
+    const declared = toNumber(answers.salaryIncome);
+    const gross = form16Value(form16, 'grossSalary');
+    if (declared === null || gross === null || !understated(declared, gross, TOLERANCES.declaredVsForm16)) {
+      return null;
+    }
+    return mismatch(
+      t,
+      'reconcile-salary-answers-form16',
+      'HIGH',
+      t('reconciliation.reconcile-salary-answers-form16.title'),
+      fromAnswers(t('reconciliation.labels.salaryIncome'), 'salaryIncome', declared),
+      fromForm16(t('reconciliation.labels.grossSalary'), 'gross salary (Section 17(1), 17(2) and 17(3))', gross),
+      t('reconciliation.reconcile-salary-answers-form16.advice'),
+      {
+        legalReference: 'Section 15; Section 17; Section 270A',
+        estimatedImpact: underReportedImpact(answers, gross - declared, t),
+        remediation: t('reconciliation.reconcile-salary-answers-form16.remediation'),
+        confidence: form16Confidence(form16, 'grossSalary')
+      }
+    );
+  },
+
+  // TDS in Form 16 Part A vs. the employer's entry in 26AS
+  ({ form16, form26as, t }) => {
+    const tan = form16 && form16.partA.employerTan;
+    const totals = form16 && form16.partA.totals;
+    const deductor = tan && totals && form26as ? form26as.tds.find(entry => entry.tan === tan) : null;
+    if (!deductor || !differs(totals.taxDeducted, deductor.taxDeducted, TOLERANCES.declaredVs26AS)) {
+      return null;
+    }
+    const missingCredit = totals.taxDeducted - deductor.taxDeducted;
+    const label = t('reconciliation.labels.tdsOnSalary');
+    return mismatch(
+      t,
+      'reconcile-tds-form16-26as',
+      'MEDIUM',
+      t('reconciliation.reconcile-tds-form16-26as.title'),
+      fromForm16(label, 'total tax deducted', totals.taxDeducted, 'A'),
+      fromForm26AS(label, `tax deducted by ${deductor.name}`, deductor.taxDeducted),
+      t('reconciliation.reconcile-tds-form16-26as.advice'),
+      {
+        legalReference: 'Section 192; Section 200(3); Section 203; Section 199',
+        estimatedImpact: missingCredit > 0
+          ? { amount: missingCredit, type: 'refund', basis: t('reconciliation.reconcile-tds-form16-26as.basis') }
+          : null,
+        remediation: t('reconciliation.reconcile-tds-form16-26as.remediation'),
+        confidence: FORM_26AS_CONFIDENCE
+      }
+    );
+  },
+
+  // Deductions in the answers that the employer never saw (old regime only, the new regime has none)
+  ({ answers, form16, t }) => {
+    if (!form16 || isNewRegime(answers)) {
+      return null;
+    }
+    const items = deductionDifferences(answers, form16)
+      .filter(item => item.declared !== null && understated(item.employer, item.declared, TOLERANCES.declaredVsForm16));
+    if (items.length === 0) {
+      return null;
+    }
+    const extra = items.reduce((sum, item) => sum + item.declared - item.employer, 0);
+    const key = 'reconciliation.reconcile-deductions-answers-form16';
+    return {
+      id: 'reconcile-deductions-answers-form16',
+      severity: 'MEDIUM',
+      title: t(`${key}.title`),
+      short: t(items.length > 1 ? `${key}.shortMany` : `${key}.shortOne`, { items: deductionNames(items, t) }),
+      long: t(`${key}.long`, { differences: describeDifferences(items, t) }),
+      legalReference: 'Chapter VI-A; Section 10(13A); Section 192(2D) and Rule 26C; Section 143(1)(a)',
+      estimatedImpact: {
+        amount: taxCalculator.taxOnAdditionalIncome(answers, extra, 'old'),
+        type: 'tax',
+        basis: t(`${key}.basis`, { amount: formatRupees(extra) })
+      },
+      remediation: t(`${key}.remediation`),
+      evidence: items.flatMap(item => item.evidence),
+      confidence: Math.min(...items.map(item => item.confidence))
+    };
+  },
+
+  // Deductions the employer allowed in Form 16 that are missing from the answers
+  ({ answers, form16, t }) => {
+    if (!form16 || isNewRegime(answers)) {
+      return null;
+    }
+    const items = deductionDifferences(answers, form16)
+      .filter(item => understated(item.declared || 0, item.employer, TOLERANCES.declaredVsForm16));
+    if (items.length === 0) {
+      return null;
+    }
+    const missing = items.reduce((sum, item) => sum + item.employer - (item.declared || 0), 0);
+    const key = 'reconciliation.reconcile-deductions-form16-answers';
+    return {
+      id: 'reconcile-deductions-form16-answers',
+      severity: 'LOW',
+      title: t(`${key}.title`),
+      short: t(items.length > 1 ? `${key}.shortMany` : `${key}.shortOne`, { items: deductionNames(items, t) }),
+      long: t(`${key}.long`, { differences: describeDifferences(items, t) }),
+      legalReference: 'Chapter VI-A; Section 10(13A); Section 192',
+      estimatedImpact: {
+        amount: taxCalculator.taxSavedByDeduction(answers, missing, 'old'),
+        type: 'refund',
+        basis: t(`${key}.basis`, { amount: formatRupees(missing) })
+      },
+      remediation: t(`${key}.remediation`),
+      evidence: items.flatMap(item => item.evidence),
+      confidence: Math.min(...items.map(item => item.confidence))
+    };
+  },
+
+  // Declared capital gains vs. net gains computed from the capital gains statement
+  ({ answers, capitalGains, t }) => {
+    if (!capitalGains) {
+      return null;
+    }
+    const declared = toNumber(answers.capitalGainsIncome) || 0;
+    const reported = capitalGains.totals.netGains;
+    if (!understated(declared, reported, TOLERANCES.declaredVsStatement)) {
+      return null;
+    }
+    // Gains fully covered by the 112A exemption still have to be reported, but cost no tax
+    const estimatedImpact = underReportedGainsImpact(answers, capitalGains, reported - declared, t);
+    const label = t('reconciliation.labels.netCapitalGains');
+    return mismatch(
+      t,
+      'reconcile-capital-gains-answers-statement',
+      estimatedImpact.amount >= 1 ? 'HIGH' : 'MEDIUM',
+      t('reconciliation.reconcile-capital-gains-answers-statement.title'),
+      fromAnswers(label, 'capitalGainsIncome', declared),
+      fromCapitalGains(label, 'Net short- and long-term gains after set-off', reported),
+      t('reconciliation.reconcile-capital-gains-answers-statement.advice'),
+      {
+        legalReference: 'Section 45; Sections 111A, 112A and 112; Section 270A',
+        estimatedImpact,
+        remediation: t('reconciliation.reconcile-capital-gains-answers-statement.remediation'),
+        confidence: STATEMENT_CONFIDENCE
+      }
+    );
+  },
+
+  // Employer on Form 16 or the salary slip missing from 26AS
+  ({ salarySlip, form16, form26as, t }) => {
+    const employer = employerFromDocuments(salarySlip, form16, t);
+    if (!employer || !form26as || form26as.tds.length === 0) {
+      return null;
+    }
+    if (form26as.tds.some(deductor => deductor.tan === employer.tan)) {
+      return null;
+    }
+    const params = { tan: employer.tan, document: employer.document };
+    return {
+      id: 'reconcile-employer-tan-26as',
+      severity: 'MEDIUM',
+      title: t('reconciliation.reconcile-employer-tan-26as.title'),
+      short: t('reconciliation.reconcile-employer-tan-26as.short', params),
+      long: t('reconciliation.reconcile-employer-tan-26as.long', params),
+      legalReference: 'Section 192; Section 200(3); Section 199',
+      estimatedImpact: employer.tds
+        ? { amount: employer.tds, type: 'refund', basis: employer.tdsBasis }
+        : null,
+      remediation: t('reconciliation.reconcile-employer-tan-26as.remediation'),
+      evidence: [
+        employer.evidence,
+        { source: 'form26as', field: 'Part A deductor TANs', value: form26as.tds.map(deductor => deductor.tan).join(', ') }
+      ],
+      confidence: employer.confidence
+    };
+  },
+
+  // TDS deducted but not deposited, per deductor in 26AS
+  ({ form26as, t }) => {
+    if (!form26as) {
+      return null;
+    }
+    const shortfalls = form26as.tds.filter(deductor => deductor.taxDeducted - deductor.taxDeposited > 1);
+    if (shortfalls.length === 0) {
+      return null;
+    }
+    const details = shortfalls
+      .map(deductor => t('reconciliation.reconcile-tds-not-deposited.deductor', {
+        name: deductor.name,
+        tan: deductor.tan,
+        deducted: formatRupees(deductor.taxDeducted),
+        deposited: formatRupees(deductor.taxDeposited)
+      }))
+      .join('; ');
+    const shortfall = shortfalls.reduce((sum, deductor) => sum + deductor.taxDeducted - deductor.taxDeposited, 0);
+    return {
+      id: 'reconcile-tds-not-deposited',
+      severity: 'MEDIUM',
+      title: t('reconciliation.reconcile-tds-not-deposited.title'),
+      short: t('reconciliation.reconcile-tds-not-deposited.short', { count: shortfalls.length }),
+      long: t('reconciliation.reconcile-tds-not-deposited.long', { details }),
+      legalReference: 'Section 199; Section 205; Rule 37BA, Income-tax Rules 1962',
+      estimatedImpact: { amount: shortfall, type: 'refund', basis: t('reconciliation.reconcile-tds-not-deposited.basis') },
+      remediation: t('reconciliation.reconcile-tds-not-deposited.remediation'),
+      evidence: shortfalls.map(deductor => ({
+        source: 'form26as',
+        field: `Part A, ${deductor.name} (${deductor.tan}): tax deducted vs. deposited`,
+        value: `${deductor.taxDeducted} / ${deductor.taxDeposited}`
+      })),
+      confidence: FORM_26AS_CONFIDENCE
+    };
+  },
+
+  // Income reported in AIS/TIS vs. the answers, head by head
+  ...AIS_INCOME_CHECKS.map(aisIncomeCheck),
+
+  // Sales of securities or property in AIS without any capital gains in the answers
+  ({ answers, ais, capitalGains, t }) => {
+    const sales = aisIncome(ais, ['securitiesSales', 'propertySales']);
+    if (!sales || capitalGains || toNumber(answers.capitalGainsIncome) !== null || toBoolean(answers.hasCapitalGains)) {
+      return null;
+    }
+    const sold = fromAis('Sale value', sales, ais);
+    const params = {
+      kind: ais.kind,
+      amount: formatRupees(sales.amount),
+      heads: sales.heads.map(head => t(`reconciliation.incomeHeads.${head}`)).join(t('reconciliation.and'))
+    };
+    return {
+      id: 'reconcile-ais-sales-capital-gains',
+      severity: 'MEDIUM',
+      title: t('reconciliation.reconcile-ais-sales-capital-gains.title'),
+      short: t('reconciliation.reconcile-ais-sales-capital-gains.short', params),
+      long: t('reconciliation.reconcile-ais-sales-capital-gains.long', params),
+      legalReference: 'Section 45; Section 48; Section 143(1)(a)',
+      estimatedImpact: {
+        amount: null,
+        type: 'tax',
+        basis: t('reconciliation.reconcile-ais-sales-capital-gains.basis')
+      },
+      remediation: t('reconciliation.reconcile-ais-sales-capital-gains.remediation'),
+      evidence: [
+        { source: 'answers', field: 'hasCapitalGains', value: answers.hasCapitalGains === undefined ? null : answers.hasCapitalGains },
+        sold.evidence
+      ],
+      confidence: AIS_CONFIDENCE
+    };
+  }
+];
+
+/**
+ * Reconciles the answers with the parsed documents
+ * extractedData: { salarySlip?, form16?, form26as?, capitalGains?, ais? } as produced by documentService
+ * options.language: language of the issue texts (default English)
+ * Returns an array of issues (see utils/issueModel)
+ */
+function reconcile(answers, extractedData = {}, options = {}) {
+  const input = {
+    answers: answers && typeof answers === 'object' ? answers : {},
+    salarySlip: extractedData.salarySlip || null,
+    form16: extractedData.form16 || null,
+    form26as: extractedData.form26as || null,
+    capitalGains: extractedData.capitalGains || null,
+    ais: extractedData.ais || null,
+    t: locales.translator(options.language)
+  };
+
+  if (!input.salarySlip && !input.form16 && !input.form26as && !input.capitalGains && !input.ais) {
+    return [];
+  }
+
+  const issues = [];
+  CHECKS.forEach((check, index) => {
+    try {
+      const issue = check(input);
+      if (issue) {
+        issues.push(issue);
+      }
+    } catch (error) {
+      logger.error('Reconciliation check failed', { check: index, error });
+    }
+  });
+
+  return issues;
+}
+
+module.exports = {
+  reconcile,
+  TOLERANCES
+};
@@ -0,0 +1,200 @@
+/**
+ * PII Redaction
+ * Replaces personal identifiers (PAN, Aadhaar, bank accounts, employee IDs, names, addresses,
+ * contact details) with stable placeholders such as [PAN_1] before anything is sent to an LLM,
+ * and maps the placeholders back in the returned text
+ * CRASH-SAFE: Never throws, input that cannot be processed is returned unchanged
+ *
+ * Create one Redactor per request: the placeholder map must not leak between users.
+ */
+
+const logger = require('../utils/logger');
+
+// Identifiers found through a label; only the captured value (group 1) is replaced
+const LABELLED_PATTERNS = [
+  {
+    type: 'NAME',
+    regex: /\b(?:employee\s+name|name\s+of\s+(?:the\s+)?(?:employee|assessee)|assessee\s+name)\s*[:\-]?\s*([A-Za-z][A-Za-z.']*(?=[\s,;]|$)(?!\s*:)(?:[ ][A-Za-z][A-Za-z.']*(?=[\s,;]|$)(?!\s*:)){0,4})/gi
+  },
+  {
+    type: 'ADDRESS',
+    regex: /\b(?:(?:residential|permanent|communication)\s+address|address\s+of\s+(?:the\s+)?(?:assessee|employee)|address\s*:)\s*[:\-]?\s*([^\n]{4,}?)(?=\s{2,}|\n|$)/gi
+  },
+  {
+    type: 'BANK_ACCOUNT',
+    regex: /\b(?:bank\s+)?(?:a\/c|acct|account)\.?\s*(?:no\.?|number|#)?\s*[:\-]?\s*(\d[\d -]{7,20}\d)\b/gi
+  },
+  {
+    type: 'EMPLOYEE_ID',
+    regex: /\b(?:emp(?:loyee)?\.?\s*(?:code|id|no\.?|number)|staff\s+id)\s*[:\-#]?\s*((?=[A-Z0-9/-]*\d)[A-Z0-9][A-Z0-9/-]{1,19})\b/gi
+  }
+];
+
+// Identifiers recognised by their format alone; the whole match is replaced
+const FORMAT_PATTERNS = [
+  { type: 'PAN', regex: /\b[A-Z]{5}\d{4}[A-Z]\b/gi },
+  { type: 'AADHAAR', regex: /\b[2-9]\d{3}[ -]?\d{4}[ -]?\d{4}\b/g },
+  { type: 'EMAIL', regex: /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi },
+  { type: 'PHONE', regex: /(?:\+91[ -]?)?\b[6-9]\d{9}\b/g }
+];
+
+const PII_TYPES = [...LABELLED_PATTERNS, ...FORMAT_PATTERNS].map(pattern => pattern.type);
+
+const PLACEHOLDER_REGEX = new RegExp(`\\[(${PII_TYPES.join('|')})_(\\d+)\\]`, 'g');
+
+/**
+ * Normalizes a value so the same identifier always gets the same placeholder
+ * (e.g. "1234 5678 9012" and "1234-5678-9012")
+ */
+function normalize(type, value) {
+  if (type === 'AADHAAR' || type === 'BANK_ACCOUNT' || type === 'PHONE') {
+    return value.replace(/\D/g, '').slice(-12);
+  }
+  return value.trim().replace(/\s+/g, ' ').toUpperCase();
+}
+
+class Redactor {
+  constructor() {
+    this.placeholders = new Map(); // "TYPE:normalized value" → placeholder
+    this.originals = new Map();    // placeholder → original value
+    this.counters = {};            // TYPE → last placeholder number
+    this.occurrences = {};         // TYPE → number of replacements
+    this.sources = {};             // source → number of replacements
+  }
+
+  placeholderFor(type, value, source) {
+    const key = `${type}:${normalize(type, value)}`;
+    let placeholder = this.placeholders.get(key);
+    if (!placeholder) {
+      this.counters[type] = (this.counters[type] || 0) + 1;
+      placeholder = `[${type}_${this.counters[type]}]`;
+      this.placeholders.set(key, placeholder);
+      this.originals.set(placeholder, value);
+    }
+    this.occurrences[type] = (this.occurrences[type] || 0) + 1;
+    this.sources[source] = (this.sources[source] || 0) + 1;
+    return placeholder;
+  }
+
+  /**
+   * Redacts identifiers in free text
+   * source labels where the text came from, for the report
+   */
+  redactText(text, source = 'text') {
+    try {
+      if (typeof text !== 'string' || text.length === 0) {
+        return text;
+      }
+
+      let redacted = text;
+
+      for (const { type, regex } of LABELLED_PATTERNS) {
+        redacted = redacted.replace(regex, (match, value) => {
+          const trimmed = value.trim();
+          if (!trimmed) {
+            return match;
+          }
+          return match.replace(trimmed, this.placeholderFor(type, trimmed, source));
+        });
+      }
+
+      for (const { type, regex } of FORMAT_PATTERNS) {
+        redacted = redacted.replace(regex, match => this.placeholderFor(type, match, source));
+      }
+
+      return redacted;
+    } catch (error) {
+      logger.error('Error redacting text', { error });
+      return text;
+    }
+  }
+
+  /**
+   * Redacts every string inside an object or array, returning a redacted copy
+   */
+  redactObject(value, source = 'data') {
+    try {
+      if (typeof value === 'string') {
+        return this.redactText(value, source);
+      }
+      if (Array.isArray(value)) {
+        return value.map(item => this.redactObject(item, source));
+      }
+      if (value && typeof value === 'object') {
+        const redacted = {};
+        for (const [key, item] of Object.entries(value)) {
+          redacted[key] = this.redactObject(item, source);
+        }
+        return redacted;
+      }
+      return value;
+    } catch (error) {
+      logger.error('Error redacting data', { error });
+      return value;
+    }
+  }
+
+  /**
+   * Replaces placeholders with the original values
+   */
+  restoreText(text) {
+    if (typeof text !== 'string' || this.originals.size === 0) {
+      return text;
+    }
+    return text.replace(PLACEHOLDER_REGEX, placeholder => {
+      return this.originals.has(placeholder) ? this.originals.get(placeholder) : placeholder;
+    });
+  }
+
+  /**
+   * Restores placeholders in every string of an analysis result
+   * (summary, issue texts, remediation steps, evidence values)
+   */
+  restoreResult(result) {
+    try {
+      const restore = (value) => {
+        if (typeof value === 'string') {
+          return this.restoreText(value);
+        }
+        if (Array.isArray(value)) {
+          return value.map(restore);
+        }
+        if (value && typeof value === 'object') {
+          return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restore(item)]));
+        }
+        return value;
+      };
+      return restore(result);
+    } catch (error) {
+      logger.error('Error restoring redacted values', { error });
+      return result;
+    }
+  }
+
+  /**
+   * What was redacted, without the values themselves
+   * { total, types: { PAN: 2, ... }, uniqueValues, sources: { answers: 1, ocrText: 1 } }
+   */
+  report() {
+    const total = Object.values(this.occurrences).reduce((sum, count) => sum + count, 0);
+    return {
+      total,
+      types: { ...this.occurrences },
+      uniqueValues: this.originals.size,
+      sources: { ...this.sources }
+    };
+  }
+}
+
+/**
+ * Creates a redactor for one request
+ */
+function createRedactor() {
+  return new Redactor();
+}
+
+module.exports = {
+  createRedactor,
+  Redactor,
+  PII_TYPES
+};
@@ -0,0 +1,432 @@
+/**
+ * Analysis report renderer
+ * Turns a stored analysis into a document the user can save or share with their CA:
+ * risk level, summary, every issue with its explanation and fix steps, the figures read
+ * from the uploaded documents and a disclaimer
+ * Renders HTML (self-contained, inline styles) and PDF (pdfkit with its built-in fonts),
+ * so nothing is fetched over the network; the built-in fonts have no Indic scripts, so analyses
+ * in other languages are only rendered as HTML
+ * CRASH-SAFE: Missing fields are left out of the report; renderPdf rejects instead of throwing
+ */
+
+const PDFDocument = require('pdfkit');
+const { formatRupees } = require('../utils/answerValues');
+const taxRules = require('../config/taxRules');
+const locales = require('../config/locales');
+const { INCOME_HEADS } = require('./parsers/aisParser');
+
+const BRAND = {
+  name: 'TaxSafe',
+  title: 'Tax Filing Check Report',
+  color: '#1f4e79'
+};
+
+const RISK_COLORS = { LOW: '#2e7d32', MEDIUM: '#ef6c00', HIGH: '#c62828' };
+
+const DISCLAIMER = 'This report is generated automatically from the answers and documents you provided. ' +
+  'It highlights likely filing mistakes but is not tax or legal advice, and the amounts are estimates. ' +
+  'Verify the figures with Form 26AS/AIS and consult a Chartered Accountant before filing your return.';
+
+const SALARY_SLIP_LABELS = {
+  payPeriod: 'Pay period',
+  employerName: 'Employer',
+  employerTan: 'Employer TAN',
+  basic: 'Basic',
+  hra: 'House rent allowance',
+  specialAllowance: 'Special allowance',
+  grossEarnings: 'Gross earnings',
+  employeePf: 'Employee PF',
+  professionalTax: 'Professional tax',
+  tds: 'TDS',
+  totalDeductions: 'Total deductions',
+  netPay: 'Net pay'
+};
+
+const FORM_16_PART_B_LABELS = {
+  grossSalary: 'Gross salary',
+  section10Total: 'Section 10 exemptions',
+  standardDeduction: 'Standard deduction',
+  salaryIncome: 'Income from salaries',
+  section80C: 'Section 80C',
+  section80CCD1B: 'Section 80CCD(1B)',
+  section80D: 'Section 80D',
+  chapterVIATotal: 'Chapter VI-A deductions',
+  totalTaxableIncome: 'Total taxable income',
+  netTaxPayable: 'Net tax payable'
+};
+
+const FORM_26AS_TOTAL_LABELS = {
+  amountPaid: 'Amount paid/credited',
+  tdsDeducted: 'TDS deducted',
+  tdsDeposited: 'TDS deposited',
+  tcsCollected: 'TCS collected',
+  taxPaid: 'Tax paid (challans)',
+  refunds: 'Refunds'
+};
+
+const IMPACT_LABELS = { tax: 'Tax', interest: 'Interest', penalty: 'Penalty', refund: 'Refund at risk' };
+
+function formatAmount(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? formatRupees(value) : null;
+}
+
+function formatImpact(impact) {
+  if (!impact) {
+    return null;
+  }
+  const amount = formatAmount(impact.amount) || 'amount not estimated';
+  const label = IMPACT_LABELS[impact.type] || impact.type;
+  return impact.basis ? `${label}: ${amount} (${impact.basis})` : `${label}: ${amount}`;
+}
+
+function salarySlipRows(salarySlip) {
+  return Object.entries(SALARY_SLIP_LABELS)
+    .filter(([key]) => salarySlip[key] && salarySlip[key].value !== null && salarySlip[key].value !== undefined)
+    .map(([key, label]) => {
+      const value = salarySlip[key].value;
+      return [label, typeof value === 'number' ? formatRupees(value) : String(value)];
+    });
+}
+
+function form16Rows(form16) {
+  const rows = [];
+  const partA = form16.partA;
+  if (partA.employerName || partA.employerTan) {
+    rows.push(['Employer', [partA.employerName, partA.employerTan].filter(Boolean).join(', ')]);
+  }
+  if (partA.assessmentYear) {
+    rows.push(['Assessment year', partA.assessmentYear]);
+  }
+  if (partA.totals) {
+    rows.push(['TDS deducted (Part A)', formatRupees(partA.totals.taxDeducted)]);
+  }
+  for (const [key, label] of Object.entries(FORM_16_PART_B_LABELS)) {
+    if (form16.partB[key] && typeof form16.partB[key].value === 'number') {
+      rows.push([label, formatRupees(form16.partB[key].value)]);
+    }
+  }
+  return rows;
+}
+
+function form26asRows(form26as) {
+  const rows = [];
+  if (form26as.assessmentYear) {
+    rows.push(['Assessment year', form26as.assessmentYear]);
+  }
+  const totals = form26as.totals || {};
+  for (const [key, label] of Object.entries(FORM_26AS_TOTAL_LABELS)) {
+    if (typeof totals[key] === 'number' && totals[key] > 0) {
+      rows.push([label, formatRupees(totals[key])]);
+    }
+  }
+  for (const deductor of form26as.tds || []) {
+    rows.push([`TDS by ${deductor.name} (${deductor.tan})`, formatRupees(deductor.taxDeducted)]);
+  }
+  return rows;
+}
+
+const CAPITAL_GAINS_SECTION_LABELS = {
+  '111A': 'Short-term, Section 111A',
+  slab: 'Short-term, slab rates',
+  '112A': 'Long-term, Section 112A',
+  '112': 'Long-term, Section 112'
+};
+
+function aisRows(ais) {
+  const rows = [];
+  if (ais.assessmentYear) {
+    rows.push(['Assessment year', ais.assessmentYear]);
+  }
+  for (const [head, label] of Object.entries(INCOME_HEADS)) {
+    if (ais.incomeHeads[head]) {
+      rows.push([label, formatRupees(ais.incomeHeads[head].amount)]);
+    }
+  }
+  if (ais.totals.tdsDeducted > 0) {
+    rows.push(['TDS deducted', formatRupees(ais.totals.tdsDeducted)]);
+  }
+  for (const transaction of ais.highValueTransactions) {
+    rows.push([`${transaction.description || transaction.code} (${transaction.code})`, formatRupees(transaction.amount)]);
+  }
+  return rows;
+}
+
+function capitalGainsRows(capitalGains) {
+  const rows = [[`Sales in FY ${capitalGains.financialYear}`, String(capitalGains.trades.length)]];
+  for (const group of capitalGains.sections) {
+    const rate = group.rate === null ? '' : ` at ${Math.round(group.rate * 1000) / 10}%`;
+    rows.push([`${CAPITAL_GAINS_SECTION_LABELS[group.section]}${rate}`, formatRupees(group.gains - group.lossesSetOff)]);
+  }
+  const totals = capitalGains.totals;
+  if (totals.exemption112A > 0) {
+    rows.push(['Section 112A exemption', formatRupees(totals.exemption112A)]);
+  }
+  rows.push(['Tax at special rates (with cess)', formatRupees(totals.totalTax)]);
+  if (totals.slabRateIncome > 0) {
+    rows.push(['Gains taxed at slab rates', formatRupees(totals.slabRateIncome)]);
+  }
+  const losses = capitalGains.lossesCarriedForward;
+  if (losses.shortTerm + losses.longTerm > 0) {
+    rows.push(['Losses to carry forward', formatRupees(losses.shortTerm + losses.longTerm)]);
+  }
+  return rows;
+}
+
+/**
+ * Builds the figures sections from the extracted document data
+ */
+function buildFigures(extractedData = {}) {
+  const sections = [];
+  if (extractedData.salarySlip) {
+    sections.push({ title: 'Salary slip (monthly)', rows: salarySlipRows(extractedData.salarySlip) });
+  }
+  if (extractedData.form16) {
+    sections.push({ title: 'Form 16', rows: form16Rows(extractedData.form16) });
+  }
+  if (extractedData.form26as) {
+    sections.push({ title: 'Form 26AS', rows: form26asRows(extractedData.form26as) });
+  }
+  if (extractedData.capitalGains) {
+    sections.push({ title: 'Capital gains statement', rows: capitalGainsRows(extractedData.capitalGains) });
+  }
+  if (extractedData.ais) {
+    sections.push({ title: `Annual Information Statement (${extractedData.ais.kind})`, rows: aisRows(extractedData.ais) });
+  }
+  return sections.filter(section => section.rows.length > 0);
+}
+
+/**
+ * Builds the report content shared by the HTML and PDF renderers
+ */
+function buildReport(record) {
+  const result = record.result || {};
+  return {
+    analysisId: record.id,
+    language: locales.getLanguage(record.language).code,
+    createdAt: record.createdAt,
+    assessmentYear: taxRules.resolveAssessmentYear(record.answers),
+    generatedAt: new Date().toISOString(),
+    riskLevel: result.riskLevel || record.riskLevel || 'MEDIUM',
+    summary: result.summary || '',
+    issues: (Array.isArray(result.detectedIssues) ? result.detectedIssues : []).map(issue => ({
+      title: issue.title,
+      severity: issue.severity,
+      short: issue.short,
+      long: issue.long,
+      legalReference: issue.legalReference || null,
+      impact: formatImpact(issue.estimatedImpact),
+      remediation: Array.isArray(issue.remediation) ? issue.remediation : []
+    })),
+    figures: buildFigures(record.extractedData),
+    disclaimer: DISCLAIMER
+  };
+}
+
+function formatDate(iso) {
+  const date = new Date(iso);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short', timeZone: 'Asia/Kolkata' });
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderIssueHtml(issue, index) {
+  const color = RISK_COLORS[issue.severity] || BRAND.color;
+  const details = [
+    issue.legalReference ? `<p class="meta"><strong>Legal reference:</strong> ${escapeHtml(issue.legalReference)}</p>` : '',
+    issue.impact ? `<p class="meta"><strong>Estimated impact:</strong> ${escapeHtml(issue.impact)}</p>` : ''
+  ].join('');
+  const steps = issue.remediation.length > 0
+    ? `<p class="meta"><strong>How to fix:</strong></p><ol>${issue.remediation.map(step => `<li>${escapeHtml(step)}</li>`).join('')}</ol>`
+    : '';
+
+  return `
+    <section class="issue" style="border-left-color:${color}">
+      <h3>${index + 1}. ${escapeHtml(issue.title)} <span class="badge" style="background:${color}">${escapeHtml(issue.severity)}</span></h3>
+      <p><strong>${escapeHtml(issue.short)}</strong></p>
+      <p>${escapeHtml(issue.long)}</p>
+      ${details}
+      ${steps}
+    </section>`;
+}
+
+function renderFiguresHtml(section) {
+  const rows = section.rows.map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td class="num">${escapeHtml(value)}</td></tr>`).join('');
+  return `<h3>${escapeHtml(section.title)}</h3><table>${rows}</table>`;
+}
+
+/**
+ * Renders the report as a standalone HTML page
+ */
+function renderHtml(record) {
+  const report = buildReport(record);
+  const riskColor = RISK_COLORS[report.riskLevel] || BRAND.color;
+  const issues = report.issues.length > 0
+    ? report.issues.map(renderIssueHtml).join('')
+    : '<p>No issues were detected.</p>';
+  const figures = report.figures.length > 0
+    ? `<h2>Figures from your documents</h2>${report.figures.map(renderFiguresHtml).join('')}`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(report.language)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${BRAND.name} - ${BRAND.title}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 820px; margin: 0 auto; padding: 24px; line-height: 1.45; }
+  header { background: ${BRAND.color}; color: #fff; padding: 18px 24px; border-radius: 6px; }
+  header h1 { margin: 0; font-size: 22px; }
+  header p { margin: 4px 0 0; font-size: 13px; opacity: 0.85; }
+  .risk { display: inline-block; margin: 20px 0 8px; padding: 6px 14px; border-radius: 4px; color: #fff; font-weight: bold; }
+  h2 { color: ${BRAND.color}; border-bottom: 2px solid #e0e0e0; padding-bottom: 4px; margin-top: 28px; }
+  .issue { border-left: 4px solid; padding: 4px 0 4px 14px; margin: 16px 0; page-break-inside: avoid; }
+  .issue h3 { margin: 0 0 6px; font-size: 16px; }
+  .badge { font-size: 11px; color: #fff; padding: 2px 6px; border-radius: 3px; vertical-align: middle; }
+  .meta { margin: 4px 0; font-size: 14px; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 12px; }
+  td { border-bottom: 1px solid #eee; padding: 5px 4px; font-size: 14px; }
+  td.num { text-align: right; white-space: nowrap; }
+  .disclaimer { margin-top: 32px; font-size: 12px; color: #666; border-top: 1px solid #e0e0e0; padding-top: 10px; }
+</style>
+</head>
+<body>
+<header>
+  <h1>${BRAND.name} &middot; ${BRAND.title}</h1>
+  <p>Analysis ${escapeHtml(report.analysisId)} &middot; AY ${escapeHtml(report.assessmentYear)} &middot; ${escapeHtml(formatDate(report.createdAt))}</p>
+</header>
+<div class="risk" style="background:${riskColor}">Risk level: ${escapeHtml(report.riskLevel)}</div>
+<p>${escapeHtml(report.summary)}</p>
+<h2>Detected issues (${report.issues.length})</h2>
+${issues}
+${figures}
+<p class="disclaimer">${escapeHtml(report.disclaimer)}<br>Generated ${escapeHtml(formatDate(report.generatedAt))}.</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * True when the analysis can be rendered as a PDF: its texts are in Latin script
+ * (records saved before languages were added are English)
+ */
+function supportsPdf(record) {
+  return locales.getLanguage(record.language).script === 'Latin';
+}
+
+// The built-in PDF fonts only cover Latin-1
+function pdfText(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/₹\s?/g, 'Rs. ')
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/[^\x09\x0a\x0d\x20-\x7e\xa0-\xff]/g, '?');
+}
+
+function writePdfIssue(doc, issue, index) {
+  const color = RISK_COLORS[issue.severity] || BRAND.color;
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(12).fillColor('#222')
+    .text(`${index + 1}. ${pdfText(issue.title)}  `, { continued: true })
+    .fillColor(color).fontSize(9).text(`[${issue.severity}]`);
+  doc.font('Helvetica-Bold').fontSize(10).fillColor('#222').text(pdfText(issue.short));
+  doc.font('Helvetica').text(pdfText(issue.long));
+  if (issue.legalReference) {
+    doc.font('Helvetica-Bold').text('Legal reference: ', { continued: true }).font('Helvetica').text(pdfText(issue.legalReference));
+  }
+  if (issue.impact) {
+    doc.font('Helvetica-Bold').text('Estimated impact: ', { continued: true }).font('Helvetica').text(pdfText(issue.impact));
+  }
+  if (issue.remediation.length > 0) {
+    doc.font('Helvetica-Bold').text('How to fix:');
+    doc.font('Helvetica').list(issue.remediation.map(pdfText), { listType: 'numbered', indent: 12, bulletIndent: 4 });
+  }
+}
+
+function writePdfFigures(doc, section) {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  doc.moveDown(0.6);
+  doc.font('Helvetica-Bold').fontSize(11).fillColor('#222').text(pdfText(section.title));
+  doc.font('Helvetica').fontSize(10);
+  for (const [label, value] of section.rows) {
+    const y = doc.y;
+    doc.text(pdfText(label), left, y, { width: width * 0.65 });
+    const labelBottom = doc.y;
+    doc.text(pdfText(value), left + width * 0.65, y, { width: width * 0.35, align: 'right' });
+    doc.y = Math.max(labelBottom, doc.y);
+    doc.x = left;
+  }
+}
+
+/**
+ * Renders the report as a PDF
+ * Returns a Promise for the PDF bytes
+ */
+function renderPdf(record) {
+  return new Promise((resolve, reject) => {
+    try {
+      const report = buildReport(record);
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: { Title: `${BRAND.name} ${BRAND.title}`, Author: BRAND.name }
+      });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const left = doc.page.margins.left;
+      const width = doc.page.width - left - doc.page.margins.right;
+
+      // Header band
+      doc.rect(0, 0, doc.page.width, 80).fill(BRAND.color);
+      doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(18).text(`${BRAND.name} - ${BRAND.title}`, left, 24, { width });
+      doc.font('Helvetica').fontSize(9).text(pdfText(`Analysis ${report.analysisId} - AY ${report.assessmentYear} - ${formatDate(report.createdAt)}`), left, 50, { width });
+      doc.x = left;
+      doc.y = 100;
+
+      doc.font('Helvetica-Bold').fontSize(14).fillColor(RISK_COLORS[report.riskLevel] || BRAND.color)
+        .text(`Risk level: ${report.riskLevel}`);
+      doc.moveDown(0.4);
+      doc.font('Helvetica').fontSize(10).fillColor('#222').text(pdfText(report.summary));
+
+      doc.moveDown(1);
+      doc.font('Helvetica-Bold').fontSize(14).fillColor(BRAND.color).text(`Detected issues (${report.issues.length})`);
+      if (report.issues.length === 0) {
+        doc.font('Helvetica').fontSize(10).fillColor('#222').text('No issues were detected.');
+      }
+      report.issues.forEach((issue, index) => writePdfIssue(doc, issue, index));
+
+      if (report.figures.length > 0) {
+        doc.moveDown(1);
+        doc.font('Helvetica-Bold').fontSize(14).fillColor(BRAND.color).text('Figures from your documents', left);
+        report.figures.forEach(section => writePdfFigures(doc, section));
+      }
+
+      doc.moveDown(1.5);
+      doc.font('Helvetica').fontSize(8).fillColor('#666')
+        .text(pdfText(`${report.disclaimer} Generated ${formatDate(report.generatedAt)}.`), left, doc.y, { width });
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+module.exports = {
+  renderHtml,
+  renderPdf,
+  supportsPdf,
+  buildReport
+};
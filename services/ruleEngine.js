@@ -0,0 +1,520 @@
+/**
+ * Deterministic rule engine for common tax filing mistakes
+ * Checks the wizard answers directly, so results are specific to each user
+ * Statutory limits come from the assessment-year dataset (config/taxRules) for the answers' year,
+ * texts from the catalogue of the requested language (config/locales)
+ * CRASH-SAFE: A failing rule is skipped, evaluation never throws
+ */
+
+const { toNumber, toBoolean, normalizeItrForm, formatRupees } = require('../utils/answerValues');
+const { normalizeIssue, answerEvidence } = require('../utils/issueModel');
+const taxCalculator = require('./taxCalculator');
+const capitalGainsService = require('./capitalGainsService');
+const taxRules = require('../config/taxRules');
+const locales = require('../config/locales');
+const logger = require('../utils/logger');
+
+// A costlier regime is only reported when the other one saves at least this much (rupees)
+const REGIME_SAVING_THRESHOLD = 1000;
+
+function isNewRegime(answers) {
+  return typeof answers.taxRegime === 'string' && answers.taxRegime.trim().toLowerCase() === 'new';
+}
+
+/**
+ * Impact of filing on the wrong ITR form: the Section 234F late fee,
+ * charged when a defective return ends up treated as not filed
+ */
+function wrongFormImpact(answers, rules, t) {
+  const lateFee = rules.lateFee234F;
+  const totalIncome = toNumber(answers.totalIncome);
+  const fee = totalIncome !== null && totalIncome <= lateFee.smallIncomeLimit ? lateFee.smallIncome : lateFee.default;
+  return {
+    amount: fee,
+    type: 'penalty',
+    basis: t('impact.wrongForm')
+  };
+}
+
+/**
+ * Impact of a claim that will be disallowed: the tax on the disallowed amount
+ */
+function disallowanceImpact(answers, amount, regime, t) {
+  return {
+    amount: taxCalculator.taxOnAdditionalIncome(answers, amount, regime),
+    type: 'tax',
+    basis: t('impact.disallowance', { amount: formatRupees(amount), regime: t(`regimes.${regime}`) })
+  };
+}
+
+/**
+ * Rule definitions
+ * Each rule returns an issue ({ title, short, long, estimatedImpact, remediation, evidence })
+ * or null when it does not apply. severity, legalReference and confidence are fixed per rule;
+ * severity is used to derive the overall risk level.
+ * check(answers, context) reads the limits of the answers' assessment year from context.taxRules,
+ * and its texts from the catalogue of the requested language with context.t (see config/locales),
+ * under rules.<rule id>.
+ */
+const RULES = [
+  {
+    id: 'itr-form-capital-gains',
+    severity: 'HIGH',
+    legalReference: 'Rule 12(1)(a), Income-tax Rules 1962; Section 139(9)',
+    confidence: 0.95,
+    check(answers, { taxRules: rules, extractedData, t }) {
+      const form = normalizeItrForm(answers.itrForm);
+      const statement = extractedData && extractedData.capitalGains;
+      if (form !== 'ITR-1' || (!toBoolean(answers.hasCapitalGains) && !statement)) {
+        return null;
+      }
+      // A statement with only small 112A gains fits ITR-1, unless more gains were declared than it shows
+      const declared = toNumber(answers.capitalGainsIncome);
+      if (capitalGainsService.fitsItr1(statement, rules) && (declared === null || declared <= statement.totals.longTermGains)) {
+        return null;
+      }
+      const exception = rules.itr1.maxLtcg112A > 0
+        ? t('rules.itr-form-capital-gains.exception', { assessmentYear: rules.assessmentYear, limit: formatRupees(rules.itr1.maxLtcg112A) })
+        : '';
+      const fromStatement = statement
+        ? t('rules.itr-form-capital-gains.fromStatement', {
+          trades: statement.trades.length,
+          financialYear: statement.financialYear,
+          shortTerm: formatRupees(statement.totals.shortTermGains),
+          longTerm: formatRupees(statement.totals.longTermGains)
+        })
+        : '';
+      const evidence = answerEvidence(answers, 'itrForm', 'hasCapitalGains', 'capitalGainsIncome');
+      if (statement) {
+        evidence.push(
+          { source: 'capitalGains', field: 'Net short-term capital gains', value: statement.totals.shortTermGains },
+          { source: 'capitalGains', field: 'Net long-term capital gains', value: statement.totals.longTermGains }
+        );
+      }
+      return {
+        title: t('rules.itr-form-capital-gains.title'),
+        short: toBoolean(answers.hasCapitalGains)
+          ? t('rules.itr-form-capital-gains.shortDeclared')
+          : t('rules.itr-form-capital-gains.shortStatement'),
+        long: t('rules.itr-form-capital-gains.long', { exception, fromStatement }),
+        estimatedImpact: wrongFormImpact(answers, rules, t),
+        remediation: t('rules.itr-form-capital-gains.remediation'),
+        evidence
+      };
+    }
+  },
+  {
+    id: 'itr-form-business-income',
+    severity: 'HIGH',
+    legalReference: 'Rule 12(1), Income-tax Rules 1962; Section 139(9)',
+    confidence: 0.95,
+    check(answers, { taxRules: rules, t }) {
+      const form = normalizeItrForm(answers.itrForm);
+      if ((form !== 'ITR-1' && form !== 'ITR-2') || !toBoolean(answers.hasBusinessIncome)) {
+        return null;
+      }
+      return {
+        title: t('rules.itr-form-business-income.title'),
+        short: t('rules.itr-form-business-income.short', { form }),
+        long: t('rules.itr-form-business-income.long', { form }),
+        estimatedImpact: wrongFormImpact(answers, rules, t),
+        remediation: t('rules.itr-form-business-income.remediation'),
+        evidence: answerEvidence(answers, 'itrForm', 'hasBusinessIncome', 'businessIncome')
+      };
+    }
+  },
+  {
+    id: 'itr-form-income-limit',
+    severity: 'HIGH',
+    legalReference: 'Rule 12(1)(a), Income-tax Rules 1962; Section 139(9)',
+    confidence: 0.95,
+    check(answers, { taxRules: rules, t }) {
+      const form = normalizeItrForm(answers.itrForm);
+      const totalIncome = toNumber(answers.totalIncome);
+      const limit = rules.itr1.maxTotalIncome;
+      if (form !== 'ITR-1' || totalIncome === null || totalIncome <= limit) {
+        return null;
+      }
+      const params = { totalIncome: formatRupees(totalIncome), limit: formatRupees(limit) };
+      return {
+        title: t('rules.itr-form-income-limit.title'),
+        short: t('rules.itr-form-income-limit.short', params),
+        long: t('rules.itr-form-income-limit.long', params),
+        estimatedImpact: wrongFormImpact(answers, rules, t),
+        remediation: t('rules.itr-form-income-limit.remediation'),
+        evidence: answerEvidence(answers, 'itrForm', 'totalIncome')
+      };
+    }
+  },
+  {
+    id: 'itr-form-house-property',
+    severity: 'MEDIUM',
+    legalReference: 'Rule 12(1)(a), Income-tax Rules 1962; Section 139(9)',
+    confidence: 0.95,
+    check(answers, { taxRules: rules, t }) {
+      const form = normalizeItrForm(answers.itrForm);
+      const properties = toNumber(answers.housePropertyCount);
+      const limit = rules.itr1.maxHouseProperties;
+      if (form !== 'ITR-1' || properties === null || properties <= limit) {
+        return null;
+      }
+      const allowed = limit === 1
+        ? t('rules.itr-form-house-property.allowedOne')
+        : t('rules.itr-form-house-property.allowedMany', { limit });
+      return {
+        title: t('rules.itr-form-house-property.title'),
+        short: t('rules.itr-form-house-property.short', { properties, limit }),
+        long: t('rules.itr-form-house-property.long', { allowed }),
+        estimatedImpact: wrongFormImpact(answers, rules, t),
+        remediation: t('rules.itr-form-house-property.remediation'),
+        evidence: answerEvidence(answers, 'itrForm', 'housePropertyCount')
+      };
+    }
+  },
+  {
+    id: 'itr-form-agricultural-income',
+    severity: 'MEDIUM',
+    legalReference: 'Rule 12(1)(a), Income-tax Rules 1962; Section 10(1)',
+    confidence: 0.95,
+    check(answers, { taxRules: rules, t }) {
+      const form = normalizeItrForm(answers.itrForm);
+      const agriculturalIncome = toNumber(answers.agriculturalIncome);
+      const limit = rules.itr1.maxAgriculturalIncome;
+      if (form !== 'ITR-1' || agriculturalIncome === null || agriculturalIncome <= limit) {
+        return null;
+      }
+      const params = { agriculturalIncome: formatRupees(agriculturalIncome), limit: formatRupees(limit) };
+      return {
+        title: t('rules.itr-form-agricultural-income.title'),
+        short: t('rules.itr-form-agricultural-income.short', params),
+        long: t('rules.itr-form-agricultural-income.long', params),
+        estimatedImpact: wrongFormImpact(answers, rules, t),
+        remediation: t('rules.itr-form-agricultural-income.remediation'),
+        evidence: answerEvidence(answers, 'itrForm', 'agriculturalIncome')
+      };
+    }
+  },
+  {
+    id: 'section-80c-limit',
+    severity: 'MEDIUM',
+    legalReference: 'Section 80C read with Section 80CCE',
+    confidence: 0.95,
+    check(answers, { taxRules: rules, t }) {
+      // Not deductible under the new regime at all, see new-regime-deductions
+      if (isNewRegime(answers)) {
+        return null;
+      }
+      const limit = rules.deductionCaps.section80C;
+      const claimed = toNumber(answers.section80C);
+      if (claimed === null || claimed <= limit) {
+        return null;
+      }
+      const params = { claimed: formatRupees(claimed), limit: formatRupees(limit), excess: formatRupees(claimed - limit) };
+      return {
+        title: t('rules.section-80c-limit.title'),
+        short: t('rules.section-80c-limit.short', params),
+        long: t('rules.section-80c-limit.long', params),
+        estimatedImpact: disallowanceImpact(answers, claimed - limit, 'old', t),
+        remediation: t('rules.section-80c-limit.remediation', params),
+        evidence: answerEvidence(answers, 'section80C')
+      };
+    }
+  },
+  {
+    id: 'section-80ccd1b-limit',
+    severity: 'MEDIUM',
+    legalReference: 'Section 80CCD(1B)',
+    confidence: 0.95,
+    check(answers, { taxRules: rules, t }) {
+      // Not deductible under the new regime at all, see new-regime-deductions
+      if (isNewRegime(answers)) {
+        return null;
+      }
+      const limit = rules.deductionCaps.section80CCD1B;
+      const claimed = toNumber(answers.section80CCD1B);
+      if (claimed === null || claimed <= limit) {
+        return null;
+      }
+      const params = { claimed: formatRupees(claimed), limit: formatRupees(limit) };
+      return {
+        title: t('rules.section-80ccd1b-limit.title'),
+        short: t('rules.section-80ccd1b-limit.short', params),
+        long: t('rules.section-80ccd1b-limit.long', params),
+        estimatedImpact: disallowanceImpact(answers, claimed - limit, 'old', t),
+        remediation: t('rules.section-80ccd1b-limit.remediation', params),
+        evidence: answerEvidence(answers, 'section80CCD1B')
+      };
+    }
+  },
+  {
+    id: 'section-80d-limit',
+    severity: 'MEDIUM',
+    legalReference: 'Section 80D',
+    confidence: 0.9,
+    check(answers, { taxRules: rules, t }) {
+      if (isNewRegime(answers)) {
+        return null;
+      }
+      const caps = rules.deductionCaps;
+      const self = toNumber(answers.section80D);
+      const parents = toNumber(answers.section80DParents);
+      // Same age group as the tax computation: age when given, else isSeniorCitizen
+      const selfLimit = taxCalculator.ageGroup(answers) !== 'general' ? caps.section80DSelfSenior : caps.section80DSelf;
+      const parentsLimit = toBoolean(answers.parentsSeniorCitizen) ? caps.section80DParentsSenior : caps.section80DParents;
+
+      const problems = [];
+      let excess = 0;
+      if (self !== null && self > selfLimit) {
+        problems.push(t('rules.section-80d-limit.problemSelf', { amount: formatRupees(self), limit: formatRupees(selfLimit) }));
+        excess += self - selfLimit;
+      }
+      if (parents !== null && parents > parentsLimit) {
+        problems.push(t('rules.section-80d-limit.problemParents', { amount: formatRupees(parents), limit: formatRupees(parentsLimit) }));
+        excess += parents - parentsLimit;
+      }
+      if (problems.length === 0) {
+        return null;
+      }
+      return {
+        title: t('rules.section-80d-limit.title'),
+        short: t('rules.section-80d-limit.short', { problems: problems.join('; ') }),
+        long: t('rules.section-80d-limit.long', {
+          selfLimit: formatRupees(caps.section80DSelf),
+          selfSeniorLimit: formatRupees(caps.section80DSelfSenior),
+          parentsLimit: formatRupees(caps.section80DParents),
+          parentsSeniorLimit: formatRupees(caps.section80DParentsSenior),
+          problems: problems.join('; ')
+        }),
+        estimatedImpact: disallowanceImpact(answers, excess, 'old', t),
+        remediation: t('rules.section-80d-limit.remediation'),
+        evidence: answerEvidence(answers, 'section80D', 'section80DParents', 'age', 'isSeniorCitizen', 'parentsSeniorCitizen')
+      };
+    }
+  },
+  {
+    id: 'hra-missing-rent-details',
+    severity: 'MEDIUM',
+    legalReference: 'Section 10(13A); Rule 2A and Rule 26C, Income-tax Rules 1962',
+    confidence: 0.85,
+    check(answers, { taxRules: rules, t }) {
+      if (!toBoolean(answers.hraClaimed) || isNewRegime(answers)) {
+        return null;
+      }
+      const rentPaid = toNumber(answers.rentPaid);
+      const hraExemption = toNumber(answers.hraExemption);
+      const estimatedImpact = hraExemption !== null && hraExemption > 0
+        ? disallowanceImpact(answers, hraExemption, 'old', t)
+        : { amount: null, type: 'tax', basis: t('rules.hra-missing-rent-details.impactUnknown') };
+      if (rentPaid === null || rentPaid <= 0) {
+        return {
+          title: t('rules.hra-missing-rent-details.noRent.title'),
+          short: t('rules.hra-missing-rent-details.noRent.short'),
+          long: t('rules.hra-missing-rent-details.noRent.long'),
+          estimatedImpact,
+          remediation: t('rules.hra-missing-rent-details.noRent.remediation'),
+          evidence: answerEvidence(answers, 'hraClaimed', 'rentPaid', 'hraExemption')
+        };
+      }
+      const landlordPan = typeof answers.landlordPan === 'string' ? answers.landlordPan.trim() : '';
+      if (rentPaid > rules.landlordPanRentThreshold && landlordPan.length === 0) {
+        const params = { rentPaid: formatRupees(rentPaid), threshold: formatRupees(rules.landlordPanRentThreshold) };
+        return {
+          title: t('rules.hra-missing-rent-details.noLandlordPan.title'),
+          short: t('rules.hra-missing-rent-details.noLandlordPan.short', params),
+          long: t('rules.hra-missing-rent-details.noLandlordPan.long', params),
+          estimatedImpact,
+          remediation: t('rules.hra-missing-rent-details.noLandlordPan.remediation'),
+          evidence: answerEvidence(answers, 'hraClaimed', 'rentPaid', 'landlordPan')
+        };
+      }
+      return null;
+    }
+  },
+  {
+    id: 'new-regime-deductions',
+    severity: 'HIGH',
+    legalReference: 'Section 115BAC(2)',
+    confidence: 0.9,
+    check(answers, { t }) {
+      if (!isNewRegime(answers)) {
+        return null;
+      }
+      const claimed = [];
+      if ((toNumber(answers.section80C) || 0) > 0) claimed.push(t('terms.section80C'));
+      if ((toNumber(answers.section80D) || 0) > 0 || (toNumber(answers.section80DParents) || 0) > 0) claimed.push(t('terms.section80D'));
+      if ((toNumber(answers.section80CCD1B) || 0) > 0) claimed.push(t('terms.section80CCD1B'));
+      if (toBoolean(answers.hraClaimed)) claimed.push(t('terms.hraExemption'));
+      if (claimed.length === 0) {
+        return null;
+      }
+      const claimedAmount = ['section80C', 'section80D', 'section80DParents', 'section80CCD1B', 'hraExemption']
+        .reduce((sum, field) => sum + Math.max(0, toNumber(answers[field]) || 0), 0);
+      const params = { claimed: claimed.join(', ') };
+      return {
+        title: t('rules.new-regime-deductions.title'),
+        short: t('rules.new-regime-deductions.short', params),
+        long: t('rules.new-regime-deductions.long', params),
+        estimatedImpact: disallowanceImpact(answers, claimedAmount, 'new', t),
+        remediation: t('rules.new-regime-deductions.remediation', params),
+        evidence: answerEvidence(answers, 'taxRegime', 'section80C', 'section80D', 'section80DParents', 'section80CCD1B', 'hraClaimed', 'hraExemption')
+      };
+    }
+  },
+  {
+    id: 'costlier-regime',
+    severity: 'MEDIUM',
+    legalReference: 'Section 115BAC(1A) and 115BAC(6)',
+    confidence: 0.8,
+    check(answers, { t, extractedData }) {
+      const chosen = typeof answers.taxRegime === 'string' ? answers.taxRegime.trim().toLowerCase() : null;
+      // An uploaded capital gains statement is taxed at its special rates, as in /api/compute-tax
+      const options = { capitalGains: extractedData ? extractedData.capitalGains : null };
+      if ((chosen !== 'old' && chosen !== 'new') || !taxCalculator.hasIncome(answers, options)) {
+        return null;
+      }
+      const result = taxCalculator.computeTax({ ...answers, taxRegime: chosen }, options);
+      if (!result || result.recommendedRegime === chosen || result.taxSaving < REGIME_SAVING_THRESHOLD) {
+        return null;
+      }
+      const other = result.recommendedRegime;
+      const params = {
+        chosen: t(`regimes.${chosen}`),
+        other: t(`regimes.${other}`),
+        saving: formatRupees(result.taxSaving),
+        chosenTax: formatRupees(result.regimes[chosen].totalTax),
+        otherTax: formatRupees(result.regimes[other].totalTax),
+        assessmentYear: result.assessmentYear
+      };
+      return {
+        title: t('rules.costlier-regime.title'),
+        short: t('rules.costlier-regime.short', params),
+        long: t('rules.costlier-regime.long', params),
+        estimatedImpact: {
+          amount: result.taxSaving,
+          type: 'tax',
+          basis: t('rules.costlier-regime.basis', params)
+        },
+        remediation: t('rules.costlier-regime.remediation', params),
+        evidence: [
+          ...answerEvidence(answers, 'taxRegime'),
+          { source: 'taxComputation', field: `totalTax.${chosen}`, value: result.regimes[chosen].totalTax },
+          { source: 'taxComputation', field: `totalTax.${other}`, value: result.regimes[other].totalTax }
+        ]
+      };
+    }
+  },
+  {
+    id: 'form-26as-missing',
+    severity: 'LOW',
+    legalReference: 'Section 199; Rule 37BA, Income-tax Rules 1962',
+    confidence: 0.6,
+    check(answers, context) {
+      const { t } = context;
+      // AIS carries the same TDS/TCS information as Form 26AS
+      const uploaded = Array.isArray(context.uploadedDocuments) &&
+        (context.uploadedDocuments.includes('form26as') || context.uploadedDocuments.includes('ais'));
+      if (uploaded || toBoolean(answers.form26asVerified)) {
+        return null;
+      }
+      return {
+        title: t('rules.form-26as-missing.title'),
+        short: t('rules.form-26as-missing.short'),
+        long: t('rules.form-26as-missing.long'),
+        estimatedImpact: {
+          amount: null,
+          type: 'refund',
+          basis: t('rules.form-26as-missing.basis')
+        },
+        remediation: t('rules.form-26as-missing.remediation'),
+        evidence: answerEvidence(answers, 'form26asVerified')
+      };
+    }
+  }
+];
+
+const SEVERITY_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3 };
+
+/**
+ * Runs every rule against the answers
+ * context.language: language of the issue texts (default English)
+ * Returns the list of detected issues in rule order (see utils/issueModel)
+ * CRASH-SAFE: A rule that throws is logged and skipped
+ */
+function evaluateRules(answers, context = {}) {
+  const safeAnswers = answers && typeof answers === 'object' ? answers : {};
+  const ruleContext = { ...context, taxRules: taxRules.rulesFor(safeAnswers), t: locales.translator(context.language) };
+  const issues = [];
+
+  for (const rule of RULES) {
+    try {
+      const result = rule.check(safeAnswers, ruleContext);
+      const issue = result && normalizeIssue({
+        id: rule.id,
+        severity: rule.severity,
+        legalReference: rule.legalReference,
+        confidence: rule.confidence,
+        ...result
+      });
+      if (issue) {
+        issues.push(issue);
+      }
+    } catch (error) {
+      logger.error('Rule failed', { rule: rule.id, error });
+    }
+  }
+
+  return issues;
+}
+
+// This many MEDIUM issues together are treated as a HIGH risk
+const MEDIUM_ISSUES_FOR_HIGH_RISK = 4;
+
+/**
+ * Derives the overall risk level from the severities of the detected issues
+ * Used for every analysis, so an LLM cannot pick a risk level its issues do not support
+ */
+function deriveRiskLevel(issues) {
+  const medium = issues.filter(issue => issue.severity === 'MEDIUM').length;
+  if (issues.some(issue => issue.severity === 'HIGH') || medium >= MEDIUM_ISSUES_FOR_HIGH_RISK) {
+    return 'HIGH';
+  }
+  if (medium > 0) {
+    return 'MEDIUM';
+  }
+  return 'LOW';
+}
+
+function buildSummary(issues, language) {
+  if (issues.length === 0) {
+    return locales.translate(language, 'summary.none');
+  }
+  return issues.length === 1
+    ? locales.translate(language, 'summary.one')
+    : locales.translate(language, 'summary.many', { count: issues.length });
+}
+
+/**
+ * Analyzes the wizard answers with the rule engine
+ * context.reconciliationIssues (cross-document mismatches) are reported first
+ * context.language: language of the summary and issue texts (default English)
+ * Returns the standard { riskLevel, summary, detectedIssues } response, every issue with source 'rules'
+ */
+function analyzeAnswers(answers, context = {}) {
+  const issues = [
+    ...(context.reconciliationIssues || []),
+    ...evaluateRules(answers, context)
+  ].map(issue => normalizeIssue({ ...issue, source: 'rules' })).filter(Boolean);
+
+  return {
+    riskLevel: deriveRiskLevel(issues),
+    summary: buildSummary(issues, context.language),
+    detectedIssues: issues
+  };
+}
+
+module.exports = {
+  evaluateRules,
+  analyzeAnswers,
+  deriveRiskLevel,
+  SEVERITY_RANK
+};
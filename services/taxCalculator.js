@@ -0,0 +1,468 @@
+/**
+ * Tax Calculator
+ * Computes income tax liability under the old and new (Section 115BAC) regimes
+ * for individual taxpayers, with a line-by-line breakdown
+ * CRASH-SAFE: Returns null instead of throwing when the input cannot be computed
+ *
+ * Covers slabs, standard deduction, common Chapter VI-A deductions, the 87A rebate
+ * (with marginal relief under the new regime), surcharge with marginal relief and 4% cess.
+ * Capital gains from an uploaded statement (services/capitalGainsService) are split: gains under
+ * Sections 111A, 112A and 112 are taxed at their special rates, get no Chapter VI-A deduction or
+ * 87A rebate, and only use the basic exemption the other income leaves unused. Without a
+ * statement, answers.capitalGainsIncome is taxed at slab rates.
+ *
+ * Slabs, caps and rebate thresholds come from the assessment-year dataset in config/taxRules
+ */
+
+const { toNumber, toBoolean, formatRupees } = require('../utils/answerValues');
+const taxRules = require('../config/taxRules');
+const logger = require('../utils/logger');
+
+const INCOME_FIELDS = ['salaryIncome', 'housePropertyIncome', 'businessIncome', 'capitalGainsIncome', 'interestIncome', 'dividendIncome', 'otherIncome'];
+
+const SPECIAL_RATE_SECTIONS = {
+  '111A': 'Short-term capital gains u/s 111A',
+  '112A': 'Long-term capital gains u/s 112A',
+  '112': 'Long-term capital gains u/s 112'
+};
+
+// Surcharge on tax on gains under Sections 111A and 112A is capped at 15%
+const CAPPED_SURCHARGE_SECTIONS = ['111A', '112A'];
+const CAPPED_SURCHARGE_RATE = 0.15;
+
+/**
+ * Rounds to the nearest multiple of ten (Sections 288A and 288B)
+ */
+function roundToTen(value) {
+  return Math.round(value / 10) * 10;
+}
+
+function amountOf(answers, field) {
+  const value = toNumber(answers[field]);
+  return value === null ? 0 : value;
+}
+
+/**
+ * Slab age group: 'general', 'senior' (60-79) or 'superSenior' (80+)
+ * age decides when given, else isSeniorCitizen
+ */
+function ageGroup(answers) {
+  const age = toNumber(answers.age);
+  if (age !== null) {
+    if (age >= 80) return 'superSenior';
+    if (age >= 60) return 'senior';
+    return 'general';
+  }
+  return toBoolean(answers.isSeniorCitizen) ? 'senior' : 'general';
+}
+
+/**
+ * Applies slab rates to an income
+ * Returns { tax, breakdown: [{ from, to, rate, taxableAmount, tax }] }
+ */
+function applySlabs(income, slabs) {
+  const breakdown = [];
+  let tax = 0;
+  let from = 0;
+
+  for (const slab of slabs) {
+    const to = slab.upTo === null ? Infinity : slab.upTo;
+    if (income <= from) {
+      break;
+    }
+    const taxableAmount = Math.min(income, to) - from;
+    const slabTax = taxableAmount * slab.rate;
+    breakdown.push({ from, to: slab.upTo, rate: slab.rate, taxableAmount, tax: slabTax });
+    tax += slabTax;
+    from = to;
+  }
+
+  return { tax, breakdown };
+}
+
+/**
+ * Reads the slab-rate / special-rate split of a computed capital gains statement
+ * (services/capitalGainsService, returned as extractedData.capitalGains of an analysis)
+ * Only sections[].section/rate/taxable and totals.slabRateIncome are read
+ * Returns { assessmentYear, slabRateIncome, specialRate: [{ section, rate, taxable }] }, or null when
+ * the object is not such a statement
+ */
+function capitalGainsSplit(capitalGains) {
+  if (!capitalGains || typeof capitalGains !== 'object' || !Array.isArray(capitalGains.sections) || !capitalGains.totals) {
+    return null;
+  }
+  const isAmount = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  const slabRateIncome = capitalGains.totals.slabRateIncome;
+  if (!isAmount(slabRateIncome)) {
+    return null;
+  }
+
+  const specialRate = [];
+  for (const group of capitalGains.sections) {
+    if (!group || typeof group !== 'object') {
+      return null;
+    }
+    if (group.section === 'slab') {
+      continue;
+    }
+    if (!SPECIAL_RATE_SECTIONS[group.section] || !isAmount(group.rate) || group.rate > 1 || !isAmount(group.taxable)) {
+      return null;
+    }
+    if (group.taxable > 0) {
+      specialRate.push({ section: group.section, rate: group.rate, taxable: group.taxable });
+    }
+  }
+
+  return {
+    assessmentYear: typeof capitalGains.assessmentYear === 'string' ? capitalGains.assessmentYear : null,
+    slabRateIncome,
+    specialRate
+  };
+}
+
+/**
+ * Tax on special-rate gains, highest rate first so the unused basic exemption saves the most
+ * Returns [{ section, rate, taxable, exemptionUsed, tax }]
+ */
+function taxSpecialRateGains(gains, unusedExemption) {
+  let unused = unusedExemption;
+  return [...gains]
+    .sort((a, b) => b.rate - a.rate)
+    .map(gain => {
+      const exemptionUsed = Math.min(gain.taxable, unused);
+      unused -= exemptionUsed;
+      return { ...gain, exemptionUsed, tax: (gain.taxable - exemptionUsed) * gain.rate };
+    });
+}
+
+/**
+ * Surcharge rate for an income, capped at the regime's maximum
+ */
+function surchargeRate(income, maxRate, brackets) {
+  let rate = 0;
+  for (const bracket of brackets) {
+    if (income > bracket.above) {
+      rate = Math.min(bracket.rate, maxRate);
+    }
+  }
+  return rate;
+}
+
+/**
+ * Surcharge at a rate on the slab-rate tax and the tax on each special-rate gain
+ * taxes: { slab, special: [{ section, tax }] }
+ */
+function surchargeOn(taxes, rate) {
+  return taxes.special.reduce((total, gain) => {
+    const gainRate = CAPPED_SURCHARGE_SECTIONS.includes(gain.section) ? Math.min(rate, CAPPED_SURCHARGE_RATE) : rate;
+    return total + gain.tax * gainRate;
+  }, taxes.slab * rate);
+}
+
+/**
+ * Computes surcharge with marginal relief: crossing a surcharge threshold must not
+ * cost more in tax and surcharge than the income above that threshold
+ * taxes: { slab, special: [{ section, tax }], specialIncome } - the tax after rebate, split by rate
+ */
+function computeSurcharge(income, taxes, slabs, maxRate, brackets) {
+  const rate = surchargeRate(income, maxRate, brackets);
+  if (rate === 0) {
+    return { surcharge: 0, marginalRelief: 0, rate: 0 };
+  }
+
+  const tax = taxes.special.reduce((total, gain) => total + gain.tax, taxes.slab);
+  const surcharge = surchargeOn(taxes, rate);
+  // Lowest threshold at which the current rate applies
+  const threshold = brackets
+    .filter(bracket => income > bracket.above && Math.min(bracket.rate, maxRate) === rate)[0].above;
+  // At the threshold, the income above it is taken off the slab-rate income first
+  const specialShare = taxes.specialIncome > threshold ? threshold / taxes.specialIncome : 1;
+  const taxesAtThreshold = {
+    slab: applySlabs(Math.max(0, threshold - taxes.specialIncome), slabs).tax,
+    special: taxes.special.map(gain => ({ section: gain.section, tax: gain.tax * specialShare }))
+  };
+  const taxAtThreshold = taxesAtThreshold.special.reduce((total, gain) => total + gain.tax, taxesAtThreshold.slab);
+  const liabilityAtThreshold = taxAtThreshold + surchargeOn(taxesAtThreshold, surchargeRate(threshold, maxRate, brackets));
+  const excess = tax + surcharge - (liabilityAtThreshold + (income - threshold));
+
+  return {
+    surcharge,
+    marginalRelief: excess > 0 ? Math.min(excess, surcharge) : 0,
+    rate
+  };
+}
+
+/**
+ * Computes the 87A rebate, including marginal relief just above the income limit
+ * Only the slab-rate tax is rebated; the income limit applies to the whole taxable income,
+ * special-rate gains included, and their tax counts towards the marginal relief
+ */
+function computeRebate(taxableIncome, tax, specialTax, rebateRule, isResident) {
+  if (!isResident) {
+    return 0;
+  }
+  if (taxableIncome <= rebateRule.incomeLimit) {
+    return Math.min(tax, rebateRule.maxRebate);
+  }
+  if (rebateRule.marginalRelief) {
+    const excessIncome = taxableIncome - rebateRule.incomeLimit;
+    return Math.max(0, Math.min(tax, tax + specialTax - excessIncome));
+  }
+  return 0;
+}
+
+/**
+ * Chapter VI-A deductions allowed under the old regime
+ * Returns [{ label, amount }]
+ */
+function oldRegimeDeductions(answers, caps) {
+  const senior = ageGroup(answers) !== 'general';
+  const parentsSenior = toBoolean(answers.parentsSeniorCitizen);
+
+  return [
+    { label: 'Deduction u/s 80C', amount: Math.min(amountOf(answers, 'section80C'), caps.section80C) },
+    { label: 'Deduction u/s 80CCD(1B)', amount: Math.min(amountOf(answers, 'section80CCD1B'), caps.section80CCD1B) },
+    { label: 'Deduction u/s 80D (self and family)', amount: Math.min(amountOf(answers, 'section80D'), senior ? caps.section80DSelfSenior : caps.section80DSelf) },
+    { label: 'Deduction u/s 80D (parents)', amount: Math.min(amountOf(answers, 'section80DParents'), parentsSenior ? caps.section80DParentsSenior : caps.section80DParents) }
+  ].filter(deduction => deduction.amount > 0);
+}
+
+function percent(rate) {
+  return `${Math.round(rate * 1000) / 10}%`;
+}
+
+/**
+ * Computes the liability under one regime with the rules of an assessment year
+ * capitalGains: the statement's split (see capitalGainsSplit), or null to tax answers.capitalGainsIncome at slab rates
+ */
+function computeRegime(answers, regime, rules, capitalGains) {
+  const isOld = regime === 'old';
+  const config = isOld ? rules.oldRegime : rules.newRegime;
+  const lines = [];
+  const addLine = (label, amount) => lines.push({ label, amount: Math.round(amount) });
+
+  // Salary
+  const grossSalary = amountOf(answers, 'salaryIncome');
+  const standardDeduction = Math.min(grossSalary, config.standardDeduction);
+  const hraExemption = isOld && toBoolean(answers.hraClaimed)
+    ? Math.min(amountOf(answers, 'hraExemption'), grossSalary - standardDeduction)
+    : 0;
+  const netSalary = Math.max(0, grossSalary - standardDeduction - hraExemption);
+
+  if (grossSalary > 0) {
+    addLine('Gross salary', grossSalary);
+    if (standardDeduction > 0) addLine('Less: Standard deduction u/s 16(ia)', -standardDeduction);
+    if (hraExemption > 0) addLine('Less: HRA exemption u/s 10(13A)', -hraExemption);
+    addLine('Income from salary', netSalary);
+  }
+
+  // House property: loss set-off is capped under the old regime and not allowed under the new one
+  const houseProperty = amountOf(answers, 'housePropertyIncome');
+  const housePropertyAllowed = houseProperty >= 0
+    ? houseProperty
+    : (isOld ? Math.max(houseProperty, -rules.housePropertyLossCap) : 0);
+  if (houseProperty !== 0) {
+    addLine('Income from house property', housePropertyAllowed);
+  }
+
+  const business = amountOf(answers, 'businessIncome');
+  if (business > 0) addLine('Profits and gains of business or profession', business);
+
+  const slabRateGains = capitalGains ? capitalGains.slabRateIncome : amountOf(answers, 'capitalGainsIncome');
+  if (slabRateGains > 0) addLine('Capital gains (at slab rates)', slabRateGains);
+
+  const specialRateGains = capitalGains ? capitalGains.specialRate : [];
+  specialRateGains.forEach(gain => addLine(`${SPECIAL_RATE_SECTIONS[gain.section]} (at ${percent(gain.rate)})`, gain.taxable));
+  const specialRateIncome = specialRateGains.reduce((total, gain) => total + gain.taxable, 0);
+
+  const otherSources = amountOf(answers, 'interestIncome') + amountOf(answers, 'dividendIncome') + amountOf(answers, 'otherIncome');
+  if (otherSources > 0) addLine('Income from other sources', otherSources);
+
+  const slabRateIncome = Math.max(0, netSalary + housePropertyAllowed + business + slabRateGains + otherSources);
+  const grossTotalIncome = slabRateIncome + specialRateIncome;
+  addLine('Gross total income', grossTotalIncome);
+
+  // Chapter VI-A deductions (old regime only), limited to the income taxed at slab rates
+  let deductions = 0;
+  if (isOld) {
+    for (const deduction of oldRegimeDeductions(answers, rules.deductionCaps)) {
+      const allowed = Math.min(deduction.amount, slabRateIncome - deductions);
+      if (allowed > 0) {
+        addLine(`Less: ${deduction.label}`, -allowed);
+        deductions += allowed;
+      }
+    }
+  }
+
+  const taxableIncome = roundToTen(grossTotalIncome - deductions);
+  addLine('Total taxable income', taxableIncome);
+
+  // Tax
+  const slabs = isOld ? config.slabs[ageGroup(answers)] : config.slabs;
+  const slabTaxableIncome = Math.max(0, taxableIncome - specialRateIncome);
+  const { tax, breakdown } = applySlabs(slabTaxableIncome, slabs);
+  addLine('Tax at slab rates', tax);
+
+  // Residents' special-rate gains only use the basic exemption the slab-rate income leaves unused
+  const isResident = answers.residentialStatus !== 'non-resident';
+  const basicExemption = slabs[0].rate === 0 && slabs[0].upTo !== null ? slabs[0].upTo : 0;
+  const unusedExemption = isResident ? Math.max(0, basicExemption - slabTaxableIncome) : 0;
+  const specialTaxes = taxSpecialRateGains(specialRateGains, unusedExemption);
+  specialTaxes.forEach(gain => addLine(`Tax u/s ${gain.section} @ ${percent(gain.rate)}`, gain.tax));
+  const specialTax = specialTaxes.reduce((total, gain) => total + gain.tax, 0);
+
+  const rebate = computeRebate(taxableIncome, tax, specialTax, config.rebate, isResident);
+  if (rebate > 0) addLine('Less: Rebate u/s 87A', -rebate);
+
+  const taxAfterRebate = tax - rebate;
+  const { surcharge, marginalRelief, rate } = computeSurcharge(
+    taxableIncome,
+    { slab: taxAfterRebate, special: specialTaxes, specialIncome: specialRateIncome },
+    slabs,
+    config.maxSurchargeRate,
+    rules.surchargeBrackets
+  );
+  if (surcharge > 0) addLine(`Surcharge @ ${Math.round(rate * 100)}%`, surcharge);
+  if (marginalRelief > 0) addLine('Less: Marginal relief on surcharge', -marginalRelief);
+
+  const taxWithSurcharge = taxAfterRebate + specialTax + surcharge - marginalRelief;
+  const cess = taxWithSurcharge * rules.cessRate;
+  if (cess > 0) addLine(`Health and education cess @ ${Math.round(rules.cessRate * 100)}%`, cess);
+
+  const totalTax = roundToTen(taxWithSurcharge + cess);
+  addLine('Total tax liability', totalTax);
+
+  return {
+    regime,
+    grossTotalIncome: Math.round(grossTotalIncome),
+    deductions: Math.round(deductions),
+    taxableIncome,
+    taxAtSlabRates: Math.round(tax),
+    specialRateIncome: Math.round(specialRateIncome),
+    taxAtSpecialRates: Math.round(specialTax),
+    rebate87A: Math.round(rebate),
+    surcharge: Math.round(surcharge),
+    marginalRelief: Math.round(marginalRelief),
+    cess: Math.round(cess),
+    totalTax,
+    lines,
+    slabs: breakdown.map(slab => ({ ...slab, taxableAmount: Math.round(slab.taxableAmount), tax: Math.round(slab.tax) }))
+  };
+}
+
+/**
+ * The statement's split, when it is one and for the same assessment year
+ */
+function statementSplit(options, assessmentYear) {
+  const split = options && options.capitalGains ? capitalGainsSplit(options.capitalGains) : null;
+  if (split && split.assessmentYear && split.assessmentYear !== assessmentYear) {
+    logger.warn('Capital gains statement is for another assessment year, not used in the tax computation', {
+      assessmentYear,
+      statementYear: split.assessmentYear
+    });
+    return null;
+  }
+  return split;
+}
+
+/**
+ * Computes tax under both regimes for the answers' assessment year
+ * options.capitalGains: the computed capital gains statement (extractedData.capitalGains); when given,
+ *   its gains replace answers.capitalGainsIncome and are taxed at their special or slab rates
+ * Returns { assessmentYear, regimes: { old, new }, recommendedRegime, taxSaving, chosenRegime, capitalGainsSource } or null
+ * capitalGainsSource: 'statement', 'answers' (at slab rates) or null when there are no capital gains
+ */
+function computeTax(answers, options = {}) {
+  try {
+    const safeAnswers = answers && typeof answers === 'object' ? answers : {};
+    const assessmentYear = safeAnswers.assessmentYear || taxRules.DEFAULT_ASSESSMENT_YEAR;
+    const rules = taxRules.getTaxRules(assessmentYear);
+    if (!rules) {
+      logger.warn('Tax computation not supported for assessment year', { assessmentYear });
+      return null;
+    }
+
+    const capitalGains = statementSplit(options, assessmentYear);
+    const oldResult = computeRegime(safeAnswers, 'old', rules, capitalGains);
+    const newResult = computeRegime(safeAnswers, 'new', rules, capitalGains);
+    // The new regime is the default, so it is recommended on a tie
+    const recommendedRegime = oldResult.totalTax < newResult.totalTax ? 'old' : 'new';
+
+    return {
+      assessmentYear,
+      regimes: {
+        old: oldResult,
+        new: newResult
+      },
+      recommendedRegime,
+      taxSaving: Math.abs(oldResult.totalTax - newResult.totalTax),
+      chosenRegime: safeAnswers.taxRegime === 'old' || safeAnswers.taxRegime === 'new' ? safeAnswers.taxRegime : null,
+      capitalGainsSource: capitalGains ? 'statement' : (amountOf(safeAnswers, 'capitalGainsIncome') > 0 ? 'answers' : null)
+    };
+  } catch (error) {
+    logger.error('Error computing tax', { error });
+    return null;
+  }
+}
+
+/**
+ * True when the answers contain any income figure to compute tax on,
+ * or options.capitalGains (see computeTax) has taxable gains
+ */
+function hasIncome(answers, options = {}) {
+  if (!answers || typeof answers !== 'object') {
+    return false;
+  }
+  const split = options.capitalGains ? capitalGainsSplit(options.capitalGains) : null;
+  if (split && (split.slabRateIncome > 0 || split.specialRate.length > 0)) {
+    return true;
+  }
+  return INCOME_FIELDS.some(field => amountOf(answers, field) !== 0);
+}
+
+/**
+ * Extra tax payable if `amount` more income is taxed (e.g. a disallowed deduction
+ * or under-reported income), under the given regime ('old' | 'new')
+ * Returns null when there is no income to compute on or the computation fails
+ */
+function taxOnAdditionalIncome(answers, amount, regime) {
+  if (!hasIncome(answers) || !(amount > 0) || (regime !== 'old' && regime !== 'new')) {
+    return null;
+  }
+  const before = computeTax(answers);
+  const after = computeTax({ ...answers, otherIncome: amountOf(answers, 'otherIncome') + amount });
+  if (!before || !after) {
+    return null;
+  }
+  return Math.max(0, after.regimes[regime].totalTax - before.regimes[regime].totalTax);
+}
+
+/**
+ * Tax saved if `amount` more is deducted (e.g. a deduction the employer allowed that the
+ * answers leave out), under the given regime: the tax on the last `amount` of income
+ * Returns null when there is no income to compute on or the computation fails
+ */
+function taxSavedByDeduction(answers, amount, regime) {
+  if (!(amount > 0)) {
+    return null;
+  }
+  return taxOnAdditionalIncome({ ...answers, otherIncome: amountOf(answers, 'otherIncome') - amount }, amount, regime);
+}
+
+/**
+ * One-line description of a regime comparison, for prompts and issue text
+ */
+function describeComparison(result) {
+  const { old: oldResult, new: newResult } = result.regimes;
+  return `Old regime: ${formatRupees(oldResult.totalTax)}, new regime: ${formatRupees(newResult.totalTax)} (AY ${result.assessmentYear})`;
+}
+
+module.exports = {
+  computeTax,
+  capitalGainsSplit,
+  hasIncome,
+  ageGroup,
+  taxOnAdditionalIncome,
+  taxSavedByDeduction,
+  describeComparison
+};
@@ -7,12 +7,32 @@ export interface WizardAnswers {
   [key: string]: any; // Flexible structure to accommodate various question types
 }
 
-// Detected issue structure
+// Detected issue structure (see utils/issueModel.js)
+export interface IssueImpact {
+  amount: number | null;
+  type: 'tax' | 'interest' | 'penalty' | 'refund';
+  basis: string;
+}
+
+export interface IssueEvidence {
+  source: 'answers' | 'salarySlip' | 'form16' | 'form26as' | 'capitalGains' | 'ais' | 'taxComputation' | 'document';
+  field: string;
+  value: string | number | boolean | null;
+}
+
 export interface DetectedIssue {
   id: string;
   title: string;
   short: string;
   long: string;
+  // Filled in by normalizeIssue; optional so issues with only the four fields above still type-check
+  severity?: 'LOW' | 'MEDIUM' | 'HIGH';
+  legalReference?: string | null;
+  estimatedImpact?: IssueImpact | null;
+  remediation?: string[];
+  evidence?: IssueEvidence[];
+  confidence?: number;
+  source?: 'rules' | 'llm' | 'both' | null;
 }
 
 // API response structure
@@ -0,0 +1,133 @@
+/**
+ * AIS / TIS parser
+ * Entries of an AIS or TIS download are grouped into income heads by information code or
+ * category, with income reported twice by the same source counted once
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseAis } = require('../services/parsers/aisParser');
+
+// An AIS download: TDS/TCS and SFT information with their transactions
+const SAMPLE_AIS = {
+  personalInformation: { pan: 'ABCPK1234F', name: 'RAHUL KUMAR' },
+  financialYear: '2024-25',
+  partB: {
+    tdsTcsInformation: [
+      {
+        informationCode: 'TDS-192',
+        informationDescription: 'Salary received (Section 192)',
+        informationSource: 'ACME SOFTWARE PRIVATE LIMITED (MUMA12345B)',
+        transactions: [
+          { quarter: 'Q1', amountPaidCredited: '6,00,000.00', tdsDeducted: '55,000.00' },
+          { quarter: 'Q3', amountPaidCredited: '6,00,000.00', tdsDeducted: '55,000.00' }
+        ]
+      },
+      {
+        informationCode: 'TDS-194A',
+        informationDescription: 'Interest other than Interest on securities',
+        informationSource: 'STATE BANK OF INDIA (PNES98765C)',
+        transactions: [{ amountPaidCredited: 42000, tdsDeducted: 4200 }]
+      },
+      {
+        informationCode: 'TDS-194',
+        informationDescription: 'Dividend',
+        informationSource: 'INFOSYS LIMITED',
+        transactions: [{ amountPaidCredited: 8000, tdsDeducted: 0 }]
+      }
+    ],
+    sftInformation: [
+      { informationCode: 'SFT-016(TD)', informationDescription: 'Interest income', informationSource: 'State Bank of India', transactions: [{ amount: 40000 }] },
+      { informationCode: 'SFT-016(SB)', informationDescription: 'Interest income', informationSource: 'HDFC BANK LIMITED', transactions: [{ amount: 6500 }] },
+      { informationCode: 'SFT-017', informationDescription: 'Sale of securities and units of mutual fund', informationSource: 'ZERODHA BROKING LIMITED', transactions: [{ saleConsideration: '3,25,000' }] },
+      { informationCode: 'SFT-005', informationDescription: 'Purchase of time deposits', informationSource: 'State Bank of India', transactions: [{ amount: 500000 }] }
+    ]
+  }
+};
+
+// A TIS download: categories with the processed and derived (after feedback) values
+const SAMPLE_TIS = {
+  pan: 'ABCPK1234F',
+  assessmentYear: '2025-26',
+  tis: [
+    { informationCategory: 'Salary', processedValue: 1190000, derivedValue: 1200000 },
+    { informationCategory: 'Interest from savings bank', processedValue: 6500, derivedValue: 6500 },
+    { informationCategory: 'Rent received', derivedValue: 240000 }
+  ]
+};
+
+function parse(json) {
+  return parseAis(Buffer.from(JSON.stringify(json)));
+}
+
+test('an AIS gives the PAN, the years and its income heads', () => {
+  const { data, problems } = parse(SAMPLE_AIS);
+
+  assert.deepStrictEqual(problems, []);
+  assert.strictEqual(data.kind, 'AIS');
+  assert.strictEqual(data.pan, 'ABCPK1234F');
+  assert.strictEqual(data.financialYear, '2024-25');
+  assert.strictEqual(data.assessmentYear, '2025-26');
+  assert.deepStrictEqual(Object.keys(data.incomeHeads), ['salary', 'interestSavings', 'interestDeposits', 'dividends', 'securitiesSales']);
+  assert.deepStrictEqual(data.incomeHeads.salary, {
+    amount: 1200000,
+    tdsDeducted: 110000,
+    sources: [{ source: 'ACME SOFTWARE PRIVATE LIMITED (MUMA12345B)', codes: ['TDS-192'], amount: 1200000 }]
+  });
+});
+
+test('SFT-016 interest is split by its suffix', () => {
+  const { incomeHeads } = parse(SAMPLE_AIS).data;
+
+  assert.strictEqual(incomeHeads.interestSavings.amount, 6500);
+  assert.deepStrictEqual(incomeHeads.interestSavings.sources[0].codes, ['SFT-016']);
+});
+
+test('interest reported by the same bank as TDS and SFT is counted once, at the higher figure', () => {
+  const { incomeHeads } = parse(SAMPLE_AIS).data;
+
+  // TDS-194A Rs. 42,000 and SFT-016(TD) Rs. 40,000, both from State Bank of India
+  assert.deepStrictEqual(incomeHeads.interestDeposits, {
+    amount: 42000,
+    tdsDeducted: 4200,
+    sources: [{ source: 'STATE BANK OF INDIA (PNES98765C)', codes: ['TDS-194A', 'SFT-016'], amount: 42000 }]
+  });
+});
+
+test('sale values and other transactions are not counted as income', () => {
+  const { data } = parse(SAMPLE_AIS);
+
+  assert.strictEqual(data.incomeHeads.securitiesSales.amount, 325000);
+  assert.deepStrictEqual(data.highValueTransactions, [
+    { code: 'SFT-005', description: 'Purchase of time deposits', source: 'State Bank of India', amount: 500000 }
+  ]);
+  // Salary 12,00,000 + interest 6,500 + 42,000 + dividends 8,000
+  assert.deepStrictEqual(data.totals, { income: 1256500, tdsDeducted: 114200 });
+  assert.strictEqual(data.entries, 8);
+  assert.strictEqual(data.unclassifiedEntries, 1);
+});
+
+test('a TIS is read by category with the derived values', () => {
+  const { data } = parse(SAMPLE_TIS);
+
+  assert.strictEqual(data.kind, 'TIS');
+  assert.strictEqual(data.assessmentYear, '2025-26');
+  assert.strictEqual(data.financialYear, '2024-25');
+  assert.strictEqual(data.incomeHeads.salary.amount, 1200000);
+  assert.strictEqual(data.incomeHeads.interestSavings.amount, 6500);
+  assert.deepStrictEqual(data.incomeHeads.rent.sources, [{ source: 'Not stated', codes: ['Rent received'], amount: 240000 }]);
+});
+
+test('files that are not an AIS or TIS are rejected with the reason', () => {
+  assert.deepStrictEqual(parseAis(Buffer.from('not json')), { data: null, problems: ['The file is not valid JSON'] });
+  assert.deepStrictEqual(parseAis('null'), { data: null, problems: ['The JSON is not an AIS or TIS download'] });
+  assert.deepStrictEqual(parse({ invoices: [{ amount: 500 }] }), {
+    data: null,
+    problems: ['No AIS/TIS information (an information code or category with an amount) was found']
+  });
+  assert.deepStrictEqual(parse({ entries: [{ informationCategory: 'Purchase of foreign currency', amount: 5000 }] }).problems, [
+    'None of the AIS/TIS entries is an income or transaction the analysis understands'
+  ]);
+});
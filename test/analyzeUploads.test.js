@@ -0,0 +1,71 @@
+/**
+ * Upload errors of /api/analyze
+ * A file over the upload limit is a 413 whose message names the limit multer enforces
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const requestId = require('../middlewares/requestId');
+const analyzeRoutes = require('../routes/analyze');
+const errorHandler = require('../middlewares/errorHandler');
+const { ERROR_CODES } = require('../utils/errorCodes');
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Serves the analyze routes the way index.js mounts them, on a free local port
+ */
+async function startServer() {
+  const app = express();
+  app.use(requestId);
+  app.use(express.json());
+  app.use('/api', analyzeRoutes);
+  app.use(errorHandler);
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return server;
+}
+
+async function upload(server, field, size, type) {
+  const form = new FormData();
+  form.append('answers', JSON.stringify({ itrForm: 'ITR-1', salaryIncome: 900000 }));
+  form.append(field, new Blob([Buffer.alloc(size)], { type }), 'document.pdf');
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/api/analyze`, { method: 'POST', body: form });
+  return { status: response.status, body: await response.json() };
+}
+
+test('FILE_TOO_LARGE is a 413', () => {
+  assert.strictEqual(ERROR_CODES.FILE_TOO_LARGE.status, 413);
+  assert.doesNotMatch(ERROR_CODES.FILE_TOO_LARGE.message, /\dMB/);
+});
+
+test('a file over the limit is rejected with the limit in the message', async () => {
+  const server = await startServer();
+  try {
+    const { status, body } = await upload(server, 'form26as', MAX_FILE_SIZE + 1, 'application/pdf');
+
+    assert.strictEqual(status, 413);
+    assert.strictEqual(body.error.code, 'FILE_TOO_LARGE');
+    assert.strictEqual(body.error.message, 'File size exceeds the maximum limit of 5MB');
+    assert.deepStrictEqual(body.error.details, { field: 'form26as', maxBytes: MAX_FILE_SIZE });
+    assert.ok(body.error.requestId);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('other upload errors keep their status', async () => {
+  const server = await startServer();
+  try {
+    const { status, body } = await upload(server, 'form26as', 1024, 'text/plain');
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.error.code, 'UNSUPPORTED_FILE_TYPE');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
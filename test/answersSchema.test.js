@@ -0,0 +1,94 @@
+/**
+ * Unknown answer fields
+ * Fields the wizard schema does not know are ignored and reported as an ANSWERS_FIELDS_IGNORED
+ * warning, unless strict mode rejects them
+ */
+
+process.env.LOG_LEVEL = 'error';
+process.env.USE_MOCK_AI = 'true';
+process.env.ANALYSIS_DB_PATH = require('path').join(require('os').tmpdir(), `answers-schema-test-${process.pid}.json`);
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const express = require('express');
+const { validateAgainstSchema, unknownFields, withoutUnknownFields } = require('../utils/answersSchema');
+const { validateAnswers } = require('../utils/validateInput');
+const analysisPipeline = require('../services/analysisPipeline');
+const taxRoutes = require('../routes/tax');
+const errorHandler = require('../middlewares/errorHandler');
+
+const ANSWERS = {
+  assessmentYear: '2026-27',
+  itrForm: 'ITR-1',
+  taxRegime: 'new',
+  salaryIncome: 900000,
+  totalIncome: 900000
+};
+
+test.after(() => {
+  fs.rmSync(process.env.ANALYSIS_DB_PATH, { force: true });
+});
+
+test('unknown fields pass validation and are listed separately', () => {
+  const answers = { ...ANSWERS, section80c: 150000, referrer: 'newsletter' };
+
+  assert.deepStrictEqual(validateAnswers(answers), { valid: true });
+  assert.deepStrictEqual(unknownFields(answers), ['section80c', 'referrer']);
+  assert.deepStrictEqual(withoutUnknownFields(answers), ANSWERS);
+});
+
+test('known fields are still checked when unknown fields are present', () => {
+  const result = validateAnswers({ ...ANSWERS, section80C: 'a lot', referrer: 'newsletter' });
+
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.code, 'ANSWERS_INVALID');
+  assert.deepStrictEqual(result.fields, [{ field: 'section80C', message: 'Must be a number' }]);
+});
+
+test('strict mode rejects unknown fields', () => {
+  assert.deepStrictEqual(
+    validateAgainstSchema({ ...ANSWERS, section80c: 150000 }, { strict: true }),
+    [{ field: 'section80c', message: 'Unknown field' }]
+  );
+  assert.deepStrictEqual(validateAgainstSchema({ ...ANSWERS, section80c: 150000 }, { strict: false }), []);
+});
+
+test('the analysis leaves unknown fields out and warns about them', async () => {
+  const response = await analysisPipeline.runAnalysis({ answers: { ...ANSWERS, section80c: 150000 } }, { useCache: false });
+
+  const warning = response.warnings.find(item => item.code === 'ANSWERS_FIELDS_IGNORED');
+  assert.ok(warning, 'ANSWERS_FIELDS_IGNORED warning expected');
+  assert.deepStrictEqual(warning.details, { fields: ['section80c'] });
+
+  const clean = await analysisPipeline.runAnalysis({ answers: ANSWERS }, { useCache: false });
+  assert.ok(!(clean.warnings || []).some(item => item.code === 'ANSWERS_FIELDS_IGNORED'));
+});
+
+test('/api/compute-tax answers with the ignored fields in warnings', async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', taxRoutes);
+  app.use(errorHandler);
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const url = `http://127.0.0.1:${server.address().port}/api/compute-tax`;
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ answers: { ...ANSWERS, referrer: 'newsletter' } })
+    });
+    const body = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.ok(body.regimes && body.regimes.new);
+    assert.deepStrictEqual(body.warnings.map(item => [item.code, item.details]), [
+      ['ANSWERS_FIELDS_IGNORED', { fields: ['referrer'] }]
+    ]);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,120 @@
+/**
+ * Stored analyses and jobs per API client
+ * With API_KEYS set, an analysis or job is only returned to the client that created it;
+ * any other client gets the same 404 as for an unknown id
+ */
+
+process.env.LOG_LEVEL = 'error';
+process.env.USE_MOCK_AI = 'true';
+process.env.API_KEYS = 'alpha:alpha-key-0123456789,beta:beta-key-0123456789';
+process.env.ANALYSIS_DB_PATH = require('path').join(require('os').tmpdir(), `api-clients-test-${process.pid}.json`);
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const express = require('express');
+const requestId = require('../middlewares/requestId');
+const apiKeyAuth = require('../middlewares/apiKeyAuth');
+const analyzeRoutes = require('../routes/analyze');
+const analysesRoutes = require('../routes/analyses');
+const jobsRoutes = require('../routes/jobs');
+const errorHandler = require('../middlewares/errorHandler');
+const dbService = require('../services/dbService');
+
+const ALPHA = 'alpha-key-0123456789';
+const BETA = 'beta-key-0123456789';
+
+const ANSWERS = { assessmentYear: '2026-27', itrForm: 'ITR-1', taxRegime: 'new', salaryIncome: 900000, totalIncome: 900000 };
+
+let server;
+
+test.before(async () => {
+  const app = express();
+  app.use(requestId);
+  app.use(express.json());
+  app.use('/api', apiKeyAuth);
+  app.use('/api', analyzeRoutes);
+  app.use('/api', analysesRoutes);
+  app.use('/api', jobsRoutes);
+  app.use(errorHandler);
+  server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+});
+
+test.after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(process.env.ANALYSIS_DB_PATH, { force: true });
+});
+
+async function request(key, method, path, body) {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+    method,
+    headers: { 'X-API-Key': key, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function waitForJob(key, id) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const job = await request(key, 'GET', `/api/jobs/${id}`);
+    if (job.status !== 200 || job.body.status === 'done' || job.body.status === 'failed') {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Job ${id} did not finish`);
+}
+
+test('an analysis is only returned to the client that ran it', async () => {
+  const created = await request(ALPHA, 'POST', '/api/analyze', { answers: ANSWERS });
+  assert.strictEqual(created.status, 200);
+  const { analysisId } = created.body;
+  assert.ok(analysisId);
+
+  const own = await request(ALPHA, 'GET', `/api/analyses/${analysisId}`);
+  assert.strictEqual(own.status, 200);
+  assert.strictEqual(own.body.client, 'alpha');
+
+  const other = await request(BETA, 'GET', `/api/analyses/${analysisId}`);
+  assert.strictEqual(other.status, 404);
+  assert.strictEqual(other.body.error.code, 'ANALYSIS_NOT_FOUND');
+
+  const report = await request(BETA, 'GET', `/api/analyses/${analysisId}/report`);
+  assert.strictEqual(report.status, 404);
+  assert.strictEqual(report.body.error.code, 'ANALYSIS_NOT_FOUND');
+});
+
+test('the history lists only the calling client\'s analyses', async () => {
+  const { body: { analysisId } } = await request(ALPHA, 'POST', '/api/analyze', { answers: { ...ANSWERS, salaryIncome: 950000 } });
+
+  const alphaIds = (await request(ALPHA, 'GET', '/api/analyses')).body.items.map(item => item.id);
+  const betaIds = (await request(BETA, 'GET', '/api/analyses')).body.items.map(item => item.id);
+  assert.ok(alphaIds.includes(analysisId));
+  assert.ok(!betaIds.includes(analysisId));
+});
+
+test('a job is only returned to the client that queued it', async () => {
+  const queued = await request(ALPHA, 'POST', '/api/analyze?async=true', { answers: { ...ANSWERS, salaryIncome: 1000000 } });
+  assert.strictEqual(queued.status, 202);
+
+  const other = await request(BETA, 'GET', `/api/jobs/${queued.body.jobId}`);
+  assert.strictEqual(other.status, 404);
+  assert.strictEqual(other.body.error.code, 'JOB_NOT_FOUND');
+
+  const own = await waitForJob(ALPHA, queued.body.jobId);
+  assert.strictEqual(own.status, 200);
+  assert.strictEqual(own.body.status, 'done');
+  assert.strictEqual(own.body.client, undefined);
+
+  // The analysis the job stored belongs to the same client
+  assert.strictEqual((await request(BETA, 'GET', `/api/analyses/${own.body.result.analysisId}`)).status, 404);
+});
+
+test('without authentication every stored analysis is visible', async () => {
+  const record = await dbService.saveAnalysis({ answers: ANSWERS, extractedData: {}, result: { riskLevel: 'LOW', detectedIssues: [] }, language: 'en', client: 'alpha' });
+
+  assert.strictEqual((await dbService.getAnalysis(record.id, null)).id, record.id);
+  assert.strictEqual(await dbService.getAnalysis(record.id, 'beta'), null);
+});
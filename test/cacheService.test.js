@@ -0,0 +1,103 @@
+/**
+ * Analysis cache and Idempotency-Key per API client
+ * The same request from another client is a cache miss and a new analysis, never a replay
+ * of the first client's response
+ */
+
+process.env.LOG_LEVEL = 'error';
+process.env.USE_MOCK_AI = 'true';
+process.env.API_KEYS = 'alpha:alpha-key-0123456789,beta:beta-key-0123456789';
+process.env.ANALYSIS_DB_PATH = require('path').join(require('os').tmpdir(), `cache-service-test-${process.pid}.json`);
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const express = require('express');
+const requestId = require('../middlewares/requestId');
+const apiKeyAuth = require('../middlewares/apiKeyAuth');
+const analyzeRoutes = require('../routes/analyze');
+const errorHandler = require('../middlewares/errorHandler');
+const cacheService = require('../services/cacheService');
+
+const ALPHA = 'alpha-key-0123456789';
+const BETA = 'beta-key-0123456789';
+
+const ANSWERS = { assessmentYear: '2026-27', itrForm: 'ITR-1', taxRegime: 'new', salaryIncome: 900000, totalIncome: 900000 };
+
+let server;
+
+test.before(async () => {
+  const app = express();
+  app.use(requestId);
+  app.use(express.json());
+  app.use('/api', apiKeyAuth);
+  app.use('/api', analyzeRoutes);
+  app.use(errorHandler);
+  server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+});
+
+test.after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(process.env.ANALYSIS_DB_PATH, { force: true });
+});
+
+async function analyze(key, answers, idempotencyKey) {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/api/analyze`, {
+    method: 'POST',
+    headers: {
+      'X-API-Key': key,
+      'Content-Type': 'application/json',
+      ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {})
+    },
+    body: JSON.stringify({ answers })
+  });
+  return { status: response.status, replayed: response.headers.get('Idempotent-Replayed'), body: await response.json() };
+}
+
+test('the analysis key depends on the client', () => {
+  const files = [{ type: 'form16', buffer: Buffer.from('Form 16') }];
+
+  assert.strictEqual(cacheService.analysisKey(ANSWERS, files, 'en', 'alpha'), cacheService.analysisKey(ANSWERS, files, 'en', 'alpha'));
+  assert.notStrictEqual(cacheService.analysisKey(ANSWERS, files, 'en', 'alpha'), cacheService.analysisKey(ANSWERS, files, 'en', 'beta'));
+  assert.notStrictEqual(cacheService.analysisKey(ANSWERS, files, 'en', 'alpha'), cacheService.analysisKey(ANSWERS, files, 'en', null));
+});
+
+test('a cached analysis is only served to the client that ran it', async () => {
+  const answers = { ...ANSWERS, salaryIncome: 910000 };
+
+  const first = await analyze(ALPHA, answers);
+  assert.strictEqual(first.body.cache.result, 'miss');
+  const again = await analyze(ALPHA, answers);
+  assert.strictEqual(again.body.cache.result, 'hit');
+  assert.strictEqual(again.body.analysisId, first.body.analysisId);
+
+  const other = await analyze(BETA, answers);
+  assert.strictEqual(other.body.cache.result, 'miss');
+  assert.notStrictEqual(other.body.analysisId, first.body.analysisId);
+});
+
+test('an Idempotency-Key used by one client is a new request for another', async () => {
+  const answers = { ...ANSWERS, salaryIncome: 920000 };
+
+  const first = await analyze(ALPHA, answers, 'order-42');
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.replayed, null);
+
+  const retry = await analyze(ALPHA, answers, 'order-42');
+  assert.strictEqual(retry.replayed, 'true');
+  assert.strictEqual(retry.body.analysisId, first.body.analysisId);
+
+  // Same key and request from another client: neither a replay nor a mismatch
+  const other = await analyze(BETA, answers, 'order-42');
+  assert.strictEqual(other.status, 200);
+  assert.strictEqual(other.replayed, null);
+  assert.strictEqual(other.body.cache.result, 'miss');
+  assert.notStrictEqual(other.body.analysisId, first.body.analysisId);
+
+  // Each client's key is still tied to its own first request
+  const mismatch = await analyze(BETA, { ...answers, salaryIncome: 930000 }, 'order-42');
+  assert.strictEqual(mismatch.status, 422);
+  assert.strictEqual(mismatch.body.error.code, 'IDEMPOTENCY_KEY_MISMATCH');
+});
@@ -0,0 +1,110 @@
+/**
+ * Capital gains statement parser
+ * A broker CSV with an equity table and a mutual fund table is read into sell trades;
+ * titles and totals are skipped and the asset class comes from the ISIN, type or scheme name
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { readSpreadsheet, parseCsv } = require('../services/parsers/spreadsheetReader');
+const { parseCapitalGainsStatement, parseDate } = require('../services/parsers/capitalGainsParser');
+
+// A tax P&L download for FY 2025-26: equity, then mutual funds, each with its own header
+const STATEMENT_CSV = [
+  'Tax P&L Statement,,,,,,,',
+  'Client ID: AB1234,,,,,,,',
+  ',,,,,,,',
+  'Equity,,,,,,,',
+  'Symbol,ISIN,Quantity,Buy Date,Buy Value,Sell Date,Sell Value,FMV as on 31.01.2018',
+  'INFY,INE009A01021,100,15-06-2017,"95,000.00",10-05-2025,"1,60,000.00","1,15,000.00"',
+  'TCS,INE467B01029,50,2024-01-10,150000,2025-08-20,230000,',
+  'HDFCBANK,INE040A01034,40,01-Mar-2025,64000,15-Jun-2025,70000,',
+  'WIPRO,INE075A01022,200,05/01/25,110000,10/09/25,100000,',
+  'RELIANCE,INE002A01018,10,2025-07-01,30000,2025-07-01,30500,',
+  'ITC,INE154A01025,100,2024-05-01,40000,2025-02-10,42000,',
+  'Total,,,,"4,89,000.00",,"6,32,500.00",',
+  ',,,,,,,',
+  'Mutual Funds,,,,,,,',
+  'Scheme Name,ISIN,Units,Purchase Date,Purchase Value,Redemption Date,Redemption Amount,',
+  'HDFC Liquid Fund - Growth,INF179K01XY1,10,2023-06-01,30000,2025-11-01,33000,',
+  'Parag Parikh Flexi Cap Fund - Direct Growth,INF879O01027,500,2022-04-01,200000,2025-12-01,310000,'
+].join('\r\n');
+
+async function readStatement(csv) {
+  const sheets = await readSpreadsheet({ buffer: Buffer.from(csv), mimetype: 'text/csv', filename: 'taxpnl.csv' });
+  return parseCapitalGainsStatement(sheets);
+}
+
+test('CSV cells are split on the detected delimiter with quoted commas kept', () => {
+  assert.deepStrictEqual(parseCsv('Symbol;Sell Value\r\nINFY;"1,60,000"\r\n'), [['Symbol', 'Sell Value'], ['INFY', '1,60,000']]);
+  assert.deepStrictEqual(parseCsv('a,"say ""hi""", \n'), [['a', 'say "hi"', null]]);
+});
+
+test('every trade of both tables is read, titles and totals are not', async () => {
+  const statement = await readStatement(STATEMENT_CSV);
+
+  assert.deepStrictEqual(statement.trades.map(trade => trade.name), [
+    'INFY', 'TCS', 'HDFCBANK', 'WIPRO', 'RELIANCE', 'ITC',
+    'HDFC Liquid Fund - Growth', 'Parag Parikh Flexi Cap Fund - Direct Growth'
+  ]);
+  assert.strictEqual(statement.skippedRows, 0);
+  assert.strictEqual(statement.truncated, false);
+});
+
+test('Indian amounts, day-first dates and the 2018 FMV are read', async () => {
+  const [infy, , hdfcBank, wipro] = (await readStatement(STATEMENT_CSV)).trades;
+
+  assert.deepStrictEqual(infy, {
+    name: 'INFY',
+    isin: 'INE009A01021',
+    assetClass: 'equity',
+    assetClassAssumed: false,
+    buyDate: '2017-06-15',
+    sellDate: '2025-05-10',
+    quantity: 100,
+    buyValue: 95000,
+    sellValue: 160000,
+    fmv2018: 115000
+  });
+  assert.strictEqual(hdfcBank.buyDate, '2025-03-01');
+  assert.strictEqual(hdfcBank.fmv2018, null);
+  assert.strictEqual(wipro.buyDate, '2025-01-05');
+  assert.strictEqual(wipro.sellDate, '2025-09-10');
+});
+
+test('funds are told apart by ISIN and scheme name', async () => {
+  const trades = (await readStatement(STATEMENT_CSV)).trades;
+
+  assert.strictEqual(trades[6].assetClass, 'debtFund');
+  assert.strictEqual(trades[7].assetClass, 'equityFund');
+  assert.strictEqual(trades[7].sellValue, 310000);
+});
+
+test('sale values are worked out from price and quantity', async () => {
+  const csv = 'Stock Name,Qty,Purchase Date,Avg Buy Price,Sale Date,Avg Sell Price\nTATASTEEL,100,2024-04-02,150.5,2025-06-03,160.25\n';
+  const [trade] = (await readStatement(csv)).trades;
+
+  assert.strictEqual(trade.buyValue, 15050);
+  assert.strictEqual(trade.sellValue, 16025);
+  // No ISIN or asset type: listed equity is assumed
+  assert.strictEqual(trade.assetClass, 'equity');
+  assert.strictEqual(trade.assetClassAssumed, true);
+});
+
+test('dates in the usual statement formats are parsed', () => {
+  assert.strictEqual(parseDate('2025-05-10'), '2025-05-10');
+  assert.strictEqual(parseDate('10.05.2025'), '2025-05-10');
+  assert.strictEqual(parseDate('10 May 2025'), '2025-05-10');
+  assert.strictEqual(parseDate('May 10, 2025'), '2025-05-10');
+  assert.strictEqual(parseDate(45787), '2025-05-10');
+  assert.strictEqual(parseDate('31-02-2025'), null);
+  assert.strictEqual(parseDate('Total'), null);
+});
+
+test('sheets without a trade table give null', async () => {
+  assert.strictEqual(await readStatement('Name,Amount\nSalary,100000\n'), null);
+  assert.strictEqual(await readStatement(''), null);
+  assert.strictEqual(parseCapitalGainsStatement(undefined), null);
+});
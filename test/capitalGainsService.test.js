@@ -0,0 +1,171 @@
+/**
+ * Capital gains computation
+ * Holding periods pick the section, grandfathering raises the cost of pre-2018 equity,
+ * losses are set off (short-term against any gain, long-term against long-term only) and
+ * the Section 112A exemption is applied before tax
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { getTaxRules } = require('../config/taxRules');
+const { computeCapitalGains, fitsItr1 } = require('../services/capitalGainsService');
+
+const RULES = getTaxRules('2026-27');
+
+// A sell trade as capitalGainsParser returns it
+function trade(fields) {
+  return {
+    name: 'INFY',
+    isin: 'INE009A01021',
+    assetClass: 'equity',
+    assetClassAssumed: false,
+    quantity: 100,
+    fmv2018: null,
+    ...fields
+  };
+}
+
+// The trades of the sample statement in capitalGainsParser.test.js
+const STATEMENT = {
+  truncated: false,
+  trades: [
+    trade({ name: 'INFY', buyDate: '2017-06-15', sellDate: '2025-05-10', buyValue: 95000, sellValue: 160000, fmv2018: 115000 }),
+    trade({ name: 'TCS', buyDate: '2024-01-10', sellDate: '2025-08-20', buyValue: 150000, sellValue: 230000 }),
+    trade({ name: 'HDFCBANK', buyDate: '2025-03-01', sellDate: '2025-06-15', buyValue: 64000, sellValue: 70000 }),
+    trade({ name: 'WIPRO', buyDate: '2025-01-05', sellDate: '2025-09-10', buyValue: 110000, sellValue: 100000 }),
+    trade({ name: 'RELIANCE', buyDate: '2025-07-01', sellDate: '2025-07-01', buyValue: 30000, sellValue: 30500 }),
+    trade({ name: 'ITC', buyDate: '2024-05-01', sellDate: '2025-02-10', buyValue: 40000, sellValue: 42000 }),
+    trade({ name: 'HDFC Liquid Fund', assetClass: 'debtFund', buyDate: '2023-06-01', sellDate: '2025-11-01', buyValue: 30000, sellValue: 33000 }),
+    trade({ name: 'Parag Parikh Flexi Cap Fund', assetClass: 'equityFund', buyDate: '2022-04-01', sellDate: '2025-12-01', buyValue: 200000, sellValue: 310000 })
+  ]
+};
+
+function section(result, name) {
+  return result.sections.find(group => group.section === name);
+}
+
+test('equity is long-term only when sold after 12 months', () => {
+  const result = computeCapitalGains({
+    trades: [
+      trade({ buyDate: '2024-05-10', sellDate: '2025-05-10', buyValue: 100000, sellValue: 110000 }),
+      trade({ buyDate: '2024-05-10', sellDate: '2025-05-11', buyValue: 100000, sellValue: 120000 })
+    ]
+  }, RULES);
+
+  assert.deepStrictEqual(result.trades.map(({ term, section: name, rate, holdingDays }) => ({ term, section: name, rate, holdingDays })), [
+    { term: 'short', section: '111A', rate: 0.2, holdingDays: 365 },
+    { term: 'long', section: '112A', rate: 0.125, holdingDays: 366 }
+  ]);
+});
+
+test('other assets are long-term after 24 months, debt funds bought from April 2023 never', () => {
+  const result = computeCapitalGains({
+    trades: [
+      trade({ name: 'SGB', assetClass: 'other', buyDate: '2023-06-01', sellDate: '2025-06-02', buyValue: 50000, sellValue: 70000 }),
+      trade({ name: 'Gold ETF', assetClass: 'other', buyDate: '2023-06-01', sellDate: '2025-06-01', buyValue: 50000, sellValue: 60000 }),
+      trade({ name: 'Gilt Fund', assetClass: 'debtFund', buyDate: '2023-04-01', sellDate: '2025-12-01', buyValue: 50000, sellValue: 58000 }),
+      trade({ name: 'Bond Fund', assetClass: 'debtFund', buyDate: '2023-03-31', sellDate: '2025-12-01', buyValue: 50000, sellValue: 59000 })
+    ]
+  }, RULES);
+
+  assert.deepStrictEqual(result.trades.map(item => item.section), ['112', 'slab', 'slab', '112']);
+  assert.strictEqual(result.totals.slabRateIncome, 18000);
+  assert.match(result.notes.join(' '), /1 debt fund trade\(s\) bought on or after 2023-04-01/);
+});
+
+test('equity bought before February 2018 costs the lower of its FMV and sale value, if higher', () => {
+  const result = computeCapitalGains({
+    trades: [
+      trade({ buyDate: '2017-06-15', sellDate: '2025-05-10', buyValue: 95000, sellValue: 160000, fmv2018: 115000 }),
+      // FMV above the sale value: the cost is capped at the sale value, so there is no loss
+      trade({ buyDate: '2016-01-04', sellDate: '2025-05-10', buyValue: 80000, sellValue: 90000, fmv2018: 120000 }),
+      // Bought after 31 January 2018: no grandfathering
+      trade({ buyDate: '2018-02-01', sellDate: '2025-05-10', buyValue: 95000, sellValue: 160000, fmv2018: 115000 })
+    ]
+  }, RULES);
+
+  assert.deepStrictEqual(result.trades.map(({ cost, grandfathered, gain }) => ({ cost, grandfathered, gain })), [
+    { cost: 115000, grandfathered: true, gain: 45000 },
+    { cost: 90000, grandfathered: true, gain: 0 },
+    { cost: 95000, grandfathered: false, gain: 65000 }
+  ]);
+});
+
+test('the sample statement is set off, exempted and taxed', () => {
+  const result = computeCapitalGains(STATEMENT, RULES);
+
+  assert.strictEqual(result.assessmentYear, '2026-27');
+  assert.deepStrictEqual(result.excluded, { otherYear: 1, intraday: 1, incomplete: 0 });
+
+  // WIPRO's Rs. 10,000 loss: Rs. 6,000 against HDFCBANK, Rs. 3,000 against the slab-rate
+  // debt fund gain and the last Rs. 1,000 against long-term gains
+  assert.deepStrictEqual(section(result, '111A'), {
+    section: '111A', term: 'short', rate: 0.2, trades: 2, gains: 6000, losses: 10000, lossesSetOff: 6000, exempt: 0, taxable: 0, tax: 0
+  });
+  assert.strictEqual(section(result, 'slab').lossesSetOff, 3000);
+  // INFY 45,000 (grandfathered) + TCS 80,000 + the equity fund 1,10,000
+  assert.deepStrictEqual(section(result, '112A'), {
+    section: '112A', term: 'long', rate: 0.125, trades: 3, gains: 235000, losses: 0, lossesSetOff: 1000, exempt: 125000, taxable: 109000, tax: 13625
+  });
+
+  assert.deepStrictEqual(result.totals, {
+    shortTermGains: 0,
+    longTermGains: 234000,
+    netGains: 234000,
+    exemption112A: 125000,
+    slabRateIncome: 0,
+    taxableAtSpecialRates: 109000,
+    tax: 13625,
+    cess: 545,
+    totalTax: 14170
+  });
+  assert.deepStrictEqual(result.lossesCarriedForward, { shortTerm: 0, longTerm: 0 });
+  assert.match(result.notes.join(' '), /1 trade\(s\) sold outside FY 2025-26/);
+  assert.match(result.notes.join(' '), /1 intraday trade\(s\)/);
+});
+
+test('long-term losses are not set off against short-term gains and are carried forward', () => {
+  const result = computeCapitalGains({
+    trades: [
+      trade({ buyDate: '2025-01-10', sellDate: '2025-06-10', buyValue: 100000, sellValue: 150000 }),
+      trade({ buyDate: '2022-01-10', sellDate: '2025-06-10', buyValue: 300000, sellValue: 220000 })
+    ]
+  }, RULES);
+
+  assert.strictEqual(section(result, '111A').taxable, 50000);
+  assert.strictEqual(section(result, '111A').tax, 10000);
+  assert.strictEqual(section(result, '112A').lossesSetOff, 0);
+  assert.deepStrictEqual(result.lossesCarriedForward, { shortTerm: 0, longTerm: 80000 });
+  assert.strictEqual(result.totals.netGains, 50000);
+});
+
+test('rates follow the sale date within a year, the exemption goes to the higher rate first', () => {
+  const result = computeCapitalGains({
+    trades: [
+      trade({ buyDate: '2022-04-01', sellDate: '2024-06-10', buyValue: 100000, sellValue: 200000 }),
+      trade({ buyDate: '2022-04-01', sellDate: '2024-09-10', buyValue: 100000, sellValue: 200000 })
+    ]
+  }, getTaxRules('2025-26'));
+
+  const [before, after] = result.sections;
+  assert.deepStrictEqual([before.rate, before.exempt, before.taxable, before.tax], [0.1, 25000, 75000, 7500]);
+  assert.deepStrictEqual([after.rate, after.exempt, after.taxable, after.tax], [0.125, 100000, 0, 0]);
+  assert.strictEqual(result.totals.exemption112A, 125000);
+});
+
+test('small Section 112A gains without losses fit ITR-1', () => {
+  const within = computeCapitalGains({ trades: [trade({ buyDate: '2022-04-01', sellDate: '2025-06-10', buyValue: 100000, sellValue: 200000 })] }, RULES);
+  const over = computeCapitalGains({ trades: [trade({ buyDate: '2022-04-01', sellDate: '2025-06-10', buyValue: 100000, sellValue: 250000 })] }, RULES);
+
+  assert.strictEqual(fitsItr1(within, RULES), true);
+  assert.strictEqual(fitsItr1(over, RULES), false);
+  assert.strictEqual(fitsItr1(computeCapitalGains(STATEMENT, RULES), RULES), false);
+});
+
+test('statements with no trade of the year give null', () => {
+  assert.strictEqual(computeCapitalGains({ trades: [STATEMENT.trades[5]] }, RULES), null);
+  assert.strictEqual(computeCapitalGains(null, RULES), null);
+  assert.strictEqual(computeCapitalGains(STATEMENT, null), null);
+});
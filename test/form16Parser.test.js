@@ -0,0 +1,186 @@
+/**
+ * Form 16 parser
+ * Part A (employer, quarterly TDS) and Part B (salary, exemptions, Chapter VI-A deductions)
+ * are read from a TRACES Form 16 as OCR returns it and from a one-line-per-row PDF text
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseForm16 } = require('../services/parsers/form16Parser');
+
+// OCR of a TRACES Form 16, one table cell per line
+const SAMPLE_FORM_16 = `
+FORM NO. 16
+[See rule 31(1)(a)]
+PART A
+Certificate under section 203 of the Income-tax Act, 1961 for tax deducted at source on salary
+Certificate No. ABCDEFG   Last updated on 10-Jun-2025
+Name and address of the Employer
+ACME SOFTWARE PRIVATE LIMITED, 4th Floor, Tech Park, Mumbai - 400076
+Name and address of the Employee
+RAHUL KUMAR, 12 Lake Road, Mumbai - 400001
+PAN of the Deductor
+AABCA1234K
+TAN of the Deductor
+MUMA12345B
+PAN of the Employee
+ABCPK1234F
+CIT (TDS)
+Mumbai
+Assessment Year
+2025-26
+Period with the Employer
+From
+01-04-2024
+To
+31-03-2025
+Summary of amount paid/credited and tax deducted at source thereon in respect of the employee
+Quarter(s) Receipt Numbers of original quarterly statements of TDS under sub-section (3) of section 200 Amount paid/credited Amount of tax deducted (Rs.) Amount of tax deposited / remitted (Rs.)
+Q1
+QVBCDEFG
+3,00,000.00
+27,500.00
+27,500.00
+Q2
+QVBCDEFH
+3,00,000.00
+27,500.00
+27,500.00
+Q3
+QVBCDEFJ
+3,00,000.00
+27,500.00
+27,500.00
+Q4
+QVBCDEFK
+3,00,000.00
+27,500.00
+27,500.00
+Total (Rs.)
+12,00,000.00
+1,10,000.00
+1,10,000.00
+PART B (Annexure)
+Details of Salary Paid and any other income and tax deducted
+Whether opting out of taxation u/s 115BAC(1A)? Yes
+1. Gross Salary
+(a) Salary as per provisions contained in section 17(1)
+11,50,000.00
+(b) Value of perquisites under section 17(2) (as per Form No.12BA, wherever applicable)
+50,000.00
+(c) Profits in lieu of salary under section 17(3) (as per Form No.12BA, wherever applicable)
+0.00
+(d) Total
+12,00,000.00
+2. Less: Allowances to the extent exempt under section 10
+(e) House rent allowance under section 10(13A)
+1,20,000.00
+(j) Total amount of exemption claimed under section 10
+1,20,000.00
+4. Less: Deductions under section 16
+(a) Standard deduction under section 16(ia)
+50,000.00
+(c) Tax on employment under section 16(iii)
+2,500.00
+6. Income chargeable under the head "Salaries" [(3+1(e)-5]
+10,27,500.00
+10. Deductions under Chapter VI-A Gross Amount Deductible Amount
+(a) Deduction in respect of life insurance premia, contributions to provident fund etc. under section 80C
+1,50,000.00 1,50,000.00
+(d) Deduction in respect of contribution by taxpayer to notified pension scheme under section 80CCD (1B)
+50,000.00 50,000.00
+(f) Deduction in respect of health insurance premia under section 80D
+25,000.00 25,000.00
+11. Aggregate of deductible amount under Chapter VI-A [10(a)+10(b)+...]
+2,25,000.00
+12. Total taxable income (9-11)
+8,02,500.00
+13. Tax on total income
+73,000.00
+19. Net tax payable (17-18)
+75,920.00
+`;
+
+// Employer-generated PDF text: label and amount on one line, amounts without paise
+const ONE_LINE_FORM_16 = `
+Name and address of the Employer: Bright Ideas LLP, Pune
+TAN of the Employer: PNEB54321C
+PAN of the Employee: ABCPK1234F
+Assessment Year 2026-27
+Whether opting out of taxation u/s 115BAC(1A)? No
+Salary as per provisions contained in section 17(1) 15,00,000
+Standard deduction under section 16(ia) 75,000
+Income chargeable under the head "Salaries" 14,25,000
+Deduction in respect of employer contribution to pension scheme under section 80CCD(2) 60,000
+`;
+
+test('Part A gives the employer and the TDS of each quarter', () => {
+  const { partA } = parseForm16(SAMPLE_FORM_16);
+
+  assert.strictEqual(partA.employerName, 'ACME SOFTWARE PRIVATE LIMITED');
+  assert.strictEqual(partA.employerTan, 'MUMA12345B');
+  assert.strictEqual(partA.employerPan, 'AABCA1234K');
+  assert.strictEqual(partA.employeePan, 'ABCPK1234F');
+  assert.strictEqual(partA.assessmentYear, '2025-26');
+  assert.strictEqual(partA.periodFrom, '01-04-2024');
+  assert.strictEqual(partA.periodTo, '31-03-2025');
+  assert.strictEqual(partA.quarters.length, 4);
+  assert.deepStrictEqual(partA.quarters[0], { quarter: 'Q1', receiptNumber: 'QVBCDEFG', amountPaid: 300000, taxDeducted: 27500, taxDeposited: 27500 });
+  assert.deepStrictEqual(partA.totals, { amountPaid: 1200000, taxDeducted: 110000, taxDeposited: 110000 });
+});
+
+test('Part B salary, exemptions and deductions are read after their statutory wording', () => {
+  const { partB } = parseForm16(SAMPLE_FORM_16);
+
+  assert.deepStrictEqual(partB.salary17_1, { value: 1150000, confidence: 0.9 });
+  assert.deepStrictEqual(partB.perquisites, { value: 50000, confidence: 0.9 });
+  assert.deepStrictEqual(partB.profitsInLieu, { value: 0, confidence: 0.9 });
+  assert.deepStrictEqual(partB.hraExemption, { value: 120000, confidence: 0.9 });
+  assert.deepStrictEqual(partB.standardDeduction, { value: 50000, confidence: 0.9 });
+  assert.deepStrictEqual(partB.professionalTax, { value: 2500, confidence: 0.9 });
+  // Gross and deductible columns: the deductible amount is taken
+  assert.deepStrictEqual(partB.section80C, { value: 150000, confidence: 0.9 });
+  assert.deepStrictEqual(partB.section80CCD1B, { value: 50000, confidence: 0.9 });
+  assert.deepStrictEqual(partB.section80D, { value: 25000, confidence: 0.9 });
+  assert.deepStrictEqual(partB.chapterVIATotal, { value: 225000, confidence: 0.9 });
+  assert.deepStrictEqual(partB.totalTaxableIncome, { value: 802500, confidence: 0.9 });
+  assert.deepStrictEqual(partB.netTaxPayable, { value: 75920, confidence: 0.9 });
+  assert.strictEqual(partB.ltaExemption, null);
+  assert.strictEqual(partB.section80E, null);
+});
+
+test('gross salary is added up and cross-checked against the income under "Salaries"', () => {
+  const { partB } = parseForm16(SAMPLE_FORM_16);
+
+  // 12,00,000 - 1,20,000 - 50,000 - 2,500 = 10,27,500
+  assert.deepStrictEqual(partB.grossSalary, { value: 1200000, confidence: 0.95 });
+  assert.deepStrictEqual(partB.salaryIncome, { value: 1027500, confidence: 0.95 });
+});
+
+test('opting out of Section 115BAC means the old regime', () => {
+  assert.deepStrictEqual(parseForm16(SAMPLE_FORM_16).partB.taxRegime, { value: 'old', confidence: 0.9 });
+  assert.deepStrictEqual(parseForm16(ONE_LINE_FORM_16).partB.taxRegime, { value: 'new', confidence: 0.9 });
+});
+
+test('amounts without paise are read with less confidence', () => {
+  const { partA, partB } = parseForm16(ONE_LINE_FORM_16);
+
+  assert.strictEqual(partA.employerName, 'Bright Ideas LLP');
+  assert.strictEqual(partA.employerTan, 'PNEB54321C');
+  assert.strictEqual(partA.employerPan, null);
+  assert.strictEqual(partA.assessmentYear, '2026-27');
+  assert.deepStrictEqual(partA.quarters, []);
+  assert.strictEqual(partA.totals, null);
+  assert.deepStrictEqual(partB.salary17_1, { value: 1500000, confidence: 0.75 });
+  assert.deepStrictEqual(partB.section80CCD2, { value: 60000, confidence: 0.75 });
+  // 15,00,000 - 75,000 = 14,25,000
+  assert.deepStrictEqual(partB.grossSalary, { value: 1500000, confidence: 0.95 });
+});
+
+test('text that is not a Form 16 gives null', () => {
+  assert.strictEqual(parseForm16('Payslip for March 2025\nNet Pay 84,634'), null);
+  assert.strictEqual(parseForm16(''), null);
+  assert.strictEqual(parseForm16(null), null);
+});
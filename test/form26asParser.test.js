@@ -0,0 +1,177 @@
+/**
+ * Form 26AS parser
+ * A TRACES 26AS as OCR returns it (one table cell per line) becomes deductor, collector,
+ * challan and refund records with totals per TDS section
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseForm26AS, parseAmount } = require('../services/parsers/form26asParser');
+
+const SAMPLE_26AS = `
+Annual Tax Statement under Section 203AA of the Income Tax Act, 1961
+Permanent Account Number (PAN)
+ABCPK1234F
+Current Status of PAN Active Financial Year 2024-25 Assessment Year 2025-26
+PART A - Details of Tax Deducted at Source
+Sr. No. Name of Deductor TAN of Deductor Total Amount Paid / Credited Total Tax Deducted Total TDS Deposited
+1
+ACME SOFTWARE PRIVATE LIMITED
+MUMA12345B
+12,00,000.00
+1,10,000.00
+1,10,000.00
+Sr. No. Section Transaction Date Status of Booking Date of Booking Remarks Amount Paid / Credited Tax Deducted TDS Deposited
+1
+192
+31-Mar-2025
+F
+15-May-2025
+-
+6,00,000.00
+55,000.00
+55,000.00
+2
+192
+30-Sep-2024
+F
+15-Nov-2024
+-
+6,00,000.00
+55,000.00
+55,000.00
+2
+STATE BANK OF INDIA
+PNES98765C
+42,000.00
+4,200.00
+4,200.00
+Sr. No. Section Transaction Date Status of Booking Date of Booking Remarks Amount Paid / Credited Tax Deducted TDS Deposited
+1
+194A
+31-Mar-2025
+F
+30-Apr-2025
+42,000.00
+4,200.00
+4,200.00
+PART B - Details of Tax Collected at Source
+Sr. No. Name of Collector TAN of Collector Total Amount Paid / Debited Total Tax Collected Total TCS Deposited
+1
+CITY MOTORS
+DELC11111D
+12,50,000.00
+12,500.00
+12,500.00
+PART C - Details of Tax Paid (other than TDS or TCS)
+Sr. No. Major Head Minor Head Tax Surcharge Education Cess Others Total Tax BSR Code Date of Deposit Challan Serial Number
+1
+0021
+300
+20,000.00
+0.00
+800.00
+0.00
+20,800.00
+0510308
+15-Mar-2025
+00123
+PART D - Details of Paid Refund
+Sr. No. Assessment Year Mode Amount of Refund Interest on Refund Date of Payment
+1
+2024-25
+ECS
+5,400.00
+216.00
+12-Oct-2024
+`;
+
+test('amounts in lakh notation are parsed', () => {
+  assert.strictEqual(parseAmount('12,00,000.00'), 1200000);
+  assert.strictEqual(parseAmount('-4,200.50'), -4200.5);
+  assert.strictEqual(parseAmount('n/a'), 0);
+  assert.strictEqual(parseAmount(undefined), 0);
+});
+
+test('header fields are read', () => {
+  const result = parseForm26AS(SAMPLE_26AS);
+
+  assert.strictEqual(result.pan, 'ABCPK1234F');
+  assert.strictEqual(result.financialYear, '2024-25');
+  assert.strictEqual(result.assessmentYear, '2025-26');
+});
+
+test('each deductor gets its own transactions', () => {
+  const { tds } = parseForm26AS(SAMPLE_26AS);
+
+  assert.deepStrictEqual(tds.map(deductor => [deductor.name, deductor.tan, deductor.amountPaid, deductor.taxDeducted]), [
+    ['ACME SOFTWARE PRIVATE LIMITED', 'MUMA12345B', 1200000, 110000],
+    ['STATE BANK OF INDIA', 'PNES98765C', 42000, 4200]
+  ]);
+  assert.deepStrictEqual(tds[0].transactions.map(item => [item.section, item.transactionDate, item.taxDeducted]), [
+    ['192', '31-Mar-2025', 55000],
+    ['192', '30-Sep-2024', 55000]
+  ]);
+  // The remarks column is empty for this row, the amounts still line up
+  assert.deepStrictEqual(tds[1].transactions, [{
+    section: '194A',
+    transactionDate: '31-Mar-2025',
+    bookingStatus: 'F',
+    bookingDate: '30-Apr-2025',
+    amountPaid: 42000,
+    taxDeducted: 4200,
+    taxDeposited: 4200
+  }]);
+});
+
+test('TCS, tax payments and refunds come from their own parts', () => {
+  const { tcs, taxPayments, refunds } = parseForm26AS(SAMPLE_26AS);
+
+  assert.deepStrictEqual(tcs.map(collector => [collector.name, collector.tan, collector.taxDeducted]), [
+    ['CITY MOTORS', 'DELC11111D', 12500]
+  ]);
+  assert.deepStrictEqual(taxPayments, [{
+    majorHead: '0021',
+    minorHead: '300',
+    tax: 20000,
+    surcharge: 0,
+    educationCess: 800,
+    others: 0,
+    totalTax: 20800,
+    bsrCode: '0510308',
+    dateOfDeposit: '15-Mar-2025',
+    challanSerialNumber: '00123'
+  }]);
+  assert.deepStrictEqual(refunds, [{
+    assessmentYear: '2024-25',
+    mode: 'ECS',
+    amount: 5400,
+    interest: 216,
+    dateOfPayment: '12-Oct-2024'
+  }]);
+});
+
+test('totals add up overall and per section', () => {
+  const { totals } = parseForm26AS(SAMPLE_26AS);
+
+  assert.deepStrictEqual(totals, {
+    amountPaid: 1242000,
+    tdsDeducted: 114200,
+    tdsDeposited: 114200,
+    tcsCollected: 12500,
+    taxPaid: 20800,
+    refunds: 5400,
+    bySection: {
+      192: { amountPaid: 1200000, taxDeducted: 110000, taxDeposited: 110000 },
+      '194A': { amountPaid: 42000, taxDeducted: 4200, taxDeposited: 4200 }
+    }
+  });
+});
+
+test('text without any 26AS table gives null', () => {
+  assert.strictEqual(parseForm26AS('Payslip for March 2025\nBasic 50,000.00'), null);
+  assert.strictEqual(parseForm26AS(''), null);
+  assert.strictEqual(parseForm26AS(null), null);
+});
@@ -0,0 +1,126 @@
+/**
+ * LLM response handling for localized analyses
+ * A full answer in an Indic script (every issue with all its fields) must reach the client
+ * whole: the provider asks for more output tokens than for English, and the answer parses,
+ * validates and passes the language check
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const aiService = require('../services/aiService');
+const OpenAICompatibleProvider = require('../services/llm/openAICompatibleProvider');
+const ruleEngine = require('../services/ruleEngine');
+const reconciliationService = require('../services/reconciliationService');
+
+const OPENAI_COMPATIBLE_ENV = {
+  OPENAI_COMPATIBLE_BASE_URL: 'http://127.0.0.1:4001/v1',
+  OPENAI_COMPATIBLE_MODEL: 'test-model'
+};
+
+// Answers and documents that trip most rules and reconciliation checks
+const ANSWERS = {
+  itrForm: 'ITR-1',
+  hasCapitalGains: true,
+  hasBusinessIncome: true,
+  totalIncome: 6000000,
+  housePropertyCount: 3,
+  agriculturalIncome: 10000,
+  section80C: 200000,
+  section80CCD1B: 80000,
+  section80D: 40000,
+  section80DParents: 60000,
+  hraClaimed: true,
+  taxRegime: 'old',
+  salaryIncome: 1000000,
+  tdsDeducted: 100000
+};
+
+const EXTRACTED_DATA = {
+  form26as: {
+    totals: { tdsDeducted: 90000, bySection: { 192: { amountPaid: 1500000, taxDeducted: 80000 }, '194A': { amountPaid: 50000, taxDeducted: 5000 } } },
+    tds: [{ tan: 'ABCD12345E', name: 'Acme', taxDeducted: 80000, taxDeposited: 70000 }]
+  },
+  form16: {
+    partA: { employerTan: 'XXXX12345E', totals: { taxDeducted: 85000 } },
+    partB: { grossSalary: { value: 1600000, confidence: 0.9 }, section80C: { value: 100000, confidence: 0.9 } }
+  }
+};
+
+/**
+ * The response a model gives for a localized analysis: the summary and every issue in the
+ * language, with all the issue fields filled in
+ */
+function localizedResponse(language) {
+  const reconciliationIssues = reconciliationService.reconcile(ANSWERS, EXTRACTED_DATA, { language });
+  const result = ruleEngine.analyzeAnswers(ANSWERS, {
+    extractedData: EXTRACTED_DATA,
+    reconciliationIssues,
+    uploadedDocuments: Object.keys(EXTRACTED_DATA),
+    language
+  });
+  return {
+    summary: result.summary,
+    detectedIssues: result.detectedIssues.map(({ source, ...issue }) => ({ ...issue, id: `llm-${issue.id}` }))
+  };
+}
+
+/**
+ * Runs analyzeWithLLM against one openai-compatible provider whose HTTP call answers with content
+ * Returns the result and the request body sent to the provider
+ */
+async function analyzeWith(content, language) {
+  const provider = new OpenAICompatibleProvider(OPENAI_COMPATIBLE_ENV);
+  const originalPost = axios.post;
+  const originalProviders = aiService.providers;
+  let requestBody = null;
+  axios.post = async (url, body) => {
+    requestBody = body;
+    return { data: { choices: [{ message: { content } }] } };
+  };
+  aiService.providers = [provider];
+  try {
+    const result = await aiService.analyzeWithLLM(ANSWERS, '', { language, extractedData: EXTRACTED_DATA });
+    return { result, requestBody };
+  } finally {
+    axios.post = originalPost;
+    aiService.providers = originalProviders;
+  }
+}
+
+test('English keeps the 2000 token cap, non-Latin scripts get 4096', async () => {
+  assert.strictEqual(aiService.maxTokensFor('en'), 2000);
+  assert.strictEqual(aiService.maxTokensFor(undefined), 2000);
+  assert.strictEqual(aiService.maxTokensFor('hi'), 4096);
+  assert.strictEqual(aiService.maxTokensFor('ta'), 4096);
+
+  const { requestBody } = await analyzeWith(JSON.stringify(localizedResponse('en')), 'en');
+  assert.strictEqual(requestBody.max_tokens, 2000);
+});
+
+for (const language of ['hi', 'mr', 'bn', 'ta']) {
+  test(`a full-size ${language} response parses, validates and passes the language check`, async () => {
+    const response = localizedResponse(language);
+    assert.ok(response.detectedIssues.length >= 15, `expected a full-size response, got ${response.detectedIssues.length} issues`);
+
+    const { result, requestBody } = await analyzeWith(JSON.stringify(response), language);
+
+    assert.strictEqual(requestBody.max_tokens, 4096);
+    assert.ok(result, 'the response was rejected');
+    assert.strictEqual(result.summary, response.summary);
+    assert.deepStrictEqual(result.detectedIssues.map(issue => issue.id), response.detectedIssues.map(issue => issue.id));
+    result.detectedIssues.forEach(issue => {
+      assert.strictEqual(issue.source, 'llm');
+      assert.ok(issue.remediation.length > 0 && issue.evidence.length > 0, `${issue.id} lost its remediation or evidence`);
+    });
+  });
+}
+
+test('a localized response cut off at the token limit is rejected', async () => {
+  const content = JSON.stringify(localizedResponse('hi'));
+  const { result } = await analyzeWith(content.slice(0, Math.floor(content.length / 2)), 'hi');
+
+  assert.strictEqual(result, null);
+});
@@ -0,0 +1,96 @@
+/**
+ * Access to GET /metrics
+ * With METRICS_TOKEN set only that bearer token opens it; with API_KEYS set and no
+ * METRICS_TOKEN it is closed; with neither it is open
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const requestId = require('../middlewares/requestId');
+const errorHandler = require('../middlewares/errorHandler');
+
+const API_KEY = 'alpha-key-0123456789';
+const METRICS_TOKEN = 'scraper-token-0123456789';
+
+/**
+ * Loads the metrics route under the given environment (both modules read it once, when loaded)
+ * and serves it the way index.js mounts it
+ */
+async function startServer(env) {
+  process.env.API_KEYS = env.API_KEYS || '';
+  process.env.METRICS_TOKEN = env.METRICS_TOKEN || '';
+  delete require.cache[require.resolve('../routes/metrics')];
+  delete require.cache[require.resolve('../middlewares/apiKeyAuth')];
+  const metricsRoutes = require('../routes/metrics');
+
+  const app = express();
+  app.use(requestId);
+  app.use('/', metricsRoutes);
+  app.use(errorHandler);
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, access: metricsRoutes.metricsAccess() };
+}
+
+async function scrape(server, headers = {}) {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/metrics`, { headers });
+  const text = await response.text();
+  return {
+    status: response.status,
+    authenticate: response.headers.get('WWW-Authenticate'),
+    contentType: response.headers.get('Content-Type'),
+    body: response.status === 200 ? text : JSON.parse(text)
+  };
+}
+
+test('with METRICS_TOKEN only the bearer token opens the metrics', async () => {
+  const { server, access } = await startServer({ API_KEYS: `alpha:${API_KEY}`, METRICS_TOKEN });
+  try {
+    assert.strictEqual(access, 'token');
+
+    const missing = await scrape(server);
+    assert.strictEqual(missing.status, 401);
+    assert.strictEqual(missing.body.error.code, 'METRICS_UNAUTHORIZED');
+    assert.strictEqual(missing.authenticate, 'Bearer');
+
+    assert.strictEqual((await scrape(server, { Authorization: 'Bearer wrong-token' })).status, 401);
+    // An API key is not a metrics token
+    assert.strictEqual((await scrape(server, { Authorization: `Bearer ${API_KEY}` })).status, 401);
+    assert.strictEqual((await scrape(server, { 'X-API-Key': API_KEY })).status, 401);
+
+    const allowed = await scrape(server, { Authorization: `Bearer ${METRICS_TOKEN}` });
+    assert.strictEqual(allowed.status, 200);
+    assert.match(allowed.contentType, /^text\/plain/);
+    assert.match(allowed.body, /# TYPE http_requests_total counter/);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('with API_KEYS and no METRICS_TOKEN the metrics are closed', async () => {
+  const { server, access } = await startServer({ API_KEYS: `alpha:${API_KEY}` });
+  try {
+    assert.strictEqual(access, 'closed');
+
+    const refused = await scrape(server, { 'X-API-Key': API_KEY });
+    assert.strictEqual(refused.status, 401);
+    assert.strictEqual(refused.body.error.code, 'METRICS_UNAUTHORIZED');
+    assert.match(refused.body.error.message, /METRICS_TOKEN/);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('without authentication the metrics are open', async () => {
+  const { server, access } = await startServer({});
+  try {
+    assert.strictEqual(access, 'open');
+    assert.strictEqual((await scrape(server)).status, 200);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
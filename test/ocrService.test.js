@@ -0,0 +1,107 @@
+/**
+ * Document Intelligence retries
+ * The submit POST starts a new analysis each time, so it is only retried when throttled or
+ * when it never reached the service; the result polls are retried on any transient error
+ */
+
+process.env.LOG_LEVEL = 'error';
+process.env.RETRY_BASE_DELAY_MS = '1';
+process.env.CIRCUIT_FAILURE_THRESHOLD = '100';
+process.env.AZURE_DOCUMENT_INTELLIGENCE_KEY = 'test-key';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { isRetryable } = require('../utils/retry');
+
+// Answers each request to the fake Document Intelligence with the next queued reply
+let replies = [];
+let received = [];
+let ocrService;
+let server;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      received.push(req.method);
+      const reply = replies.shift();
+      if (reply === 'reset') {
+        req.socket.destroy();
+        return;
+      }
+      res.writeHead(reply.status, { 'Content-Type': 'application/json', ...reply.headers });
+      res.end(JSON.stringify(reply.body || {}));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.AZURE_DOCUMENT_INTELLIGENCE_ENDPOINT = `http://127.0.0.1:${server.address().port}`;
+  ocrService = require('../services/ocrService');
+});
+
+test.after(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+test.beforeEach(() => {
+  replies = [];
+  received = [];
+});
+
+const ACCEPTED = { status: 202, headers: { 'operation-location': 'http://azure/analyzeResults/result-1?api-version=2023-07-31', 'retry-after': '0' } };
+const SUCCEEDED = { status: 200, body: { status: 'succeeded', analyzeResult: { content: 'Form 16 text' } } };
+
+function extract() {
+  return ocrService.extractTextWithStatus(Buffer.from('%PDF-1.4'), 'application/pdf');
+}
+
+test('only throttling and errors before the request was sent make a non-idempotent call retryable', () => {
+  const options = { idempotent: false };
+
+  assert.strictEqual(isRetryable({ response: { status: 429 } }, options), true);
+  assert.strictEqual(isRetryable({ code: 'ECONNREFUSED' }, options), true);
+  assert.strictEqual(isRetryable({ code: 'ENOTFOUND' }, options), true);
+  assert.strictEqual(isRetryable({ response: { status: 500 } }, options), false);
+  assert.strictEqual(isRetryable({ response: { status: 503 } }, options), false);
+  assert.strictEqual(isRetryable({ code: 'ECONNRESET' }, options), false);
+  assert.strictEqual(isRetryable({ code: 'ECONNABORTED' }, options), false);
+
+  assert.strictEqual(isRetryable({ response: { status: 503 } }), true);
+  assert.strictEqual(isRetryable({ code: 'ECONNRESET' }), true);
+});
+
+test('a submit answered with a 5xx is not repeated', async () => {
+  replies = [{ status: 500 }, ACCEPTED, SUCCEEDED];
+
+  const result = await extract();
+
+  assert.deepStrictEqual(received, ['POST']);
+  assert.strictEqual(result.error, 'OCR_FAILED');
+});
+
+test('a submit whose connection was reset is not repeated', async () => {
+  replies = ['reset', ACCEPTED, SUCCEEDED];
+
+  const result = await extract();
+
+  assert.deepStrictEqual(received, ['POST']);
+  assert.strictEqual(result.error, 'OCR_FAILED');
+});
+
+test('a throttled submit is retried', async () => {
+  replies = [{ status: 429, headers: { 'retry-after': '0' } }, ACCEPTED, SUCCEEDED];
+
+  const result = await extract();
+
+  assert.deepStrictEqual(received, ['POST', 'POST', 'GET']);
+  assert.deepStrictEqual(result, { text: 'Form 16 text', error: null, cancelled: false });
+});
+
+test('result polls are retried on transient errors', async () => {
+  replies = [ACCEPTED, { status: 503 }, 'reset', SUCCEEDED];
+
+  const result = await extract();
+
+  assert.deepStrictEqual(received, ['POST', 'GET', 'GET', 'GET']);
+  assert.strictEqual(result.text, 'Form 16 text');
+});
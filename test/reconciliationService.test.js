@@ -0,0 +1,307 @@
+/**
+ * Reconciliation of the answers, the salary slip, Form 16, Form 26AS and AIS/TIS
+ * Differences within the tolerance are ignored; beyond it both figures and their sources
+ * are reported, with the tax or refund at stake
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { reconcile, TOLERANCES } = require('../services/reconciliationService');
+
+const ANSWERS = {
+  assessmentYear: '2026-27',
+  taxRegime: 'new',
+  salaryIncome: 1600000,
+  tdsDeducted: 110000
+};
+
+// Part A of the 26AS as form26asParser returns it: salary from the employer, bank interest
+const FORM_26AS = {
+  pan: 'ABCPK1234F',
+  tds: [],
+  tcs: [],
+  taxPayments: [],
+  refunds: [],
+  totals: {
+    amountPaid: 1642000,
+    tdsDeducted: 110000,
+    tdsDeposited: 110000,
+    tcsCollected: 0,
+    taxPaid: 0,
+    refunds: 0,
+    bySection: {
+      192: { amountPaid: 1600000, taxDeducted: 105800, taxDeposited: 105800 },
+      '194A': { amountPaid: 42000, taxDeducted: 4200, taxDeposited: 4200 }
+    }
+  }
+};
+
+// One month of salary, as salarySlipParser returns it
+function salarySlip(grossEarnings, tds) {
+  return {
+    grossEarnings: { value: grossEarnings, confidence: 0.9 },
+    tds: { value: tds, confidence: 0.9 }
+  };
+}
+
+function issueIds(answers, extractedData) {
+  return reconcile(answers, extractedData).map(issue => issue.id);
+}
+
+function findIssue(answers, extractedData, id) {
+  return reconcile(answers, extractedData).find(issue => issue.id === id);
+}
+
+test('nothing is reconciled without documents', () => {
+  assert.deepStrictEqual(reconcile(ANSWERS, {}), []);
+  assert.deepStrictEqual(reconcile(ANSWERS), []);
+});
+
+test('TDS within 1% (at least Rs. 500) of the 26AS total is accepted', () => {
+  assert.deepStrictEqual(TOLERANCES.declaredVs26AS, { relative: 0.01, absolute: 500 });
+  const withInterest = { ...ANSWERS, interestIncome: 42000 };
+
+  // Rs. 1,100 over is within 1% of Rs. 1,11,100; Rs. 500 under is within the Rs. 500 floor
+  assert.deepStrictEqual(issueIds({ ...withInterest, tdsDeducted: 111100 }, { form26as: FORM_26AS }), []);
+  assert.deepStrictEqual(issueIds({ ...withInterest, tdsDeducted: 109500 }, { form26as: FORM_26AS }), []);
+});
+
+test('over-claimed TDS is tax payable, under-claimed TDS a refund', () => {
+  const overClaimed = findIssue({ ...ANSWERS, tdsDeducted: 125000 }, { form26as: FORM_26AS }, 'reconcile-tds-answers-26as');
+  assert.strictEqual(overClaimed.severity, 'HIGH');
+  assert.strictEqual(overClaimed.estimatedImpact.amount, 15000);
+  assert.strictEqual(overClaimed.estimatedImpact.type, 'tax');
+  assert.strictEqual(overClaimed.confidence, 0.9);
+  assert.deepStrictEqual(overClaimed.evidence, [
+    { source: 'answers', field: 'tdsDeducted', value: 125000 },
+    { source: 'form26as', field: 'Part A total tax deducted', value: 110000 }
+  ]);
+  assert.match(overClaimed.short, /1,25,000/);
+  assert.match(overClaimed.short, /1,10,000/);
+
+  const underClaimed = findIssue({ ...ANSWERS, tdsDeducted: 100000 }, { form26as: FORM_26AS }, 'reconcile-tds-answers-26as');
+  assert.strictEqual(underClaimed.estimatedImpact.amount, 10000);
+  assert.strictEqual(underClaimed.estimatedImpact.type, 'refund');
+});
+
+test('salary below the 26AS Section 192 figure is taxed on the difference', () => {
+  // Rs. 16,000 short of Rs. 16,00,000 is within 1%
+  assert.ok(!issueIds({ ...ANSWERS, salaryIncome: 1584000 }, { form26as: FORM_26AS }).includes('reconcile-salary-answers-26as'));
+  // A higher declared salary is not an under-reporting risk
+  assert.ok(!issueIds({ ...ANSWERS, salaryIncome: 1700000 }, { form26as: FORM_26AS }).includes('reconcile-salary-answers-26as'));
+
+  const issue = findIssue({ ...ANSWERS, salaryIncome: 1500000 }, { form26as: FORM_26AS }, 'reconcile-salary-answers-26as');
+  assert.strictEqual(issue.severity, 'HIGH');
+  // New regime AY 2026-27: the missing Rs. 1,00,000 falls in the 15% slab (12-16 lakh), plus 4% cess
+  assert.strictEqual(issue.estimatedImpact.amount, 15600);
+  assert.strictEqual(issue.estimatedImpact.type, 'tax');
+});
+
+test('interest credited in 26AS but not declared is flagged', () => {
+  const issue = findIssue(ANSWERS, { form26as: FORM_26AS }, 'reconcile-interest-answers-26as');
+
+  assert.deepStrictEqual(issue.evidence, [
+    { source: 'answers', field: 'interestIncome', value: 0 },
+    { source: 'form26as', field: 'Part A, Section 194A: amount paid', value: 42000 }
+  ]);
+  assert.ok(!issueIds({ ...ANSWERS, interestIncome: 42000 }, { form26as: FORM_26AS }).includes('reconcile-interest-answers-26as'));
+});
+
+test('annualised salary slip figures get a 20% (at least Rs. 5,000) tolerance', () => {
+  // Rs. 1,40,000 x 12 = Rs. 16,80,000 against Rs. 16,00,000 and Rs. 8,800 x 12 = Rs. 1,05,600 against Rs. 1,05,800
+  const close = issueIds({ ...ANSWERS, interestIncome: 42000 }, { form26as: FORM_26AS, salarySlip: salarySlip(140000, 8800) });
+  assert.deepStrictEqual(close, []);
+
+  // Rs. 11,000 x 12 = Rs. 1,32,000: Rs. 26,200 off, within 20% of the larger figure
+  assert.deepStrictEqual(issueIds({ ...ANSWERS, interestIncome: 42000 }, { form26as: FORM_26AS, salarySlip: salarySlip(140000, 11000) }), []);
+
+  // Rs. 12,000 x 12 = Rs. 1,44,000: Rs. 38,200 off, beyond Rs. 28,800; the missing credit is a refund
+  const issue = findIssue(ANSWERS, { form26as: FORM_26AS, salarySlip: salarySlip(140000, 12000) }, 'reconcile-tds-slip-26as');
+  assert.strictEqual(issue.severity, 'MEDIUM');
+  assert.strictEqual(issue.estimatedImpact.amount, 38200);
+  assert.strictEqual(issue.estimatedImpact.type, 'refund');
+  // 0.9 slip confidence x 0.8 for a single month scaled to a year
+  assert.strictEqual(issue.confidence, 0.9 * 0.8);
+  assert.deepStrictEqual(issue.evidence[0], { source: 'salarySlip', field: 'tds (monthly)', value: 12000 });
+});
+
+test('declared salary far from the annualised slip is flagged', () => {
+  // Rs. 1,00,000 x 12 = Rs. 12,00,000 against Rs. 16,00,000 declared
+  const ids = issueIds(ANSWERS, { salarySlip: salarySlip(100000, 8800) });
+  assert.deepStrictEqual(ids, ['reconcile-salary-answers-slip']);
+
+  assert.deepStrictEqual(issueIds(ANSWERS, { salarySlip: salarySlip(130000, 8800) }), []);
+});
+
+test('issue texts follow the requested language', () => {
+  const [issue] = reconcile({ ...ANSWERS, tdsDeducted: 125000, interestIncome: 42000 }, { form26as: FORM_26AS }, { language: 'hi' });
+
+  assert.strictEqual(issue.id, 'reconcile-tds-answers-26as');
+  assert.match(issue.title, /[ऀ-ॿ]/);
+  assert.strictEqual(issue.legalReference, 'Section 199; Rule 37BA, Income-tax Rules 1962; Section 143(1)');
+});
+
+// Form 16 of an old-regime employee, as form16Parser returns it (only the fields reconciled)
+const FORM_16 = {
+  partA: {
+    employerName: 'ACME SOFTWARE PRIVATE LIMITED',
+    employerTan: 'MUMA12345B',
+    quarters: [],
+    totals: { amountPaid: 1200000, taxDeducted: 110000, taxDeposited: 110000 }
+  },
+  partB: {
+    grossSalary: { value: 1200000, confidence: 0.95 },
+    hraExemption: { value: 120000, confidence: 0.9 },
+    section80C: { value: 150000, confidence: 0.9 },
+    section80CCD1B: { value: 50000, confidence: 0.9 },
+    section80D: { value: 25000, confidence: 0.9 }
+  }
+};
+
+const FORM_16_ANSWERS = {
+  assessmentYear: '2025-26',
+  taxRegime: 'old',
+  salaryIncome: 1200000,
+  tdsDeducted: 110000,
+  hraExemption: 120000,
+  section80C: 150000,
+  section80CCD1B: 50000,
+  section80D: 25000
+};
+
+// The employer's entry in 26AS Part A
+function employerIn26AS(tan, taxDeducted) {
+  return {
+    tds: [{ name: 'ACME SOFTWARE PRIVATE LIMITED', tan, amountPaid: 1200000, taxDeducted, taxDeposited: taxDeducted }],
+    totals: { tdsDeducted: taxDeducted, bySection: { 192: { amountPaid: 1200000, taxDeducted, taxDeposited: taxDeducted } } }
+  };
+}
+
+test('answers that match Form 16 raise nothing', () => {
+  assert.deepStrictEqual(issueIds(FORM_16_ANSWERS, { form16: FORM_16 }), []);
+  // Rs. 11,000 short of Rs. 12,00,000 is within 1%
+  assert.deepStrictEqual(issueIds({ ...FORM_16_ANSWERS, salaryIncome: 1189000 }, { form16: FORM_16 }), []);
+});
+
+test('salary below the Form 16 gross salary is taxed on the difference', () => {
+  const issue = findIssue({ ...FORM_16_ANSWERS, salaryIncome: 1100000 }, { form16: FORM_16 }, 'reconcile-salary-answers-form16');
+
+  assert.strictEqual(issue.severity, 'HIGH');
+  // Old regime AY 2025-26: the missing Rs. 1,00,000 falls in the 20% slab, plus 4% cess
+  assert.strictEqual(issue.estimatedImpact.amount, 20800);
+  assert.strictEqual(issue.estimatedImpact.type, 'tax');
+  assert.strictEqual(issue.confidence, 0.95);
+  assert.deepStrictEqual(issue.evidence, [
+    { source: 'answers', field: 'salaryIncome', value: 1100000 },
+    { source: 'form16', field: 'Part B: gross salary (Section 17(1), 17(2) and 17(3))', value: 1200000 }
+  ]);
+});
+
+test('deductions the employer did not allow are taxed if disallowed', () => {
+  const issue = findIssue({ ...FORM_16_ANSWERS, section80D: 50000 }, { form16: FORM_16 }, 'reconcile-deductions-answers-form16');
+
+  assert.strictEqual(issue.severity, 'MEDIUM');
+  assert.strictEqual(issue.estimatedImpact.amount, 5200);
+  assert.deepStrictEqual(issue.evidence, [
+    { source: 'answers', field: 'section80D', value: 50000 },
+    { source: 'form16', field: 'Part B: Section 80D', value: 25000 }
+  ]);
+  // The new regime has no such deductions to compare
+  assert.deepStrictEqual(issueIds({ ...FORM_16_ANSWERS, section80D: 50000, taxRegime: 'new' }, { form16: FORM_16 }), []);
+});
+
+test('deductions the employer allowed but the answers leave out are the tax they would save', () => {
+  const { section80CCD1B, ...withoutNps } = FORM_16_ANSWERS;
+  const issue = findIssue({ ...withoutNps, hraExemption: 60000 }, { form16: FORM_16 }, 'reconcile-deductions-form16-answers');
+
+  assert.strictEqual(issue.severity, 'LOW');
+  // Rs. 50,000 of 80CCD(1B) and Rs. 60,000 of HRA exemption, all within the 20% slab
+  assert.strictEqual(issue.estimatedImpact.amount, 22880);
+  assert.strictEqual(issue.estimatedImpact.type, 'refund');
+  assert.deepStrictEqual(issue.evidence, [
+    { source: 'form16', field: 'Part B: Section 80CCD(1B)', value: section80CCD1B },
+    { source: 'answers', field: 'hraExemption', value: 60000 },
+    { source: 'form16', field: 'Part B: HRA exemption', value: 120000 }
+  ]);
+});
+
+test('Form 16 TDS missing from the employer\'s 26AS entry is a refund at stake', () => {
+  const issue = findIssue(FORM_16_ANSWERS, { form16: FORM_16, form26as: employerIn26AS('MUMA12345B', 100000) }, 'reconcile-tds-form16-26as');
+
+  assert.strictEqual(issue.severity, 'MEDIUM');
+  assert.strictEqual(issue.estimatedImpact.amount, 10000);
+  assert.strictEqual(issue.estimatedImpact.type, 'refund');
+  assert.deepStrictEqual(issue.evidence[1], { source: 'form26as', field: 'tax deducted by ACME SOFTWARE PRIVATE LIMITED', value: 100000 });
+
+  assert.ok(!issueIds(FORM_16_ANSWERS, { form16: FORM_16, form26as: employerIn26AS('MUMA12345B', 110000) }).includes('reconcile-tds-form16-26as'));
+});
+
+test('an employer TAN absent from 26AS puts the whole Form 16 TDS at stake', () => {
+  const issue = findIssue(FORM_16_ANSWERS, { form16: FORM_16, form26as: employerIn26AS('MUMA99999Z', 110000) }, 'reconcile-employer-tan-26as');
+
+  assert.strictEqual(issue.estimatedImpact.amount, 110000);
+  assert.deepStrictEqual(issue.evidence, [
+    { source: 'form16', field: 'Part A: TAN of the employer', value: 'MUMA12345B' },
+    { source: 'form26as', field: 'Part A deductor TANs', value: 'MUMA99999Z' }
+  ]);
+});
+
+// AIS income heads, as aisParser returns them
+function aisHead(amount, source) {
+  return { amount, tdsDeducted: 0, sources: [{ source, codes: [], amount }] };
+}
+
+const AIS = {
+  kind: 'AIS',
+  assessmentYear: '2025-26',
+  incomeHeads: {
+    salary: aisHead(1200000, 'ACME SOFTWARE PRIVATE LIMITED'),
+    interestSavings: aisHead(6500, 'HDFC BANK LIMITED'),
+    interestDeposits: aisHead(42000, 'STATE BANK OF INDIA'),
+    dividends: aisHead(8000, 'INFOSYS LIMITED'),
+    securitiesSales: aisHead(325000, 'ZERODHA BROKING LIMITED')
+  }
+};
+
+const AIS_ANSWERS = {
+  assessmentYear: '2025-26',
+  taxRegime: 'new',
+  salaryIncome: 1200000,
+  interestIncome: 48500,
+  dividendIncome: 8000,
+  hasCapitalGains: true
+};
+
+test('income that matches AIS raises nothing', () => {
+  assert.deepStrictEqual(issueIds(AIS_ANSWERS, { ais: AIS }), []);
+});
+
+test('AIS interest missing from the answers is taxed, all sources added up', () => {
+  const issue = findIssue({ ...AIS_ANSWERS, interestIncome: 6500 }, { ais: AIS }, 'reconcile-ais-interest');
+
+  assert.strictEqual(issue.severity, 'HIGH');
+  // New regime AY 2025-26: the missing Rs. 42,000 falls in the 15% slab (10-12 lakh), plus 4% cess, rounded to Rs. 10
+  assert.strictEqual(issue.estimatedImpact.amount, 6550);
+  assert.deepStrictEqual(issue.evidence, [
+    { source: 'answers', field: 'interestIncome', value: 6500 },
+    { source: 'ais', field: 'Savings bank interest, Interest on deposits reported by STATE BANK OF INDIA, HDFC BANK LIMITED', value: 48500 }
+  ]);
+});
+
+test('AIS rent is flagged only when no house property income is declared', () => {
+  const withRent = { ...AIS, incomeHeads: { ...AIS.incomeHeads, rent: aisHead(240000, 'GLOBEX SERVICES PVT LTD') } };
+
+  const issue = findIssue(AIS_ANSWERS, { ais: withRent }, 'reconcile-ais-rent');
+  // 70% of the rent is taxable after the 30% standard deduction of Section 24(a)
+  assert.match(issue.estimatedImpact.basis, /1,68,000/);
+  assert.ok(!issueIds({ ...AIS_ANSWERS, housePropertyIncome: 10000 }, { ais: withRent }).includes('reconcile-ais-rent'));
+});
+
+test('AIS sales without declared capital gains are flagged without a tax estimate', () => {
+  const issue = findIssue({ ...AIS_ANSWERS, hasCapitalGains: undefined }, { ais: AIS }, 'reconcile-ais-sales-capital-gains');
+
+  assert.strictEqual(issue.estimatedImpact.amount, null);
+  assert.deepStrictEqual(issue.evidence[1], { source: 'ais', field: 'Sale of securities and mutual fund units reported by ZERODHA BROKING LIMITED', value: 325000 });
+});
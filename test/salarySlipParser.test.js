@@ -0,0 +1,103 @@
+/**
+ * Salary slip parser
+ * The standard components are read from the three common payslip layouts (two-column
+ * earnings/deductions rows, one cell per line, header row of labels) with a confidence each
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSalarySlip } = require('../services/parsers/salarySlipParser');
+
+// Earnings and deductions side by side, with a YTD column after the monthly amount
+const TWO_COLUMN_SLIP = `
+ACME SOFTWARE PRIVATE LIMITED
+Payslip for March 2025
+Employer PAN: AABCA1234K   TAN: MUMA12345B
+Earnings            Amount    YTD           Deductions          Amount
+Basic Salary        50,000.00 6,00,000.00   Provident Fund      6,000.00
+House Rent Allowance 20,000.00 2,40,000.00  Professional Tax    200.00
+Special Allowance   30,000.00 3,60,000.00   Income Tax          9,166.00
+Gross Earnings      1,00,000.00             Total Deductions    15,366.00
+Net Pay: 84,634.00
+`;
+
+// OCR of a table that put every cell on its own line
+const ONE_CELL_PER_LINE_SLIP = `
+Company Name: Bright Ideas LLP
+Salary slip for the month of April 2025
+Basic
+40000
+HRA
+16000
+PF
+4800
+Net Salary
+51200
+`;
+
+// A header row of labels followed by a row of amounts
+const HEADER_ROW_SLIP = `
+Globex Services Pvt Ltd
+Basic    HRA    Special Allowance    Gross
+35000    14000    11000    60000
+`;
+
+test('two-column slips give each component with its monthly amount', () => {
+  const result = parseSalarySlip(TWO_COLUMN_SLIP);
+
+  assert.deepStrictEqual(result.basic, { value: 50000, confidence: 0.9 });
+  assert.deepStrictEqual(result.hra, { value: 20000, confidence: 0.9 });
+  assert.deepStrictEqual(result.specialAllowance, { value: 30000, confidence: 0.9 });
+  assert.deepStrictEqual(result.employeePf, { value: 6000, confidence: 0.9 });
+  assert.deepStrictEqual(result.professionalTax, { value: 200, confidence: 0.9 });
+  assert.deepStrictEqual(result.tds, { value: 9166, confidence: 0.9 });
+});
+
+test('gross minus deductions equal to net pay raises their confidence', () => {
+  const result = parseSalarySlip(TWO_COLUMN_SLIP);
+
+  // 1,00,000 - 15,366 = 84,634
+  assert.deepStrictEqual(result.grossEarnings, { value: 100000, confidence: 0.95 });
+  assert.deepStrictEqual(result.totalDeductions, { value: 15366, confidence: 0.95 });
+  assert.deepStrictEqual(result.netPay, { value: 84634, confidence: 0.95 });
+});
+
+test('employer details and pay period are read', () => {
+  const result = parseSalarySlip(TWO_COLUMN_SLIP);
+
+  assert.deepStrictEqual(result.employerName, { value: 'ACME SOFTWARE PRIVATE LIMITED', confidence: 0.6 });
+  assert.deepStrictEqual(result.employerPan, { value: 'AABCA1234K', confidence: 0.9 });
+  assert.deepStrictEqual(result.employerTan, { value: 'MUMA12345B', confidence: 0.9 });
+  assert.deepStrictEqual(result.payPeriod, { value: 'March 2025', confidence: 0.9 });
+});
+
+test('amounts on the line after their label are found, labels of 4 letters or less with less confidence', () => {
+  const result = parseSalarySlip(ONE_CELL_PER_LINE_SLIP);
+
+  assert.deepStrictEqual(result.employerName, { value: 'Bright Ideas LLP', confidence: 0.9 });
+  assert.deepStrictEqual(result.payPeriod, { value: 'April 2025', confidence: 0.9 });
+  assert.deepStrictEqual(result.basic, { value: 40000, confidence: 0.9 });
+  assert.deepStrictEqual(result.hra, { value: 16000, confidence: 0.75 });
+  assert.deepStrictEqual(result.employeePf, { value: 4800, confidence: 0.75 });
+  assert.deepStrictEqual(result.netPay, { value: 51200, confidence: 0.9 });
+  assert.strictEqual(result.professionalTax, null);
+  assert.strictEqual(result.tds, null);
+});
+
+test('a header row of labels is matched column by column', () => {
+  const result = parseSalarySlip(HEADER_ROW_SLIP);
+
+  assert.deepStrictEqual(result.basic, { value: 35000, confidence: 0.8 });
+  assert.deepStrictEqual(result.hra, { value: 14000, confidence: 0.8 });
+  assert.deepStrictEqual(result.specialAllowance, { value: 11000, confidence: 0.8 });
+  assert.deepStrictEqual(result.grossEarnings, { value: 60000, confidence: 0.8 });
+  assert.strictEqual(result.employerTan, null);
+});
+
+test('text without salary components gives null', () => {
+  assert.strictEqual(parseSalarySlip('Annual Tax Statement\nPART A'), null);
+  assert.strictEqual(parseSalarySlip(''), null);
+  assert.strictEqual(parseSalarySlip(undefined), null);
+});
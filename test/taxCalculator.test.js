@@ -0,0 +1,289 @@
+/**
+ * Tax calculator
+ * Known liabilities under the AY 2025-26 and AY 2026-27 rules: slabs, standard deduction,
+ * the 87A rebate with marginal relief, surcharge with marginal relief and 4% cess, and
+ * capital gains from a statement at their special rates
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const taxCalculator = require('../services/taxCalculator');
+const { evaluateRules } = require('../services/ruleEngine');
+
+function newRegime(answers) {
+  return taxCalculator.computeTax({ taxRegime: 'new', ...answers }).regimes.new;
+}
+
+function oldRegime(answers) {
+  return taxCalculator.computeTax({ taxRegime: 'old', ...answers }).regimes.old;
+}
+
+// The parts of a computed capital gains statement (extractedData.capitalGains) the calculator reads
+function statement(sections, slabRateIncome = 0, assessmentYear = '2026-27') {
+  return { assessmentYear, sections, totals: { slabRateIncome } };
+}
+
+const LTCG_2_LAKH = statement([{ section: '112A', term: 'long', rate: 0.125, taxable: 200000 }]);
+
+test('AY 2026-27 new regime: 12 lakh of taxable income is fully rebated', () => {
+  const result = newRegime({ assessmentYear: '2026-27', otherIncome: 1200000 });
+
+  // 5% of 4-8 lakh + 10% of 8-12 lakh
+  assert.strictEqual(result.taxAtSlabRates, 60000);
+  assert.strictEqual(result.rebate87A, 60000);
+  assert.strictEqual(result.cess, 0);
+  assert.strictEqual(result.totalTax, 0);
+  assert.deepStrictEqual(result.slabs.map(slab => [slab.from, slab.to, slab.rate, slab.taxableAmount, slab.tax]), [
+    [0, 400000, 0, 400000, 0],
+    [400000, 800000, 0.05, 400000, 20000],
+    [800000, 1200000, 0.1, 400000, 40000]
+  ]);
+});
+
+test('AY 2026-27 new regime: a 12.75 lakh salary is tax free after the standard deduction', () => {
+  const result = newRegime({ assessmentYear: '2026-27', salaryIncome: 1275000 });
+
+  assert.strictEqual(result.taxableIncome, 1200000);
+  assert.strictEqual(result.totalTax, 0);
+  assert.ok(result.lines.some(line => line.label === 'Less: Standard deduction u/s 16(ia)' && line.amount === -75000));
+});
+
+test('AY 2026-27 new regime: marginal relief limits the tax to the income above 12 lakh', () => {
+  // Rs. 61,500 at slab rates, but only Rs. 10,000 above the limit: rebate Rs. 51,500, plus 4% cess on Rs. 10,000
+  const justAbove = newRegime({ assessmentYear: '2026-27', otherIncome: 1210000 });
+  assert.strictEqual(justAbove.taxAtSlabRates, 61500);
+  assert.strictEqual(justAbove.rebate87A, 51500);
+  assert.strictEqual(justAbove.totalTax, 10400);
+
+  // 12.75 lakh of other income: Rs. 71,250 is less than the Rs. 75,000 above the limit, so no relief
+  const noRelief = newRegime({ assessmentYear: '2026-27', otherIncome: 1275000 });
+  assert.strictEqual(noRelief.taxAtSlabRates, 71250);
+  assert.strictEqual(noRelief.rebate87A, 0);
+  assert.strictEqual(noRelief.cess, 2850);
+  assert.strictEqual(noRelief.totalTax, 74100);
+});
+
+test('AY 2026-27 new regime: 25 lakh reaches the 30% slab', () => {
+  const result = newRegime({ assessmentYear: '2026-27', otherIncome: 2500000 });
+
+  // 20,000 + 40,000 + 60,000 + 80,000 + 1,00,000 + 30% of 1 lakh
+  assert.strictEqual(result.taxAtSlabRates, 330000);
+  assert.strictEqual(result.surcharge, 0);
+  assert.strictEqual(result.cess, 13200);
+  assert.strictEqual(result.totalTax, 343200);
+});
+
+test('AY 2025-26 new regime: the rebate stops at 7 lakh', () => {
+  // 5% of 3-7 lakh + 10% of 7-10 lakh + 15% of 10-12 lakh, no rebate so far above 7 lakh
+  const twelveLakh = newRegime({ assessmentYear: '2025-26', otherIncome: 1200000 });
+  assert.strictEqual(twelveLakh.taxAtSlabRates, 80000);
+  assert.strictEqual(twelveLakh.rebate87A, 0);
+  assert.strictEqual(twelveLakh.totalTax, 83200);
+
+  assert.strictEqual(newRegime({ assessmentYear: '2025-26', salaryIncome: 1275000 }).totalTax, 83200);
+  assert.strictEqual(newRegime({ assessmentYear: '2025-26', otherIncome: 1275000 }).totalTax, 98800);
+  assert.strictEqual(newRegime({ assessmentYear: '2025-26', otherIncome: 2500000 }).totalTax, 457600);
+
+  // Marginal relief: Rs. 21,000 at slab rates, Rs. 10,000 above the limit
+  const justAbove = newRegime({ assessmentYear: '2025-26', otherIncome: 710000 });
+  assert.strictEqual(justAbove.rebate87A, 11000);
+  assert.strictEqual(justAbove.totalTax, 10400);
+});
+
+test('surcharge marginal relief: just above 50 lakh costs no more than the extra income', () => {
+  const result = newRegime({ assessmentYear: '2026-27', otherIncome: 5010000 });
+
+  // Rs. 10,83,000 at slab rates, 10% surcharge Rs. 1,08,300; at 50 lakh the tax is Rs. 10,80,000 without surcharge
+  assert.strictEqual(result.taxAtSlabRates, 1083000);
+  assert.strictEqual(result.surcharge, 108300);
+  assert.strictEqual(result.marginalRelief, 101300);
+  // Rs. 10,90,000 plus 4% cess
+  assert.strictEqual(result.cess, 43600);
+  assert.strictEqual(result.totalTax, 1133600);
+});
+
+test('old regime: deductions, age-based slabs and the 5 lakh rebate without marginal relief', () => {
+  const salaried = oldRegime({ assessmentYear: '2026-27', salaryIncome: 1275000, section80C: 200000 });
+  // 12,75,000 - 50,000 standard deduction - 1,50,000 (80C capped)
+  assert.strictEqual(salaried.deductions, 150000);
+  assert.strictEqual(salaried.taxableIncome, 1075000);
+  assert.strictEqual(salaried.taxAtSlabRates, 135000);
+  assert.strictEqual(salaried.totalTax, 140400);
+
+  assert.strictEqual(oldRegime({ assessmentYear: '2026-27', otherIncome: 500000 }).totalTax, 0);
+  assert.strictEqual(oldRegime({ assessmentYear: '2026-27', otherIncome: 510000 }).totalTax, 15080);
+  assert.strictEqual(oldRegime({ assessmentYear: '2026-27', otherIncome: 600000 }).totalTax, 33800);
+  assert.strictEqual(oldRegime({ assessmentYear: '2026-27', otherIncome: 600000, age: 65 }).totalTax, 31200);
+  assert.strictEqual(oldRegime({ assessmentYear: '2026-27', otherIncome: 600000, age: 85 }).totalTax, 20800);
+  assert.strictEqual(oldRegime({ assessmentYear: '2026-27', otherIncome: 600000, isSeniorCitizen: true }).totalTax, 31200);
+});
+
+test('non-residents get no 87A rebate', () => {
+  assert.strictEqual(newRegime({ assessmentYear: '2026-27', otherIncome: 1200000, residentialStatus: 'non-resident' }).totalTax, 62400);
+});
+
+test('the cheaper regime is recommended, the new regime on a tie', () => {
+  const result = taxCalculator.computeTax({ assessmentYear: '2026-27', salaryIncome: 1275000, section80C: 200000 });
+
+  assert.strictEqual(result.recommendedRegime, 'new');
+  assert.strictEqual(result.taxSaving, 140400);
+  assert.strictEqual(result.chosenRegime, null);
+  assert.strictEqual(taxCalculator.describeComparison(result), 'Old regime: Rs. 1,40,400, new regime: Rs. 0 (AY 2026-27)');
+
+  const tie = taxCalculator.computeTax({ assessmentYear: '2026-27', otherIncome: 200000 });
+  assert.strictEqual(tie.recommendedRegime, 'new');
+  assert.strictEqual(tie.taxSaving, 0);
+});
+
+test('extra tax on additional income follows the marginal rate', () => {
+  const answers = { assessmentYear: '2026-27', otherIncome: 1200000 };
+
+  assert.strictEqual(taxCalculator.taxOnAdditionalIncome(answers, 10000, 'new'), 10400);
+  assert.strictEqual(taxCalculator.taxOnAdditionalIncome(answers, 0, 'new'), null);
+  assert.strictEqual(taxCalculator.taxOnAdditionalIncome({}, 10000, 'new'), null);
+});
+
+test('tax saved by a further deduction is the tax on the last slice of income', () => {
+  // Old regime AY 2025-26: taxable 9,75,000 falls to 8,65,000, all within the 20% slab
+  const answers = { assessmentYear: '2025-26', salaryIncome: 1200000, section80C: 150000, section80D: 25000 };
+
+  assert.strictEqual(taxCalculator.taxSavedByDeduction(answers, 110000, 'old'), 22880);
+  // Below the basic exemption nothing is saved
+  assert.strictEqual(taxCalculator.taxSavedByDeduction({ ...answers, salaryIncome: 300000 }, 110000, 'old'), 0);
+  assert.strictEqual(taxCalculator.taxSavedByDeduction(answers, 0, 'old'), null);
+});
+
+test('age group: age decides when given, else isSeniorCitizen', () => {
+  assert.strictEqual(taxCalculator.ageGroup({ age: 59 }), 'general');
+  assert.strictEqual(taxCalculator.ageGroup({ age: 60 }), 'senior');
+  assert.strictEqual(taxCalculator.ageGroup({ age: 80 }), 'superSenior');
+  assert.strictEqual(taxCalculator.ageGroup({ age: 40, isSeniorCitizen: true }), 'general');
+  assert.strictEqual(taxCalculator.ageGroup({ isSeniorCitizen: true }), 'senior');
+});
+
+test('an assessment year without rules cannot be computed', () => {
+  assert.strictEqual(taxCalculator.computeTax({ assessmentYear: '2001-02', salaryIncome: 1000000 }), null);
+});
+
+test('special-rate gains get no 87A rebate', () => {
+  // 9,25,000 of salary after the standard deduction plus Rs. 2 lakh under 112A: 11.25 lakh in all, under the limit
+  const result = taxCalculator.computeTax({ assessmentYear: '2026-27', salaryIncome: 1000000 }, { capitalGains: LTCG_2_LAKH });
+  const regime = result.regimes.new;
+
+  assert.strictEqual(result.capitalGainsSource, 'statement');
+  assert.strictEqual(regime.taxableIncome, 1125000);
+  assert.strictEqual(regime.specialRateIncome, 200000);
+  assert.strictEqual(regime.taxAtSlabRates, 32500);
+  assert.strictEqual(regime.rebate87A, 32500);
+  // 12.5% of Rs. 2 lakh, plus cess
+  assert.strictEqual(regime.taxAtSpecialRates, 25000);
+  assert.strictEqual(regime.totalTax, 26000);
+  assert.ok(regime.lines.some(line => line.label === 'Long-term capital gains u/s 112A (at 12.5%)' && line.amount === 200000));
+  assert.ok(regime.lines.some(line => line.label === 'Tax u/s 112A @ 12.5%' && line.amount === 25000));
+
+  // The same amount given as capitalGainsIncome is taxed at slab rates and rebated
+  const fromAnswers = taxCalculator.computeTax({ assessmentYear: '2026-27', salaryIncome: 1000000, capitalGainsIncome: 200000 });
+  assert.strictEqual(fromAnswers.capitalGainsSource, 'answers');
+  assert.strictEqual(fromAnswers.regimes.new.totalTax, 0);
+});
+
+test('the statement replaces capitalGainsIncome, its slab-rate gains are added to the other income', () => {
+  const result = taxCalculator.computeTax(
+    { assessmentYear: '2026-27', otherIncome: 1200000, capitalGainsIncome: 999999 },
+    { capitalGains: statement([{ section: 'slab', term: 'short', rate: null, taxable: 10000 }], 10000) }
+  );
+
+  // As 12.1 lakh at slab rates: marginal relief leaves Rs. 10,000 plus cess
+  assert.strictEqual(result.regimes.new.specialRateIncome, 0);
+  assert.strictEqual(result.regimes.new.totalTax, 10400);
+});
+
+test('87A marginal relief counts the tax on special-rate gains', () => {
+  // 11.75 lakh at slab rates (Rs. 57,500) and Rs. 50,000 under 111A (Rs. 10,000): 12.25 lakh in all
+  const result = taxCalculator.computeTax(
+    { assessmentYear: '2026-27', salaryIncome: 1250000 },
+    { capitalGains: statement([{ section: '111A', term: 'short', rate: 0.2, taxable: 50000 }]) }
+  );
+  const regime = result.regimes.new;
+
+  // The tax may not exceed the Rs. 25,000 above the limit: Rs. 42,500 of the slab tax is rebated
+  assert.strictEqual(regime.rebate87A, 42500);
+  assert.strictEqual(regime.totalTax, 26000);
+});
+
+test('special-rate gains use the basic exemption the other income leaves, highest rate first', () => {
+  const capitalGains = statement([
+    { section: '112A', term: 'long', rate: 0.125, taxable: 600000 },
+    { section: '111A', term: 'short', rate: 0.2, taxable: 100000 }
+  ]);
+  const regime = taxCalculator.computeTax({ assessmentYear: '2026-27', hasCapitalGains: true }, { capitalGains }).regimes.new;
+
+  // The Rs. 4 lakh exemption covers all of the 111A gains and Rs. 3 lakh of the 112A gains
+  assert.strictEqual(regime.taxAtSlabRates, 0);
+  assert.strictEqual(regime.taxAtSpecialRates, 37500);
+  assert.strictEqual(regime.totalTax, 39000);
+
+  // Non-residents get no such adjustment
+  const nonResident = taxCalculator.computeTax({ assessmentYear: '2026-27', residentialStatus: 'non-resident' }, { capitalGains }).regimes.new;
+  assert.strictEqual(nonResident.taxAtSpecialRates, 95000);
+});
+
+test('old regime deductions are limited to the income taxed at slab rates', () => {
+  const regime = taxCalculator.computeTax(
+    { assessmentYear: '2026-27', salaryIncome: 150000, section80C: 150000 },
+    { capitalGains: statement([{ section: '111A', term: 'short', rate: 0.2, taxable: 500000 }]) }
+  ).regimes.old;
+
+  // 1,50,000 - 50,000 standard deduction leaves Rs. 1 lakh to deduct from
+  assert.strictEqual(regime.deductions, 100000);
+  assert.strictEqual(regime.taxableIncome, 500000);
+  // Rs. 2.5 lakh of the 111A gains use the unused exemption, the rest is taxed at 20%
+  assert.strictEqual(regime.taxAtSpecialRates, 50000);
+  assert.strictEqual(regime.totalTax, 52000);
+});
+
+test('surcharge on 112A gains is capped at 15%', () => {
+  const regime = taxCalculator.computeTax(
+    { assessmentYear: '2026-27', otherIncome: 21000000 },
+    { capitalGains: statement([{ section: '112A', term: 'long', rate: 0.125, taxable: 10000000 }]) }
+  ).regimes.new;
+
+  // 25% on Rs. 58,80,000 of slab tax, 15% on Rs. 12,50,000 of 112A tax
+  assert.strictEqual(regime.taxAtSlabRates, 5880000);
+  assert.strictEqual(regime.taxAtSpecialRates, 1250000);
+  assert.strictEqual(regime.surcharge, 1657500);
+  assert.strictEqual(regime.marginalRelief, 0);
+  assert.strictEqual(regime.totalTax, 9139000);
+});
+
+test('a statement for another assessment year or of another shape is not used', () => {
+  const otherYear = taxCalculator.computeTax({ assessmentYear: '2026-27', salaryIncome: 1000000 }, {
+    capitalGains: statement([{ section: '112A', rate: 0.125, taxable: 200000 }], 0, '2025-26')
+  });
+  assert.strictEqual(otherYear.capitalGainsSource, null);
+  assert.strictEqual(otherYear.regimes.new.totalTax, 0);
+
+  assert.strictEqual(taxCalculator.capitalGainsSplit({ sections: [{ section: '112A', rate: '12.5%', taxable: 1 }], totals: { slabRateIncome: 0 } }), null);
+  assert.strictEqual(taxCalculator.capitalGainsSplit({ sections: [{ section: '115BB', rate: 0.3, taxable: 1 }], totals: { slabRateIncome: 0 } }), null);
+  assert.strictEqual(taxCalculator.capitalGainsSplit({ sections: [] }), null);
+  assert.deepStrictEqual(taxCalculator.capitalGainsSplit(LTCG_2_LAKH), {
+    assessmentYear: '2026-27',
+    slabRateIncome: 0,
+    specialRate: [{ section: '112A', rate: 0.125, taxable: 200000 }]
+  });
+});
+
+test('the costlier-regime rule compares the regimes with the statement gains at special rates', () => {
+  const answers = { assessmentYear: '2026-27', taxRegime: 'old', salaryIncome: 1000000, hasCapitalGains: true, itrForm: 'ITR-2' };
+  const issue = evaluateRules(answers, { extractedData: { capitalGains: LTCG_2_LAKH } })
+    .find(item => item.id === 'costlier-regime');
+
+  // Old: Rs. 1,02,500 at slab rates + Rs. 25,000 under 112A, no rebate above 5 lakh, plus cess
+  assert.deepStrictEqual(issue.evidence.filter(item => item.source === 'taxComputation'), [
+    { source: 'taxComputation', field: 'totalTax.old', value: 132600 },
+    { source: 'taxComputation', field: 'totalTax.new', value: 26000 }
+  ]);
+  assert.strictEqual(issue.estimatedImpact.amount, 106600);
+});
@@ -0,0 +1,71 @@
+/**
+ * POST /api/compute-tax with a capital gains statement
+ * The extractedData.capitalGains of an analysis is taxed at its special rates; anything else
+ * in its place is a 400
+ */
+
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const requestId = require('../middlewares/requestId');
+const taxRoutes = require('../routes/tax');
+const errorHandler = require('../middlewares/errorHandler');
+
+const ANSWERS = { assessmentYear: '2026-27', salaryIncome: 1000000, hasCapitalGains: true };
+
+const CAPITAL_GAINS = {
+  assessmentYear: '2026-27',
+  sections: [{ section: '112A', term: 'long', rate: 0.125, trades: 2, gains: 325000, losses: 0, lossesSetOff: 0, exempt: 125000, taxable: 200000, tax: 25000 }],
+  totals: { shortTermGains: 0, longTermGains: 325000, netGains: 325000, exemption112A: 125000, slabRateIncome: 0, taxableAtSpecialRates: 200000, tax: 25000, cess: 1000, totalTax: 26000 }
+};
+
+async function computeTax(body) {
+  const app = express();
+  app.use(requestId);
+  app.use(express.json());
+  app.use('/api', taxRoutes);
+  app.use(errorHandler);
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/compute-tax`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('the statement gains are taxed at their special rates', async () => {
+  const { status, body } = await computeTax({ answers: ANSWERS, capitalGains: CAPITAL_GAINS });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.capitalGainsSource, 'statement');
+  assert.strictEqual(body.regimes.new.taxAtSpecialRates, 25000);
+  assert.strictEqual(body.regimes.new.totalTax, 26000);
+});
+
+test('without a statement there are no capital gains to tax', async () => {
+  const { status, body } = await computeTax({ answers: ANSWERS });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.capitalGainsSource, null);
+  assert.strictEqual(body.regimes.new.totalTax, 0);
+});
+
+test('a statement of another shape or year is rejected', async () => {
+  const malformed = await computeTax({ answers: ANSWERS, capitalGains: { totals: { netGains: 325000 } } });
+  assert.strictEqual(malformed.status, 400);
+  assert.strictEqual(malformed.body.error.code, 'CAPITAL_GAINS_INVALID');
+
+  const otherYear = await computeTax({ answers: ANSWERS, capitalGains: { ...CAPITAL_GAINS, assessmentYear: '2025-26' } });
+  assert.strictEqual(otherYear.status, 400);
+  assert.strictEqual(otherYear.body.error.code, 'CAPITAL_GAINS_INVALID');
+  assert.deepStrictEqual(otherYear.body.error.details, { assessmentYear: '2026-27', statementYear: '2025-26' });
+});
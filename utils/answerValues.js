@@ -0,0 +1,62 @@
+/**
+ * Helpers for reading wizard answer values
+ * Answers may come from JSON or multipart forms, so values are coerced leniently
+ * CRASH-SAFE: Never throws, returns null/false for unusable values
+ */
+
+/**
+ * Converts a wizard value to a number
+ * Accepts numbers and numeric strings ("1,50,000" included), returns null otherwise
+ */
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value === 'string' && value.trim().length > 0) {
+    const parsed = Number(value.replace(/[,\s₹]/g, ''));
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+  return null;
+}
+
+/**
+ * Converts a wizard value to a boolean
+ * Multipart requests send booleans as strings, so "true"/"yes"/"1" count as true
+ */
+function toBoolean(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  if (typeof value === 'number') {
+    return value !== 0;
+  }
+  if (typeof value === 'string') {
+    return ['true', 'yes', 'y', '1'].includes(value.trim().toLowerCase());
+  }
+  return false;
+}
+
+/**
+ * Normalises an ITR form value such as "itr1" or "ITR 1" to "ITR-1"
+ */
+function normalizeItrForm(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const match = value.toUpperCase().match(/ITR[\s-]*([1-7])/);
+  return match ? `ITR-${match[1]}` : null;
+}
+
+/**
+ * Formats a rupee amount in the Indian numbering style (Rs. 1,50,000)
+ */
+function formatRupees(amount) {
+  return `Rs. ${Math.round(amount).toLocaleString('en-IN')}`;
+}
+
+module.exports = {
+  toNumber,
+  toBoolean,
+  normalizeItrForm,
+  formatRupees
+};
@@ -0,0 +1,214 @@
+/**
+ * Versioned schema for the question wizard answers
+ * Describes every known wizard field so bad input is rejected before analysis
+ * CRASH-SAFE: Validation never throws, returns a list of field errors
+ */
+
+// Assessment years are the ones with a tax rules dataset
+const { SUPPORTED_ASSESSMENT_YEARS } = require('../config/taxRules');
+const logger = require('./logger');
+
+const SCHEMA_VERSION = '1';
+
+// Amount fields accept up to Rs. 1,000 crore, which is far beyond any real return
+const MAX_AMOUNT = 10000000000;
+
+const PAN_PATTERN = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+
+const ITR_FORMS = ['ITR-1', 'ITR-2', 'ITR-3', 'ITR-4', 'ITR-5', 'ITR-6', 'ITR-7'];
+const TAX_REGIMES = ['old', 'new'];
+const RESIDENTIAL_STATUSES = ['resident', 'rnor', 'non-resident'];
+
+function amount(description, options = {}) {
+  return { type: 'number', min: 0, max: MAX_AMOUNT, description, ...options };
+}
+
+function flag(description) {
+  return { type: 'boolean', description };
+}
+
+/**
+ * Field definitions
+ * type: 'string' | 'number' | 'integer' | 'boolean'
+ * Optional constraints: enum, pattern, min, max
+ */
+const FIELDS = {
+  schemaVersion: { type: 'string', enum: [SCHEMA_VERSION], description: 'Version of this schema the client was built against' },
+
+  // Filing profile
+  assessmentYear: { type: 'string', enum: SUPPORTED_ASSESSMENT_YEARS, description: 'Assessment year, e.g. 2025-26' },
+  itrForm: { type: 'string', enum: ITR_FORMS, description: 'ITR form the user intends to file' },
+  taxRegime: { type: 'string', enum: TAX_REGIMES, description: 'Chosen tax regime' },
+  residentialStatus: { type: 'string', enum: RESIDENTIAL_STATUSES, description: 'Residential status for the year' },
+  age: { type: 'integer', min: 0, max: 120, description: 'Age of the taxpayer at the end of the financial year' },
+  isSeniorCitizen: flag('Taxpayer is 60 or older'),
+  parentsSeniorCitizen: flag('Parents covered under 80D are 60 or older'),
+
+  // Income heads
+  salaryIncome: amount('Gross salary income'),
+  housePropertyIncome: amount('Income (or loss, if negative) from house property', { min: -MAX_AMOUNT }),
+  housePropertyCount: { type: 'integer', min: 0, max: 50, description: 'Number of house properties owned' },
+  hasCapitalGains: flag('Has capital gains in the year'),
+  capitalGainsIncome: amount('Net capital gains'),
+  hasBusinessIncome: flag('Has business or professional income'),
+  businessIncome: amount('Business or professional income'),
+  interestIncome: amount('Interest from savings, deposits and bonds'),
+  dividendIncome: amount('Dividend income'),
+  otherIncome: amount('Any other income from other sources'),
+  agriculturalIncome: amount('Agricultural income'),
+  totalIncome: amount('Total income declared in the return'),
+
+  // Exemptions and deductions
+  hraClaimed: flag('HRA exemption claimed'),
+  rentPaid: amount('Annual rent paid'),
+  hraExemption: amount('HRA exemption amount under Section 10(13A)'),
+  landlordPan: { type: 'string', pattern: PAN_PATTERN, description: 'PAN of the landlord' },
+  section80C: amount('Deductions claimed under Section 80C'),
+  section80CCD1B: amount('Additional NPS contribution under Section 80CCD(1B)'),
+  section80D: amount('Health insurance for self and family under Section 80D'),
+  section80DParents: amount('Health insurance for parents under Section 80D'),
+
+  // Taxes paid
+  tdsDeducted: amount('Total TDS deducted as per the user'),
+  advanceTax: amount('Advance and self-assessment tax paid'),
+  form26asVerified: flag('User has checked Form 26AS')
+};
+
+/**
+ * Cross-field rules
+ * Each rule returns an error { field, message } or null when the answers are consistent
+ */
+const CROSS_FIELD_RULES = [
+  (answers) => {
+    if (answers.capitalGainsIncome > 0 && answers.hasCapitalGains === false) {
+      return { field: 'capitalGainsIncome', message: 'Capital gains amount given but hasCapitalGains is false' };
+    }
+    return null;
+  },
+  (answers) => {
+    if (answers.businessIncome > 0 && answers.hasBusinessIncome === false) {
+      return { field: 'businessIncome', message: 'Business income amount given but hasBusinessIncome is false' };
+    }
+    return null;
+  },
+  (answers) => {
+    if (answers.housePropertyCount === 0 && typeof answers.housePropertyIncome === 'number' && answers.housePropertyIncome !== 0) {
+      return { field: 'housePropertyIncome', message: 'House property income given but housePropertyCount is 0' };
+    }
+    return null;
+  },
+  (answers) => {
+    if (typeof answers.age !== 'number' || typeof answers.isSeniorCitizen !== 'boolean') {
+      return null;
+    }
+    if ((answers.age >= 60) !== answers.isSeniorCitizen) {
+      return { field: 'isSeniorCitizen', message: `isSeniorCitizen does not match age ${answers.age}` };
+    }
+    return null;
+  }
+];
+
+/**
+ * Checks a single value against its field definition
+ * Returns an error message or null
+ */
+function checkField(value, definition) {
+  switch (definition.type) {
+    case 'boolean':
+      if (typeof value !== 'boolean') return 'Must be true or false';
+      break;
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'Must be a number';
+      if (definition.type === 'integer' && !Number.isInteger(value)) return 'Must be a whole number';
+      if (definition.min !== undefined && value < definition.min) return `Must be at least ${definition.min}`;
+      if (definition.max !== undefined && value > definition.max) return `Must be at most ${definition.max}`;
+      break;
+    case 'string':
+      if (typeof value !== 'string') return 'Must be a string';
+      if (definition.enum && !definition.enum.includes(value)) return `Must be one of: ${definition.enum.join(', ')}`;
+      if (definition.pattern && !definition.pattern.test(value)) return 'Has an invalid format';
+      break;
+    default:
+      return null;
+  }
+  return null;
+}
+
+// STRICT_ANSWERS=true rejects unknown fields; by default they are ignored and reported as a warning
+const STRICT_ANSWERS = process.env.STRICT_ANSWERS === 'true' || process.env.STRICT_ANSWERS === '1';
+
+/**
+ * Validates answers against the schema
+ * Unknown fields are only errors in strict mode (options.strict, STRICT_ANSWERS by default);
+ * otherwise see unknownFields and withoutUnknownFields
+ * Returns an array of { field, message } (empty when valid)
+ */
+function validateAgainstSchema(answers, options = {}) {
+  const strict = options.strict !== undefined ? options.strict : STRICT_ANSWERS;
+  const errors = [];
+
+  try {
+    for (const [field, value] of Object.entries(answers)) {
+      const definition = FIELDS[field];
+      if (!definition) {
+        if (strict) {
+          errors.push({ field, message: 'Unknown field' });
+        }
+        continue;
+      }
+      if (value === null || value === undefined) {
+        continue;
+      }
+      const message = checkField(value, definition);
+      if (message) {
+        errors.push({ field, message });
+      }
+    }
+
+    // Cross-field rules only make sense once each field is individually valid
+    if (errors.length === 0) {
+      for (const rule of CROSS_FIELD_RULES) {
+        const error = rule(answers);
+        if (error) {
+          errors.push(error);
+        }
+      }
+    }
+  } catch (error) {
+    logger.error('Error in validateAgainstSchema', { error });
+    errors.push({ field: 'answers', message: 'Invalid input format' });
+  }
+
+  return errors;
+}
+
+/**
+ * Names of the answers that are not wizard fields (misspelled keys, fields of a newer frontend)
+ */
+function unknownFields(answers) {
+  if (!answers || typeof answers !== 'object') {
+    return [];
+  }
+  return Object.keys(answers).filter(field => !Object.prototype.hasOwnProperty.call(FIELDS, field));
+}
+
+/**
+ * Copy of the answers without the unknown fields, so they do not reach the analysis
+ */
+function withoutUnknownFields(answers) {
+  if (!answers || typeof answers !== 'object') {
+    return answers;
+  }
+  return Object.fromEntries(Object.entries(answers).filter(([field]) => Object.prototype.hasOwnProperty.call(FIELDS, field)));
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  FIELDS,
+  SUPPORTED_ASSESSMENT_YEARS,
+  STRICT_ANSWERS,
+  validateAgainstSchema,
+  unknownFields,
+  withoutUnknownFields
+};
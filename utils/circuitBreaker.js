@@ -0,0 +1,162 @@
+/**
+ * Circuit breakers, one per external dependency (Document Intelligence, each LLM provider)
+ * After CIRCUIT_FAILURE_THRESHOLD consecutive failures the circuit opens and calls fail at once
+ * with a CIRCUIT_OPEN error, instead of every request waiting for the dependency's timeouts.
+ * After CIRCUIT_RESET_MS one trial call is let through (half-open): success closes the circuit,
+ * failure opens it again.
+ *
+ * Only failures of the dependency count (network errors, timeouts, 408, 429 and 5xx);
+ * a 4xx answer means the dependency is up, so it does not. A call cancelled by its caller counts
+ * neither way.
+ *
+ * States: closed → open → half-open → closed | open
+ */
+
+const logger = require('./logger');
+const { isCancellation } = require('./retry');
+
+const FAILURE_THRESHOLD = Number(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5;
+const RESET_MS = Number(process.env.CIRCUIT_RESET_MS) || 30 * 1000;
+
+const STATES = { closed: 'closed', open: 'open', halfOpen: 'half-open' };
+
+/**
+ * True when an error says the dependency is unhealthy, rather than the request being wrong
+ */
+function isDependencyFailure(error) {
+  if (!error) {
+    return false;
+  }
+  if (!error.response) {
+    // Network errors and timeouts; an Error of our own (an empty answer, say) is not the dependency's fault
+    return Boolean(error.code || error.request);
+  }
+  const status = error.response.status;
+  return status === 408 || status === 429 || status >= 500;
+}
+
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || FAILURE_THRESHOLD;
+    this.resetMs = options.resetMs || RESET_MS;
+    this.state = STATES.closed;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastFailureAt = null;
+    this.lastError = null;
+    this.trialInProgress = false;
+  }
+
+  /**
+   * Runs fn() through the breaker; rejects with a CIRCUIT_OPEN error while the circuit is open
+   */
+  async execute(fn) {
+    if (!this.allowRequest()) {
+      const error = new Error(`Circuit for ${this.name} is open`);
+      error.code = 'CIRCUIT_OPEN';
+      error.dependency = this.name;
+      throw error;
+    }
+    const trial = this.state === STATES.halfOpen;
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (isCancellation(error)) {
+        throw error;
+      }
+      if (isDependencyFailure(error)) {
+        this.onFailure(error);
+      } else {
+        this.onSuccess();
+      }
+      throw error;
+    } finally {
+      if (trial) {
+        this.trialInProgress = false;
+      }
+    }
+  }
+
+  allowRequest() {
+    if (this.state === STATES.closed) {
+      return true;
+    }
+    if (this.state === STATES.open && Date.now() - this.openedAt >= this.resetMs) {
+      this.transition(STATES.halfOpen);
+    }
+    if (this.state === STATES.halfOpen && !this.trialInProgress) {
+      this.trialInProgress = true;
+      return true;
+    }
+    return false;
+  }
+
+  onSuccess() {
+    this.consecutiveFailures = 0;
+    if (this.state !== STATES.closed) {
+      this.transition(STATES.closed);
+    }
+  }
+
+  onFailure(error) {
+    this.consecutiveFailures++;
+    this.lastFailureAt = new Date().toISOString();
+    this.lastError = error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+    if (this.state === STATES.halfOpen || this.consecutiveFailures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.transition(STATES.open);
+    }
+  }
+
+  transition(state) {
+    if (this.state !== state) {
+      const log = state === STATES.open ? logger.error : logger.info;
+      log('Circuit state changed', { dependency: this.name, from: this.state, to: state, consecutiveFailures: this.consecutiveFailures });
+      this.state = state;
+    }
+  }
+
+  /**
+   * State for the health endpoint
+   */
+  snapshot() {
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      lastFailureAt: this.lastFailureAt,
+      lastError: this.lastError,
+      retryAt: this.state === STATES.open ? new Date(this.openedAt + this.resetMs).toISOString() : null
+    };
+  }
+}
+
+const breakers = new Map();
+
+/**
+ * The breaker of a dependency, created on first use
+ */
+function getBreaker(name, options) {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name, options));
+  }
+  return breakers.get(name);
+}
+
+/**
+ * Snapshots of every breaker created so far
+ */
+function getBreakerStates() {
+  return [...breakers.values()].map(breaker => breaker.snapshot());
+}
+
+module.exports = {
+  CircuitBreaker,
+  getBreaker,
+  getBreakerStates,
+  isDependencyFailure,
+  STATES
+};
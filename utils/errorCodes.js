@@ -0,0 +1,113 @@
+/**
+ * Error code catalogue
+ * Stable, machine-readable codes for every error the API returns, with the HTTP status
+ * and a message that is safe to show to users
+ * Codes never change once published; messages may be reworded
+ *
+ * Error responses always use this envelope:
+ * { "error": { "code", "message", "details", "requestId" } }
+ */
+
+const { SUPPORTED_LANGUAGES } = require('../config/locales');
+
+// 'en, hi or ta' - the languages follow the catalogues in config/locales
+function languageList(languages) {
+  return languages.length > 1
+    ? `${languages.slice(0, -1).join(', ')} or ${languages[languages.length - 1]}`
+    : languages.join('');
+}
+
+const ERROR_CODES = {
+  // Request input
+  ANSWERS_MISSING: { status: 400, message: 'Answers field is required' },
+  ANSWERS_MALFORMED: { status: 400, message: 'Answers must be a valid JSON object' },
+  ANSWERS_INVALID: { status: 400, message: 'One or more answers are invalid' },
+  ANSWERS_FIELDS_IGNORED: { status: 200, message: 'Some answers are not wizard fields and were ignored' },
+  CAPITAL_GAINS_INVALID: { status: 400, message: 'capitalGains must be the extractedData.capitalGains of an analysis for the same assessment year' },
+  INVALID_JSON: { status: 400, message: 'Request body is not valid JSON' },
+  PAYLOAD_TOO_LARGE: { status: 413, message: 'Request body is too large' },
+  INVALID_QUERY: { status: 400, message: 'Invalid query parameters' },
+  LANGUAGE_UNSUPPORTED: { status: 400, message: `This language is not supported. Use ${languageList(SUPPORTED_LANGUAGES)}.` },
+  IDEMPOTENCY_KEY_INVALID: { status: 400, message: 'Idempotency-Key must be 1 to 255 letters, digits or . _ : -' },
+  IDEMPOTENCY_KEY_IN_PROGRESS: { status: 409, message: 'A request with this Idempotency-Key is still being processed. Please retry shortly.' },
+  IDEMPOTENCY_KEY_MISMATCH: { status: 422, message: 'This Idempotency-Key was already used for a different request' },
+
+  // Access
+  API_KEY_MISSING: { status: 401, message: 'An API key is required. Send it in the X-API-Key header.' },
+  API_KEY_INVALID: { status: 401, message: 'The API key is not valid' },
+  METRICS_UNAUTHORIZED: { status: 401, message: 'Send the METRICS_TOKEN as "Authorization: Bearer <token>" to read the metrics' },
+  RATE_LIMITED: { status: 429, message: 'Too many requests. Please try again later.' },
+
+  // File uploads
+  FILE_TOO_LARGE: { status: 413, message: 'File size exceeds the maximum upload limit' },
+  TOO_MANY_FILES: { status: 400, message: 'Too many files. Maximum 5 files allowed, one per upload field.' },
+  UNEXPECTED_FILE_FIELD: { status: 400, message: 'Unexpected file field. Use salarySlip, form16, form26as, capitalGains or ais.' },
+  UNSUPPORTED_FILE_TYPE: { status: 400, message: 'Invalid file type. Documents must be PDF, PNG or JPG; capital gains statements CSV or XLSX; AIS/TIS JSON.' },
+  UPLOAD_FAILED: { status: 400, message: 'File upload error' },
+
+  // Document reading (also reported as warnings when the analysis continues without the document)
+  OCR_TIMEOUT: { status: 504, message: 'Document text extraction timed out' },
+  OCR_FAILED: { status: 502, message: 'Document text extraction failed' },
+  DOCUMENT_UNREADABLE: { status: 422, message: 'No text could be read from the document' },
+  AIS_INVALID: { status: 422, message: 'The AIS/TIS file is not a JSON download from the income-tax portal' },
+  AIS_YEAR_MISMATCH: { status: 422, message: 'The AIS/TIS is for a different assessment year and was not used' },
+
+  // Analysis
+  AI_UNAVAILABLE: { status: 503, message: 'AI analysis is unavailable, the answers were checked with the rule engine' },
+  ASSESSMENT_YEAR_ASSUMED: { status: 200, message: 'No assessment year was given, the limits of the latest supported year were used' },
+  QUEUE_FULL: { status: 503, message: 'Too many analyses in progress. Please try again shortly.' },
+  ANALYSIS_FAILED: { status: 500, message: 'Analysis failed. Please try again.' },
+  TAX_COMPUTATION_FAILED: { status: 500, message: 'Tax computation failed' },
+  REPORT_FAILED: { status: 500, message: 'The report could not be generated. Please try again.' },
+  REPORT_LANGUAGE_UNSUPPORTED: { status: 422, message: 'PDF reports are only available for English analyses. Use format=html.' },
+
+  // Resources
+  ENDPOINT_NOT_FOUND: { status: 404, message: 'Endpoint not found' },
+  ANALYSIS_NOT_FOUND: { status: 404, message: 'Analysis not found' },
+  JOB_NOT_FOUND: { status: 404, message: 'Job not found' },
+
+  INTERNAL_ERROR: { status: 500, message: 'Something went wrong. Please try again.' }
+};
+
+/**
+ * Returns the catalogue entry for a code (INTERNAL_ERROR for unknown codes)
+ */
+function getErrorDefinition(code) {
+  return ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+}
+
+/**
+ * Builds the error response body
+ * message defaults to the catalogue message; details is any JSON value or null
+ */
+function buildErrorBody(code, { message, details, requestId } = {}) {
+  const known = Object.prototype.hasOwnProperty.call(ERROR_CODES, code);
+  const definition = getErrorDefinition(code);
+  return {
+    error: {
+      code: known ? code : 'INTERNAL_ERROR',
+      message: message || definition.message,
+      details: details === undefined ? null : details,
+      requestId: requestId || null
+    }
+  };
+}
+
+/**
+ * Builds a non-fatal warning for a successful response
+ * { code, message, details }
+ */
+function buildWarning(code, details) {
+  return {
+    code,
+    message: getErrorDefinition(code).message,
+    details: details === undefined ? null : details
+  };
+}
+
+module.exports = {
+  ERROR_CODES,
+  getErrorDefinition,
+  buildErrorBody,
+  buildWarning
+};
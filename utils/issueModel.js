@@ -0,0 +1,130 @@
+/**
+ * Detected issue model
+ * Shared by the rule engine, the reconciliation checks and LLM responses, so every
+ * issue in an analysis has the same fields whatever produced it
+ * CRASH-SAFE: Never throws, invalid optional fields are replaced with defaults
+ *
+ * Issue:
+ * {
+ *   id, title, short, long,                  // strings
+ *   severity: 'LOW' | 'MEDIUM' | 'HIGH',
+ *   legalReference: string | null,           // Income-tax Act section or rule, e.g. "Section 80C"
+ *   estimatedImpact: {                       // null when there is nothing to quantify
+ *     amount: number | null,                 // rupees, null when it cannot be estimated
+ *     type: 'tax' | 'interest' | 'penalty' | 'refund',
+ *     basis: string                          // how the amount was arrived at
+ *   } | null,
+ *   remediation: string[],                   // concrete steps, in order
+ *   evidence: [{ source, field, value }],    // which answer or document figure triggered it
+ *   confidence: number,                      // 0-1
+ *   source: 'rules' | 'llm' | 'both' | null  // which analysis found it (see services/issueMerger)
+ * }
+ */
+
+const logger = require('./logger');
+
+const SEVERITIES = ['LOW', 'MEDIUM', 'HIGH'];
+const IMPACT_TYPES = ['tax', 'interest', 'penalty', 'refund'];
+const EVIDENCE_SOURCES = ['answers', 'salarySlip', 'form16', 'form26as', 'capitalGains', 'ais', 'taxComputation', 'document'];
+const ISSUE_SOURCES = ['rules', 'llm', 'both'];
+
+// Used when the producer of an issue gives no confidence
+const DEFAULT_CONFIDENCE = 0.7;
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * True when the issue has the fields the risk level and the UI cannot do without
+ */
+function hasRequiredFields(issue) {
+  return Boolean(issue) &&
+    typeof issue === 'object' &&
+    typeof issue.id === 'string' &&
+    typeof issue.title === 'string' &&
+    typeof issue.short === 'string' &&
+    typeof issue.long === 'string' &&
+    SEVERITIES.includes(issue.severity);
+}
+
+function normalizeImpact(impact) {
+  if (!impact || typeof impact !== 'object' || !IMPACT_TYPES.includes(impact.type)) {
+    return null;
+  }
+  const amount = typeof impact.amount === 'number' && Number.isFinite(impact.amount) && impact.amount >= 0
+    ? Math.round(impact.amount)
+    : null;
+  return {
+    amount,
+    type: impact.type,
+    basis: isNonEmptyString(impact.basis) ? impact.basis.trim() : ''
+  };
+}
+
+function normalizeEvidence(evidence) {
+  if (!Array.isArray(evidence)) {
+    return [];
+  }
+  return evidence
+    .filter(item => item && typeof item === 'object' && isNonEmptyString(item.field))
+    .map(item => ({
+      source: EVIDENCE_SOURCES.includes(item.source) ? item.source : 'document',
+      field: item.field.trim(),
+      value: ['string', 'number', 'boolean'].includes(typeof item.value) ? item.value : null
+    }));
+}
+
+function normalizeConfidence(confidence) {
+  if (typeof confidence !== 'number' || !Number.isFinite(confidence)) {
+    return DEFAULT_CONFIDENCE;
+  }
+  return Math.round(Math.min(1, Math.max(0, confidence)) * 100) / 100;
+}
+
+/**
+ * Returns the issue with every optional field in its canonical form,
+ * or null when a required field is missing
+ */
+function normalizeIssue(issue) {
+  try {
+    if (!hasRequiredFields(issue)) {
+      return null;
+    }
+    return {
+      id: issue.id,
+      title: issue.title,
+      short: issue.short,
+      long: issue.long,
+      severity: issue.severity,
+      legalReference: isNonEmptyString(issue.legalReference) ? issue.legalReference.trim() : null,
+      estimatedImpact: normalizeImpact(issue.estimatedImpact),
+      remediation: Array.isArray(issue.remediation) ? issue.remediation.filter(isNonEmptyString) : [],
+      evidence: normalizeEvidence(issue.evidence),
+      confidence: normalizeConfidence(issue.confidence),
+      source: ISSUE_SOURCES.includes(issue.source) ? issue.source : null
+    };
+  } catch (error) {
+    logger.error('Error normalizing issue', { error });
+    return null;
+  }
+}
+
+/**
+ * Evidence entries for answer fields that were given
+ */
+function answerEvidence(answers, ...fields) {
+  return fields
+    .filter(field => answers && answers[field] !== undefined && answers[field] !== null && answers[field] !== '')
+    .map(field => ({ source: 'answers', field, value: answers[field] }));
+}
+
+module.exports = {
+  SEVERITIES,
+  IMPACT_TYPES,
+  EVIDENCE_SOURCES,
+  ISSUE_SOURCES,
+  hasRequiredFields,
+  normalizeIssue,
+  answerEvidence
+};
@@ -0,0 +1,68 @@
+/**
+ * Structured logger
+ * Writes one JSON object per line: { time, level, message, requestId, ...fields }
+ * The request id comes from utils/requestContext, so every log line of a request
+ * (including its OCR, LLM and background job work) can be found by that id
+ *
+ * Configuration:
+ *   LOG_LEVEL   debug | info | warn | error (default info)
+ *   LOG_FORMAT  json (default) | text, a readable line for local development
+ *
+ * Usage: logger.info('OCR finished', { durationMs: 1234 })
+ * Error objects in fields are reduced to their message, never the stack or response data.
+ */
+
+const requestContext = require('./requestContext');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const MIN_LEVEL = LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+const TEXT_FORMAT = (process.env.LOG_FORMAT || '').toLowerCase() === 'text';
+
+/**
+ * Makes field values safe to serialise (errors to messages, no circular objects)
+ */
+function serialiseFields(fields) {
+  if (!fields || typeof fields !== 'object') {
+    return fields === undefined ? {} : { detail: fields };
+  }
+  const result = {};
+  for (const [key, value] of Object.entries(fields)) {
+    result[key] = value instanceof Error ? value.message : value;
+  }
+  return result;
+}
+
+function write(level, message, fields) {
+  if (LEVELS[level] < MIN_LEVEL) {
+    return;
+  }
+  try {
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      message,
+      requestId: requestContext.getRequestId() || undefined,
+      ...serialiseFields(fields)
+    };
+    let line;
+    if (TEXT_FORMAT) {
+      const { time, level: entryLevel, message: text, requestId, ...rest } = entry;
+      const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+      line = `${time} ${entryLevel.toUpperCase()} ${text}${requestId ? ` [${requestId}]` : ''}${extra}`;
+    } else {
+      line = JSON.stringify(entry);
+    }
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+  } catch (error) {
+    // Logging must never break a request (e.g. a field that cannot be serialised)
+    process.stderr.write(`${JSON.stringify({ time: new Date().toISOString(), level: 'error', message: 'Log entry could not be written', original: String(message) })}\n`);
+  }
+}
+
+module.exports = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
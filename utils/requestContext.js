@@ -0,0 +1,46 @@
+/**
+ * Request context
+ * Carries the id of the request being handled through every async call it makes
+ * (OCR, LLM calls, background jobs) without passing it down by hand, so logs and
+ * outgoing requests can be tied back to it
+ *
+ * Context: { requestId }
+ */
+
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs fn with the given context; everything fn starts (promises, timers) sees it
+ */
+function run(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * The current context, or null outside a request
+ */
+function get() {
+  return storage.getStore() || null;
+}
+
+function getRequestId() {
+  const context = get();
+  return context ? context.requestId : null;
+}
+
+/**
+ * Binds a callback to the current context, for libraries that call back from
+ * another context (multer's stream events, for instance)
+ */
+function bind(fn) {
+  return AsyncResource.bind(fn);
+}
+
+module.exports = {
+  run,
+  get,
+  getRequestId,
+  bind
+};
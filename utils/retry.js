@@ -0,0 +1,168 @@
+/**
+ * Retries with jittered exponential backoff for calls to external services
+ * A Retry-After header on the failed response is honoured instead of the backoff,
+ * unless it asks for a longer wait than maxDelayMs, in which case the error is returned
+ *
+ * Usage:
+ *   const response = await withRetry(() => axios.get(url), { name: 'document-intelligence', retries: 3 });
+ */
+
+const logger = require('./logger');
+
+// Statuses worth retrying: timeouts, throttling and transient server errors
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+// Network errors worth retrying; ECONNABORTED/ETIMEDOUT are axios and socket timeouts
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'ECONNABORTED', 'ETIMEDOUT'];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+// Network errors raised before the request was sent (no connection, DNS), so the service never saw it
+const CONNECT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+const DEFAULT_BASE_DELAY_MS = Number(process.env.RETRY_BASE_DELAY_MS) || 500;
+const DEFAULT_MAX_DELAY_MS = Number(process.env.RETRY_MAX_DELAY_MS) || 10000;
+
+/**
+ * Milliseconds to wait from a Retry-After value (seconds or an HTTP date), or null
+ * Azure also sends retry-after-ms and x-ms-retry-after-ms, which are preferred when present
+ */
+function parseRetryAfter(headers) {
+  if (!headers) {
+    return null;
+  }
+  const milliseconds = Number(headers['retry-after-ms'] || headers['x-ms-retry-after-ms']);
+  if (Number.isFinite(milliseconds) && milliseconds >= 0) {
+    return milliseconds;
+  }
+  const value = headers['retry-after'];
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * True when the call was cancelled with an AbortSignal (the client went away), not failed
+ */
+function isCancellation(error) {
+  return Boolean(error) && (error.code === 'ERR_CANCELED' || error.name === 'AbortError');
+}
+
+function isTimeout(error) {
+  return Boolean(error) && TIMEOUT_CODES.includes(error.code);
+}
+
+/**
+ * True for errors a retry may fix: throttling, transient server errors and network failures
+ * options.retryOnTimeout: false when a timed-out call is too slow to repeat (default true)
+ * options.idempotent: false for a call that must not run twice (e.g. a POST that starts a job);
+ * only throttling (429) and errors before the request was sent are retried, since after a
+ * 5xx, a reset or a timeout the service may already have acted on it (default true)
+ */
+function isRetryable(error, options = {}) {
+  if (!error) {
+    return false;
+  }
+  if (options.idempotent === false) {
+    return error.response ? error.response.status === 429 : CONNECT_CODES.includes(error.code);
+  }
+  if (error.response) {
+    return RETRYABLE_STATUSES.includes(error.response.status);
+  }
+  if (isTimeout(error)) {
+    return options.retryOnTimeout !== false;
+  }
+  return RETRYABLE_NETWORK_CODES.includes(error.code);
+}
+
+/**
+ * Full-jitter backoff: a random delay up to baseDelayMs * 2^(attempt - 1), capped at maxDelayMs
+ */
+function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+  return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1)));
+}
+
+/**
+ * Waits ms milliseconds; rejects with an AbortError as soon as the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(abortError());
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+function abortError() {
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Calls fn(attempt) until it resolves, the error is not retryable or the retries are used up
+ * options:
+ *   name            dependency name for the logs
+ *   retries         retries after the first attempt (default 2)
+ *   baseDelayMs     first backoff step (RETRY_BASE_DELAY_MS, default 500)
+ *   maxDelayMs      longest wait between attempts (RETRY_MAX_DELAY_MS, default 10000)
+ *   retryOnTimeout  see isRetryable
+ *   idempotent      see isRetryable
+ *   signal          AbortSignal; no retry is made, nor waited for, once it aborts
+ * Rejects with the last error
+ */
+async function withRetry(fn, options = {}) {
+  const retries = options.retries === undefined ? 2 : options.retries;
+  const baseDelayMs = options.baseDelayMs || DEFAULT_BASE_DELAY_MS;
+  const maxDelayMs = options.maxDelayMs || DEFAULT_MAX_DELAY_MS;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt > retries || !isRetryable(error, options) || (options.signal && options.signal.aborted)) {
+        throw error;
+      }
+      const retryAfter = parseRetryAfter(error.response && error.response.headers);
+      if (retryAfter !== null && retryAfter > maxDelayMs) {
+        // Waiting that long would hold the user's request; let the caller fall back instead
+        logger.warn('Retry-After too long, not retrying', { dependency: options.name, retryAfterMs: retryAfter });
+        throw error;
+      }
+      const delay = retryAfter !== null ? retryAfter : backoffDelay(attempt, baseDelayMs, maxDelayMs);
+      logger.warn('Retrying call', {
+        dependency: options.name,
+        attempt,
+        status: error.response ? error.response.status : undefined,
+        error,
+        delayMs: delay
+      });
+      await sleep(delay, options.signal);
+    }
+  }
+}
+
+module.exports = {
+  withRetry,
+  isRetryable,
+  isTimeout,
+  isCancellation,
+  parseRetryAfter,
+  sleep
+};
@@ -3,6 +3,8 @@
  * CRASH-SAFE: Never throws, returns null on error
  */
 
+const logger = require('./logger');
+
 /**
  * Safely parses JSON string, handling markdown code blocks
  * Returns parsed object or null on error
@@ -27,7 +29,7 @@ function safeJsonParse(jsonString) {
     // Parse JSON
     return JSON.parse(cleanJson);
   } catch (error) {
-    console.error('Error parsing JSON:', error.message);
+    logger.error('Error parsing JSON', { error });
     return null;
   }
 }
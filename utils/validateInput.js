@@ -3,9 +3,13 @@
  * CRASH-SAFE: Never throws, returns validation result object
  */
 
+const { validateAgainstSchema } = require('./answersSchema');
+const logger = require('./logger');
+
 /**
- * Validates that answers field is present and is a valid object
- * Returns { valid: boolean, error: string }
+ * Validates that answers field is present, is a valid object and matches the wizard schema
+ * Returns { valid: boolean, code: string, error: string, fields?: [{ field, message }] }
+ * where code is an error code from utils/errorCodes
  */
 function validateAnswers(answers) {
   try {
@@ -13,13 +17,14 @@ function validateAnswers(answers) {
     if (!answers) {
       return {
         valid: false,
+        code: 'ANSWERS_MISSING',
         error: 'Answers field is required'
       };
     }
 
-    // If it's already an object, it's valid
+    // If it's already an object, check it against the schema
     if (typeof answers === 'object' && answers !== null && !Array.isArray(answers)) {
-      return { valid: true };
+      return validateFields(answers);
     }
 
     // If it's a string, try to parse it
@@ -27,11 +32,12 @@ function validateAnswers(answers) {
       try {
         const parsed = JSON.parse(answers);
         if (typeof parsed === 'object' && parsed !== null && !Array.isArray(parsed)) {
-          return { valid: true };
+          return validateFields(parsed);
         }
       } catch (e) {
         return {
           valid: false,
+          code: 'ANSWERS_MALFORMED',
           error: 'Answers must be a valid JSON object'
         };
       }
@@ -39,17 +45,35 @@ function validateAnswers(answers) {
 
     return {
       valid: false,
+      code: 'ANSWERS_MALFORMED',
       error: 'Answers must be a valid JSON object'
     };
   } catch (error) {
-    console.error('Error in validateAnswers:', error.message);
+    logger.error('Error in validateAnswers', { error });
     return {
       valid: false,
+      code: 'ANSWERS_MALFORMED',
       error: 'Invalid input format'
     };
   }
 }
 
+/**
+ * Runs the field-level schema checks on a parsed answers object
+ */
+function validateFields(answers) {
+  const fields = validateAgainstSchema(answers);
+  if (fields.length > 0) {
+    return {
+      valid: false,
+      code: 'ANSWERS_INVALID',
+      error: 'One or more answers are invalid',
+      fields: fields
+    };
+  }
+  return { valid: true };
+}
+
 /**
  * Parses answers field from request
  * Handles both JSON string and object formats
@@ -65,7 +89,7 @@ function parseAnswers(answers) {
     }
     return null;
   } catch (error) {
-    console.error('Error parsing answers:', error.message);
+    logger.error('Error parsing answers', { error });
     return null;
   }
 }